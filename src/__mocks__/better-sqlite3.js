@@ -7,6 +7,7 @@ const mockSqlite = jest.fn(() => ({
     finalize: jest.fn()
   }),
   exec: jest.fn(),
+  function: jest.fn(),
   close: jest.fn(),
   transaction: fn => fn
 }));
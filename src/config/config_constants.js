@@ -49,6 +49,9 @@ const DEFAULT_PAGE_SIZE = isBrowser ? 10 : (process.env?.DEFAULT_PAGE_SIZE || 10
 const CARDS_DB_PATH = isBrowser 
   ? '/data/cards.db' 
   : (process.env?.MCARD_DB_PATH || safePath(projectRoot, 'public', 'data', 'cards.db'));
+const CARDS_STORE_PATH = isBrowser
+  ? '/data/cards'
+  : (process.env?.MCARD_STORE_PATH || safePath(projectRoot, 'public', 'data', 'cards'));
 const TEST_DB_PATH = isBrowser
   ? '/test/db/test.db'
   : (process.env?.TEST_DB_PATH || safePath(projectRoot, 'src', 'test', 'db', 'test.db'));
@@ -159,6 +162,7 @@ export default {
   // Database Constants
   DEFAULT_PAGE_SIZE,
   CARDS_DB_PATH,
+  CARDS_STORE_PATH,
 
   // Store Constants
   DEFAULT_HASH_ALGORITHM,
@@ -182,6 +186,7 @@ export const configConstants = {
   // Database Constants
   DEFAULT_PAGE_SIZE,
   CARDS_DB_PATH,
+  CARDS_STORE_PATH,
   TEST_DB_PATH,
 
   // Store Constants
@@ -206,6 +211,7 @@ export {
   // Database Constants
   DEFAULT_PAGE_SIZE,
   CARDS_DB_PATH,
+  CARDS_STORE_PATH,
   TEST_DB_PATH,
 
   // Store Constants
@@ -0,0 +1,487 @@
+import { SafeBuffer } from '../utils/bufferPolyfill.js';
+import { MCard } from './mcard.js';
+import { CardCollection } from './card-collection.js';
+import {
+  generateDuplicationEvent,
+  generateCollisionEvent,
+  generateDeleteEvent,
+  generateUpdateEvent,
+  generateRevisionEvent,
+  generateImportEvent
+} from './event-producer.js';
+import { revisionChain } from './card-events.js';
+import { HashRef } from './hash-ref.js';
+import {
+  CHUNK_MANIFEST_PREFIX,
+  isChunkManifest,
+  parseChunkManifest,
+  chunkContent,
+  chunksInRange,
+  normalizeRange
+} from './card-chunks.js';
+import { cardMetadata } from '../models/card_metadata.js';
+import logger from '../services/logger.js';
+import { DEFAULT_PAGE_SIZE, HashAlgorithm } from '../config/config_constants.js';
+
+/**
+ * CardCollection whose operations are all asynchronous.
+ *
+ * Every engine call is awaited, so it works with promise-based engines
+ * (IndexedDBEngine, remote stores) as well as synchronous ones. Event cards
+ * are created with MCard.create, so their hashes are real in browsers where
+ * Web Crypto digests are promises. Cards passed to add() should likewise be
+ * created with MCard.create.
+ *
+ * Writes and transactions run one at a time, in the order they are called
+ * (see _serialized), so a write never lands in another caller's transaction.
+ */
+class AsyncCardCollection extends CardCollection {
+  constructor(engine) {
+    super(engine);
+    // Settles when the last queued write operation has finished
+    this._transactions.queue = Promise.resolve();
+  }
+
+  /**
+   * Run a write operation once those queued before it have finished. It gets
+   * its own `tx`, which owns the collection until it settles; operations
+   * made through that `tx`, such as the writes of a transaction callback,
+   * run at once as part of it.
+   *
+   * A transaction callback must therefore write through its `tx`: a write
+   * on the collection itself waits for the transaction, so awaiting it
+   * inside the callback never settles.
+   * @param {Function} operation - Called with the `tx` to run on
+   * @returns {Promise<any>} The operation's result
+   * @protected
+   */
+  _serialized(operation) {
+    const state = this._transactions;
+    if (state.owner !== null && this._isWithin(state.owner)) {
+      return operation(this);
+    }
+    const run = state.queue.then(async () => {
+      const tx = Object.create(this);
+      state.owner = tx;
+      try {
+        return await operation(tx);
+      } finally {
+        state.owner = null;
+      }
+    });
+    state.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Add a card, recording duplicate and collision events like CardCollection.add
+   * @param {MCard} card - Card to add
+   * @returns {Promise<string>} Hash of the added card or of the event card
+   */
+  async add(card) {
+    if (card === null) {
+      throw new Error("Card cannot be None");
+    }
+
+    const result = await this._serialized(tx => tx._addOne(card));
+    return result.event_hash || result.hash;
+  }
+
+  /**
+   * Add many cards like CardCollection.addMany, inside one transaction
+   * @param {Array<MCard>} cards - Cards to add
+   * @param {Object} [options] - onDuplicate, onCollision and source, as for CardCollection.addMany
+   * @returns {Promise<Object>} Report with per-card results and counts per status
+   */
+  async addMany(cards, options = {}) {
+    const addOptions = this._validateAddMany(cards, options);
+    return this.transaction(async (tx) => {
+      const results = [];
+      for (const [index, card] of cards.entries()) {
+        results.push({ index, ...await tx._addOne(card, addOptions) });
+      }
+      const report = tx._batchReport(results);
+      if (options.source != null) {
+        report.event_hash = await tx._recordEvent(generateImportEvent(String(options.source), report.counts));
+      }
+      return report;
+    });
+  }
+
+  /**
+   * @protected
+   */
+  async _addOne(card, { onDuplicate = 'event', onCollision = 'upgrade' } = {}) {
+    this._checkAddable(card);
+    const hash_value = card.hash;
+    const existing_card = await this._getStored(hash_value);
+
+    if (existing_card) {
+      logger.debug(`Card with hash ${hash_value} already exists`);
+
+      if (this._isDuplicate(existing_card, card)) {
+        this._checkConflictPolicy(onDuplicate, 'Duplicate', hash_value);
+        if (onDuplicate === 'skip') {
+          return { hash: hash_value, status: 'duplicate' };
+        }
+        const event_hash = await this._recordEvent(generateDuplicationEvent(existing_card));
+        logger.debug(`Added duplicate event card with hash: ${event_hash}`);
+        this._notify('duplicate', () => this._changePayload(existing_card, { event_hash }));
+        return { hash: hash_value, status: 'duplicate', event_hash };
+      }
+
+      this._checkConflictPolicy(onCollision, 'Collision', hash_value);
+      if (onCollision === 'skip') {
+        return { hash: hash_value, status: 'collision-skipped' };
+      }
+      const upgradedFunction = this._upgradedHashFunction(card);
+      const collision_content_card = await MCard.create(card.content, upgradedFunction);
+      this._verifyCollisionUpgrade(card, collision_content_card, upgradedFunction);
+
+      const event_hash = await this.transaction(async () => {
+        await this.engine.add(collision_content_card);
+        return this._recordEvent(generateCollisionEvent(card, existing_card, collision_content_card));
+      });
+      logger.debug(`Added collision event card with hash: ${event_hash}`);
+      this._notify('collision', () => this._changePayload(card, {
+        event_hash,
+        upgraded_hash: collision_content_card.hash
+      }));
+      return {
+        hash: hash_value,
+        status: 'collision-upgraded',
+        event_hash,
+        upgraded_hash: collision_content_card.hash
+      };
+    }
+
+    await this.engine.add(card);
+    logger.debug(`Successfully added card with hash ${hash_value}`);
+    this._notify('added', () => this._changePayload(card));
+    return { hash: hash_value, status: 'added' };
+  }
+
+  /**
+   * @protected
+   */
+  async _recordEvent(content) {
+    const event_card = await MCard.create(SafeBuffer.from(content));
+    await this.engine.add(event_card);
+    return event_card.hash;
+  }
+
+  /**
+   * Run fn as one atomic unit of work, like CardCollection.transaction.
+   * Engine calls are awaited, so engines with asynchronous begin/commit work
+   * too. Other writes on the collection wait until the transaction settles.
+   * @param {Function} fn - Callback receiving `tx`
+   * @returns {Promise<any>} fn's result
+   */
+  async transaction(fn) {
+    return this._serialized(async (tx) => {
+      const scope = await tx._openTransaction();
+      try {
+        const result = await fn(tx);
+        await tx._closeTransaction(scope, true);
+        return result;
+      } catch (error) {
+        await tx._closeTransaction(scope, false);
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * @protected
+   */
+  async _openTransaction() {
+    const engine = this.engine;
+    if (typeof engine.begin !== 'function') {
+      return null;
+    }
+
+    const depth = this._transactions.depth;
+    let savepoint = null;
+    if (depth === 0) {
+      await engine.begin();
+    } else if (typeof engine.savepoint === 'function') {
+      savepoint = `mcard_tx_${depth}`;
+      await engine.savepoint(savepoint);
+    }
+    this._transactions.depth = depth + 1;
+    return { depth, savepoint, pending: this._pendingChanges.length };
+  }
+
+  /**
+   * @protected
+   */
+  async _closeTransaction(scope, succeeded) {
+    if (!scope) {
+      return;
+    }
+
+    this._transactions.depth = scope.depth;
+    const engine = this.engine;
+    if (scope.depth === 0) {
+      const changes = this._takePendingChanges(scope, succeeded);
+      await (succeeded ? engine.commit() : engine.rollback());
+      this._deliver(changes);
+    } else if (scope.savepoint) {
+      this._takePendingChanges(scope, succeeded);
+      await (succeeded ? engine.release_savepoint(scope.savepoint) : engine.rollback_to_savepoint(scope.savepoint));
+    }
+  }
+
+  async addStream(readable, options = {}) {
+    return this._serialized(tx => super.addStream.call(tx, readable, options));
+  }
+
+  async addChunked(content, options = {}) {
+    return this._serialized(tx => super.addChunked.call(tx, content, options));
+  }
+
+  async get(hash_value, { assemble = true } = {}) {
+    const ref = HashRef.from(hash_value);
+    const card = await this.engine.get(ref.hash);
+    if (!card || !ref.matches(card)) {
+      return null;
+    }
+    return assemble ? this._assemble(card) : card;
+  }
+
+  /**
+   * @protected
+   */
+  async _getStored(hash_value) {
+    const ref = HashRef.from(hash_value);
+    const card = await this.engine.get(ref.hash, { raw: true });
+    return card && ref.matches(card) ? card : null;
+  }
+
+  /**
+   * @protected
+   */
+  async _assemble(card) {
+    const manifest = parseChunkManifest(card.content);
+    if (!manifest) {
+      return card;
+    }
+    const parts = [];
+    for (const chunk of manifest.chunks) {
+      parts.push(chunkContent(chunk, await this._getStored(chunk.ref)));
+    }
+    return this._assembled(card, parts);
+  }
+
+  async read(hash_value, { start = 0, end } = {}) {
+    const ref = HashRef.from(hash_value);
+    const range = normalizeRange(start, end, Infinity);
+    const head = await this._readRange(ref, 0, CHUNK_MANIFEST_PREFIX.length);
+    if (!head) {
+      return null;
+    }
+    if (!isChunkManifest(head.content)) {
+      return (await this._readRange(ref, range.start, range.end)).content;
+    }
+
+    const manifest = parseChunkManifest((await this._getStored(ref)).content);
+    const { start: from, end: to } = normalizeRange(start, end, manifest.size);
+    const parts = [];
+    for (const chunk of chunksInRange(manifest, from, to)) {
+      const card = await this._getStored(chunk.chunk.ref);
+      parts.push(chunkContent(chunk.chunk, card).subarray(chunk.from, chunk.to));
+    }
+    return SafeBuffer.concat(parts);
+  }
+
+  async stat(hash_value) {
+    const ref = HashRef.from(hash_value);
+    const head = await this._readRange(ref, 0, CHUNK_MANIFEST_PREFIX.length);
+    if (!head) {
+      return null;
+    }
+    const { hash, g_time, content_type, byte_size } = head;
+    if (!isChunkManifest(head.content)) {
+      return { hash, g_time, content_type, byte_size, chunks: 0 };
+    }
+
+    const manifest = parseChunkManifest((await this._getStored(ref)).content);
+    const first = manifest.chunks.length > 0 ? await this.stat(manifest.chunks[0].ref) : null;
+    return {
+      hash,
+      g_time,
+      content_type: first ? first.content_type : 'application/octet-stream',
+      byte_size: manifest.size,
+      chunks: manifest.chunks.length
+    };
+  }
+
+  /**
+   * @protected
+   */
+  async _readRange(ref, start, end) {
+    let record;
+    if (typeof this.engine.read_range === 'function') {
+      record = await this.engine.read_range(ref.hash, start, end);
+    } else {
+      const card = await this.engine.get(ref.hash, { raw: true });
+      record = card && this._rangeRecord(card, start, end);
+    }
+    return record && ref.matches(record) ? record : null;
+  }
+
+  async delete(hash_value) {
+    const ref = HashRef.from(hash_value);
+    return this.transaction(async (tx) => {
+      const card = await tx._getStored(ref);
+      if (ref.algorithm && !card) {
+        return false;
+      }
+      const deleted = await tx.engine.delete(ref.hash);
+      if (deleted) {
+        if (!tx._isEventCard(card)) {
+          await tx._recordEvent(generateDeleteEvent(ref.hash));
+        }
+        tx._notify('deleted', () => tx._deletedPayload(ref.hash, card));
+      }
+      return deleted;
+    });
+  }
+
+  async get_page(page_number = 1, page_size = DEFAULT_PAGE_SIZE, options = {}) {
+    this._validatePageRequest(page_number, page_size, options);
+    const result = await this.engine.get_page(page_number, page_size, options);
+    return this._toPage(result, page_number, page_size, options);
+  }
+
+  async search_by_string(search_string, page_number = 1, page_size = DEFAULT_PAGE_SIZE, options = {}) {
+    return this.engine.search_by_string(search_string, page_number, page_size, options);
+  }
+
+  /**
+   * Find the card stored under a hash
+   * @param {string} hash_value - Hash to look up
+   * @param {number} page_number - Page number to retrieve
+   * @param {number} page_size - Number of items per page
+   * @returns {Promise<Page>} Page holding the card, or an empty page
+   */
+  async search_by_hash(hash_value, page_number = 1, page_size = DEFAULT_PAGE_SIZE) {
+    this._validateSearch(hash_value, "Hash value", page_number, page_size);
+    return this._hashPage(await this._getStored(hash_value), page_number, page_size);
+  }
+
+  async search_by_content(search_string, page_number = 1, page_size = DEFAULT_PAGE_SIZE, options = {}) {
+    this._validateSearch(search_string, "Search string", page_number, page_size, options);
+    return this.engine.search_by_content(search_string, page_number, page_size, options);
+  }
+
+  async search_fulltext(query, page_number = 1, page_size = DEFAULT_PAGE_SIZE, options = {}) {
+    return super.search_fulltext(query, page_number, page_size, options);
+  }
+
+  async query(spec = {}) {
+    return super.query(spec);
+  }
+
+  async events(spec = {}) {
+    return super.events(spec);
+  }
+
+  async changesSince(seq = 0, options = {}) {
+    return super.changesSince(seq, options);
+  }
+
+  async quarantined() {
+    return super.quarantined();
+  }
+
+  async verify(options = {}) {
+    if (!options.repair) {
+      return super.verify(options);
+    }
+    return this._serialized(tx => super.verify.call(tx, options));
+  }
+
+  /**
+   * Revise a card like CardCollection.update
+   * @param {string} hash - Hash of the card to revise
+   * @param {any} newContent - New content for the card
+   * @param {Object} [options] - `{ unsafeInPlace }`
+   * @returns {Promise<string|null>} Hash of the card holding the new content,
+   *   or null when the card does not exist or the update failed
+   */
+  async update(hash, newContent, { unsafeInPlace = false } = {}) {
+    if (!hash) {
+      throw new Error("Hash cannot be empty");
+    }
+
+    return this._serialized(async (tx) => {
+      const existingCard = await tx._getStored(hash);
+      if (!existingCard) {
+        return null;
+      }
+
+      try {
+        if (unsafeInPlace) {
+          return await tx.transaction(() => tx._updateInPlace(existingCard, newContent));
+        }
+        const revisionCard = await MCard.create(newContent, cardMetadata(existingCard).hash_algorithm || HashAlgorithm.DEFAULT);
+        return await tx.transaction(async () => {
+          const result = await tx._addOne(revisionCard, { onDuplicate: 'skip' });
+          return tx._recordRevision(existingCard, revisionCard, result.upgraded_hash || result.hash);
+        });
+      } catch (error) {
+        console.error(`Error updating card ${hash}:`, error);
+        return null;
+      }
+    });
+  }
+
+  async _updateInPlace(existingCard, newContent) {
+    if (!(await this.engine.update(existingCard.hash, newContent))) {
+      return null;
+    }
+    await this._recordEvent(generateUpdateEvent(existingCard.hash, newContent));
+    this._notify('updated', () => this._changePayload({ ...existingCard, content: newContent }));
+    return existingCard.hash;
+  }
+
+  async _recordRevision(existingCard, revisionCard, revision_hash) {
+    if (revision_hash !== existingCard.hash) {
+      await this._recordEvent(generateRevisionEvent(existingCard.hash, revision_hash, revisionCard.content));
+      this._notify('updated', () => this._changePayload(existingCard, { revision_hash }));
+    }
+    return revision_hash;
+  }
+
+  async history(hash) {
+    const chain = revisionChain(await this.events({ type: 'revision' }), this._requireHash(hash));
+    const versions = await Promise.all(chain.map(version => this.get(version)));
+    return versions.filter(Boolean);
+  }
+
+  async latest(hash) {
+    const chain = revisionChain(await this.events({ type: 'revision' }), this._requireHash(hash));
+    return this.get(chain[chain.length - 1]);
+  }
+
+  async clear() {
+    await this._serialized(tx => tx.engine.clear());
+  }
+
+  async count() {
+    return this.engine.count();
+  }
+
+  async get_all(page_number = 1, page_size = DEFAULT_PAGE_SIZE, options = {}) {
+    const result = await this.engine.get_all(page_number, page_size, options);
+    return this._toAllPage(result, page_number, page_size, options);
+  }
+
+  async get_all_cards(page_number = 1, page_size = DEFAULT_PAGE_SIZE, options = {}) {
+    return this.get_all(page_number, page_size, options);
+  }
+}
+
+export { AsyncCardCollection };
+export default AsyncCardCollection;
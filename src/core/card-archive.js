@@ -0,0 +1,337 @@
+import { MCardFromData } from './mcard.js';
+import { GTime } from './g_time.js';
+import { verifyRecord } from './card-verify.js';
+import { encodeBase64, decodeBase64 } from './page-cursor.js';
+import { generateImportEvent } from './event-producer.js';
+import { writeCar, readCar } from './card-car.js';
+import { cardMetadata, textOf } from '../models/card_metadata.js';
+import { SafeBuffer } from '../utils/bufferPolyfill.js';
+import { byteReader, writeChunk } from '../utils/byteStream.js';
+import logger from '../services/logger.js';
+
+/**
+ * Portable card archives
+ *
+ * Moves a card store between machines and between the JS and Python MCard
+ * implementations. Every card keeps its hash and g_time, so the store on the
+ * other side is the same store, not a copy with new timestamps. Two formats:
+ *
+ *   jsonl  one JSON object per line:
+ *          { hash, g_time, content_type, byte_size, hash_algorithm,
+ *            encoding: 'utf-8' | 'base64', content }
+ *          Text content is written as-is; binary content as base64.
+ *
+ *   tar    a ustar archive with two entries per card:
+ *          cards/<hash>/meta.json  the jsonl record without content
+ *          cards/<hash>/content    the raw content
+ *
+ *   car    a CARv1 file of one block per card, readable by IPFS tooling;
+ *          g_times travel in a manifest block (see card-car.js)
+ *
+ * Import checks every record with verifyRecord (see card-verify.js) and adds
+ * cards with addMany, so duplicates and collisions are handled and reported
+ * exactly as add() handles them.
+ */
+
+export const ARCHIVE_FORMATS = Object.freeze(['jsonl', 'tar', 'car']);
+export const DEFAULT_IMPORT_BATCH_SIZE = 500;
+
+const INVALID_POLICIES = ['error', 'skip'];
+const TAR_BLOCK = 512;
+const TAR_DIR = 'cards';
+const META_ENTRY = 'meta.json';
+const CONTENT_ENTRY = 'content';
+
+/**
+ * Write every card of a collection to a stream
+ * @param {CardCollection} collection - Collection to export
+ * @param {Writable} stream - Node writable stream, or any object with write(chunk);
+ *   it is not ended, so several exports can share it
+ * @param {Object} [options]
+ * @param {string} [options.format='jsonl'] - 'jsonl', 'tar' or 'car'
+ * @returns {Promise<number>} Number of cards written
+ */
+export async function exportCollection(collection, stream, { format = 'jsonl' } = {}) {
+  checkFormat(format);
+  if (format === 'car') {
+    return writeCar(collection, stream);
+  }
+  let exported = 0;
+
+  for await (const card of collection.iterate()) {
+    const content = SafeBuffer.from(card.content);
+    const meta = {
+      hash: card.hash,
+      g_time: card.g_time,
+      ...cardMetadata({ content, g_time: card.g_time })
+    };
+
+    if (format === 'jsonl') {
+      const text = archiveText(content);
+      const record = text !== null
+        ? { ...meta, encoding: 'utf-8', content: text }
+        : { ...meta, encoding: 'base64', content: encodeBase64(content) };
+      await writeChunk(stream, `${JSON.stringify(record)}\n`);
+    } else {
+      const mtime = tarTime(card.g_time);
+      await writeChunk(stream, tarEntry(`${TAR_DIR}/${card.hash}`, META_ENTRY, SafeBuffer.from(JSON.stringify(meta)), mtime));
+      await writeChunk(stream, tarEntry(`${TAR_DIR}/${card.hash}`, CONTENT_ENTRY, content, mtime));
+    }
+    exported += 1;
+  }
+
+  if (format === 'tar') {
+    await writeChunk(stream, new Uint8Array(TAR_BLOCK * 2));
+  }
+  return exported;
+}
+
+/**
+ * Read an archive written by exportCollection into a collection
+ * @param {CardCollection} collection - Collection to import into
+ * @param {AsyncIterable} stream - Node readable stream or any async iterable of
+ *   Buffer/Uint8Array/string chunks
+ * @param {Object} [options]
+ * @param {string} [options.format='jsonl'] - 'jsonl', 'tar' or 'car'
+ * @param {string} [options.onInvalid='error'] - 'error' stops at the first record that
+ *   fails verification; 'skip' leaves it out and reports it
+ * @param {string} [options.onDuplicate] - Passed to addMany
+ * @param {string} [options.onCollision] - Passed to addMany
+ * @param {string} [options.source] - When given, an import event recording the
+ *   source and counts is added after the last card
+ * @param {number} [options.batchSize=500] - Cards per addMany transaction
+ * @returns {Promise<Object>} { counts, invalid: [{ hash, problem, detail }], event_hash }
+ */
+export async function importCollection(collection, stream, {
+  format = 'jsonl',
+  onInvalid = 'error',
+  onDuplicate,
+  onCollision,
+  source = null,
+  batchSize = DEFAULT_IMPORT_BATCH_SIZE
+} = {}) {
+  checkFormat(format);
+  if (!INVALID_POLICIES.includes(onInvalid)) {
+    throw new Error(`Invalid onInvalid: ${onInvalid}. Use one of ${INVALID_POLICIES.join(', ')}`);
+  }
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error(`Invalid batch size: ${batchSize}. Batch size must be >= 1.`);
+  }
+
+  const counts = { added: 0, duplicate: 0, 'collision-upgraded': 0, 'collision-skipped': 0 };
+  const invalid = [];
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    const report = await collection.addMany(batch, { onDuplicate, onCollision });
+    Object.entries(report.counts).forEach(([status, count]) => { counts[status] += count; });
+    batch = [];
+  };
+
+  const readers = { jsonl: readJsonl, tar: readTar, car: readCar };
+  const records = readers[format](stream);
+  for await (const record of records) {
+    const problem = record.problem ? record : await verifyRecord(record);
+    if (problem) {
+      const entry = { hash: problem.hash ?? null, problem: problem.problem, detail: problem.detail };
+      if (onInvalid === 'error') {
+        throw new Error(`Invalid archive record ${entry.hash}: ${entry.problem}: ${entry.detail}`);
+      }
+      invalid.push(entry);
+      continue;
+    }
+
+    batch.push(new MCardFromData(SafeBuffer.from(record.content), record.hash, record.g_time));
+    if (batch.length >= batchSize) {
+      await flush();
+    }
+  }
+  await flush();
+
+  if (invalid.length > 0) {
+    logger.warn(`Import skipped ${invalid.length} invalid record(s)`);
+  }
+  const result = { counts, invalid };
+  if (source != null) {
+    result.event_hash = await collection.transaction(tx => tx._recordEvent(
+      generateImportEvent(String(source), { ...counts, invalid: invalid.length })
+    ));
+  }
+  return result;
+}
+
+/**
+ * Records of a jsonl archive, one per non-empty line
+ * @private
+ */
+async function* readJsonl(stream) {
+  const decoder = new TextDecoder();
+  let pending = '';
+  let lineNumber = 0;
+
+  const parse = (line) => {
+    try {
+      const record = JSON.parse(line);
+      const content = record.encoding === 'base64'
+        ? decodeBase64(record.content)
+        : SafeBuffer.from(String(record.content ?? ''), 'utf-8');
+      return { hash: record.hash, g_time: record.g_time, content };
+    } catch (error) {
+      return { hash: null, problem: 'malformed', detail: `Line ${lineNumber}: ${error.message}` };
+    }
+  };
+
+  for await (const chunk of stream) {
+    pending += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    const lines = pending.split('\n');
+    pending = lines.pop();
+    for (const line of lines) {
+      lineNumber += 1;
+      if (line.trim()) yield parse(line);
+    }
+  }
+  pending += decoder.decode();
+  lineNumber += 1;
+  if (pending.trim()) yield parse(pending);
+}
+
+/**
+ * Records of a tar archive, pairing each card's meta.json with its content
+ * @private
+ */
+async function* readTar(stream) {
+  let meta = null;
+  for await (const { path, data } of tarEntries(stream)) {
+    const [dir, hash, name] = path.split('/');
+    if (dir !== TAR_DIR || !hash) {
+      continue;
+    }
+    if (name === META_ENTRY) {
+      try {
+        meta = JSON.parse(new TextDecoder().decode(data));
+      } catch (error) {
+        yield { hash, problem: 'malformed', detail: `${path}: ${error.message}` };
+        meta = null;
+      }
+    } else if (name === CONTENT_ENTRY) {
+      if (!meta || meta.hash !== hash) {
+        yield { hash, problem: 'malformed', detail: `${path} has no ${META_ENTRY}` };
+        continue;
+      }
+      yield { hash, g_time: meta.g_time, content: data };
+      meta = null;
+    }
+  }
+}
+
+/**
+ * Entries of a ustar stream, read a block at a time
+ * @private
+ */
+async function* tarEntries(stream) {
+  const reader = byteReader(stream);
+  for (;;) {
+    const header = await reader.read(TAR_BLOCK);
+    if (!header || header.every(byte => byte === 0)) {
+      return;
+    }
+    if (tarChecksum(header) !== parseOctal(header.subarray(148, 156))) {
+      throw new Error('Invalid tar header checksum');
+    }
+    const size = parseOctal(header.subarray(124, 136));
+    const name = tarString(header.subarray(0, 100));
+    const prefix = tarString(header.subarray(345, 500));
+    const data = await reader.read(size);
+    if (size > 0 && !data) {
+      throw new Error(`Truncated tar entry: ${name}`);
+    }
+    await reader.read((TAR_BLOCK - (size % TAR_BLOCK)) % TAR_BLOCK);
+    const type = String.fromCharCode(header[156] || 48);
+    if (type === '0') {
+      yield { path: prefix ? `${prefix}/${name}` : name, data: data || new Uint8Array(0) };
+    }
+  }
+}
+
+/**
+ * Header and padded data of one ustar file entry
+ * @private
+ */
+function tarEntry(prefix, name, data, mtime) {
+  const header = new Uint8Array(TAR_BLOCK);
+  const encoder = new TextEncoder();
+  header.set(encoder.encode(name), 0);
+  header.set(encoder.encode(octal(0o644, 7)), 100);
+  header.set(encoder.encode(octal(0, 7)), 108);
+  header.set(encoder.encode(octal(0, 7)), 116);
+  header.set(encoder.encode(octal(data.length, 11)), 124);
+  header.set(encoder.encode(octal(mtime, 11)), 136);
+  header.set(encoder.encode('        '), 148);
+  header[156] = '0'.charCodeAt(0);
+  header.set(encoder.encode('ustar\u000000'), 257);
+  header.set(encoder.encode(prefix), 345);
+  header.set(encoder.encode(`${octal(tarChecksum(header), 6)}\u0000 `), 148);
+
+  const padded = new Uint8Array(Math.ceil(data.length / TAR_BLOCK) * TAR_BLOCK);
+  padded.set(data);
+  const entry = new Uint8Array(TAR_BLOCK + padded.length);
+  entry.set(header);
+  entry.set(padded, TAR_BLOCK);
+  return entry;
+}
+
+/**
+ * Sum of header bytes with the checksum field read as spaces
+ * @private
+ */
+function tarChecksum(header) {
+  let sum = 0;
+  for (let i = 0; i < TAR_BLOCK; i++) {
+    sum += i >= 148 && i < 156 ? 32 : header[i];
+  }
+  return sum;
+}
+
+function octal(value, width) {
+  return value.toString(8).padStart(width, '0');
+}
+
+function parseOctal(bytes) {
+  return parseInt(tarString(bytes).trim() || '0', 8);
+}
+
+function tarString(bytes) {
+  const end = bytes.indexOf(0);
+  return new TextDecoder().decode(end === -1 ? bytes : bytes.subarray(0, end));
+}
+
+/**
+ * Entry mtime in seconds: the card's own time, so exports are reproducible
+ * @private
+ */
+function tarTime(g_time) {
+  const millis = Date.parse(GTime.get_timestamp(String(g_time)) || '');
+  return Number.isNaN(millis) ? 0 : Math.floor(millis / 1000);
+}
+
+/**
+ * Content as text when it survives a round trip through UTF-8 unchanged
+ * @private
+ */
+function archiveText(content) {
+  const text = textOf(content);
+  return text !== null && new TextEncoder().encode(text).length === content.length ? text : null;
+}
+
+function checkFormat(format) {
+  if (!ARCHIVE_FORMATS.includes(format)) {
+    throw new Error(`Unknown archive format: ${format}. Use one of ${ARCHIVE_FORMATS.join(', ')}`);
+  }
+}
+
+export default {
+  ARCHIVE_FORMATS,
+  exportCollection,
+  importCollection
+};
@@ -0,0 +1,300 @@
+import HashValidator from './hash/validator.js';
+import { GTime } from './g_time.js';
+import { cidBytes, cidToString, cardCodec, parseCid, readCid, encodeVarint, decodeVarint } from './card-cid.js';
+import { SafeBuffer } from '../utils/bufferPolyfill.js';
+import { byteReader, writeChunk, concatBytes } from '../utils/byteStream.js';
+
+/**
+ * CAR (Content Addressable aRchive) v1 for card collections
+ *
+ * A CAR file is a header followed by blocks, each prefixed with its length
+ * as a varint:
+ *
+ *   varint(n) header       dag-cbor { roots: [cid], version: 1 }
+ *   varint(n) cid content  one block per card, addressed by cardCid
+ *
+ * CAR blocks carry no g_time, so the single root is a dag-json manifest
+ * written before the cards:
+ *
+ *   {"cards":[{"cid":{"/":"bafk..."},"g_time":"sha256|...|UTC"}],"schema":"mcard-car/1"}
+ *
+ * Reading a CAR written here restores every card with its g_time. Blocks
+ * the manifest does not list, e.g. in CARs from other tools, become cards
+ * stamped with the time of the import. Use exportCollection and
+ * importCollection with format 'car' (see card-archive.js) rather than the
+ * generators here directly.
+ */
+
+export const CAR_MANIFEST_SCHEMA = 'mcard-car/1';
+
+const CAR_VERSION = 1;
+const CID_TAG = 42;
+const MAX_VARINT_BYTES = 9;
+
+/**
+ * Write every card of a collection as a CAR. The collection is read twice:
+ * once to build the manifest, then to write the cards it lists.
+ * @param {CardCollection} collection - Collection to export
+ * @param {Writable} stream - Node writable stream, or any object with write(chunk)
+ * @returns {Promise<number>} Number of cards written
+ */
+export async function writeCar(collection, stream) {
+  const cids = new Map();
+  const entries = [];
+  for await (const card of collection.iterate()) {
+    const cid = cidBytes(card.hash, cardCodec(card));
+    cids.set(card.hash, cid);
+    entries.push({ cid: { '/': cidToString(cid) }, g_time: card.g_time });
+  }
+
+  const manifest = SafeBuffer.from(JSON.stringify({ cards: entries, schema: CAR_MANIFEST_SCHEMA }));
+  const manifestCid = cidBytes(await HashValidator.computeHashAsync(manifest, 'sha256'), { codec: 'dag-json' });
+  await writeChunk(stream, frame(encodeHeader([manifestCid])));
+  await writeChunk(stream, frame(concatBytes([manifestCid, manifest])));
+
+  let written = 0;
+  for await (const card of collection.iterate()) {
+    const cid = cids.get(card.hash);
+    if (!cid) {
+      continue; // Added after the manifest was built
+    }
+    await writeChunk(stream, frame(concatBytes([cid, SafeBuffer.from(card.content)])));
+    written += 1;
+  }
+  return written;
+}
+
+/**
+ * Records of a CAR, in the { hash, g_time, content } form importCollection
+ * verifies; blocks that cannot become cards are yielded as problems
+ * @param {AsyncIterable} stream - Node readable stream or any async iterable of chunks
+ */
+export async function* readCar(stream) {
+  const reader = byteReader(stream);
+  const header = await readFrame(reader);
+  if (!header) {
+    throw new Error('Invalid CAR: missing header');
+  }
+  const { version, roots } = decodeHeader(header);
+  if (version !== CAR_VERSION) {
+    throw new Error(`Unsupported CAR version: ${version}`);
+  }
+  const rootCids = new Set(roots.filter(root => root instanceof Uint8Array).map(root => cidToString(root)));
+  const gTimes = new Map();
+
+  for (let number = 1; ; number++) {
+    const block = await readFrame(reader);
+    if (!block) {
+      return;
+    }
+
+    let cid;
+    let data;
+    try {
+      const parsed = readCid(block);
+      cid = parsed.cid;
+      data = block.subarray(parsed.length);
+    } catch (error) {
+      yield { hash: null, problem: 'malformed', detail: `Block ${number}: ${error.message}` };
+      continue;
+    }
+
+    if (rootCids.has(cid.cid) && cid.codec === 'dag-json') {
+      const problem = await readManifest(cid, data, gTimes);
+      if (problem) {
+        yield problem;
+      }
+      continue;
+    }
+    if (!cid.algorithm) {
+      yield { hash: cid.cid, problem: 'malformed', detail: `Block ${number}: unsupported multihash` };
+      continue;
+    }
+    yield {
+      hash: cid.hash,
+      g_time: gTimes.get(cid.hash) ?? GTime.stamp_now(cid.algorithm),
+      content: data
+    };
+  }
+}
+
+/**
+ * Collect the g_time of each card listed in a manifest block. A root that
+ * is not a manifest is ignored; a damaged manifest is reported.
+ * @private
+ */
+async function readManifest(cid, data, gTimes) {
+  const problem = detail => ({ hash: cid.cid, problem: 'malformed', detail: `Manifest: ${detail}` });
+  if (!cid.algorithm) {
+    return problem('unsupported multihash');
+  }
+  if (await HashValidator.computeHashAsync(SafeBuffer.from(data), cid.algorithm) !== cid.hash) {
+    return problem('content does not match its CID');
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(new TextDecoder().decode(data));
+  } catch (error) {
+    return problem(error.message);
+  }
+  if (manifest?.schema !== CAR_MANIFEST_SCHEMA || !Array.isArray(manifest.cards)) {
+    return null;
+  }
+  try {
+    for (const entry of manifest.cards) {
+      gTimes.set(parseCid(entry.cid['/']).hash, entry.g_time);
+    }
+  } catch (error) {
+    return problem(error.message);
+  }
+  return null;
+}
+
+/**
+ * Length-prefixed frame
+ * @private
+ */
+function frame(bytes) {
+  return concatBytes([encodeVarint(bytes.length), bytes]);
+}
+
+/**
+ * Next length-prefixed frame, or null at the end of the stream
+ * @private
+ */
+async function readFrame(reader) {
+  const prefix = [];
+  for (;;) {
+    const byte = await reader.read(1);
+    if (!byte) {
+      if (prefix.length === 0) {
+        return null;
+      }
+      throw new Error('Invalid CAR: truncated length');
+    }
+    prefix.push(byte[0]);
+    if ((byte[0] & 0x80) === 0) {
+      break;
+    }
+    if (prefix.length >= MAX_VARINT_BYTES) {
+      throw new Error('Invalid CAR: length too large');
+    }
+  }
+
+  const { value } = decodeVarint(Uint8Array.from(prefix));
+  const bytes = await reader.read(value);
+  if (!bytes) {
+    throw new Error('Invalid CAR: truncated block');
+  }
+  return bytes;
+}
+
+/**
+ * dag-cbor header. Keys are in canonical order (shorter first), and each
+ * CID is tag 42 over its bytes with a leading zero.
+ * @private
+ */
+function encodeHeader(roots) {
+  return concatBytes([
+    cborHead(5, 2),
+    cborText('roots'),
+    cborHead(4, roots.length),
+    ...roots.flatMap(root => [
+      cborHead(6, CID_TAG),
+      cborHead(2, root.length + 1),
+      Uint8Array.of(0),
+      root
+    ]),
+    cborText('version'),
+    cborHead(0, CAR_VERSION)
+  ]);
+}
+
+/**
+ * Read the header map. Only the CBOR a CAR header uses is supported.
+ * @private
+ */
+function decodeHeader(bytes) {
+  let position = 0;
+
+  const argument = (info) => {
+    if (info < 24) {
+      return info;
+    }
+    const width = { 24: 1, 25: 2, 26: 4, 27: 8 }[info];
+    if (!width || position + width > bytes.length) {
+      throw new Error('Invalid CAR header');
+    }
+    let value = 0;
+    for (let i = 0; i < width; i++) {
+      value = value * 256 + bytes[position++];
+    }
+    return value;
+  };
+
+  const item = () => {
+    if (position >= bytes.length) {
+      throw new Error('Invalid CAR header');
+    }
+    const initial = bytes[position++];
+    const major = initial >> 5;
+    const value = argument(initial & 31);
+    switch (major) {
+      case 0:
+        return value;
+      case 2:
+      case 3: {
+        const data = bytes.subarray(position, position + value);
+        position += value;
+        return major === 2 ? data : new TextDecoder().decode(data);
+      }
+      case 4:
+        return Array.from({ length: value }, item);
+      case 5: {
+        const map = {};
+        for (let i = 0; i < value; i++) {
+          const key = item();
+          map[key] = item();
+        }
+        return map;
+      }
+      case 6: {
+        const tagged = item();
+        return value === CID_TAG && tagged instanceof Uint8Array ? tagged.subarray(1) : tagged;
+      }
+      default:
+        throw new Error('Invalid CAR header: unsupported CBOR type');
+    }
+  };
+
+  const header = item();
+  if (!header || typeof header !== 'object' || !Array.isArray(header.roots ?? [])) {
+    throw new Error('Invalid CAR header');
+  }
+  return { version: header.version, roots: header.roots ?? [] };
+}
+
+function cborHead(major, value) {
+  if (value < 24) {
+    return Uint8Array.of((major << 5) | value);
+  }
+  if (value < 0x100) {
+    return Uint8Array.of((major << 5) | 24, value);
+  }
+  if (value < 0x10000) {
+    return Uint8Array.of((major << 5) | 25, value >> 8, value & 0xff);
+  }
+  return Uint8Array.of((major << 5) | 26, value >>> 24, (value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff);
+}
+
+function cborText(text) {
+  const bytes = new TextEncoder().encode(text);
+  return concatBytes([cborHead(3, bytes.length), bytes]);
+}
+
+export default {
+  CAR_MANIFEST_SCHEMA,
+  writeCar,
+  readCar
+};
@@ -0,0 +1,289 @@
+import { concatBytes } from '../utils/byteStream.js';
+import { SafeBuffer } from '../utils/bufferPolyfill.js';
+
+/**
+ * Content-defined chunking for large cards
+ *
+ * Large content is split with FastCDC: a gear rolling hash over the bytes
+ * picks cut points from the content itself, so an insertion early in a file
+ * only changes the chunks around it and the rest dedupe against the
+ * previous version. Each chunk is stored as an ordinary card, and a
+ * manifest card lists them in order:
+ *
+ *   {"schema":"mcard-chunks/1","size":<total bytes>,"chunks":[["sha256:<hex>",<bytes>],...]}
+ *
+ * The manifest's hash covers every chunk hash, so it is the Merkle root of
+ * the content. CardCollection.addChunked writes chunks and manifest,
+ * get() reassembles, and read() loads only the chunks a byte range needs.
+ *
+ * GEAR and the mask layout decide where chunks are cut. Changing either
+ * re-chunks all content and ends deduplication against existing stores.
+ */
+
+export const CHUNK_MANIFEST_SCHEMA = 'mcard-chunks/1';
+
+export const CHUNKING_DEFAULTS = Object.freeze({
+  minSize: 16 * 1024,
+  avgSize: 64 * 1024,
+  maxSize: 256 * 1024
+});
+
+// Every manifest starts with these bytes, so a short read can rule one out
+export const CHUNK_MANIFEST_PREFIX = new TextEncoder().encode(`{"schema":"${CHUNK_MANIFEST_SCHEMA}"`);
+const GEAR_SEED = 0x6d636172;
+const GEAR = gearTable(GEAR_SEED);
+
+/**
+ * Check chunking options and fill in defaults
+ * @param {Object} [options] - minSize, avgSize (a power of two) and maxSize in bytes
+ * @returns {Object} Options with the masks used to find cut points
+ */
+export function normalizeChunking({
+  minSize = CHUNKING_DEFAULTS.minSize,
+  avgSize = CHUNKING_DEFAULTS.avgSize,
+  maxSize = CHUNKING_DEFAULTS.maxSize
+} = {}) {
+  const bits = Math.log2(avgSize);
+  if (!Number.isInteger(bits) || bits < 6 || bits > 30) {
+    throw new Error(`Invalid avgSize: ${avgSize}. It must be a power of two between 64 and 2^30`);
+  }
+  if (!Number.isInteger(minSize) || !Number.isInteger(maxSize) || minSize < 1 || minSize >= avgSize || maxSize <= avgSize) {
+    throw new Error(`Invalid chunk sizes: ${minSize}/${avgSize}/${maxSize}. Use minSize < avgSize < maxSize`);
+  }
+  // Normalized chunking: a harder mask before avgSize, an easier one after
+  return { minSize, avgSize, maxSize, maskSmall: topBits(bits + 1), maskLarge: topBits(bits - 1) };
+}
+
+/**
+ * Split content into chunks
+ * @param {Uint8Array} bytes - Content
+ * @param {Object} [options] - See normalizeChunking
+ * @returns {Array<Uint8Array>} Chunks in order, as views of bytes
+ */
+export function splitContent(bytes, options = {}) {
+  const chunking = normalizeChunking(options);
+  const chunks = [];
+  for (let offset = 0; offset < bytes.length;) {
+    const length = cutPoint(bytes, offset, chunking);
+    chunks.push(bytes.subarray(offset, offset + length));
+    offset += length;
+  }
+  return chunks;
+}
+
+/**
+ * Split a stream into chunks, holding at most maxSize bytes plus one input
+ * chunk. Cuts are the same as splitContent gives for the joined content.
+ * @param {AsyncIterable} readable - Node readable stream or any async iterable of chunks
+ * @param {Object} [options] - See normalizeChunking
+ */
+export async function* chunkStream(readable, options = {}) {
+  const chunking = normalizeChunking(options);
+  let pending = new Uint8Array(0);
+  for await (const chunk of readable) {
+    const bytes = typeof chunk === 'string' ? SafeBuffer.from(chunk, 'utf-8') : chunk;
+    pending = pending.length === 0 ? Uint8Array.from(bytes) : concatBytes([pending, bytes]);
+    // Fewer than maxSize bytes may not hold the cut point yet
+    let offset = 0;
+    while (pending.length - offset >= chunking.maxSize) {
+      const length = cutPoint(pending, offset, chunking);
+      yield pending.slice(offset, offset + length);
+      offset += length;
+    }
+    pending = pending.subarray(offset);
+  }
+  for (let offset = 0; offset < pending.length;) {
+    const length = cutPoint(pending, offset, chunking);
+    yield pending.slice(offset, offset + length);
+    offset += length;
+  }
+}
+
+/**
+ * Content of a manifest card
+ * @param {Array<Object>} chunks - { ref, size } per chunk, in order; ref is a
+ *   HashRef string such as `sha256:<hex>`
+ * @returns {string} Manifest JSON
+ */
+export function chunkManifest(chunks) {
+  const size = chunks.reduce((total, chunk) => total + chunk.size, 0);
+  return JSON.stringify({
+    schema: CHUNK_MANIFEST_SCHEMA,
+    size,
+    chunks: chunks.map(chunk => [chunk.ref, chunk.size])
+  });
+}
+
+/**
+ * Whether content starts like a manifest. The first
+ * CHUNK_MANIFEST_PREFIX.length bytes are enough to decide.
+ * @param {Uint8Array|string|Object} content - Card content, or its first bytes;
+ *   SQLiteEngine.get returns JSON content already parsed
+ * @returns {boolean}
+ */
+export function isChunkManifest(content) {
+  if (content === null || content === undefined) {
+    return false;
+  }
+  if (isParsedJson(content)) {
+    return content.schema === CHUNK_MANIFEST_SCHEMA;
+  }
+  const bytes = typeof content === 'string' ? SafeBuffer.from(content, 'utf-8') : content;
+  return bytes.length >= CHUNK_MANIFEST_PREFIX.length && CHUNK_MANIFEST_PREFIX.every((byte, i) => bytes[i] === byte);
+}
+
+/**
+ * Read a manifest card's content
+ * @param {Uint8Array|string|Object} content - Card content, as bytes, text or parsed JSON
+ * @returns {Object|null} { size, chunks: [{ ref, size, offset }] }, or null when
+ *   the content is not a manifest
+ */
+export function parseChunkManifest(content) {
+  if (!isChunkManifest(content)) {
+    return null;
+  }
+
+  let manifest = content;
+  if (!isParsedJson(content)) {
+    const bytes = typeof content === 'string' ? SafeBuffer.from(content, 'utf-8') : content;
+    try {
+      manifest = JSON.parse(new TextDecoder().decode(bytes));
+    } catch {
+      return null;
+    }
+  }
+  if (!Array.isArray(manifest.chunks)) {
+    return null;
+  }
+  let offset = 0;
+  const chunks = manifest.chunks.map(([ref, size]) => {
+    const chunk = { ref, size, offset };
+    offset += size;
+    return chunk;
+  });
+  return { size: offset, chunks };
+}
+
+/**
+ * Check a byte range against content of a given size
+ * @param {number} start - First byte
+ * @param {number} [end] - One past the last byte; defaults to the end of the content
+ * @param {number} size - Content size
+ * @returns {{start: number, end: number}} Range with end clamped to size
+ */
+export function normalizeRange(start, end, size) {
+  if (!Number.isInteger(start) || start < 0 || (end !== undefined && (!Number.isInteger(end) || end < start))) {
+    throw new Error(`Invalid range: ${start}-${end}`);
+  }
+  return { start: Math.min(start, size), end: Math.min(end ?? size, size) };
+}
+
+/**
+ * Chunks overlapping a byte range, with the part of each that is inside it
+ * @param {Object} manifest - Parsed manifest (see parseChunkManifest)
+ * @param {number} start - First byte
+ * @param {number} end - One past the last byte
+ * @returns {Array<Object>} { chunk, from, to } with from/to relative to the chunk
+ */
+export function chunksInRange(manifest, start, end) {
+  return manifest.chunks
+    .filter(chunk => chunk.offset < end && chunk.offset + chunk.size > start)
+    .map(chunk => ({
+      chunk,
+      from: Math.max(start - chunk.offset, 0),
+      to: Math.min(end - chunk.offset, chunk.size)
+    }));
+}
+
+/**
+ * Content of a stored chunk, checked against the manifest
+ * @param {Object} chunk - Manifest entry
+ * @param {Object|null} card - Card stored under the chunk's hash
+ * @returns {Uint8Array} Chunk content
+ */
+export function chunkContent(chunk, card) {
+  if (!card) {
+    throw new Error(`Missing chunk ${chunk.ref}`);
+  }
+  const content = SafeBuffer.from(card.content);
+  if (content.length !== chunk.size) {
+    throw new Error(`Chunk ${chunk.ref} has ${content.length} bytes, expected ${chunk.size}`);
+  }
+  return content;
+}
+
+/**
+ * @private
+ */
+function isParsedJson(content) {
+  return typeof content === 'object' && !(content instanceof Uint8Array);
+}
+
+/**
+ * Length of the chunk starting at offset
+ * @private
+ */
+function cutPoint(bytes, offset, { minSize, avgSize, maxSize, maskSmall, maskLarge }) {
+  const remaining = bytes.length - offset;
+  if (remaining <= minSize) {
+    return remaining;
+  }
+  const limit = Math.min(remaining, maxSize);
+  const normal = Math.min(limit, avgSize);
+  let hash = 0;
+  let i = minSize;
+  for (; i < normal; i++) {
+    hash = ((hash << 1) + GEAR[bytes[offset + i]]) >>> 0;
+    if ((hash & maskSmall) === 0) {
+      return i + 1;
+    }
+  }
+  for (; i < limit; i++) {
+    hash = ((hash << 1) + GEAR[bytes[offset + i]]) >>> 0;
+    if ((hash & maskLarge) === 0) {
+      return i + 1;
+    }
+  }
+  return limit;
+}
+
+/**
+ * Mask of the n highest bits. The hash shifts left once per byte, so its
+ * high bits depend on the last 32 bytes rather than the last few.
+ * @private
+ */
+function topBits(n) {
+  return (0xffffffff << (32 - n)) >>> 0;
+}
+
+/**
+ * 256 pseudo-random 32-bit values (mulberry32), fixed by the seed
+ * @private
+ */
+function gearTable(seed) {
+  const table = new Uint32Array(256);
+  let state = seed;
+  for (let i = 0; i < table.length; i++) {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    table[i] = (value ^ (value >>> 14)) >>> 0;
+  }
+  return table;
+}
+
+export default {
+  CHUNK_MANIFEST_SCHEMA,
+  CHUNKING_DEFAULTS,
+  CHUNK_MANIFEST_PREFIX,
+  normalizeChunking,
+  splitContent,
+  chunkStream,
+  chunkManifest,
+  isChunkManifest,
+  parseChunkManifest,
+  normalizeRange,
+  chunksInRange,
+  chunkContent
+};
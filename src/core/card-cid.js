@@ -0,0 +1,292 @@
+import { HashAlgorithm } from '../config/config_constants.js';
+import { cardMetadata } from '../models/card_metadata.js';
+import { concatBytes } from '../utils/byteStream.js';
+
+/**
+ * Content identifiers (CIDs) for cards
+ *
+ * A card hash is already the digest of its content, so it converts to a
+ * CIDv1 without rehashing:
+ *
+ *   cid = varint(1) varint(codec) varint(multihash code) varint(digest length) digest
+ *
+ * written as a string in lower-case base32 with the multibase prefix 'b'
+ * (bafk... for raw sha256). Cards use the 'json' codec when their content
+ * is JSON and 'raw' otherwise; 'dag-json' is used by the CAR manifest (see
+ * card-car.js). Only CIDv1 is supported.
+ */
+
+export const MULTIHASH_CODES = Object.freeze({
+  md5: 0xd5,
+  sha1: 0x11,
+  sha224: 0x1013,
+  sha256: 0x12,
+  sha384: 0x20,
+  sha512: 0x13
+});
+
+export const DIGEST_LENGTHS = Object.freeze({ md5: 16, sha1: 20, sha224: 28, sha256: 32, sha384: 48, sha512: 64 });
+
+export const CID_CODECS = Object.freeze({
+  raw: 0x55,
+  json: 0x0200,
+  'dag-json': 0x0129
+});
+
+const CID_VERSION = 1;
+const BASE32_PREFIX = 'b';
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+/**
+ * Unsigned LEB128 varint, as used by multiformats and CAR framing
+ * @param {number} value - Non-negative safe integer
+ * @returns {Uint8Array} Encoded bytes
+ */
+export function encodeVarint(value) {
+  if (!Number.isSafeInteger(value) || value < 0) {
+    throw new Error(`Invalid varint: ${value}`);
+  }
+  const bytes = [];
+  while (value >= 0x80) {
+    bytes.push((value % 0x80) | 0x80);
+    value = Math.floor(value / 0x80);
+  }
+  bytes.push(value);
+  return Uint8Array.from(bytes);
+}
+
+/**
+ * Read a varint
+ * @param {Uint8Array} bytes - Bytes to read from
+ * @param {number} [offset=0] - Position of the first byte
+ * @returns {{value: number, length: number}} Value and number of bytes read
+ */
+export function decodeVarint(bytes, offset = 0) {
+  let value = 0;
+  let scale = 1;
+  for (let i = offset; i < bytes.length; i++) {
+    value += (bytes[i] & 0x7f) * scale;
+    if (!Number.isSafeInteger(value)) {
+      break;
+    }
+    if ((bytes[i] & 0x80) === 0) {
+      return { value, length: i - offset + 1 };
+    }
+    scale *= 0x80;
+  }
+  throw new Error('Invalid varint');
+}
+
+/**
+ * Multihash of a hex digest: varint(code) varint(length) digest
+ * @param {string} hash - Hex digest
+ * @param {string} algorithm - Algorithm that produced the digest
+ * @returns {Uint8Array} Multihash bytes
+ */
+export function multihashBytes(hash, algorithm) {
+  const name = String(algorithm).toLowerCase();
+  if (!(name in MULTIHASH_CODES)) {
+    throw new Error(`No multihash code for ${algorithm}`);
+  }
+  if (typeof hash !== 'string' || !/^[0-9a-f]*$/i.test(hash) || hash.length !== DIGEST_LENGTHS[name] * 2) {
+    throw new Error(`Invalid ${name} hash: ${hash}`);
+  }
+  const digest = Uint8Array.from(hash.match(/../g), pair => parseInt(pair, 16));
+  return concatBytes([encodeVarint(MULTIHASH_CODES[name]), encodeVarint(digest.length), digest]);
+}
+
+/**
+ * Read a multihash
+ * @param {Uint8Array} bytes - Bytes holding a multihash
+ * @param {number} [offset=0] - Position of the multihash
+ * @returns {{algorithm: string|null, hash: string, length: number}} Algorithm name
+ *   (null for codes this module does not know), hex digest and bytes read
+ */
+export function readMultihash(bytes, offset = 0) {
+  const code = decodeVarint(bytes, offset);
+  const size = decodeVarint(bytes, offset + code.length);
+  const start = offset + code.length + size.length;
+  if (start + size.value > bytes.length) {
+    throw new Error('Invalid multihash: truncated digest');
+  }
+  return {
+    algorithm: codeName(MULTIHASH_CODES, code.value),
+    hash: Array.from(bytes.subarray(start, start + size.value), byte => byte.toString(16).padStart(2, '0')).join(''),
+    length: start + size.value - offset
+  };
+}
+
+/**
+ * Binary CIDv1 for a hash
+ * @param {string} hash - Hex digest, e.g. a card hash
+ * @param {Object} [options]
+ * @param {string} [options.algorithm] - Algorithm that produced the digest
+ * @param {string} [options.codec='raw'] - One of CID_CODECS
+ * @returns {Uint8Array} CID bytes
+ */
+export function cidBytes(hash, { algorithm = HashAlgorithm.DEFAULT, codec = 'raw' } = {}) {
+  if (!(codec in CID_CODECS)) {
+    throw new Error(`Unknown CID codec: ${codec}. Use one of ${Object.keys(CID_CODECS).join(', ')}`);
+  }
+  return concatBytes([
+    encodeVarint(CID_VERSION),
+    encodeVarint(CID_CODECS[codec]),
+    multihashBytes(hash, algorithm)
+  ]);
+}
+
+/**
+ * CIDv1 string for a hash
+ * @param {string} hash - Hex digest
+ * @param {Object} [options] - See cidBytes
+ * @returns {string} Base32 CID
+ */
+export function hashToCid(hash, options = {}) {
+  return cidToString(cidBytes(hash, options));
+}
+
+/**
+ * CIDv1 string for a card, using the algorithm named in its g_time and the
+ * 'json' codec for JSON content
+ * @param {MCard} card - Card with hash, g_time and content
+ * @returns {string} Base32 CID
+ */
+export function cardCid(card) {
+  return hashToCid(card.hash, cardCodec(card));
+}
+
+/**
+ * Algorithm and codec of a card's CID
+ * @param {MCard} card - Card with g_time and content
+ * @returns {{algorithm: string, codec: string}}
+ */
+export function cardCodec(card) {
+  const metadata = cardMetadata({ content: card.content, g_time: card.g_time, hash_algorithm: card.hash_algorithm });
+  return {
+    algorithm: metadata.hash_algorithm || HashAlgorithm.DEFAULT,
+    codec: metadata.content_type === 'application/json' ? 'json' : 'raw'
+  };
+}
+
+/**
+ * Base32 string form of binary CID
+ * @param {Uint8Array} bytes - CID bytes
+ * @returns {string} CID string with the 'b' multibase prefix
+ */
+export function cidToString(bytes) {
+  let text = BASE32_PREFIX;
+  let buffer = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      bits -= 5;
+      text += BASE32_ALPHABET[(buffer >> bits) & 31];
+    }
+    buffer &= (1 << bits) - 1;
+  }
+  if (bits > 0) {
+    text += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+  }
+  return text;
+}
+
+/**
+ * Split a CID into its parts
+ * @param {string|Uint8Array} cid - CID string or bytes
+ * @returns {Object} { cid, codec, algorithm, hash, bytes }; codec and algorithm
+ *   are names, or null for codes this module does not know
+ */
+export function parseCid(cid) {
+  const bytes = typeof cid === 'string' ? cidFromString(cid) : cid;
+  const parsed = readCid(bytes);
+  if (parsed.length !== bytes.length) {
+    throw new Error('Invalid CID: trailing bytes');
+  }
+  return parsed.cid;
+}
+
+/**
+ * Read a binary CID at the start of a byte range, as found in CAR blocks
+ * @param {Uint8Array} bytes - Bytes starting with a CID
+ * @param {number} [offset=0] - Position of the CID
+ * @returns {{cid: Object, length: number}} Parsed CID (see parseCid) and its length in bytes
+ */
+export function readCid(bytes, offset = 0) {
+  let position = offset;
+  const next = () => {
+    const { value, length } = decodeVarint(bytes, position);
+    position += length;
+    return value;
+  };
+
+  const version = next();
+  if (version !== CID_VERSION) {
+    throw new Error(`Unsupported CID version: ${version}`);
+  }
+  const codecCode = next();
+  const multihash = readMultihash(bytes, position);
+  position += multihash.length;
+
+  const read = bytes.subarray(offset, position);
+  return {
+    cid: {
+      cid: cidToString(read),
+      codec: codeName(CID_CODECS, codecCode),
+      algorithm: multihash.algorithm,
+      hash: multihash.hash,
+      bytes: Uint8Array.from(read)
+    },
+    length: position - offset
+  };
+}
+
+/**
+ * Bytes of a base32 CID string
+ * @private
+ */
+function cidFromString(text) {
+  if (!text.startsWith(BASE32_PREFIX)) {
+    throw new Error(`Unsupported CID encoding: ${text}. Only base32 CIDv1 is supported`);
+  }
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+  for (const char of text.slice(1).toLowerCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error(`Invalid CID: ${text}`);
+    }
+    buffer = (buffer << 5) | value;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((buffer >> bits) & 0xff);
+    }
+    buffer &= (1 << bits) - 1;
+  }
+  return Uint8Array.from(bytes);
+}
+
+function codeName(table, code) {
+  const entry = Object.entries(table).find(([, value]) => value === code);
+  return entry ? entry[0] : null;
+}
+
+export default {
+  MULTIHASH_CODES,
+  DIGEST_LENGTHS,
+  CID_CODECS,
+  encodeVarint,
+  decodeVarint,
+  multihashBytes,
+  readMultihash,
+  cidBytes,
+  hashToCid,
+  cardCid,
+  cardCodec,
+  cidToString,
+  parseCid,
+  readCid
+};
@@ -1,15 +1,39 @@
 import { SafeBuffer } from '../utils/bufferPolyfill.js';
-import { MCard } from './mcard.js';
+import { MCard, MCardFromData } from './mcard.js';
 import { 
   generateDuplicationEvent, 
-  generateCollisionEvent
+  generateCollisionEvent,
+  generateDeleteEvent,
+  generateUpdateEvent,
+  generateRevisionEvent,
+  generateImportEvent
 } from './event-producer.js';
 import logger from '../services/logger.js';
 import { DEFAULT_PAGE_SIZE, HASH_ALGORITHM_HIERARCHY, HashAlgorithm } from '../config/config_constants.js';
 import HashValidator from './hash/validator.js';
+import { cardMetadata } from '../models/card_metadata.js';
+import { ChangeFeedWatcher } from './change-feed.js';
+import { parseEvent, revisionChain } from './card-events.js';
+import { verifyRecord, createSampler } from './card-verify.js';
+import { HashRef } from './hash-ref.js';
+import {
+  CHUNK_MANIFEST_PREFIX,
+  chunkStream,
+  chunkManifest,
+  isChunkManifest,
+  parseChunkManifest,
+  chunkContent,
+  chunksInRange,
+  normalizeRange
+} from './card-chunks.js';
 
 console.log('Card Collection Module Loading...');
 
+const DEFAULT_ITERATE_BATCH_SIZE = 100;
+const DUPLICATE_POLICIES = ['event', 'skip', 'error'];
+const COLLISION_POLICIES = ['upgrade', 'skip', 'error'];
+const CHANGE_EVENTS = Object.freeze(['added', 'duplicate', 'collision', 'deleted', 'updated']);
+
 /**
  * Dataclass-like Page class
  */
@@ -22,7 +46,9 @@ class Page {
       page_size = DEFAULT_PAGE_SIZE, 
       has_next = false, 
       has_previous = false,
-      total_pages = 0
+      total_pages = 0,
+      next_cursor = null,
+      prev_cursor = null
     } = pageData;
 
     this.items = items;
@@ -32,12 +58,16 @@ class Page {
     this.has_next = has_next;
     this.has_previous = has_previous;
     this.total_pages = total_pages;
+
+    // Keyset cursors for the neighbouring pages (see page-cursor.js)
+    this.next_cursor = next_cursor;
+    this.prev_cursor = prev_cursor;
     
-    // Add previous_page calculation
-    this.previous_page = has_previous ? page_number - 1 : null;
+    // Add previous_page calculation; cursor pages have no page number
+    this.previous_page = has_previous && page_number ? page_number - 1 : null;
     
     // Add next_page calculation
-    this.next_page = has_next ? page_number + 1 : null;
+    this.next_page = has_next && page_number ? page_number + 1 : null;
   }
 }
 
@@ -47,6 +77,98 @@ class CardCollection {
   constructor(engine) {
     this.engine = engine;
     this.hashValidator = new HashValidator(SafeBuffer.from(''), 'sha256');
+    // Change listeners by event name, and notifications held until commit
+    this._listeners = new Map();
+    this._pendingChanges = [];
+    // Nesting depth of open transactions, and the `tx` that owns the
+    // collection while an async transaction is pending. Shared with every tx.
+    this._transactions = { depth: 0, owner: null };
+  }
+
+  /**
+   * Subscribe to changes. Handlers run after the change is committed: right
+   * away outside a transaction, or when the outermost transaction commits.
+   * Changes that are rolled back are never reported.
+   * @param {string} event - One of 'added', 'duplicate', 'collision', 'deleted', 'updated'
+   * @param {Function} handler - Called with { hash, g_time, content_type, ... }
+   * @returns {Function} Call to unsubscribe
+   */
+  on(event, handler) {
+    if (!CHANGE_EVENTS.includes(event)) {
+      throw new Error(`Unknown collection event: ${event}. Use one of ${CHANGE_EVENTS.join(', ')}`);
+    }
+    if (typeof handler !== 'function') {
+      throw new Error("Handler must be a function");
+    }
+    if (!this._listeners.has(event)) {
+      this._listeners.set(event, new Set());
+    }
+    this._listeners.get(event).add(handler);
+    return () => this.off(event, handler);
+  }
+
+  /**
+   * Unsubscribe a handler registered with on()
+   * @param {string} event - Event name
+   * @param {Function} handler - Handler to remove
+   */
+  off(event, handler) {
+    this._listeners.get(event)?.delete(handler);
+  }
+
+  /**
+   * Report a change to listeners, once it is committed
+   * @param {string} event - Event name
+   * @param {Function} buildPayload - Builds the payload; only called when someone listens
+   * @protected
+   */
+  _notify(event, buildPayload) {
+    if (!this._hasListeners(event)) {
+      return;
+    }
+    const change = { event, payload: buildPayload() };
+    if (this._transactions.depth > 0) {
+      this._pendingChanges.push(change);
+    } else {
+      this._deliver([change]);
+    }
+  }
+
+  /**
+   * @protected
+   */
+  _hasListeners(event) {
+    return (this._listeners.get(event)?.size || 0) > 0;
+  }
+
+  /**
+   * Call the handlers for committed changes. A failing handler is logged and
+   * does not stop the others, since the change itself has already happened.
+   * @protected
+   */
+  _deliver(changes) {
+    for (const { event, payload } of changes) {
+      for (const handler of [...(this._listeners.get(event) || [])]) {
+        try {
+          handler(payload);
+        } catch (error) {
+          logger.error(`Error in ${event} handler: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Payload describing a card
+   * @protected
+   */
+  _changePayload(card, extra = {}) {
+    return {
+      hash: card.hash,
+      g_time: card.g_time,
+      content_type: cardMetadata(card).content_type,
+      ...extra
+    };
   }
 
   add(card) {
@@ -56,42 +178,110 @@ class CardCollection {
     
     logger.debug(`Attempting to add card with content: ${card.content}`);
     
+    const result = this._addOne(card);
+    // Duplicates and collisions return the hash of the event card
+    return result.event_hash || result.hash;
+  }
+
+  /**
+   * Add many cards in a single transaction (see transaction()). Either every
+   * card is stored or, if any card fails, none are.
+   * @param {Array<MCard>} cards - Cards to add
+   * @param {Object} [options]
+   * @param {string} [options.onDuplicate='event'] - 'event' records a duplicate event card,
+   *   'skip' only reports the duplicate, 'error' aborts the batch
+   * @param {string} [options.onCollision='upgrade'] - 'upgrade' stores the card under a
+   *   stronger hash like add(), 'skip' only reports the collision, 'error' aborts the batch
+   * @param {string} [options.source] - Where the batch came from; when given, an
+   *   import event recording the source and counts is added with the batch
+   * @returns {Object} Report: `results` ({ index, hash, status, event_hash, upgraded_hash }
+   *   per card, in input order), `counts` per status and, with a source, `event_hash`
+   */
+  addMany(cards, options = {}) {
+    const addOptions = this._validateAddMany(cards, options);
+    return this.transaction(() => {
+      const report = this._batchReport(cards.map((card, index) => ({ index, ...this._addOne(card, addOptions) })));
+      if (options.source != null) {
+        report.event_hash = this._recordEvent(generateImportEvent(String(options.source), report.counts));
+      }
+      return report;
+    });
+  }
+
+  /**
+   * Add content from a readable stream, e.g. a large video. With an engine
+   * that has add_stream (FileSystemEngine), the content is hashed and
+   * written a chunk at a time and never held in memory. Other engines get a
+   * card built with MCard.fromStream, which holds the whole content.
+   * Duplicates and collisions are handled as add() handles them.
+   * @param {AsyncIterable} readable - Node readable stream or any async iterable of chunks
+   * @param {Object} [options]
+   * @param {string} [options.algorithm] - Hash algorithm to use
+   * @returns {Promise<string>} Hash of the card, or of the event card for a
+   *   duplicate or collision, as add() returns
+   */
+  async addStream(readable, { algorithm = HashAlgorithm.DEFAULT } = {}) {
+    if (typeof this.engine.add_stream !== 'function') {
+      return this.add(await MCard.fromStream(readable, { algorithm }));
+    }
+
+    this._checkWriteScope();
+    const result = await this.engine.add_stream(readable, { algorithm });
+    if (result.status === 'collision') {
+      // Re-hashing with a stronger algorithm needs the content anyway
+      return this.add(new MCardFromData(result.content, result.hash, result.g_time));
+    }
+    if (result.status === 'duplicate') {
+      const existing_card = await this._getStored(result.hash);
+      const event_hash = await this._recordEvent(generateDuplicationEvent(existing_card));
+      this._notify('duplicate', () => this._changePayload(existing_card, { event_hash }));
+      return event_hash;
+    }
+    const stored_card = await this._getStored(result.hash);
+    this._notify('added', () => this._changePayload(stored_card));
+    return result.hash;
+  }
+
+  /**
+   * Add one card, handling duplicates and collisions
+   * @param {MCard} card - Card to add
+   * @param {Object} [options] - onDuplicate and onCollision, as for addMany
+   * @returns {Object} Result with hash, status and, when recorded, event_hash and upgraded_hash
+   * @protected
+   */
+  _addOne(card, { onDuplicate = 'event', onCollision = 'upgrade' } = {}) {
+    this._checkWriteScope();
+    this._checkAddable(card);
+
     // Get the hash of the incoming card
     const hash_value = card.hash;
     
     // Check if a card with this hash already exists
-    const existing_card = this.get(hash_value);
+    const existing_card = this._getStored(hash_value);
     
     if (existing_card) {
       logger.debug(`Card with hash ${hash_value} already exists`);
       
       // Compare content to determine if it's a duplicate or collision
-      const content1 = SafeBuffer.isBuffer(existing_card.content) ? existing_card.content : SafeBuffer.from(JSON.stringify(existing_card.content));
-      const content2 = SafeBuffer.isBuffer(card.content) ? card.content : SafeBuffer.from(JSON.stringify(card.content));
-      
-      if (SafeBuffer.compare(content1, content2) === 0) {
+      if (this._isDuplicate(existing_card, card)) {
         logger.debug(`Duplicate card found with content: ${card.content}`);
+        this._checkConflictPolicy(onDuplicate, 'Duplicate', hash_value);
+        if (onDuplicate === 'skip') {
+          return { hash: hash_value, status: 'duplicate' };
+        }
         // Same content = duplicate, create event and return original hash
-        const duplicate_event_content_str = generateDuplicationEvent(existing_card);
-        const duplicate_event_card = new MCard(SafeBuffer.from(duplicate_event_content_str));
-        this.engine.add(duplicate_event_card);
-        logger.debug(`Added duplicate event card with hash: ${duplicate_event_card.hash}`);
-        return duplicate_event_card.hash;
+        const event_hash = this._recordEvent(generateDuplicationEvent(existing_card));
+        logger.debug(`Added duplicate event card with hash: ${event_hash}`);
+        this._notify('duplicate', () => this._changePayload(existing_card, { event_hash }));
+        return { hash: hash_value, status: 'duplicate', event_hash };
       } else {
         logger.debug(`Collision detected for card with content: ${card.content}`);
-        // Create collision event card and store the new card with new hash function
-        const collision_event_content_str = generateCollisionEvent(card, existing_card);
-        const contentDict = JSON.parse(collision_event_content_str);
-        
-        // Determine the upgraded hash function
-        const currentHashFunction = card.hash_algorithm;
-        
-        // Get the next hash function from the hierarchy
-        const upgradedFunction = HASH_ALGORITHM_HIERARCHY[currentHashFunction];
-        
-        if (!upgradedFunction) {
-          throw new Error(`No stronger hash algorithm available for ${currentHashFunction}`);
+        this._checkConflictPolicy(onCollision, 'Collision', hash_value);
+        if (onCollision === 'skip') {
+          return { hash: hash_value, status: 'collision-skipped' };
         }
+        // Determine the upgraded hash function
+        const upgradedFunction = this._upgradedHashFunction(card);
         
         // Create the collision card with the upgraded hash function
         const collision_content_card = new MCard(
@@ -99,86 +289,566 @@ class CardCollection {
           upgradedFunction
         );
 
-        // Verify the hash algorithm is different and stronger
-        if (collision_content_card.hash_algorithm === card.hash_algorithm) {
-          throw new Error(`Hash algorithm did not upgrade: ${card.hash_algorithm} to ${upgradedFunction}`);
-        }
-        
-        // Verbose logging for the new card
-        console.log('Collision Card Details:');
-        console.log(`Original Hash: ${card.hash}`);
-        console.log(`Collision Card Hash: ${collision_content_card.hash}`);
-        console.log(`Original Hash Algorithm: ${card.hash_algorithm}`);
-        console.log(`Collision Card Hash Algorithm: ${collision_content_card.hash_algorithm}`);
-        
-        // Define the expected hash lengths in bytes for each algorithm
-        const HASH_LENGTHS = {
-          'md5': 16,     // 128 bits = 16 bytes
-          'sha1': 20,    // 160 bits = 20 bytes
-          'sha224': 28,  // 224 bits = 28 bytes
-          'sha256': 32,  // 256 bits = 32 bytes
-          'sha384': 48,  // 384 bits = 48 bytes
-          'sha512': 64   // 512 bits = 64 bytes
+        this._verifyCollisionUpgrade(card, collision_content_card, upgradedFunction);
+
+        // Store the upgraded card and its collision event together or not at all
+        const event_hash = this.transaction(() => {
+          this.engine.add(collision_content_card);
+          return this._recordEvent(generateCollisionEvent(card, existing_card, collision_content_card));
+        });
+        logger.debug(`Added collision event card with hash: ${event_hash}`);
+        this._notify('collision', () => this._changePayload(card, {
+          event_hash,
+          upgraded_hash: collision_content_card.hash
+        }));
+        return {
+          hash: hash_value,
+          status: 'collision-upgraded',
+          event_hash,
+          upgraded_hash: collision_content_card.hash
         };
-        
-        // Get the expected hash lengths for the current and upgraded algorithms
-        const currentHashLength = HASH_LENGTHS[currentHashFunction.toLowerCase()] || 0;
-        const upgradedHashLength = HASH_LENGTHS[upgradedFunction.toLowerCase()] || 0;
-        
-        console.log('Hash Length Comparison (in bytes):');
-        console.log(`Current Algorithm (${currentHashFunction}): ${currentHashLength} bytes`);
-        console.log(`Upgraded Algorithm (${upgradedFunction}): ${upgradedHashLength} bytes`);
-        
-        if (upgradedHashLength <= currentHashLength) {
-          throw new Error(`Hash algorithm upgrade did not increase hash length: ` +
-            `Current (${currentHashFunction}): ${currentHashLength} bytes, ` +
-            `Upgraded (${upgradedFunction}): ${upgradedHashLength} bytes`);
-        }
-        
-        // Add the collision card with the upgraded hash function
-        this.engine.add(collision_content_card);
-        
-        // Add the collision event card
-        const collision_event_card = new MCard(SafeBuffer.from(collision_event_content_str));
-        logger.debug(`Collision event: ${collision_event_content_str}`);
-        this.engine.add(collision_event_card);
-        logger.debug(`Added collision event card with hash: ${collision_event_card.hash}`);
-        return collision_event_card.hash;
       }
     }
     
     // No existing card with this hash or content, add the new card
     this.engine.add(card);
     logger.debug(`Successfully added card with hash ${hash_value}`);
-    return hash_value;
+    this._notify('added', () => this._changePayload(card));
+    return { hash: hash_value, status: 'added' };
+  }
+
+  /**
+   * Validate addMany arguments before anything is written
+   * @returns {Object} onDuplicate and onCollision
+   * @protected
+   */
+  _validateAddMany(cards, { onDuplicate = 'event', onCollision = 'upgrade' } = {}) {
+    if (!Array.isArray(cards)) {
+      throw new Error("Cards must be an array");
+    }
+    const missing = cards.findIndex(card => card === null || card === undefined);
+    if (missing !== -1) {
+      throw new Error(`Card at index ${missing} cannot be None`);
+    }
+    if (!DUPLICATE_POLICIES.includes(onDuplicate)) {
+      throw new Error(`Invalid onDuplicate: ${onDuplicate}. Use one of ${DUPLICATE_POLICIES.join(', ')}`);
+    }
+    if (!COLLISION_POLICIES.includes(onCollision)) {
+      throw new Error(`Invalid onCollision: ${onCollision}. Use one of ${COLLISION_POLICIES.join(', ')}`);
+    }
+    return { onDuplicate, onCollision };
+  }
+
+  /**
+   * Store an event card
+   * @param {string} content - Event content from event-producer.js
+   * @returns {string} Hash of the event card
+   * @protected
+   */
+  _recordEvent(content) {
+    this._checkWriteScope();
+    const event_card = new MCard(SafeBuffer.from(content));
+    this.engine.add(event_card);
+    return event_card.hash;
+  }
+
+  /**
+   * @protected
+   */
+  _checkConflictPolicy(policy, label, hash_value) {
+    if (policy === 'error') {
+      throw new Error(`${label} card with hash ${hash_value}`);
+    }
+  }
+
+  /**
+   * @protected
+   */
+  _batchReport(results) {
+    const counts = { added: 0, duplicate: 0, 'collision-upgraded': 0, 'collision-skipped': 0 };
+    results.forEach(result => { counts[result.status] += 1; });
+    return { results, counts };
+  }
+
+  /**
+   * Run fn as one atomic unit of work. Adds, deletes and event-card writes
+   * made through the collection inside fn are committed together when fn
+   * returns, or rolled back if it throws. fn receives a handle on the
+   * collection, `tx`, and may be async, in which case a promise is returned.
+   *
+   * Nested calls use savepoints: a failing inner transaction that is caught
+   * only undoes its own writes. Engines without begin/commit/rollback run fn
+   * without atomicity. While an async transaction is pending, only writes
+   * made through its `tx` are allowed; other writes on the collection throw
+   * rather than being committed or rolled back with it.
+   * @param {Function} fn - Callback receiving `tx`
+   * @returns {any} fn's result, or a promise of it when fn is async
+   */
+  transaction(fn) {
+    const scope = this._openTransaction();
+    const tx = Object.create(this);
+    let result;
+    try {
+      result = fn(tx);
+    } catch (error) {
+      this._closeTransaction(scope, false);
+      throw error;
+    }
+
+    if (result && typeof result.then === 'function') {
+      const outermost = this._transactions.owner === null;
+      if (outermost) {
+        this._transactions.owner = tx;
+      }
+      const settle = (succeeded) => {
+        if (outermost) {
+          this._transactions.owner = null;
+        }
+        this._closeTransaction(scope, succeeded);
+      };
+      return Promise.resolve(result).then(
+        value => {
+          settle(true);
+          return value;
+        },
+        error => {
+          settle(false);
+          throw error;
+        }
+      );
+    }
+
+    this._closeTransaction(scope, true);
+    return result;
+  }
+
+  /**
+   * Refuse a write from outside a pending async transaction, which would
+   * otherwise be committed or rolled back with it
+   * @protected
+   */
+  _checkWriteScope() {
+    const { owner } = this._transactions;
+    if (owner !== null && !this._isWithin(owner)) {
+      throw new Error("An async transaction is pending on this collection. Write through the tx passed to its callback, or await the transaction first");
+    }
+  }
+
+  /**
+   * Whether this is the given `tx` or a nested one made from it
+   * @protected
+   */
+  _isWithin(tx) {
+    return tx === this || tx.isPrototypeOf(this);
+  }
+
+  /**
+   * Begin a transaction, or a savepoint inside an open one
+   * @returns {Object|null} Scope to close, or null when the engine has no transactions
+   * @protected
+   */
+  _openTransaction() {
+    this._checkWriteScope();
+    const engine = this.engine;
+    if (typeof engine.begin !== 'function') {
+      return null;
+    }
+
+    const depth = this._transactions.depth;
+    let savepoint = null;
+    if (depth === 0) {
+      engine.begin();
+    } else if (typeof engine.savepoint === 'function') {
+      savepoint = `mcard_tx_${depth}`;
+      engine.savepoint(savepoint);
+    }
+    this._transactions.depth = depth + 1;
+    return { depth, savepoint, pending: this._pendingChanges.length };
+  }
+
+  /**
+   * Commit or roll back what _openTransaction began
+   * @protected
+   */
+  _closeTransaction(scope, succeeded) {
+    if (!scope) {
+      return;
+    }
+
+    this._transactions.depth = scope.depth;
+    const engine = this.engine;
+    if (scope.depth === 0) {
+      const changes = this._takePendingChanges(scope, succeeded);
+      if (succeeded) {
+        engine.commit();
+      } else {
+        engine.rollback();
+      }
+      this._deliver(changes);
+    } else if (scope.savepoint) {
+      this._takePendingChanges(scope, succeeded);
+      if (succeeded) {
+        engine.release_savepoint(scope.savepoint);
+      } else {
+        engine.rollback_to_savepoint(scope.savepoint);
+      }
+    }
+  }
+
+  /**
+   * Settle the notifications queued inside a closing transaction scope.
+   * Those of a rolled-back scope are dropped; when the outermost scope
+   * commits, all queued notifications are returned for delivery.
+   * @returns {Array<Object>} Changes to deliver once the commit succeeds
+   * @protected
+   */
+  _takePendingChanges(scope, succeeded) {
+    if (!succeeded) {
+      this._pendingChanges.length = scope.pending;
+      return [];
+    }
+    if (scope.depth > 0) {
+      return [];
+    }
+    return this._pendingChanges.splice(0);
   }
   
-  get(hash_value) {
-    return this.engine.get(hash_value);
+  /**
+   * Get a card by hash. A chunked card (see addChunked) comes back as a
+   * record of its joined content, under the manifest's hash and g_time and
+   * flagged `chunked: true`; its content does not hash to that hash, so
+   * add() refuses it.
+   * @param {string|HashRef} hash_value - Bare hash, `algorithm:hex`, hex multihash
+   *   or HashRef; a form naming an algorithm only matches a card hashed with it
+   * @param {Object} [options]
+   * @param {boolean} [options.assemble=true] - false returns a chunked card's manifest as stored
+   * @returns {MCard|null} The card, or null if none matches
+   */
+  get(hash_value, { assemble = true } = {}) {
+    const ref = HashRef.from(hash_value);
+    const card = this.engine.get(ref.hash);
+    if (!card || !ref.matches(card)) {
+      return null;
+    }
+    return assemble ? this._assemble(card) : card;
+  }
+
+  /**
+   * A card with its content as stored, for hashing and comparing: unlike
+   * get(), chunked cards are not joined and SQLiteEngine does not decode
+   * text or JSON
+   * @param {string|HashRef} hash_value - Hash of the card, in any form get() accepts
+   * @returns {Object|null} Card record, or null if none matches
+   * @protected
+   */
+  _getStored(hash_value) {
+    const ref = HashRef.from(hash_value);
+    const card = this.engine.get(ref.hash, { raw: true });
+    return card && ref.matches(card) ? card : null;
+  }
+
+  /**
+   * Join the chunks listed by a manifest card; other cards are returned as they are
+   * @protected
+   */
+  _assemble(card) {
+    const manifest = parseChunkManifest(card.content);
+    if (!manifest) {
+      return card;
+    }
+    const parts = manifest.chunks.map(chunk => chunkContent(chunk, this._getStored(chunk.ref)));
+    return this._assembled(card, parts);
+  }
+
+  /**
+   * Joined content of a chunked card. Not an MCard: the hash is the
+   * manifest's, not the content's.
+   * @protected
+   */
+  _assembled(card, parts) {
+    return { hash: card.hash, g_time: card.g_time, content: SafeBuffer.concat(parts), chunked: true };
+  }
+
+  /**
+   * Refuse cards whose content does not hash to their hash, i.e. chunked
+   * cards as get() returns them
+   * @protected
+   */
+  _checkAddable(card) {
+    if (card.chunked) {
+      throw new Error(`Card ${card.hash} holds joined chunks under its manifest's hash. Store its content with addChunked() or as a new MCard`);
+    }
+  }
+
+  /**
+   * Read part of a card's content, e.g. to answer an HTTP Range request.
+   * Engines with read_range() (SQLite, FileSystem, Memory) return just the
+   * requested bytes; for a chunked card only the chunks that overlap the
+   * range are loaded.
+   * @param {string|HashRef} hash_value - Hash of the card, in any form get() accepts
+   * @param {Object} [options]
+   * @param {number} [options.start=0] - First byte
+   * @param {number} [options.end] - One past the last byte; defaults to the end of the content
+   * @returns {Uint8Array|null} The bytes in range, or null if there is no such card
+   */
+  read(hash_value, { start = 0, end } = {}) {
+    const ref = HashRef.from(hash_value);
+    const range = normalizeRange(start, end, Infinity);
+    const head = this._readRange(ref, 0, CHUNK_MANIFEST_PREFIX.length);
+    if (!head) {
+      return null;
+    }
+    if (!isChunkManifest(head.content)) {
+      return this._readRange(ref, range.start, range.end).content;
+    }
+
+    const manifest = parseChunkManifest(this._getStored(ref).content);
+    const { start: from, end: to } = normalizeRange(start, end, manifest.size);
+    return SafeBuffer.concat(chunksInRange(manifest, from, to).map(chunk =>
+      chunkContent(chunk.chunk, this._getStored(chunk.chunk.ref)).subarray(chunk.from, chunk.to)
+    ));
+  }
+
+  /**
+   * Size and type of a card's content without loading it. For a chunked
+   * card these describe the joined content, with the type taken from the
+   * first chunk.
+   * @param {string|HashRef} hash_value - Hash of the card, in any form get() accepts
+   * @returns {Object|null} { hash, g_time, content_type, byte_size, chunks }, where
+   *   chunks is the number of chunks or 0; null if there is no such card
+   */
+  stat(hash_value) {
+    const ref = HashRef.from(hash_value);
+    const head = this._readRange(ref, 0, CHUNK_MANIFEST_PREFIX.length);
+    if (!head) {
+      return null;
+    }
+    const { hash, g_time, content_type, byte_size } = head;
+    if (!isChunkManifest(head.content)) {
+      return { hash, g_time, content_type, byte_size, chunks: 0 };
+    }
+
+    const manifest = parseChunkManifest(this._getStored(ref).content);
+    const first = manifest.chunks.length > 0 ? this.stat(manifest.chunks[0].ref) : null;
+    return {
+      hash,
+      g_time,
+      content_type: first ? first.content_type : 'application/octet-stream',
+      byte_size: manifest.size,
+      chunks: manifest.chunks.length
+    };
+  }
+
+  /**
+   * Bytes start..end of a stored card with its metadata, through the
+   * engine's read_range() when it has one
+   * @protected
+   */
+  _readRange(ref, start, end) {
+    let record;
+    if (typeof this.engine.read_range === 'function') {
+      record = this.engine.read_range(ref.hash, start, end);
+    } else {
+      const card = this.engine.get(ref.hash, { raw: true });
+      record = card && this._rangeRecord(card, start, end);
+    }
+    return record && ref.matches(record) ? record : null;
+  }
+
+  /**
+   * read_range() result built from a whole card
+   * @protected
+   */
+  _rangeRecord(card, start, end) {
+    const content = SafeBuffer.from(card.content);
+    const { content_type, byte_size } = cardMetadata({ content, g_time: card.g_time });
+    return { hash: card.hash, g_time: card.g_time, content_type, byte_size, content: content.subarray(start, end) };
+  }
+
+  /**
+   * Store large content as content-defined chunks plus a manifest card (see
+   * card-chunks.js). Chunks already in the store, e.g. from an earlier
+   * version of the same file, are reused rather than stored again. Chunks
+   * are added before the manifest, so a failure can leave unreferenced
+   * chunks but never a manifest with missing chunks.
+   * @param {Uint8Array|string|AsyncIterable} content - Content, or a readable stream of it
+   * @param {Object} [options]
+   * @param {string} [options.algorithm] - Hash algorithm for chunks and manifest
+   * @param {number} [options.minSize] - Smallest chunk in bytes
+   * @param {number} [options.avgSize] - Target chunk size in bytes, a power of two
+   * @param {number} [options.maxSize] - Largest chunk in bytes
+   * @returns {Promise<string>} Hash of the manifest card, the Merkle root of the content
+   */
+  async addChunked(content, { algorithm = HashAlgorithm.DEFAULT, ...chunking } = {}) {
+    const source = typeof content === 'string' || content instanceof Uint8Array ? [content] : content;
+    const chunks = [];
+    for await (const chunk of chunkStream(source, chunking)) {
+      const card = await MCard.create(SafeBuffer.from(chunk), algorithm);
+      const result = await this._addOne(card, { onDuplicate: 'skip' });
+      const stored = result.upgraded_hash
+        ? HashRef.from(await this._getStored(result.upgraded_hash))
+        : card.get_hash_ref();
+      chunks.push({ ref: String(stored), size: chunk.length });
+    }
+    if (chunks.length === 0) {
+      throw new Error('Content cannot be empty');
+    }
+
+    const manifest = await MCard.create(chunkManifest(chunks), algorithm);
+    await this._addOne(manifest);
+    return manifest.hash;
+  }
+
+  /**
+   * Whether an incoming card has the same content as the stored card with its hash
+   * @param {Object} existing_card - Card already stored under the hash
+   * @param {MCard} card - Incoming card
+   * @returns {boolean} True for a duplicate, false for a hash collision
+   * @protected
+   */
+  _isDuplicate(existing_card, card) {
+    const content1 = SafeBuffer.isBuffer(existing_card.content) ? existing_card.content : SafeBuffer.from(JSON.stringify(existing_card.content));
+    const content2 = SafeBuffer.isBuffer(card.content) ? card.content : SafeBuffer.from(JSON.stringify(card.content));
+    return SafeBuffer.compare(content1, content2) === 0;
+  }
+
+  /**
+   * Pick the stronger hash function used to re-store a colliding card
+   * @param {MCard} card - Card whose hash collided
+   * @returns {string} Upgraded hash algorithm
+   * @protected
+   */
+  _upgradedHashFunction(card) {
+    const currentHashFunction = card.hash_algorithm;
+    
+    // Get the next hash function from the hierarchy
+    const upgradedFunction = HASH_ALGORITHM_HIERARCHY[currentHashFunction];
+    
+    if (!upgradedFunction) {
+      throw new Error(`No stronger hash algorithm available for ${currentHashFunction}`);
+    }
+
+    // Define the expected hash lengths in bytes for each algorithm
+    const HASH_LENGTHS = {
+      'md5': 16,     // 128 bits = 16 bytes
+      'sha1': 20,    // 160 bits = 20 bytes
+      'sha224': 28,  // 224 bits = 28 bytes
+      'sha256': 32,  // 256 bits = 32 bytes
+      'sha384': 48,  // 384 bits = 48 bytes
+      'sha512': 64   // 512 bits = 64 bytes
+    };
+    
+    // Get the expected hash lengths for the current and upgraded algorithms
+    const currentHashLength = HASH_LENGTHS[currentHashFunction.toLowerCase()] || 0;
+    const upgradedHashLength = HASH_LENGTHS[upgradedFunction.toLowerCase()] || 0;
+    
+    logger.debug(`Hash length comparison: ${currentHashFunction} ${currentHashLength} bytes, ` +
+      `${upgradedFunction} ${upgradedHashLength} bytes`);
+    
+    if (upgradedHashLength <= currentHashLength) {
+      throw new Error(`Hash algorithm upgrade did not increase hash length: ` +
+        `Current (${currentHashFunction}): ${currentHashLength} bytes, ` +
+        `Upgraded (${upgradedFunction}): ${upgradedHashLength} bytes`);
+    }
+
+    return upgradedFunction;
+  }
+
+  /**
+   * Verify the re-hashed collision card really uses the upgraded algorithm
+   * @param {MCard} card - Card whose hash collided
+   * @param {MCard} collision_content_card - Same content hashed with the upgraded algorithm
+   * @param {string} upgradedFunction - Expected upgraded algorithm
+   * @protected
+   */
+  _verifyCollisionUpgrade(card, collision_content_card, upgradedFunction) {
+    // Verify the hash algorithm is different and stronger
+    if (collision_content_card.hash_algorithm === card.hash_algorithm) {
+      throw new Error(`Hash algorithm did not upgrade: ${card.hash_algorithm} to ${upgradedFunction}`);
+    }
+    
+    logger.debug(`Collision card ${collision_content_card.hash} (${collision_content_card.hash_algorithm}) ` +
+      `stored for ${card.hash} (${card.hash_algorithm})`);
   }
   
+  /**
+   * Delete a card, recording a delete event when it existed. The event is a
+   * card too, so count() stays the same. Deleting an event card records
+   * nothing, so the event log can be pruned.
+   * @param {string|HashRef} hash_value - Hash of the card to delete, in any form get() accepts
+   * @returns {any} The engine's delete result; false when the hash names an
+   *   algorithm the stored card was not hashed with
+   */
   delete(hash_value) {
-    return this.engine.delete(hash_value);
+    const ref = HashRef.from(hash_value);
+    const card = this._getStored(ref);
+    if (ref.algorithm && !card) {
+      return false;
+    }
+    return this.transaction(() => {
+      const deleted = this.engine.delete(ref.hash);
+      if (deleted) {
+        if (!this._isEventCard(card)) {
+          this._recordEvent(generateDeleteEvent(ref.hash));
+        }
+        this._notify('deleted', () => this._deletedPayload(ref.hash, card));
+      }
+      return deleted;
+    });
+  }
+
+  /**
+   * @protected
+   */
+  _isEventCard(card) {
+    return Boolean(card) && parseEvent(card.content) !== null;
+  }
+
+  /**
+   * @protected
+   */
+  _deletedPayload(hash_value, card) {
+    return card ? this._changePayload(card) : { hash: hash_value, g_time: null, content_type: null };
   }
   
-  get_page(page_number = 1, page_size = DEFAULT_PAGE_SIZE) {
-    // Validate input parameters
-    if (page_number < 1) {
+  /**
+   * Get a page of cards, newest first. Pass `{ cursor }` with a page's
+   * next_cursor or prev_cursor to page by position instead of number.
+   * @param {number} page_number - Page number to retrieve
+   * @param {number} page_size - Number of items per page
+   * @param {Object} [options] - `{ cursor }`
+   * @returns {Page} Page of cards
+   */
+  get_page(page_number = 1, page_size = DEFAULT_PAGE_SIZE, options = {}) {
+    this._validatePageRequest(page_number, page_size, options);
+    const result = this.engine.get_page(page_number, page_size, options);
+    return this._toPage(result, page_number, page_size, options);
+  }
+
+  /**
+   * @protected
+   */
+  _validatePageRequest(page_number, page_size, { cursor } = {}) {
+    if (!cursor && page_number < 1) {
       throw new Error(`Invalid page number: ${page_number}. Page number must be >= 1.`);
     }
     if (page_size < 1) {
       throw new Error(`Invalid page size: ${page_size}. Page size must be >= 1.`);
     }
+  }
 
-    const result = this.engine.get_page(page_number, page_size);
-    
+  /**
+   * Wrap an engine get_page result in a Page with total_pages
+   * @protected
+   */
+  _toPage(result, page_number, page_size, { cursor } = {}) {
     // Explicitly calculate total pages
     const total_pages = result.total_items > 0 
       ? Math.ceil(result.total_items / page_size) 
       : 0;
     
     // Throw an error if page_number is beyond total pages (but only if there are items)
-    if (result.total_items > 0 && page_number > total_pages) {
+    if (!cursor && result.total_items > 0 && page_number > total_pages) {
       throw new Error(`Page number ${page_number} is beyond total pages ${total_pages}`);
     }
     
@@ -188,38 +858,37 @@ class CardCollection {
     });
   }
   
-  search_by_string(search_string, page_number = 1, page_size = DEFAULT_PAGE_SIZE) {
-    return this.engine.search_by_string(search_string, page_number, page_size);
+  search_by_string(search_string, page_number = 1, page_size = DEFAULT_PAGE_SIZE, options = {}) {
+    return this.engine.search_by_string(search_string, page_number, page_size, options);
   }
   
+  /**
+   * Find the card stored under a hash
+   * @param {string|HashRef} hash_value - Hash to look up, in any form get() accepts
+   * @param {number} page_number - Page number to retrieve
+   * @param {number} page_size - Number of items per page
+   * @returns {Page} Page holding the card, or an empty page
+   */
   search_by_hash(hash_value, page_number = 1, page_size = DEFAULT_PAGE_SIZE) {
-    if (!hash_value) {
-      throw new Error("Hash value cannot be empty");
-    }
-    if (page_number < 1) {
-      throw new Error("Page number must be greater than 0");
-    }
-    if (page_size < 1) {
-      throw new Error("Page size must be greater than 0");
-    }
-    
-    // Get all matching cards
-    const matching_cards = [];
-    for (const card of this.engine.get_all().items) {
-      if (String(card.hash) === hash_value) {
-        matching_cards.push(card);
-      }
-    }
+    this._validateSearch(hash_value, "Hash value", page_number, page_size);
     
-    // Calculate pagination
+    // Hashes are the primary key, so this is a single lookup
+    return this._hashPage(this._getStored(hash_value), page_number, page_size);
+  }
+
+  /**
+   * Page holding the result of a hash lookup
+   * @protected
+   */
+  _hashPage(card, page_number, page_size) {
+    // Listings hold MCards, as get_page and the search methods do
+    const matching_cards = card ? [new MCardFromData(SafeBuffer.from(card.content), card.hash, card.g_time)] : [];
     const total_items = matching_cards.length;
     const start_idx = (page_number - 1) * page_size;
     const end_idx = start_idx + page_size;
-    const items = matching_cards.slice(start_idx, end_idx);
-    
-    // Create page object
+
     return new Page({
-      items: items,
+      items: matching_cards.slice(start_idx, end_idx),
       total_items: total_items,
       page_number: page_number,
       page_size: page_size,
@@ -228,70 +897,347 @@ class CardCollection {
     });
   }
   
-  search_by_content(search_string, page_number = 1, page_size = DEFAULT_PAGE_SIZE) {
-    if (!search_string) {
-      throw new Error("Search string cannot be empty");
+  /**
+   * @protected
+   */
+  _validateSearch(value, label, page_number, page_size, { cursor } = {}) {
+    if (!value) {
+      throw new Error(`${label} cannot be empty`);
     }
-    if (page_number < 1) {
+    if (!cursor && page_number < 1) {
       throw new Error("Page number must be greater than 0");
     }
     if (page_size < 1) {
       throw new Error("Page size must be greater than 0");
     }
+  }
+  
+  search_by_content(search_string, page_number = 1, page_size = DEFAULT_PAGE_SIZE, options = {}) {
+    this._validateSearch(search_string, "Search string", page_number, page_size, options);
     
     // Delegate to engine's search method
-    return this.engine.search_by_content(search_string, page_number, page_size);
+    return this.engine.search_by_content(search_string, page_number, page_size, options);
+  }
+  
+  /**
+   * Ranked full-text search, for engines that provide one (SQLiteEngine)
+   * @param {string} query - Full-text query (phrases, prefix* and AND/OR/NOT)
+   * @param {number} page_number - Page number to retrieve
+   * @param {number} page_size - Number of items per page
+   * @param {Object} [options] - Engine-specific snippet options
+   * @returns {Page} Matching cards, best match first
+   */
+  search_fulltext(query, page_number = 1, page_size = DEFAULT_PAGE_SIZE, options = {}) {
+    this._validateSearch(query, "Search query", page_number, page_size);
+    if (typeof this.engine.search_fulltext !== 'function') {
+      throw new Error(`${this.engine.constructor.name} does not support full-text search`);
+    }
+    return this.engine.search_fulltext(query, page_number, page_size, options);
   }
   
   /**
-   * Update the content of an existing card
-   * @param {string} hash - Hash of the card to update
+   * Find cards by metadata, e.g. JSON cards added between two times:
+   *   query({ contentType: 'application/json', since, until, algorithm: 'sha512' })
+   * Pass a page's next_cursor as `cursor` to fetch the following page.
+   * @param {Object} [spec] - Filters, orderBy, limit and cursor (see card-query.js)
+   * @returns {Page} Matching cards
+   */
+  query(spec = {}) {
+    if (typeof this.engine.query !== 'function') {
+      throw new Error(`${this.engine.constructor.name} does not support queries`);
+    }
+    return this.engine.query(spec);
+  }
+
+  /**
+   * Read the event log, oldest first, e.g. everything that happened to a card:
+   *   events({ subjectHash: card.hash })
+   * @param {Object} [spec] - { type, subjectHash, since, until, limit }; type is
+   *   one of EVENT_TYPES in card-events.js, or a list of them
+   * @returns {Array<Object>} Events: { hash, type, subject_hash, timestamp, data }
+   */
+  events(spec = {}) {
+    if (typeof this.engine.events !== 'function') {
+      throw new Error(`${this.engine.constructor.name} does not support events`);
+    }
+    return this.engine.events(spec);
+  }
+  
+  /**
+   * Changes to the store after a sequence number, oldest first, including
+   * those made by other processes sharing the database
+   * @param {number} [seq=0] - Sequence number of the last change already handled
+   * @param {Object} [options] - `{ limit }`
+   * @returns {Object} { changes: [{ seq, hash, operation, changed_at, card }], last_seq, has_more }
+   */
+  changesSince(seq = 0, options = {}) {
+    if (typeof this.engine.changes_since !== 'function') {
+      throw new Error(`${this.engine.constructor.name} does not support change feeds`);
+    }
+    return this.engine.changes_since(seq, options);
+  }
+
+  /**
+   * Poll the change feed and call handler with each change (see change-feed.js)
+   * @param {Function} handler - Called with each change; may be async
+   * @param {Object} [options] - since, interval, batchSize and onError
+   * @returns {ChangeFeedWatcher} Started watcher; call stop() to end it
+   */
+  watch(handler, options = {}) {
+    if (typeof this.engine.changes_since !== 'function') {
+      throw new Error(`${this.engine.constructor.name} does not support change feeds`);
+    }
+    return new ChangeFeedWatcher(this, handler, options).start();
+  }
+  
+  /**
+   * Check that stored cards are intact: each g_time must parse, and each
+   * card's content must hash to its hash with the algorithm the g_time names
+   * (see card-verify.js). Rows are read as stored, so damaged rows are
+   * reported instead of failing the scan.
+   * @param {Object} [options]
+   * @param {number} [options.sample] - Check only this many cards, chosen at random
+   * @param {boolean} [options.repair=false] - Move every problem card into the engine's quarantine
+   * @returns {Promise<Object>} { checked, problems: [{ hash, g_time, problem, detail }], quarantined: [hash] }
+   */
+  async verify({ sample = null, repair = false } = {}) {
+    if (typeof this.engine.iterate_records !== 'function') {
+      throw new Error(`${this.engine.constructor.name} does not support verification`);
+    }
+    if (repair && typeof this.engine.quarantine !== 'function') {
+      throw new Error(`${this.engine.constructor.name} does not support quarantine`);
+    }
+    if (sample !== null && (!Number.isInteger(sample) || sample < 1)) {
+      throw new Error(`Invalid sample: ${sample}. Sample must be >= 1.`);
+    }
+
+    let records = this.engine.iterate_records();
+    if (sample !== null) {
+      const sampler = createSampler(sample);
+      for await (const record of records) {
+        sampler.offer(record);
+      }
+      records = sampler.items;
+    }
+
+    let checked = 0;
+    const problems = [];
+    for await (const record of records) {
+      checked += 1;
+      const problem = await verifyRecord(record);
+      if (problem) {
+        problems.push(problem);
+      }
+    }
+
+    // Repair only after the scan; a SQLite scan keeps its connection busy
+    const quarantined = [];
+    if (repair) {
+      this._checkWriteScope();
+      for (const { hash, problem, detail } of problems) {
+        if (await this.engine.quarantine(hash, `${problem}: ${detail}`)) {
+          quarantined.push(hash);
+        }
+      }
+    }
+
+    if (problems.length > 0) {
+      logger.warn(`Verification found ${problems.length} problem card(s) in ${checked} checked`);
+    }
+    return { checked, problems, quarantined };
+  }
+
+  /**
+   * Cards moved aside by verify({ repair: true }), oldest first
+   * @returns {Array<Object>} { hash, g_time, reason, quarantined_at }
+   */
+  quarantined() {
+    if (typeof this.engine.list_quarantine !== 'function') {
+      throw new Error(`${this.engine.constructor.name} does not support quarantine`);
+    }
+    return this.engine.list_quarantine();
+  }
+
+  /**
+   * Revise a card. Cards are immutable: the new content is stored as a new
+   * card and a revision event links the old hash to it, so both versions
+   * stay addressable. Use latest() and history() to follow revisions.
+   *
+   * With `{ unsafeInPlace: true }` the engine overwrites the card's content
+   * instead. Its hash then no longer matches its content, so only use this
+   * for stores that are never verified or shared.
+   * @param {string} hash - Hash of the card to revise
    * @param {any} newContent - New content for the card
-   * @returns {boolean} Whether the update was successful
+   * @param {Object} [options] - `{ unsafeInPlace }`
+   * @returns {string|null} Hash of the card holding the new content, or null
+   *   when the card does not exist or the update failed
    */
-  update(hash, newContent) {
+  update(hash, newContent, { unsafeInPlace = false } = {}) {
     if (!hash) {
       throw new Error("Hash cannot be empty");
     }
     
     // Check if the card exists
-    const existingCard = this.get(hash);
+    const existingCard = this._getStored(hash);
     if (!existingCard) {
-      return false;
+      return null;
     }
     
     try {
-      // Update the card in the engine
-      return this.engine.update(hash, newContent);
+      if (unsafeInPlace) {
+        return this.transaction(() => this._updateInPlace(existingCard, newContent));
+      }
+      const revisionCard = new MCard(newContent, cardMetadata(existingCard).hash_algorithm || HashAlgorithm.DEFAULT);
+      return this.transaction(() => {
+        const result = this._addOne(revisionCard, { onDuplicate: 'skip' });
+        return this._recordRevision(existingCard, revisionCard, result.upgraded_hash || result.hash);
+      });
     } catch (error) {
       console.error(`Error updating card ${hash}:`, error);
-      return false;
+      return null;
     }
   }
-  
+
+  /**
+   * @protected
+   */
+  _updateInPlace(existingCard, newContent) {
+    if (!this.engine.update(existingCard.hash, newContent)) {
+      return null;
+    }
+    this._recordEvent(generateUpdateEvent(existingCard.hash, newContent));
+    this._notify('updated', () => this._changePayload({ ...existingCard, content: newContent }));
+    return existingCard.hash;
+  }
+
+  /**
+   * Link a card to the card holding its new content. Revising a card to its
+   * own content changes nothing.
+   * @returns {string} Hash of the revision
+   * @protected
+   */
+  _recordRevision(existingCard, revisionCard, revision_hash) {
+    if (revision_hash !== existingCard.hash) {
+      this._recordEvent(generateRevisionEvent(existingCard.hash, revision_hash, revisionCard.content));
+      this._notify('updated', () => this._changePayload(existingCard, { revision_hash }));
+    }
+    return revision_hash;
+  }
+
+  /**
+   * Every version of a card, oldest first (see update()). Versions that have
+   * since been deleted are left out.
+   * @param {string} hash - Hash of any version of the card
+   * @returns {Array<MCard>} Versions from the first to the latest
+   */
+  history(hash) {
+    const chain = revisionChain(this.events({ type: 'revision' }), this._requireHash(hash));
+    return chain.map(version => this.get(version)).filter(Boolean);
+  }
+
+  /**
+   * The latest version of a card (see update())
+   * @param {string} hash - Hash of any version of the card
+   * @returns {MCard|null} Latest version, or null when it is not stored
+   */
+  latest(hash) {
+    const chain = revisionChain(this.events({ type: 'revision' }), this._requireHash(hash));
+    return this.get(chain[chain.length - 1]);
+  }
+
+  /**
+   * @protected
+   */
+  _requireHash(hash) {
+    if (!hash) {
+      throw new Error("Hash cannot be empty");
+    }
+    return hash;
+  }
+
   clear() {
+    this._checkWriteScope();
     this.engine.clear();
   }
   
+  /**
+   * Number of cards in the engine, event cards included
+   * @returns {number} Total number of cards
+   */
   count() {
     return this.engine.count();
   }
   
-  get_all(page_number = 1, page_size = DEFAULT_PAGE_SIZE) {
-    const result = this.engine.get_all(page_number, page_size);
+  get_all(page_number = 1, page_size = DEFAULT_PAGE_SIZE, options = {}) {
+    const result = this.engine.get_all(page_number, page_size, options);
+    return this._toAllPage(result, page_number, page_size, options);
+  }
+
+  /**
+   * @protected
+   */
+  _toAllPage(result, page_number, page_size, { cursor } = {}) {
     return new Page({
       items: result.items,
       total_items: result.total_items,
-      page_number: result.page_number || page_number,
+      page_number: cursor ? null : (result.page_number || page_number),
       page_size: result.page_size || page_size,
       has_next: result.has_next || false,
-      has_previous: result.has_previous || false
+      has_previous: result.has_previous || false,
+      next_cursor: result.next_cursor || null,
+      prev_cursor: result.prev_cursor || null
     });
   }
   
+  /**
+   * Stream every card, newest first, without loading the collection into
+   * memory. Cards are read batchSize at a time with keyset cursors, through
+   * the engine's `iterate()` when it has one (SQLiteEngine) and get_page()
+   * otherwise. The loop body may write to the collection between cards.
+   *
+   *   for await (const card of collection.iterate({ batchSize: 500 })) { ... }
+   *
+   * @param {Object} [options]
+   * @param {number} [options.batchSize=100] - Cards read per batch
+   * @param {Function} [options.filter] - Only yield cards for which filter(card) is true
+   * @returns {AsyncGenerator<MCard>} Cards
+   */
+  async *iterate({ batchSize = DEFAULT_ITERATE_BATCH_SIZE, filter = null } = {}) {
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+      throw new Error(`Invalid batch size: ${batchSize}. Batch size must be >= 1.`);
+    }
+    const keep = card => !filter || filter(card);
+
+    if (typeof this.engine.iterate === 'function') {
+      for await (const card of this.engine.iterate({ batchSize })) {
+        if (keep(card)) {
+          yield card;
+        }
+      }
+      return;
+    }
+
+    let page = await this.engine.get_page(1, batchSize);
+    while (true) {
+      for (const card of page.items) {
+        if (keep(card)) {
+          yield card;
+        }
+      }
+      if (!page.has_next || !page.next_cursor) {
+        return;
+      }
+      page = await this.engine.get_page(1, batchSize, { cursor: page.next_cursor });
+    }
+  }
+
+  [Symbol.asyncIterator]() {
+    return this.iterate();
+  }
+  
   // Alias for get_all for backward compatibility
-  get_all_cards(page_number = 1, page_size = DEFAULT_PAGE_SIZE) {
-    return this.get_all(page_number, page_size);
+  get_all_cards(page_number = 1, page_size = DEFAULT_PAGE_SIZE, options = {}) {
+    return this.get_all(page_number, page_size, options);
   }
 }
 
@@ -0,0 +1,254 @@
+import { GTime } from './g_time.js';
+import { textOf } from '../models/card_metadata.js';
+import { timeKey, toTimestamp } from './card-query.js';
+
+/**
+ * Typed event cards
+ *
+ * Collections record what happens to cards (duplicates, collisions, deletes,
+ * updates, revisions, imports) as event cards. An event card is a JSON card tagged with
+ * EVENT_SCHEMA, so it can be told apart from user content:
+ *
+ *   {
+ *     "schema": "mcard-event/1",
+ *     "type": "duplicate",
+ *     "subject_hash": "<hash of the card the event is about>",
+ *     "timestamp": "<g_time of the event>",
+ *     "data": { ...type-specific fields }
+ *   }
+ *
+ * Fields in `data` per type:
+ *
+ *   duplicate  content_type, first_g_time (g_time of the stored card)
+ *   collision  new_card_hash, content_size, upgraded_function, and
+ *              upgraded_hash once the new content is stored under it
+ *   update     content_size
+ *   revision   revision_hash, content_size
+ *   import     source, counts
+ *
+ * Untagged events written by earlier versions, and by the Python library,
+ * keep their fields at the top level (duplicate_time, original_hash,
+ * new_hash, ...). They are not read as events; README.md maps the old keys
+ * to the new ones.
+ *
+ * SQLiteEngine indexes event cards in its `event` table; other engines find
+ * them by scanning their records with runEventQuery.
+ */
+
+export const EVENT_SCHEMA = 'mcard-event/1';
+export const EVENT_TYPES = Object.freeze(['duplicate', 'collision', 'delete', 'update', 'revision', 'import']);
+
+const EVENT_PREFIX = `{"schema":"${EVENT_SCHEMA}"`;
+const FILTER_KEYS = new Set(['type', 'subjectHash', 'since', 'until', 'limit']);
+
+// Last event time handed out, in microseconds since the epoch
+let lastEventMicros = 0;
+
+/**
+ * g_time-formatted UTC timestamp for a new event. Timestamps increase
+ * strictly within a process, so events recorded in the same millisecond
+ * keep the order they happened in.
+ * @private
+ */
+function eventTimestamp(hashFunction) {
+  lastEventMicros = Math.max(Date.now() * 1000, lastEventMicros + 1);
+  const seconds = new Date(Math.floor(lastEventMicros / 1000)).toISOString().slice(0, 19);
+  const micros = String(lastEventMicros % 1000000).padStart(6, '0');
+  return `${GTime.stampNow(hashFunction).split('|')[0]}|${seconds}.${micros}Z|UTC`;
+}
+
+/**
+ * JSON content of an event card
+ * @param {string} type - One of EVENT_TYPES
+ * @param {string|null} subject_hash - Hash of the card the event is about; null for imports
+ * @param {Object} [data] - Type-specific fields
+ * @param {string} [hashFunction] - Hash function for the event's timestamp
+ * @returns {string} Event card content
+ */
+export function eventContent(type, subject_hash, data = {}, hashFunction) {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown event type: ${type}`);
+  }
+  return JSON.stringify({
+    schema: EVENT_SCHEMA,
+    type,
+    subject_hash: subject_hash ?? null,
+    timestamp: eventTimestamp(hashFunction),
+    data
+  });
+}
+
+/**
+ * The event carried by a card's content
+ * @param {string|Uint8Array} content - Card content
+ * @returns {Object|null} { type, subject_hash, timestamp, data }, or null when
+ *   the content is not an event card
+ */
+export function parseEvent(content) {
+  const text = textOf(content);
+  if (text === null || !text.startsWith(EVENT_PREFIX)) {
+    return null;
+  }
+
+  let event;
+  try {
+    event = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  if (!EVENT_TYPES.includes(event.type) || typeof event.timestamp !== 'string') {
+    return null;
+  }
+  return {
+    type: event.type,
+    subject_hash: event.subject_hash ?? null,
+    timestamp: event.timestamp,
+    data: event.data || {}
+  };
+}
+
+/**
+ * Validate an events() filter
+ * @param {Object} [spec] - { type, subjectHash, since, until, limit }
+ * @returns {Object} Normalized filter
+ */
+export function normalizeEventFilter(spec = {}) {
+  const unknown = Object.keys(spec).filter(key => !FILTER_KEYS.has(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown event filter option: ${unknown.join(', ')}`);
+  }
+
+  const filter = { type: null, subjectHash: null, since: null, until: null, limit: null };
+
+  if (spec.type != null) {
+    filter.type = Array.isArray(spec.type) ? [...spec.type] : [spec.type];
+    const unknownTypes = filter.type.filter(type => !EVENT_TYPES.includes(type));
+    if (filter.type.length === 0 || unknownTypes.length > 0) {
+      throw new Error(`Invalid event type: ${unknownTypes.join(', ')}. Use one of ${EVENT_TYPES.join(', ')}`);
+    }
+  }
+  if (spec.subjectHash != null) filter.subjectHash = String(spec.subjectHash);
+  if (spec.since != null) filter.since = toTimestamp(spec.since, 'since');
+  if (spec.until != null) filter.until = toTimestamp(spec.until, 'until');
+  if (spec.limit != null) {
+    filter.limit = Number(spec.limit);
+    if (!Number.isInteger(filter.limit) || filter.limit < 1) {
+      throw new Error(`Invalid limit: ${spec.limit}. Limit must be >= 1.`);
+    }
+  }
+  return filter;
+}
+
+/**
+ * Whether an event matches a filter
+ * @param {Object} event - Parsed event
+ * @param {Object} filter - Normalized filter
+ * @returns {boolean} Whether the event matches
+ */
+export function matchesEvent(event, filter) {
+  if (filter.type && !filter.type.includes(event.type)) return false;
+  if (filter.subjectHash && event.subject_hash !== filter.subjectHash) return false;
+  const time = timeKey(event.timestamp);
+  if (filter.since && time < filter.since) return false;
+  if (filter.until && time >= filter.until) return false;
+  return true;
+}
+
+/**
+ * Find events among card records, for engines without an event index
+ * @param {Array<Object>} records - Records with hash and content
+ * @param {Object} filter - Normalized filter
+ * @returns {Array<Object>} Events oldest first, each with the hash of its event card
+ */
+export function runEventQuery(records, filter) {
+  const events = [];
+  for (const record of records) {
+    const event = parseEvent(record.content);
+    if (event && matchesEvent(event, filter)) {
+      events.push({ hash: record.hash, ...event });
+    }
+  }
+  events.sort(compareEvents);
+  return filter.limit ? events.slice(0, filter.limit) : events;
+}
+
+/**
+ * Order events oldest first, then by hash
+ * @param {Object} a - Event
+ * @param {Object} b - Event
+ * @returns {number} Negative when a comes first
+ */
+export function compareEvents(a, b) {
+  const timeA = timeKey(a.timestamp);
+  const timeB = timeKey(b.timestamp);
+  if (timeA !== timeB) {
+    return timeA < timeB ? -1 : 1;
+  }
+  return a.hash < b.hash ? -1 : a.hash > b.hash ? 1 : 0;
+}
+
+/**
+ * The revision chain through a card, oldest first
+ *
+ * A revision event links the card it is about to the card holding its new
+ * content (data.revision_hash). Content can return to an earlier version, so
+ * the same hash may appear more than once; links are followed in time order,
+ * which keeps every walk finite. When a card was revised more than once, the
+ * most recent link wins.
+ * @param {Array<Object>} events - Revision events, oldest first
+ * @param {string} hash - Hash of any card in the chain
+ * @returns {Array<string>} Hashes from the first version to the latest
+ */
+export function revisionChain(events, hash) {
+  const earlier = [];
+  let current = hash;
+  let before = null;
+  for (;;) {
+    const link = lastEvent(events, event => event.data.revision_hash === current &&
+      (before === null || compareEvents(event, before) < 0));
+    if (!link) break;
+    earlier.unshift(link.subject_hash);
+    current = link.subject_hash;
+    before = link;
+  }
+
+  const later = [];
+  current = hash;
+  // Continue from where the backward walk arrived at hash
+  let after = lastEvent(events, event => event.data.revision_hash === hash);
+  for (;;) {
+    const link = lastEvent(events, event => event.subject_hash === current &&
+      (after === null || compareEvents(event, after) > 0));
+    if (!link) break;
+    later.push(link.data.revision_hash);
+    current = link.data.revision_hash;
+    after = link;
+  }
+
+  return [...earlier, hash, ...later];
+}
+
+/**
+ * The last event that matches, or null; Array.prototype.findLast needs Node 18
+ * @private
+ */
+function lastEvent(events, matches) {
+  for (let i = events.length - 1; i >= 0; i--) {
+    if (matches(events[i])) {
+      return events[i];
+    }
+  }
+  return null;
+}
+
+export default {
+  EVENT_SCHEMA,
+  EVENT_TYPES,
+  eventContent,
+  parseEvent,
+  normalizeEventFilter,
+  matchesEvent,
+  runEventQuery,
+  compareEvents,
+  revisionChain
+};
@@ -0,0 +1,285 @@
+import { DEFAULT_PAGE_SIZE } from '../config/config_constants.js';
+import { cardMetadata } from '../models/card_metadata.js';
+import { Page } from './card-collection.js';
+import { encodeBase64Url, decodeBase64Url, timeKey } from './page-cursor.js';
+
+/**
+ * Structured queries over card metadata
+ *
+ * A query selects cards by content type, time, hash algorithm and size:
+ *
+ *   {
+ *     contentType: 'application/json' | 'text/*' | [...],  // exact MIME or type/* wildcard
+ *     since: Date | ISO string | g_time,                   // inclusive
+ *     until: Date | ISO string | g_time,                   // exclusive
+ *     algorithm: 'sha512' | [...],
+ *     minSize: 0, maxSize: 1024,                           // bytes, inclusive
+ *     orderBy: 'g_time desc' | 'g_time asc' | 'byte_size desc' | 'byte_size asc',
+ *     limit: 10,
+ *     cursor: '<next_cursor of the previous page>'
+ *   }
+ *
+ * SQLiteEngine compiles queries to SQL; other engines run them over their
+ * records with runQuery. Both page with a keyset cursor, so results stay
+ * stable while cards are being added.
+ */
+
+export const ORDER_FIELDS = Object.freeze(['g_time', 'byte_size']);
+export const DEFAULT_ORDER_BY = 'g_time desc';
+
+// Queries order and filter by the same time key as listings
+export { timeKey };
+
+const G_TIME_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{6}Z$/;
+const QUERY_KEYS = new Set([
+  'contentType', 'since', 'until', 'algorithm', 'minSize', 'maxSize', 'orderBy', 'limit', 'cursor'
+]);
+
+/**
+ * Turn a time bound (Date, ISO string or g_time) into a timestamp in g_time's format
+ * @param {Date|string} value - Time bound
+ * @param {string} label - Name of the bound, for error messages
+ * @returns {string} Timestamp comparable with timeKey()
+ */
+export function toTimestamp(value, label) {
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) {
+      throw new Error(`Invalid ${label} date`);
+    }
+    return value.toISOString().replace(/\.(\d{3})Z$/, '.$1000Z');
+  }
+
+  const text = String(value).trim();
+  const parts = text.split('|');
+  if (parts.length === 3 && G_TIME_TIMESTAMP.test(parts[1])) {
+    return parts[1];
+  }
+  if (G_TIME_TIMESTAMP.test(text)) {
+    return text;
+  }
+
+  const date = new Date(text);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid ${label}: ${value}`);
+  }
+  return toTimestamp(date, label);
+}
+
+/**
+ * @private
+ */
+function toList(value, label) {
+  const list = (Array.isArray(value) ? value : [value]).map(item => String(item).trim().toLowerCase());
+  if (list.length === 0 || list.some(item => !item)) {
+    throw new Error(`${label} cannot be empty`);
+  }
+  return list;
+}
+
+/**
+ * @private
+ */
+function toSize(value, label) {
+  const size = Number(value);
+  if (!Number.isInteger(size) || size < 0) {
+    throw new Error(`${label} must be a non-negative integer`);
+  }
+  return size;
+}
+
+/**
+ * Validate a query and fill in defaults. Normalizing twice gives the same result.
+ * @param {Object} [spec] - Query as described above
+ * @returns {Object} Normalized query
+ */
+export function normalizeQuery(spec = {}) {
+  const unknown = Object.keys(spec).filter(key => !QUERY_KEYS.has(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown query option: ${unknown.join(', ')}`);
+  }
+
+  const query = {
+    contentType: null,
+    since: null,
+    until: null,
+    algorithm: null,
+    minSize: null,
+    maxSize: null,
+    orderBy: DEFAULT_ORDER_BY,
+    limit: DEFAULT_PAGE_SIZE,
+    cursor: null
+  };
+
+  if (spec.contentType != null) query.contentType = toList(spec.contentType, 'Content type');
+  if (spec.algorithm != null) query.algorithm = toList(spec.algorithm, 'Algorithm');
+  if (spec.since != null) query.since = toTimestamp(spec.since, 'since');
+  if (spec.until != null) query.until = toTimestamp(spec.until, 'until');
+  if (spec.minSize != null) query.minSize = toSize(spec.minSize, 'minSize');
+  if (spec.maxSize != null) query.maxSize = toSize(spec.maxSize, 'maxSize');
+
+  if (spec.orderBy != null) {
+    const [field, direction = 'desc', ...rest] = String(spec.orderBy).trim().toLowerCase().split(/\s+/);
+    if (!ORDER_FIELDS.includes(field) || !['asc', 'desc'].includes(direction) || rest.length > 0) {
+      throw new Error(`Invalid orderBy: ${spec.orderBy}. Use one of ${ORDER_FIELDS.join(', ')} followed by asc or desc`);
+    }
+    query.orderBy = `${field} ${direction}`;
+  }
+
+  if (spec.limit != null) {
+    query.limit = Number(spec.limit);
+    if (!Number.isInteger(query.limit) || query.limit < 1) {
+      throw new Error(`Invalid limit: ${spec.limit}. Limit must be >= 1.`);
+    }
+  }
+
+  if (spec.cursor != null) {
+    query.cursor = String(spec.cursor);
+    decodeQueryCursor(query);
+  }
+
+  return query;
+}
+
+/**
+ * Sort field and direction of a normalized query
+ * @param {Object} query - Normalized query
+ * @returns {{field: string, descending: boolean}} Ordering
+ */
+export function queryOrder(query) {
+  const [field, direction] = query.orderBy.split(' ');
+  return { field, descending: direction === 'desc' };
+}
+
+/**
+ * Opaque token for the position after a record
+ * @param {Object} query - Normalized query
+ * @param {Object} record - Last record of a page, with hash, g_time and byte_size
+ * @returns {string} Cursor token
+ */
+export function encodeQueryCursor(query, record) {
+  const { field } = queryOrder(query);
+  const key = field === 'g_time' ? timeKey(record.g_time) : record.byte_size;
+  return encodeBase64Url(JSON.stringify({ o: query.orderBy, k: key, h: record.hash }));
+}
+
+/**
+ * Position encoded by a query's cursor
+ * @param {Object} query - Normalized query with a cursor
+ * @returns {{key: string|number, hash: string}|null} Position, or null without a cursor
+ */
+export function decodeQueryCursor(query) {
+  if (!query.cursor) {
+    return null;
+  }
+
+  let position;
+  try {
+    position = JSON.parse(decodeBase64Url(query.cursor));
+  } catch {
+    throw new Error('Invalid cursor');
+  }
+  if (!position || typeof position.h !== 'string' || position.k === undefined) {
+    throw new Error('Invalid cursor');
+  }
+  if (position.o !== query.orderBy) {
+    throw new Error(`Cursor was created for orderBy "${position.o}", not "${query.orderBy}"`);
+  }
+  return { key: position.k, hash: position.h };
+}
+
+/**
+ * Whether a record's metadata matches a query's filters
+ * @param {Object} record - Record with g_time, content_type, byte_size and hash_algorithm
+ * @param {Object} query - Normalized query
+ * @returns {boolean} Whether the record matches
+ */
+export function matchesQuery(record, query) {
+  if (query.contentType) {
+    const contentType = String(record.content_type || '').toLowerCase();
+    const matches = query.contentType.some(pattern => pattern.endsWith('/*')
+      ? contentType.startsWith(pattern.slice(0, -1))
+      : contentType === pattern);
+    if (!matches) return false;
+  }
+  if (query.algorithm && !query.algorithm.includes(String(record.hash_algorithm || '').toLowerCase())) {
+    return false;
+  }
+  const time = timeKey(record.g_time);
+  if (query.since && time < query.since) return false;
+  if (query.until && time >= query.until) return false;
+  if (query.minSize !== null && !(record.byte_size >= query.minSize)) return false;
+  if (query.maxSize !== null && !(record.byte_size <= query.maxSize)) return false;
+  return true;
+}
+
+/**
+ * Run a query over in-memory records, for engines without a query language
+ * @param {Array<Object>} records - Records with hash, g_time and content; metadata
+ *   (content_type, byte_size, hash_algorithm) is computed when missing
+ * @param {Object} query - Normalized query
+ * @returns {{records: Array<Object>, total: number, has_next: boolean, next_cursor: string|null}} Result
+ */
+export function runQuery(records, query) {
+  const { field, descending } = queryOrder(query);
+  const positionOf = record => ({
+    key: field === 'g_time' ? timeKey(record.g_time) : record.byte_size,
+    hash: record.hash
+  });
+  // Order by the sort key, then hash, so every record has a unique position
+  const compare = (a, b) => {
+    const order = a.key < b.key ? -1 : a.key > b.key ? 1 : a.hash < b.hash ? -1 : a.hash > b.hash ? 1 : 0;
+    return descending ? -order : order;
+  };
+
+  const matching = records
+    .map(record => record.content_type === undefined ? { ...record, ...cardMetadata(record) } : record)
+    .filter(record => matchesQuery(record, query))
+    .sort((a, b) => compare(positionOf(a), positionOf(b)));
+
+  const after = decodeQueryCursor(query);
+  const remaining = after
+    ? matching.filter(record => compare(positionOf(record), after) > 0)
+    : matching;
+
+  const page = remaining.slice(0, query.limit);
+  const has_next = remaining.length > query.limit;
+  return {
+    records: page,
+    total: matching.length,
+    has_next,
+    next_cursor: has_next ? encodeQueryCursor(query, page[page.length - 1]) : null
+  };
+}
+
+/**
+ * Page for a query result
+ * @param {Array<MCard>} items - Cards on the page
+ * @param {Object} result - total, has_next and next_cursor of the query
+ * @param {Object} query - Normalized query
+ * @returns {Page} Page of matching cards
+ */
+export function toQueryPage(items, { total, has_next, next_cursor }, query) {
+  return new Page({
+    items,
+    total_items: total,
+    page_size: query.limit,
+    has_next,
+    has_previous: false,
+    total_pages: Math.ceil(total / query.limit),
+    next_cursor
+  });
+}
+
+export default {
+  ORDER_FIELDS,
+  DEFAULT_ORDER_BY,
+  timeKey,
+  toTimestamp,
+  normalizeQuery,
+  queryOrder,
+  encodeQueryCursor,
+  decodeQueryCursor,
+  matchesQuery,
+  runQuery,
+  toQueryPage
+};
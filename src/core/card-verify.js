@@ -0,0 +1,102 @@
+import HashValidator from './hash/validator.js';
+import { GTime } from './g_time.js';
+import { SafeBuffer } from '../utils/bufferPolyfill.js';
+
+/**
+ * Integrity checks for stored cards
+ *
+ * A card is sound when its g_time parses and its content, hashed with the
+ * algorithm named in that g_time, gives back its hash. verifyRecord checks
+ * one raw record ({ hash, g_time, content }) as an engine stores it, before
+ * it is turned into an MCard, so damaged rows are reported rather than
+ * thrown on. Each problem has one of these kinds:
+ *
+ *   unparsable  g_time is missing or malformed, so the algorithm is unknown
+ *   corrupt     content is missing, empty or unreadable
+ *   mismatch    content no longer hashes to the stored hash
+ */
+
+export const VERIFY_PROBLEMS = Object.freeze(['unparsable', 'corrupt', 'mismatch']);
+
+/**
+ * Check one stored record
+ * @param {Object} record - { hash, g_time, content }; `error` when the engine could not read the content
+ * @returns {Promise<Object|null>} { hash, g_time, problem, detail }, or null when the record is sound
+ */
+export async function verifyRecord(record) {
+  const problem = (kind, detail) => ({ hash: record.hash, g_time: record.g_time ?? null, problem: kind, detail });
+
+  let algorithm;
+  try {
+    algorithm = GTime.get_hash_function(record.g_time);
+  } catch (error) {
+    return problem('unparsable', error.message);
+  }
+
+  const content = contentBytes(record.content);
+  if (record.error || !content || content.length === 0) {
+    return problem('corrupt', record.error ? String(record.error.message || record.error) : 'Content is missing or empty');
+  }
+
+  let computed;
+  try {
+    computed = await HashValidator.computeHashAsync(content, algorithm);
+  } catch (error) {
+    return problem('corrupt', error.message);
+  }
+  if (computed !== record.hash) {
+    return problem('mismatch', `Content hashes to ${computed} with ${algorithm}`);
+  }
+  return null;
+}
+
+/**
+ * Keep a uniform random sample of a stream (reservoir sampling)
+ * @param {number} size - Sample size
+ * @returns {Object} { offer(item), items }
+ */
+export function createSampler(size) {
+  const items = [];
+  let seen = 0;
+  return {
+    items,
+    offer(item) {
+      seen += 1;
+      if (items.length < size) {
+        items.push(item);
+        return;
+      }
+      const slot = Math.floor(Math.random() * seen);
+      if (slot < size) {
+        items[slot] = item;
+      }
+    }
+  };
+}
+
+/**
+ * Stored content as a buffer; older SQLite rows hold TEXT. HashValidator
+ * treats anything but a buffer as text, so plain Uint8Arrays are wrapped.
+ * @private
+ */
+function contentBytes(content) {
+  if (content === null || content === undefined) {
+    return null;
+  }
+  if (SafeBuffer.isBuffer(content)) {
+    return content;
+  }
+  if (content instanceof Uint8Array) {
+    return SafeBuffer.from(content);
+  }
+  if (typeof content === 'string') {
+    return SafeBuffer.from(content, 'utf-8');
+  }
+  return null;
+}
+
+export default {
+  VERIFY_PROBLEMS,
+  verifyRecord,
+  createSampler
+};
@@ -0,0 +1,141 @@
+import logger from '../services/logger.js';
+import { DEFAULT_PAGE_SIZE } from '../config/config_constants.js';
+
+/**
+ * Tail a collection's change feed
+ *
+ * Engines with a change log (SQLiteEngine) number every insert, update and
+ * delete. A watcher polls collection.changesSince(seq) and hands each change
+ * to a handler, in order. It advances past a change only after the handler
+ * has returned, so delivery is at-least-once: a change whose handler threw is
+ * delivered again on the next poll. Persist `watcher.seq` and pass it back as
+ * `since` to resume after a restart.
+ */
+
+export const DEFAULT_WATCH_INTERVAL = 1000;
+
+class ChangeFeedWatcher {
+  /**
+   * @param {CardCollection} collection - Collection to watch
+   * @param {Function} handler - Called with each change; may be async
+   * @param {Object} [options]
+   * @param {number} [options.since=0] - Sequence number of the last change already handled
+   * @param {number} [options.interval=1000] - Milliseconds between polls
+   * @param {number} [options.batchSize=DEFAULT_PAGE_SIZE] - Changes read per query
+   * @param {Function} [options.onError] - Called when a poll fails; errors are logged by default
+   */
+  constructor(collection, handler, {
+    since = 0,
+    interval = DEFAULT_WATCH_INTERVAL,
+    batchSize = DEFAULT_PAGE_SIZE,
+    onError = null
+  } = {}) {
+    if (typeof handler !== 'function') {
+      throw new Error("Handler must be a function");
+    }
+    if (!Number.isInteger(since) || since < 0) {
+      throw new Error(`Invalid sequence number: ${since}`);
+    }
+    if (!(interval > 0)) {
+      throw new Error(`Invalid interval: ${interval}. Interval must be > 0.`);
+    }
+
+    this.collection = collection;
+    this.handler = handler;
+    this.seq = since;
+    this.interval = interval;
+    this.batchSize = batchSize;
+    this.onError = onError;
+    this.running = false;
+    this._timer = null;
+    this._polling = null;
+    // Bumped by stop() so a running poll ends after its current change
+    this._generation = 0;
+  }
+
+  /**
+   * Start polling
+   * @returns {ChangeFeedWatcher} This watcher
+   */
+  start() {
+    if (!this.running) {
+      this.running = true;
+      this._schedule(0);
+    }
+    return this;
+  }
+
+  /**
+   * Stop polling. A poll in progress ends after its current change. The
+   * handler may call stop(), but must not wait for the returned promise.
+   * @returns {Promise<void>} Resolves once no poll is running
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this._timer);
+    this._timer = null;
+    this._generation += 1;
+    return (this._polling || Promise.resolve()).then(() => {}, () => {});
+  }
+
+  /**
+   * Deliver every change after `seq` now. Concurrent calls share one poll.
+   * @returns {Promise<number>} Number of changes delivered
+   */
+  poll() {
+    if (!this._polling) {
+      this._polling = this._drain().finally(() => {
+        this._polling = null;
+      });
+    }
+    return this._polling;
+  }
+
+  /**
+   * @private
+   */
+  async _drain() {
+    const generation = this._generation;
+    const stopped = () => this._generation !== generation;
+    let delivered = 0;
+    let has_more = true;
+    while (has_more && !stopped()) {
+      const batch = await this.collection.changesSince(this.seq, { limit: this.batchSize });
+      for (const change of batch.changes) {
+        if (stopped()) {
+          break;
+        }
+        await this.handler(change);
+        this.seq = change.seq;
+        delivered += 1;
+      }
+      has_more = batch.has_more;
+    }
+    return delivered;
+  }
+
+  /**
+   * @private
+   */
+  _schedule(delay) {
+    this._timer = setTimeout(async () => {
+      try {
+        await this.poll();
+      } catch (error) {
+        if (this.onError) {
+          this.onError(error);
+        } else {
+          logger.error(`Change feed poll failed: ${error.message}`);
+        }
+      }
+      if (this.running) {
+        this._schedule(this.interval);
+      }
+    }, delay);
+    // Do not keep Node alive just to poll
+    this._timer.unref?.();
+  }
+}
+
+export { ChangeFeedWatcher };
+export default ChangeFeedWatcher;
@@ -1,7 +1,8 @@
 import { HashAlgorithm as HashAlgorithmEnum } from './hash/enums.js';
 import HashValidator from './hash/validator.js';
-import { GTime as GTimeUtil } from './g_time.js';
 import { HASH_ALGORITHM_HIERARCHY as ALGORITHM_HIERARCHY } from '../config/config_constants.js';
+import { eventContent } from './card-events.js';
+import { byteSizeOf } from '../models/card_metadata.js';
 
 // Use global Buffer if available, otherwise use the polyfill
 const Buffer = global.Buffer || require('buffer').Buffer;
@@ -29,9 +30,13 @@ const CONTENT_SIZE = 'content_size';
 const COLLISION_TIME = 'collision_time';
 const UPGRADED_FUNCTION = 'upgraded_function';
 const UPGRADED_HASH = 'upgraded_hash';
-const DUPLICATE_TIME = 'duplicate_time';
 const DUPLICATE_EVENT_TYPE = 'duplicate';
 const COLLISION_EVENT_TYPE = 'collision';
+const DELETE_EVENT_TYPE = 'delete';
+const UPDATE_EVENT_TYPE = 'update';
+const REVISION_EVENT_TYPE = 'revision';
+const REVISION_HASH = 'revision_hash';
+const IMPORT_EVENT_TYPE = 'import';
 
 // Predefined hash function progression order
 const HASH_FUNCTION_ORDER = ['md5', 'sha1', 'sha224', 'sha256', 'sha384', 'sha512'];
@@ -90,45 +95,77 @@ function nextHashFunction(currentHashFunction) {
 
 // Generate a duplication event for the given card
 // @param {Object} card - The card being duplicated
-// @returns {string} JSON-stringified duplication event
+// @returns {string} JSON-stringified duplicate event (see card-events.js)
 function generateDuplicationEvent(card) {
-  const event = {
-    [TYPE]: DUPLICATE_EVENT_TYPE,
-    [HASH]: card.hash,
-    [CONTENT_TYPE]: card.contentType,
-    [TIMESTAMP]: GTimeUtil.stampNow(card.hashFunction || HashAlgorithmEnum.DEFAULT),
-    [DUPLICATE_TIME]: card.g_time
-  };
-  return JSON.stringify(event);
+  return eventContent(DUPLICATE_EVENT_TYPE, card.hash, {
+    [CONTENT_TYPE]: card.contentType?.mimeType || card.contentType || null,
+    [FIRST_G_TIME]: card.g_time
+  }, card.hashFunction || HashAlgorithmEnum.DEFAULT);
 }
 
 // Generate a collision event for the given event data
 // @param {Object} newCard - The new card
 // @param {Object} existingCard - The existing card
-// @returns {string} JSON-stringified collision event
-function generateCollisionEvent(newCard, existingCard = null) {
-  const event = {
-    type: 'collision',
-    original_hash: existingCard ? existingCard.hash : null,
-    new_hash: newCard.hash,
-    timestamp: GTimeUtil.stampNow(
-      newCard.hashFunction || 
-      existingCard?.hashFunction || 
-      HashAlgorithmEnum.DEFAULT
-    ),
-    content_size: typeof newCard.content === 'string' ? 
+// @param {Object} upgradedCard - The new card stored under a stronger hash, if any
+// @returns {string} JSON-stringified collision event (see card-events.js)
+function generateCollisionEvent(newCard, existingCard = null, upgradedCard = null) {
+  const data = {
+    [NEW_CARD_HASH]: newCard.hash,
+    [CONTENT_SIZE]: typeof newCard.content === 'string' ? 
       Buffer.from(newCard.content).length : 
       newCard.content.length
   };
 
-  if (existingCard) {
-    const upgradedFunction = nextHashFunction(existingCard.hashFunction);
-    event.upgraded_function = upgradedFunction;
-    event.upgraded_hash = existingCard.hash;  
-    event.hash_algorithm = upgradedFunction;  
+  if (upgradedCard) {
+    data[UPGRADED_FUNCTION] = upgradedCard.hash_algorithm;
+    data[UPGRADED_HASH] = upgradedCard.hash;
+  } else if (existingCard) {
+    data[UPGRADED_FUNCTION] = nextHashFunction(existingCard.hashFunction);
   }
 
-  return JSON.stringify(event);
+  return eventContent(
+    COLLISION_EVENT_TYPE,
+    existingCard ? existingCard.hash : newCard.hash,
+    data,
+    newCard.hashFunction || existingCard?.hashFunction || HashAlgorithmEnum.DEFAULT
+  );
+}
+
+// Generate a delete event for a card removed from a collection
+// @param {string} hash - Hash of the deleted card
+// @returns {string} JSON-stringified delete event
+function generateDeleteEvent(hash) {
+  return eventContent(DELETE_EVENT_TYPE, hash);
+}
+
+// Generate an update event for a card whose content was replaced
+// @param {string} hash - Hash of the updated card
+// @param {any} newContent - The new content
+// @returns {string} JSON-stringified update event
+function generateUpdateEvent(hash, newContent) {
+  return eventContent(UPDATE_EVENT_TYPE, hash, {
+    [CONTENT_SIZE]: byteSizeOf(newContent)
+  });
+}
+
+// Generate a revision event linking a card to the card holding its new content
+// @param {string} hash - Hash of the revised card
+// @param {string} revisionHash - Hash of the card holding the new content
+// @param {any} newContent - The new content
+// @returns {string} JSON-stringified revision event
+function generateRevisionEvent(hash, revisionHash, newContent) {
+  return eventContent(REVISION_EVENT_TYPE, hash, {
+    [REVISION_HASH]: revisionHash,
+    [CONTENT_SIZE]: byteSizeOf(newContent)
+  });
+}
+
+// Generate an import event for a batch of cards
+// @param {string} source - Where the batch came from
+// @param {Object} counts - Number of cards per addMany status
+// @returns {string} JSON-stringified import event
+function generateImportEvent(source, counts) {
+  return eventContent(IMPORT_EVENT_TYPE, null, { source, counts });
 }
 
 export {
@@ -149,12 +186,20 @@ export {
   COLLISION_TIME,
   UPGRADED_FUNCTION,
   UPGRADED_HASH,
-  DUPLICATE_TIME,
   DUPLICATE_EVENT_TYPE,
   COLLISION_EVENT_TYPE,
+  DELETE_EVENT_TYPE,
+  UPDATE_EVENT_TYPE,
+  REVISION_EVENT_TYPE,
+  REVISION_HASH,
+  IMPORT_EVENT_TYPE,
   HASH_FUNCTION_ORDER,
   HASH_ALGORITHM_HIERARCHY,
   nextHashFunction,
   generateDuplicationEvent,
-  generateCollisionEvent
+  generateCollisionEvent,
+  generateDeleteEvent,
+  generateUpdateEvent,
+  generateRevisionEvent,
+  generateImportEvent
 };
@@ -0,0 +1,145 @@
+import { MULTIHASH_CODES, DIGEST_LENGTHS, multihashBytes, readMultihash } from './card-cid.js';
+import { algorithmFromGTime } from '../models/card_metadata.js';
+
+/**
+ * Self-describing card hashes
+ *
+ * A card hash is a bare hex digest; the algorithm that made it lives only
+ * in the card's g_time. After a collision upgrade the same store holds
+ * digests from several algorithms, so a bare hash does not say which one
+ * a reference means. A HashRef carries both, and has two string forms:
+ *
+ *   sha256:9f86d0...   algorithm, colon, hex digest
+ *   12209f86d0...      hex multihash (varint code, varint length, digest)
+ *
+ * HashRef.parse accepts either form as well as a bare hex hash, which
+ * matches a card of any algorithm. CardCollection.get, delete and
+ * search_by_hash take any of them.
+ */
+export class HashRef {
+  /**
+   * @param {string} hash - Hex digest
+   * @param {string|null} [algorithm=null] - Algorithm that produced the digest;
+   *   null when unknown
+   */
+  constructor(hash, algorithm = null) {
+    if (!hash) {
+      throw new Error('Hash cannot be empty');
+    }
+    if (algorithm !== null) {
+      algorithm = String(algorithm).toLowerCase();
+      if (!(algorithm in DIGEST_LENGTHS)) {
+        throw new Error(`Unknown hash algorithm: ${algorithm}`);
+      }
+      if (!/^[0-9a-f]*$/i.test(hash) || hash.length !== DIGEST_LENGTHS[algorithm] * 2) {
+        throw new Error(`Invalid ${algorithm} hash: ${hash}`);
+      }
+      hash = hash.toLowerCase();
+    }
+    this.hash = hash;
+    this.algorithm = algorithm;
+    Object.freeze(this);
+  }
+
+  /**
+   * Parse a hash in any accepted string form
+   * @param {string} value - `algorithm:hex`, a hex multihash or a bare hash
+   * @returns {HashRef} Parsed reference
+   */
+  static parse(value) {
+    const text = String(value ?? '');
+    const colon = text.indexOf(':');
+    if (colon !== -1) {
+      return new HashRef(text.slice(colon + 1), text.slice(0, colon));
+    }
+    return HashRef.fromMultihash(text) ?? new HashRef(text);
+  }
+
+  /**
+   * Reference for a HashRef, an MCard or a hash string
+   * @param {HashRef|MCard|string} value - Value to convert
+   * @returns {HashRef} Reference
+   */
+  static from(value) {
+    if (value instanceof HashRef) {
+      return value;
+    }
+    if (value && typeof value === 'object' && value.hash) {
+      return new HashRef(value.hash, cardAlgorithm(value));
+    }
+    return HashRef.parse(value);
+  }
+
+  /**
+   * Reference for a hex multihash
+   * @param {string} text - Hex multihash
+   * @returns {HashRef|null} Reference, or null when text is not a multihash of
+   *   a supported algorithm
+   */
+  static fromMultihash(text) {
+    if (!/^([0-9a-f]{2})+$/i.test(text)) {
+      return null;
+    }
+    const bytes = Uint8Array.from(text.match(/../g), pair => parseInt(pair, 16));
+    try {
+      const { algorithm, hash, length } = readMultihash(bytes);
+      if (!algorithm || length !== bytes.length || hash.length !== DIGEST_LENGTHS[algorithm] * 2) {
+        return null;
+      }
+      return new HashRef(hash, algorithm);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Hex multihash form
+   * @returns {string} Multihash as hex
+   */
+  toMultihash() {
+    if (!this.algorithm) {
+      throw new Error(`Hash ${this.hash} has no algorithm`);
+    }
+    return Array.from(multihashBytes(this.hash, this.algorithm), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * `algorithm:hex` form, or the bare hash when the algorithm is unknown
+   * @returns {string}
+   */
+  toString() {
+    return this.algorithm ? `${this.algorithm}:${this.hash}` : this.hash;
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+
+  /**
+   * Whether a stored card is the one this reference names
+   * @param {Object} card - Card or row with hash and g_time
+   * @returns {boolean}
+   */
+  matches(card) {
+    if (!card || card.hash !== this.hash) {
+      return false;
+    }
+    return this.algorithm === null || cardAlgorithm(card) === this.algorithm;
+  }
+
+  equals(other) {
+    const ref = HashRef.from(other);
+    return ref.hash === this.hash && ref.algorithm === this.algorithm;
+  }
+}
+
+/**
+ * Algorithm of a card, from its g_time or hash_algorithm
+ * @private
+ */
+function cardAlgorithm(card) {
+  const algorithm = algorithmFromGTime(card.g_time) || card.hash_algorithm;
+  return algorithm && String(algorithm).toLowerCase() in MULTIHASH_CODES ? String(algorithm).toLowerCase() : null;
+}
+
+export default HashRef;
@@ -11,6 +11,9 @@ import {
 // Check if we're in a browser environment
 const isBrowser = typeof window !== 'undefined';
 
+// Placeholder returned by synchronous hashing when the digest is a promise (Web Crypto)
+export const PENDING_HASH = 'computing...';
+
 export default class HashValidator {
   /**
    * Constructor for HashValidator
@@ -25,7 +28,7 @@ export default class HashValidator {
     
     // In browser environments, we can't synchronously compute crypto hashes
     if (isBrowser) {
-      this.hashValue = "computing...";
+      this.hashValue = PENDING_HASH;
       this._computeHashAsync().then(hash => {
         this.hashValue = hash;
       });
@@ -96,17 +99,22 @@ export default class HashValidator {
 
   /**
    * Compute hash from content
+   * @param {string|Buffer} [content] - Content to hash, defaults to the validator's content
+   * @param {string} [hashAlgorithm] - Algorithm to use, defaults to the validator's algorithm
    * @returns {string|Promise<string>} Computed hash or promise to hash
    */
-  computeHash() {
+  computeHash(content = this.content, hashAlgorithm = this.hashAlgorithm) {
     try {
-      const hash = createHash(this.hashAlgorithm);
-      hash.update(this.content);
+      const buffer = SafeBuffer.isBuffer(content) || content instanceof Uint8Array
+        ? content
+        : encodeText(content);
+      const hash = createHash(this.normalizeHashAlgorithm(hashAlgorithm));
+      hash.update(buffer);
       const result = hash.digest('hex');
       
       // Handle the case where result is a Promise
       if (result instanceof Promise) {
-        return "computing...";
+        return PENDING_HASH;
       }
       
       return result;
@@ -259,6 +267,16 @@ export default class HashValidator {
     ];
   }
 
+  /**
+   * Compute a hash, awaiting asynchronous digests such as Web Crypto's
+   * @param {string|Buffer} content - Content to hash
+   * @param {string} hashAlgorithm - Algorithm to use
+   * @returns {Promise<string>} Computed hash
+   */
+  static async computeHashAsync(content, hashAlgorithm = HashAlgorithm.DEFAULT) {
+    return await HashValidator.computeHash(content, hashAlgorithm);
+  }
+
   static compute_hash(content, hashAlgorithm = HashAlgorithm.DEFAULT) {
     return HashValidator.computeHash(content, hashAlgorithm);
   }
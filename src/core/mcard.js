@@ -2,7 +2,8 @@ import { SafeBuffer } from '../utils/bufferPolyfill.js';
 import { createHash } from '../utils/cryptoPolyfill.js';
 import GTime from './g_time.js';
 import { HashAlgorithm } from '../config/config_constants.js'; // Corrected path
-import HashValidator from './hash/validator.js';
+import HashValidator, { PENDING_HASH } from './hash/validator.js';
+import { HashRef } from './hash-ref.js';
 import ContentTypeInterpreter from '../utils/content_type_detector.js'; // Corrected path (assuming content_type_detector.js is in src/utils/)
 
 // Create a mock HashValidator if the real one fails to load
@@ -62,23 +63,83 @@ class MCard {
       throw new Error('Content cannot be empty after conversion to Buffer.');
     }
 
-    // Compute hash using this._content
+    // Compute hash using this._content, unless the caller already has it
     const forcedHashAlgorithm = options.forceHashAlgorithm || hashFunction;
-    try {
-      this.hash = hashValidator.computeHash(this._content, HashAlgorithm(forcedHashAlgorithm));
+    if (options.hash) {
+      this.hash = options.hash;
       this.hash_algorithm = HashAlgorithm(forcedHashAlgorithm);
-    } catch (error) {
-      console.error('Error computing hash:', error);
-      // Fallback to a simple hash if the validator fails
-      const hash = createHash(forcedHashAlgorithm || 'sha256');
-      this.hash = hash.update(this._content).digest('hex');
-      this.hash_algorithm = forcedHashAlgorithm || 'sha256';
+    } else {
+      try {
+        this.hash = hashValidator.computeHash(this._content, HashAlgorithm(forcedHashAlgorithm));
+        this.hash_algorithm = HashAlgorithm(forcedHashAlgorithm);
+      } catch (error) {
+        console.error('Error computing hash:', error);
+        // Fallback to a simple hash if the validator fails
+        const hash = createHash(forcedHashAlgorithm || 'sha256');
+        this.hash = hash.update(this._content).digest('hex');
+        this.hash_algorithm = forcedHashAlgorithm || 'sha256';
+      }
     }
 
     // Generate timestamp
     this.g_time = GTime.stamp_now(this.hash_algorithm);
   }
 
+  /**
+   * Create a card whose hash is awaited rather than computed synchronously.
+   * In browsers Web Crypto digests are promises, so the constructor can only
+   * record a placeholder hash; this factory always yields the real one.
+   * @param {string|Buffer|Object} content - Card content
+   * @param {string} [hashFunction] - Hash algorithm to use
+   * @param {Object} [options] - Same options as the constructor
+   * @returns {Promise<MCard>} Card with its final hash
+   */
+  static async create(content, hashFunction = HashAlgorithm.DEFAULT, options = {}) {
+    const card = new this(content, hashFunction, options);
+    if (!card.hash || card.hash === PENDING_HASH) {
+      card.hash = await HashValidator.computeHashAsync(card._content, card.hash_algorithm);
+    }
+    return card;
+  }
+
+  /**
+   * Create a card from a readable stream, hashing each chunk as it arrives
+   * instead of hashing the joined content afterwards. The card still holds
+   * the whole content; to store a large file without buffering it, use
+   * CardCollection.addStream with a FileSystemEngine.
+   * @param {AsyncIterable} readable - Node readable stream or any async iterable of
+   *   Buffer/Uint8Array/string chunks
+   * @param {Object} [options]
+   * @param {string} [options.algorithm] - Hash algorithm to use
+   * @returns {Promise<MCard>} Card with its final hash
+   */
+  static async fromStream(readable, { algorithm = HashAlgorithm.DEFAULT } = {}) {
+    const hashAlgorithm = HashAlgorithm(algorithm);
+    const hasher = createHash(hashAlgorithm);
+    const chunks = [];
+    for await (const chunk of readable) {
+      const bytes = typeof chunk === 'string' ? SafeBuffer.from(chunk, 'utf-8') : SafeBuffer.from(chunk);
+      hasher.update(bytes);
+      chunks.push(bytes);
+    }
+    const content = SafeBuffer.concat(chunks);
+    if (content.length === 0) {
+      throw new Error('Content cannot be empty after conversion to Buffer.');
+    }
+    return new this(content, hashAlgorithm, { hash: await hasher.digest('hex') });
+  }
+
+  /**
+   * Create a card from a file, hashing it as it is read (Node.js only)
+   * @param {string} filePath - Path of the file
+   * @param {Object} [options] - Same options as fromStream
+   * @returns {Promise<MCard>} Card with its final hash
+   */
+  static async fromFile(filePath, options = {}) {
+    const fs = await import('fs');
+    return this.fromStream(fs.createReadStream(filePath), options);
+  }
+
   // Getter methods
   get_content() {
     // If the content is a Uint8Array and was created from a string, convert it back to a string
@@ -131,6 +192,15 @@ class MCard {
     return this.g_time;
   }
 
+  /**
+   * Hash with its algorithm, e.g. for references that must stay unambiguous
+   * after collision upgrades; String(ref) gives `sha256:<hex>`
+   * @returns {HashRef} Reference to this card
+   */
+  get_hash_ref() {
+    return HashRef.from(this);
+  }
+
   // Utility methods
   equals(other) {
     return this.hash === other.hash;
@@ -157,8 +227,8 @@ class MCardFromData extends MCard {
       throw new Error("g_time string cannot be None or empty");
     }
 
-    // Call parent constructor with content and hash function
-    super(content, GTime.get_hash_function(g_time_str));
+    // Call parent constructor with the known hash, so content is not hashed again
+    super(content, GTime.get_hash_function(g_time_str), { hash: hash_value });
 
     // Override the hash generated by parent constructor
     this.hash = hash_value;
@@ -170,7 +240,7 @@ class MCardFromData extends MCard {
     let contentForType = content;
     
     // For type detection, convert to Buffer if needed
-    if (!(content instanceof Buffer) && typeof content !== 'string') {
+    if (!SafeBuffer.isBuffer(content) && typeof content !== 'string') {
       contentForType = SafeBuffer.from(JSON.stringify(content), 'utf-8');
     } else if (typeof content === 'string') {
       contentForType = SafeBuffer.from(content, 'utf-8');
@@ -0,0 +1,183 @@
+/**
+ * Keyset (cursor) pagination
+ *
+ * Listings are ordered newest first by the time in g_time (see timeKey()),
+ * then by hash, so the hash algorithm prefix does not affect the order. A
+ * cursor records the position of the first or last card on a page, so the
+ * next request starts right after it instead of skipping an OFFSET. Pages stay stable when cards
+ * are inserted or deleted between requests, and the database can seek
+ * straight to the position using an index.
+ *
+ * Cursors are opaque to callers: take them from Page.next_cursor and
+ * Page.prev_cursor and pass them back as `{ cursor }`.
+ */
+
+const DIRECTIONS = ['after', 'before'];
+
+/**
+ * Time part of a g_time string (`<timestamp>|<region>`), which orders
+ * cards by time regardless of their hash algorithm
+ * @param {string} g_time - g_time of a card
+ * @returns {string} Sortable time key
+ */
+export function timeKey(g_time) {
+  const value = String(g_time || '');
+  return value.slice(value.indexOf('|') + 1);
+}
+
+/**
+ * Encode a cursor pointing after or before a card
+ * @param {'after'|'before'} direction - 'after' pages forward (older cards), 'before' backward
+ * @param {Object} card - Card with g_time and hash
+ * @returns {string} Cursor token
+ */
+export function encodePageCursor(direction, card) {
+  return encodeBase64Url(JSON.stringify({ d: direction, g: card.g_time, h: card.hash }));
+}
+
+/**
+ * Decode a cursor token
+ * @param {string} token - Token from Page.next_cursor or Page.prev_cursor
+ * @returns {{direction: string, g_time: string, hash: string}} Position
+ */
+export function decodePageCursor(token) {
+  let position;
+  try {
+    position = JSON.parse(decodeBase64Url(String(token)));
+  } catch {
+    throw new Error('Invalid cursor');
+  }
+  if (!position || !DIRECTIONS.includes(position.d) ||
+      typeof position.g !== 'string' || typeof position.h !== 'string') {
+    throw new Error('Invalid cursor');
+  }
+  return { direction: position.d, g_time: position.g, hash: position.h };
+}
+
+/**
+ * Compare two cards in listing order: time descending, then hash descending
+ * @param {Object} a - Card or row with g_time and hash
+ * @param {Object} b - Card or row with g_time and hash
+ * @returns {number} Negative when a is listed before b
+ */
+export function compareListingOrder(a, b) {
+  const timeA = timeKey(a.g_time);
+  const timeB = timeKey(b.g_time);
+  if (timeA !== timeB) {
+    return timeA < timeB ? 1 : -1;
+  }
+  if (a.hash !== b.hash) {
+    return a.hash < b.hash ? 1 : -1;
+  }
+  return 0;
+}
+
+/**
+ * Cursors for a page of results
+ * @param {Array<Object>} items - Cards on the page, in listing order
+ * @param {boolean} has_next - Whether more cards follow
+ * @param {boolean} has_previous - Whether cards precede the page
+ * @returns {{next_cursor: string|null, prev_cursor: string|null}} Cursors
+ */
+export function pageCursors(items, has_next, has_previous) {
+  if (items.length === 0) {
+    return { next_cursor: null, prev_cursor: null };
+  }
+  return {
+    next_cursor: has_next ? encodePageCursor('after', items[items.length - 1]) : null,
+    prev_cursor: has_previous ? encodePageCursor('before', items[0]) : null
+  };
+}
+
+/**
+ * Slice the page a cursor points to out of rows sorted in listing order,
+ * for engines that hold or scan all their rows
+ * @param {Array<Object>} rows - Rows sorted with compareListingOrder
+ * @param {string} token - Cursor token
+ * @param {number} pageSize - Number of items per page
+ * @returns {{rows: Array<Object>, has_next: boolean, has_previous: boolean}} Page rows and flags
+ */
+export function sliceByCursor(rows, token, pageSize) {
+  const position = decodePageCursor(token);
+  // Index of the first row listed after the cursor position
+  let boundary = rows.findIndex(row => compareListingOrder(row, position) > 0);
+  if (boundary === -1) {
+    boundary = rows.length;
+  }
+
+  if (position.direction === 'after') {
+    return {
+      rows: rows.slice(boundary, boundary + pageSize),
+      has_next: boundary + pageSize < rows.length,
+      has_previous: boundary > 0
+    };
+  }
+
+  // Rows strictly before the position end where the position would be
+  const end = rows.findIndex(row => compareListingOrder(row, position) >= 0);
+  const stop = end === -1 ? rows.length : end;
+  const start = Math.max(0, stop - pageSize);
+  return {
+    rows: rows.slice(start, stop),
+    has_next: stop < rows.length,
+    has_previous: start > 0
+  };
+}
+
+// Bytes per String.fromCharCode call, well below engines' argument limits
+const BASE64_CHUNK = 0x8000;
+
+/**
+ * Standard base64 encoding of bytes
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 with padding
+ */
+export function encodeBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += BASE64_CHUNK) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + BASE64_CHUNK));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode standard base64 (or base64url) to bytes
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} Decoded bytes
+ */
+export function decodeBase64(text) {
+  const binary = atob(String(text).replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Base64url encoding of UTF-8 text, for opaque tokens
+ * @param {string} text - Text to encode
+ * @returns {string} Base64url without padding
+ */
+export function encodeBase64Url(text) {
+  return encodeBase64(new TextEncoder().encode(text))
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode base64url produced by encodeBase64Url
+ * @param {string} token - Base64url text
+ * @returns {string} Decoded text
+ */
+export function decodeBase64Url(token) {
+  return new TextDecoder().decode(decodeBase64(token));
+}
+
+export default {
+  timeKey,
+  encodePageCursor,
+  decodePageCursor,
+  compareListingOrder,
+  pageCursors,
+  sliceByCursor,
+  encodeBase64,
+  decodeBase64,
+  encodeBase64Url,
+  decodeBase64Url
+};
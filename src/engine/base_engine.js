@@ -0,0 +1,160 @@
+/**
+ * Storage engine contract for CardCollection
+ *
+ * A CardCollection delegates all persistence to an engine. Any object that
+ * implements the methods listed in ENGINE_METHODS can be used as an engine;
+ * extending StorageEngine is optional but documents intent and gives a clear
+ * error for methods that have not been implemented.
+ *
+ * Engines may be synchronous (SQLiteEngine, MemoryEngine) or return promises.
+ */
+
+/**
+ * Methods every storage engine must provide
+ */
+export const ENGINE_METHODS = Object.freeze([
+  'add',
+  'get',
+  'delete',
+  'get_page',
+  'search_by_string',
+  'search_by_content',
+  'update',
+  'clear',
+  'count',
+  'get_all'
+]);
+
+class StorageEngine {
+  /**
+   * Add a card to the store. Adding a hash that already exists is a no-op.
+   * @param {MCard} card - Card to add
+   * @returns {string} Hash of the stored card
+   */
+  add(card) {
+    this._notImplemented('add');
+  }
+
+  /**
+   * Retrieve a card by its hash
+   * @param {string} hash - Hash of the card to retrieve
+   * @param {Object} [options] - `{ raw: true }` asks engines that decode text
+   *   and JSON content (SQLiteEngine) for the content as stored
+   * @returns {Object|null} Card record ({ hash, content, g_time, contentType }) or null
+   */
+  get(hash, options) {
+    this._notImplemented('get');
+  }
+
+  /**
+   * Delete a card by its hash
+   * @param {string} hash - Hash of the card to delete
+   * @returns {boolean} Whether a card was deleted
+   */
+  delete(hash) {
+    this._notImplemented('delete');
+  }
+
+  /**
+   * Get a page of cards, newest first by the time in g_time, then hash
+   * @param {number} page_number - Page number to retrieve (1-based)
+   * @param {number} page_size - Number of items per page
+   * @param {Object} [options] - `{ cursor }` from Page.next_cursor or prev_cursor; page_number is ignored when set
+   * @returns {Page} Page of cards
+   */
+  get_page(page_number, page_size, options) {
+    this._notImplemented('get_page');
+  }
+
+  /**
+   * Search cards whose content, hash or g_time contains a string
+   * @param {string} search_string - String to search for
+   * @param {number} page_number - Page number to retrieve (1-based)
+   * @param {number} page_size - Number of items per page
+   * @param {Object} [options] - `{ cursor }` from Page.next_cursor or prev_cursor; page_number is ignored when set
+   * @returns {Page} Page of matching cards
+   */
+  search_by_string(search_string, page_number, page_size, options) {
+    this._notImplemented('search_by_string');
+  }
+
+  /**
+   * Search cards whose content contains a string
+   * @param {string} search_string - String to search for
+   * @param {number} page_number - Page number to retrieve (1-based)
+   * @param {number} page_size - Number of items per page
+   * @param {Object} [options] - `{ cursor }` from Page.next_cursor or prev_cursor; page_number is ignored when set
+   * @returns {Page} Page of matching cards
+   */
+  search_by_content(search_string, page_number, page_size, options) {
+    this._notImplemented('search_by_content');
+  }
+
+  /**
+   * Replace the content stored under a hash. The hash then no longer matches
+   * the content; CardCollection.update only calls this with `{ unsafeInPlace: true }`
+   * @param {string} hash - Hash of the card to update
+   * @param {any} newContent - New content for the card
+   * @returns {boolean} Whether the update was successful
+   */
+  update(hash, newContent) {
+    this._notImplemented('update');
+  }
+
+  /**
+   * Remove every card from the store
+   */
+  clear() {
+    this._notImplemented('clear');
+  }
+
+  /**
+   * Count the total number of cards
+   * @returns {number} Total number of cards
+   */
+  count() {
+    this._notImplemented('count');
+  }
+
+  /**
+   * Get all cards, paginated like get_page
+   * @param {number} page_number - Page number to retrieve (1-based)
+   * @param {number} page_size - Number of items per page
+   * @param {Object} [options] - `{ cursor }` from Page.next_cursor or prev_cursor; page_number is ignored when set
+   * @returns {Page} Page of cards
+   */
+  get_all(page_number, page_size, options) {
+    this._notImplemented('get_all');
+  }
+
+  /**
+   * @private
+   */
+  _notImplemented(method) {
+    throw new Error(`${this.constructor.name}.${method} is not implemented`);
+  }
+}
+
+/**
+ * List the contract methods an object is missing
+ * @param {Object} engine - Candidate engine
+ * @returns {string[]} Names of missing methods (empty when the engine conforms)
+ */
+function missingEngineMethods(engine) {
+  if (!engine) {
+    return [...ENGINE_METHODS];
+  }
+  return ENGINE_METHODS.filter(method => typeof engine[method] !== 'function');
+}
+
+/**
+ * Check whether an object implements the storage engine contract
+ * @param {Object} engine - Candidate engine
+ * @returns {boolean} Whether every contract method is present
+ */
+function isStorageEngine(engine) {
+  return missingEngineMethods(engine).length === 0;
+}
+
+export { StorageEngine, missingEngineMethods, isStorageEngine };
+export default StorageEngine;
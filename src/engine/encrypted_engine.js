@@ -0,0 +1,363 @@
+import { MCardFromData } from '../core/mcard.js';
+import { Page } from '../core/card-collection.js';
+import { DEFAULT_PAGE_SIZE } from '../config/config_constants.js';
+import ContentTypeInterpreter from '../utils/content_type_detector.js';
+import { SafeBuffer } from '../utils/bufferPolyfill.js';
+import { StorageEngine } from './base_engine.js';
+import { MemoryEngine } from './memory_engine.js';
+import { normalizeEventFilter, runEventQuery } from '../core/card-events.js';
+import { normalizeKeyProvider, resolveKey, parseEnvelope, seal, open, keyedHash } from '../utils/encryption.js';
+
+// Rows read per page when scanning the inner engine
+const SCAN_PAGE_SIZE = 100;
+
+/**
+ * Storage engine that encrypts card content at rest.
+ *
+ * Wraps another engine and stores every card's content in it as an AES-GCM
+ * envelope (see utils/encryption.js), with keys from a caller-supplied key
+ * provider. Cards keep the hash of their plaintext, so addresses do not
+ * change. With `hashKey`, rows are stored under an HMAC of the hash instead,
+ * so the inner store does not reveal which content it holds; g_time stays
+ * in the clear for ordering.
+ *
+ * Every method returns a promise; use it with AsyncCardCollection. The
+ * inner engine only sees ciphertext, so content search is off unless
+ * `searchIndex` is set, which keeps decrypted cards in a MemoryEngine built
+ * on first use.
+ */
+class EncryptedEngine extends StorageEngine {
+  /**
+   * Create an encrypting wrapper
+   * @param {StorageEngine} inner - Engine that stores the envelopes
+   * @param {Object} options
+   * @param {Object} options.keys - Key provider: { currentKeyId(), getKey(keyId) }
+   *   returning raw AES keys of 16, 24 or 32 bytes
+   * @param {Uint8Array} [options.hashKey] - HMAC key for storing rows under keyed
+   *   hashes; it cannot be changed once cards are stored
+   * @param {boolean} [options.searchIndex=false] - Answer search_by_string,
+   *   search_by_content and query from decrypted cards held in memory
+   */
+  constructor(inner, { keys, hashKey = null, searchIndex = false } = {}) {
+    super();
+    if (!inner) {
+      throw new Error('EncryptedEngine needs an engine to store envelopes in');
+    }
+    if (hashKey !== null && (!(hashKey instanceof Uint8Array) || hashKey.length < 16)) {
+      throw new Error('hashKey must be at least 16 bytes');
+    }
+    this.inner = inner;
+    this.keys = normalizeKeyProvider(keys);
+    this.hashKey = hashKey;
+    this.searchIndex = searchIndex;
+    // Resolves to the decrypted MemoryEngine once a search has needed it
+    this._index = null;
+  }
+
+  /**
+   * Encrypt a card under the current key and store it
+   * @param {MCard} card - Card to add
+   * @returns {Promise<string>} Hash of the card
+   */
+  async add(card) {
+    const hash = String(card.hash);
+    const storedHash = await this._storedHash(hash);
+    const envelope = await this._seal(hash, card.content, storedHash);
+    await this.inner.add(new MCardFromData(envelope, storedHash, card.g_time));
+    await this._updateIndex(index => index.add(card));
+    return hash;
+  }
+
+  /**
+   * Retrieve and decrypt a card
+   * @param {string} hash - Hash of the card
+   * @returns {Promise<Object|null>} Card record or null
+   */
+  async get(hash) {
+    const stored = await this.inner.get(await this._storedHash(String(hash)), { raw: true });
+    if (!stored) {
+      return null;
+    }
+    const card = await this._open(stored);
+    const contentType = ContentTypeInterpreter.detectContentType(card.content);
+    contentType.isBlob = true;
+    return { hash: card.hash, content: card.content, g_time: card.g_time, contentType };
+  }
+
+  /**
+   * Delete a card by its hash
+   * @param {string} hash - Hash of the card
+   * @returns {Promise<boolean>} Whether a card was deleted
+   */
+  async delete(hash) {
+    const deleted = await this.inner.delete(await this._storedHash(String(hash)));
+    await this._updateIndex(index => index.delete(String(hash)));
+    return deleted;
+  }
+
+  /**
+   * Get a page of decrypted cards, in the inner engine's order
+   * @param {number} page_number - Page number to retrieve
+   * @param {number} page_size - Number of items per page
+   * @param {Object} [options] - `{ cursor }`, passed to the inner engine
+   * @returns {Promise<Page>} Page of cards
+   */
+  async get_page(page_number = 1, page_size = DEFAULT_PAGE_SIZE, options = {}) {
+    return this._openPage(await this.inner.get_page(page_number, page_size, options));
+  }
+
+  /**
+   * @param {number} page_number - Page number to retrieve
+   * @param {number} page_size - Number of items per page
+   * @param {Object} [options] - `{ cursor }`, passed to the inner engine
+   * @returns {Promise<Page>} Page of all cards
+   */
+  async get_all(page_number = 1, page_size = DEFAULT_PAGE_SIZE, options = {}) {
+    return this._openPage(await this.inner.get_all(page_number, page_size, options));
+  }
+
+  /**
+   * Search decrypted content, hashes and g_time; needs `searchIndex`
+   * @param {string} searchString - String to search for
+   * @param {number} pageNumber - Page number to retrieve
+   * @param {number} pageSize - Number of items per page
+   * @param {Object} [options] - `{ cursor }`
+   * @returns {Promise<Page>} Page of matching cards
+   */
+  async search_by_string(searchString, pageNumber = 1, pageSize = DEFAULT_PAGE_SIZE, options = {}) {
+    const index = await this._searchIndex('search_by_string');
+    return index.search_by_string(searchString, pageNumber, pageSize, options);
+  }
+
+  /**
+   * Search decrypted content; needs `searchIndex`
+   * @param {string} searchString - String to search for
+   * @param {number} pageNumber - Page number to retrieve
+   * @param {number} pageSize - Number of items per page
+   * @param {Object} [options] - `{ cursor }`
+   * @returns {Promise<Page>} Page of matching cards
+   */
+  async search_by_content(searchString, pageNumber = 1, pageSize = DEFAULT_PAGE_SIZE, options = {}) {
+    const index = await this._searchIndex('search_by_content');
+    return index.search_by_content(searchString, pageNumber, pageSize, options);
+  }
+
+  /**
+   * Find cards by metadata of their decrypted content; needs `searchIndex`
+   * @param {Object} [spec] - Query (see card-query.js)
+   * @returns {Promise<Page>} Page of matching cards
+   */
+  async query(spec = {}) {
+    const index = await this._searchIndex('query');
+    return index.query(spec);
+  }
+
+  /**
+   * Replace a card's content, encrypted under the current key
+   * @param {string} hash - Hash of the card to update
+   * @param {any} newContent - New content for the card
+   * @returns {Promise<boolean>} Whether the update was successful
+   */
+  async update(hash, newContent) {
+    const storedHash = await this._storedHash(String(hash));
+    const stored = await this.inner.get(storedHash, { raw: true });
+    if (!stored) {
+      return false;
+    }
+    const card = await this._open(stored);
+    const content = this._toBuffer(newContent);
+    const updated = await this.inner.update(storedHash, await this._seal(card.hash, content, storedHash));
+    if (updated) {
+      await this._updateIndex(index => index.update(card.hash, content));
+    }
+    return updated;
+  }
+
+  async clear() {
+    await this.inner.clear();
+    await this._updateIndex(index => index.clear());
+  }
+
+  /**
+   * Count the total number of cards
+   * @returns {Promise<number>} Total number of cards
+   */
+  async count() {
+    return this.inner.count();
+  }
+
+  /**
+   * Read the event log by decrypting every card, oldest first
+   * @param {Object} [spec] - Event filter (see card-events.js)
+   * @returns {Promise<Array<Object>>} Events with the hash of their event card
+   */
+  async events(spec = {}) {
+    const filter = normalizeEventFilter(spec);
+    const records = [];
+    for await (const record of this._openRows()) {
+      records.push(record);
+    }
+    return runEventQuery(records, filter);
+  }
+
+  /**
+   * Every card, decrypted (see core/card-verify.js). A card that does not
+   * decrypt is yielded with `content: null` and the error, under the hash it
+   * is stored under, so verification reports it as corrupt.
+   * @returns {AsyncGenerator<Object>} { hash, g_time, content } per card
+   */
+  async *iterate_records() {
+    for await (const stored of this._storedRows()) {
+      try {
+        const { hash, g_time, content } = await this._open(stored);
+        yield { hash, g_time, content };
+      } catch (error) {
+        yield { hash: stored.hash, g_time: stored.g_time, content: null, error };
+      }
+    }
+  }
+
+  /**
+   * Re-encrypt every card that is not under the provider's current key.
+   * Call after making a new key current; the old key can be dropped from
+   * the provider once this returns.
+   * @returns {Promise<Object>} { checked, rotated }
+   */
+  async rotate_keys() {
+    const keyId = await this.keys.currentKeyId();
+    let checked = 0;
+    let rotated = 0;
+    for await (const stored of this._storedRows()) {
+      checked++;
+      const envelope = parseEnvelope(stored.content);
+      if (envelope && envelope.keyId === keyId) {
+        continue;
+      }
+      const card = await this._open(stored);
+      await this.inner.update(stored.hash, await this._seal(card.hash, card.content, stored.hash));
+      rotated++;
+    }
+    return { checked, rotated };
+  }
+
+  /**
+   * Hash a card is stored under in the inner engine
+   * @private
+   */
+  async _storedHash(hash) {
+    return this.hashKey ? keyedHash(this.hashKey, hash) : hash;
+  }
+
+  /**
+   * @private
+   */
+  async _seal(hash, content, storedHash) {
+    const keyId = await this.keys.currentKeyId();
+    const key = await resolveKey(this.keys, keyId);
+    return SafeBuffer.from(await seal({ hash, content }, { key, keyId, storedHash }));
+  }
+
+  /**
+   * Decrypt a stored card
+   * @private
+   */
+  async _open(stored) {
+    const { keyId, hash, content } = await open(stored.content, this.keys, stored.hash);
+    return { keyId, hash, g_time: stored.g_time, content: SafeBuffer.from(content) };
+  }
+
+  /**
+   * @private
+   */
+  async _openPage(page) {
+    const items = [];
+    for (const stored of page.items) {
+      const card = await this._open(stored);
+      items.push(new MCardFromData(card.content, card.hash, card.g_time));
+    }
+    return new Page({ ...page, items });
+  }
+
+  /**
+   * Every stored row, page by page
+   * @private
+   */
+  async *_storedRows() {
+    for (let page_number = 1; ; page_number++) {
+      const page = await this.inner.get_all(page_number, SCAN_PAGE_SIZE);
+      yield* page.items;
+      if (!page.has_next) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Every card, decrypted; a card that does not decrypt ends the scan
+   * @private
+   */
+  async *_openRows() {
+    for await (const stored of this._storedRows()) {
+      yield await this._open(stored);
+    }
+  }
+
+  /**
+   * The decrypted index, built from the inner engine on first use
+   * @private
+   */
+  _searchIndex(method) {
+    if (!this.searchIndex) {
+      return Promise.reject(new Error(
+        `${method} is not available on encrypted content. Create the EncryptedEngine with { searchIndex: true } to search decrypted cards in memory`
+      ));
+    }
+    if (!this._index) {
+      this._index = this._buildIndex();
+      // A failed build is retried by the next search
+      this._index.catch(() => {
+        this._index = null;
+      });
+    }
+    return this._index;
+  }
+
+  /**
+   * @private
+   */
+  async _buildIndex() {
+    const index = new MemoryEngine();
+    for await (const { hash, g_time, content } of this._openRows()) {
+      index.add(new MCardFromData(content, hash, g_time));
+    }
+    return index;
+  }
+
+  /**
+   * Apply a write to the decrypted index, if one has been built. Waiting for
+   * a build in progress keeps writes made during it.
+   * @private
+   */
+  async _updateIndex(write) {
+    const index = this._index && await this._index.catch(() => null);
+    if (index) {
+      write(index);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _toBuffer(content) {
+    if (content instanceof Uint8Array) {
+      return SafeBuffer.from(content);
+    }
+    if (typeof content === 'object' && content !== null) {
+      return SafeBuffer.from(JSON.stringify(content), 'utf-8');
+    }
+    return SafeBuffer.from(String(content), 'utf-8');
+  }
+}
+
+export { EncryptedEngine };
+export default EncryptedEngine;
@@ -0,0 +1,819 @@
+import { MCardFromData } from '../core/mcard.js';
+import { Page } from '../core/card-collection.js';
+import { DEFAULT_PAGE_SIZE, CARDS_STORE_PATH, HashAlgorithm } from '../config/config_constants.js';
+import ContentTypeInterpreter from '../utils/content_type_detector.js';
+import { SafeBuffer } from '../utils/bufferPolyfill.js';
+import { StorageEngine } from './base_engine.js';
+import { normalizeQuery, runQuery, toQueryPage } from '../core/card-query.js';
+import { compareListingOrder, sliceByCursor, pageCursors } from '../core/page-cursor.js';
+import { normalizeEventFilter, runEventQuery } from '../core/card-events.js';
+import { GTime } from '../core/g_time.js';
+import { cardMetadata } from '../models/card_metadata.js';
+import { createHash } from '../utils/cryptoPolyfill.js';
+import path from 'path';
+import fs from 'fs';
+
+const INDEX_FILE = 'index.json';
+const INDEX_VERSION = 1;
+// Index changes since index.json was written, one JSON object per line
+const INDEX_LOG_FILE = 'index.log';
+// The log is folded into index.json once it holds more entries than this
+// and than the index itself, so writes stay O(1) amortized
+const INDEX_LOG_COMPACT_MIN = 1000;
+// Held while a process folds the log into index.json
+const INDEX_LOCK_FILE = 'index.lock';
+// A lock older than this was left by a process that died while compacting
+const INDEX_LOCK_STALE_MS = 60 * 1000;
+const SIDECAR_SUFFIX = '.json';
+const HASH_PREFIX_LENGTH = 2;
+const QUARANTINE_DIR = 'quarantine';
+const INCOMING_DIR = 'incoming';
+const COMPARE_CHUNK_SIZE = 64 * 1024;
+// Bytes read_range() looks at to detect the content type
+const SNIFF_LENGTH = 4096;
+
+// Hashes become file names, so only accept characters that cannot escape the store
+const SAFE_HASH = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Content-addressed storage engine that lays cards out on disk, similar to
+ * git's object store:
+ *
+ *   <root>/index.json                      hash -> { g_time, algorithm }
+ *   <root>/index.log                       index changes since index.json was written
+ *   <root>/index.lock                      held while the log is folded into index.json
+ *   <root>/<algo>/<hash-prefix>/<hash>      raw content blob
+ *   <root>/<algo>/<hash-prefix>/<hash>.json sidecar with hash, g_time, algorithm
+ *   <root>/quarantine/<hash>[.json]         cards set aside by quarantine()
+ *   <root>/incoming/                        partial blobs written by add_stream()
+ *
+ * Blobs and sidecars are the source of truth; the index only serves
+ * get_page/count and is rebuilt from the sidecars when it is missing.
+ * Writes append a line to index.log instead of rewriting index.json, so
+ * bulk imports do not rewrite the whole index per card.
+ */
+class FileSystemEngine extends StorageEngine {
+  /**
+   * Create a new filesystem storage engine
+   * @param {string} [rootDir] - Directory holding the store
+   * Prioritizes the provided path, then environment variable, then default config
+   */
+  constructor(rootDir = null) {
+    super();
+    this.rootDir = path.resolve(rootDir || process.env.MCARD_STORE_PATH || CARDS_STORE_PATH);
+    this.indexPath = path.join(this.rootDir, INDEX_FILE);
+    this.indexLogPath = path.join(this.rootDir, INDEX_LOG_FILE);
+    this.indexLockPath = path.join(this.rootDir, INDEX_LOCK_FILE);
+    this._indexLogEntries = 0;
+
+    if (!fs.existsSync(this.rootDir)) {
+      fs.mkdirSync(this.rootDir, { recursive: true });
+    }
+
+    this.index = this._loadIndex();
+  }
+
+  /**
+   * Add a card to the store
+   * @param {MCard} card - Card to add
+   * @returns {string} Hash of the added card
+   */
+  add(card) {
+    const hash = this._checkHash(card.hash);
+    if (this.index.has(hash)) {
+      return hash;
+    }
+
+    const algorithm = this._algorithmOf(card);
+    const blobPath = this._blobPath(algorithm, hash);
+    fs.mkdirSync(path.dirname(blobPath), { recursive: true });
+
+    this._writeAtomic(blobPath, this._toBuffer(card.content));
+    this._indexBlob(hash, card.g_time, algorithm);
+    return hash;
+  }
+
+  /**
+   * Add content from a readable stream without holding it in memory. Chunks
+   * are hashed and written to <root>/incoming as they arrive, and the file
+   * is moved into place once its hash is known.
+   * @param {AsyncIterable} readable - Node readable stream or any async iterable of chunks
+   * @param {Object} [options]
+   * @param {string} [options.algorithm] - Hash algorithm to use
+   * @returns {Promise<Object>} { hash, g_time, byte_size, status }. status is 'added',
+   *   'duplicate' when the same content is already stored (g_time is then the stored
+   *   card's), or 'collision' when different content has the hash; a collision is not
+   *   stored and also returns its `content`
+   */
+  async add_stream(readable, { algorithm = HashAlgorithm.DEFAULT } = {}) {
+    const hashAlgorithm = HashAlgorithm(algorithm);
+    const incomingDir = path.join(this.rootDir, INCOMING_DIR);
+    fs.mkdirSync(incomingDir, { recursive: true });
+    const tmpPath = path.join(incomingDir, `${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+
+    try {
+      const hasher = createHash(hashAlgorithm);
+      let byte_size = 0;
+      const handle = await fs.promises.open(tmpPath, 'w');
+      try {
+        for await (const chunk of readable) {
+          const bytes = this._toBuffer(chunk);
+          hasher.update(bytes);
+          await handle.write(bytes);
+          byte_size += bytes.length;
+        }
+      } finally {
+        await handle.close();
+      }
+      if (byte_size === 0) {
+        throw new Error('Content cannot be empty');
+      }
+
+      const hash = this._checkHash(await hasher.digest('hex'));
+      const existing = this.index.get(hash);
+      if (existing) {
+        if (this._sameFile(tmpPath, this._blobPath(existing.algorithm, hash))) {
+          return { hash, g_time: existing.g_time, byte_size, status: 'duplicate' };
+        }
+        const content = SafeBuffer.from(fs.readFileSync(tmpPath));
+        return { hash, g_time: GTime.stamp_now(hashAlgorithm), byte_size, status: 'collision', content };
+      }
+
+      const g_time = GTime.stamp_now(hashAlgorithm);
+      const blobPath = this._blobPath(hashAlgorithm, hash);
+      fs.mkdirSync(path.dirname(blobPath), { recursive: true });
+      fs.renameSync(tmpPath, blobPath);
+      this._indexBlob(hash, g_time, hashAlgorithm);
+      return { hash, g_time, byte_size, status: 'added' };
+    } finally {
+      fs.rmSync(tmpPath, { force: true });
+    }
+  }
+
+  /**
+   * Retrieve a card by its hash
+   * @param {string} hash - Hash of the card to retrieve
+   * @returns {Object|null} Retrieved card or null
+   */
+  get(hash) {
+    const entry = this.index.get(String(hash));
+    if (!entry) {
+      return null;
+    }
+
+    const content = this._readBlob(String(hash), entry);
+    const contentType = ContentTypeInterpreter.detectContentType(content);
+    contentType.isBlob = true;
+
+    return {
+      hash: String(hash),
+      content,
+      g_time: entry.g_time,
+      contentType
+    };
+  }
+
+  /**
+   * Read part of a card's content from its blob, without reading the rest
+   * @param {string} hash - Hash of the card
+   * @param {number} start - First byte
+   * @param {number} end - One past the last byte; may be past the end of the content
+   * @returns {Object|null} { hash, g_time, content_type, byte_size, content }, or null
+   *   if there is no such card. content_type is sniffed from the first
+   *   SNIFF_LENGTH bytes.
+   */
+  read_range(hash, start, end) {
+    const entry = this.index.get(String(hash));
+    if (!entry) {
+      return null;
+    }
+
+    const fd = fs.openSync(this._blobPath(entry.algorithm, String(hash)), 'r');
+    try {
+      const byte_size = fs.fstatSync(fd).size;
+      const readAt = (position, length) => {
+        const bytes = SafeBuffer.alloc(Math.max(length, 0));
+        return bytes.subarray(0, fs.readSync(fd, bytes, 0, bytes.length, position));
+      };
+      const content = readAt(start, Math.min(end, byte_size) - start);
+      const head = start === 0 && content.length >= Math.min(SNIFF_LENGTH, byte_size)
+        ? content.subarray(0, SNIFF_LENGTH)
+        : readAt(0, Math.min(SNIFF_LENGTH, byte_size));
+      const { content_type } = cardMetadata({ content: head, g_time: entry.g_time });
+      return { hash: String(hash), g_time: entry.g_time, content_type, byte_size, content };
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Delete a card by its hash
+   * @param {string} hash - Hash of the card to delete
+   * @returns {boolean} Whether deletion was successful
+   */
+  delete(hash) {
+    const entry = this.index.get(String(hash));
+    if (!entry) {
+      return false;
+    }
+
+    const blobPath = this._blobPath(entry.algorithm, String(hash));
+    fs.rmSync(blobPath, { force: true });
+    fs.rmSync(blobPath + SIDECAR_SUFFIX, { force: true });
+
+    this._unindex(String(hash));
+    return true;
+  }
+
+  /**
+   * Get a page of cards
+   * @param {number} page_number - Page number to retrieve
+   * @param {number} page_size - Number of items per page
+   * @param {Object} [options]
+   * @param {string} [options.cursor] - Page cursor; page_number is ignored when set
+   * @returns {Page} Page of cards
+   */
+  get_page(page_number = 1, page_size = DEFAULT_PAGE_SIZE, { cursor } = {}) {
+    if ((!cursor && page_number < 1) || page_size < 1) {
+      throw new Error('Page number and size must be >= 1');
+    }
+    return this._paginate(this._sortedEntries(), page_number, page_size, cursor);
+  }
+
+  /**
+   * Search cards by content, hash or g_time
+   * @param {string} searchString - String to search for
+   * @param {number} pageNumber - Page number to retrieve
+   * @param {number} pageSize - Number of items per page
+   * @param {Object} [options]
+   * @param {string} [options.cursor] - Page cursor; pageNumber is ignored when set
+   * @returns {Page} Page of matching cards
+   */
+  search_by_string(searchString, pageNumber = 1, pageSize = DEFAULT_PAGE_SIZE, { cursor } = {}) {
+    this._validatePaging(pageNumber, pageSize, cursor);
+    const needle = String(searchString).toLowerCase();
+    const entries = this._sortedEntries().filter(entry =>
+      entry.hash.toLowerCase().includes(needle) ||
+      entry.g_time.toLowerCase().includes(needle) ||
+      this._contentText(entry).includes(needle)
+    );
+    return this._paginate(entries, pageNumber, pageSize, cursor);
+  }
+
+  /**
+   * Search cards by content
+   * @param {string} searchString - String to search for
+   * @param {number} pageNumber - Page number to retrieve
+   * @param {number} pageSize - Number of items per page
+   * @param {Object} [options]
+   * @param {string} [options.cursor] - Page cursor; pageNumber is ignored when set
+   * @returns {Page} Page of matching cards
+   */
+  search_by_content(searchString, pageNumber = 1, pageSize = DEFAULT_PAGE_SIZE, { cursor } = {}) {
+    this._validatePaging(pageNumber, pageSize, cursor);
+    const needle = String(searchString).toLowerCase();
+    const entries = this._sortedEntries().filter(entry => this._contentText(entry).includes(needle));
+    return this._paginate(entries, pageNumber, pageSize, cursor);
+  }
+
+  /**
+   * Update a card's content by hash
+   * @param {string} hash - Hash of the card to update
+   * @param {any} newContent - New content for the card
+   * @returns {boolean} Whether the update was successful
+   */
+  update(hash, newContent) {
+    const entry = this.index.get(String(hash));
+    if (!entry) {
+      return false;
+    }
+    this._writeAtomic(this._blobPath(entry.algorithm, String(hash)), this._toBuffer(newContent));
+    return true;
+  }
+
+  clear() {
+    for (const [hash, entry] of this.index) {
+      const blobPath = this._blobPath(entry.algorithm, hash);
+      fs.rmSync(blobPath, { force: true });
+      fs.rmSync(blobPath + SIDECAR_SUFFIX, { force: true });
+    }
+    this.index.clear();
+    this._saveIndex();
+  }
+
+  /**
+   * Count the total number of cards
+   * @returns {number} Total number of cards
+   */
+  count() {
+    return this.index.size;
+  }
+
+  /**
+   * Get all cards
+   * @param {number} page_number - Page number to retrieve
+   * @param {number} page_size - Number of items per page
+   * @param {Object} [options]
+   * @param {string} [options.cursor] - Page cursor; page_number is ignored when set
+   * @returns {Page} Page of all cards
+   */
+  get_all(page_number = 1, page_size = DEFAULT_PAGE_SIZE, { cursor } = {}) {
+    this._validatePaging(page_number, page_size, cursor);
+    return this._paginate(this._sortedEntries(), page_number, page_size, cursor);
+  }
+
+  /**
+   * Find cards by metadata. Content types are detected from the blobs, so
+   * every blob is read.
+   * @param {Object} [spec] - Query (see card-query.js)
+   * @returns {Page} Page of matching cards
+   */
+  query(spec = {}) {
+    const query = normalizeQuery(spec);
+    const records = Array.from(this.index.entries()).map(([hash, entry]) => ({
+      hash,
+      g_time: entry.g_time,
+      content: this._readBlob(hash, entry),
+      hash_algorithm: entry.algorithm
+    }));
+
+    const result = runQuery(records, query);
+    const items = result.records.map(record => new MCardFromData(record.content, record.hash, record.g_time));
+    return toQueryPage(items, result, query);
+  }
+
+  /**
+   * Read the event log by scanning the blobs for event cards, oldest first
+   * @param {Object} [spec] - Event filter (see card-events.js)
+   * @returns {Array<Object>} Events with the hash of their event card
+   */
+  events(spec = {}) {
+    const filter = normalizeEventFilter(spec);
+    const records = Array.from(this.index.entries()).map(([hash, entry]) => ({
+      hash,
+      content: this._readBlob(hash, entry)
+    }));
+    return runEventQuery(records, filter);
+  }
+
+  /**
+   * Every indexed card as stored, newest first. A blob that cannot be read
+   * is yielded with `error` instead of content (see core/card-verify.js).
+   * @returns {Generator<Object>} { hash, g_time, content } per card
+   */
+  *iterate_records() {
+    for (const entry of this._sortedEntries()) {
+      const record = { hash: entry.hash, g_time: entry.g_time, content: null };
+      try {
+        record.content = this._readBlob(entry.hash, entry);
+      } catch (error) {
+        record.error = error;
+      }
+      yield record;
+    }
+  }
+
+  /**
+   * Move a card's blob and sidecar into <root>/quarantine, recording why
+   * @param {string} hash - Hash of the card
+   * @param {string} reason - Why the card was set aside
+   * @returns {boolean} Whether the card was found and moved
+   */
+  quarantine(hash, reason) {
+    const entry = this.index.get(String(hash));
+    if (!entry) {
+      return false;
+    }
+
+    const target = path.join(this.rootDir, QUARANTINE_DIR, this._checkHash(hash));
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    const blobPath = this._blobPath(entry.algorithm, String(hash));
+    if (fs.existsSync(blobPath)) {
+      fs.renameSync(blobPath, target);
+    }
+    fs.rmSync(blobPath + SIDECAR_SUFFIX, { force: true });
+    this._writeAtomic(target + SIDECAR_SUFFIX, JSON.stringify({
+      hash: String(hash),
+      g_time: entry.g_time,
+      algorithm: entry.algorithm,
+      reason: String(reason),
+      quarantined_at: new Date().toISOString()
+    }, null, 2));
+
+    this._unindex(String(hash));
+    return true;
+  }
+
+  /**
+   * Cards set aside by quarantine(), oldest first
+   * @returns {Array<Object>} { hash, g_time, reason, quarantined_at }
+   */
+  list_quarantine() {
+    const dir = path.join(this.rootDir, QUARANTINE_DIR);
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+    return fs.readdirSync(dir)
+      .filter(name => name.endsWith(SIDECAR_SUFFIX))
+      .map(name => JSON.parse(fs.readFileSync(path.join(dir, name), 'utf-8')))
+      .map(({ hash, g_time, reason, quarantined_at }) => ({ hash, g_time, reason, quarantined_at }))
+      .sort((a, b) => (a.quarantined_at < b.quarantined_at ? -1 : a.quarantined_at > b.quarantined_at ? 1 : 0));
+  }
+
+  /**
+   * Rebuild index.json by scanning the sidecar files on disk, e.g. after
+   * copying blobs into the store with rsync
+   * @returns {number} Number of cards indexed
+   */
+  rebuild_index() {
+    this.index = new Map();
+
+    for (const algorithm of this._listDirs(this.rootDir)) {
+      const algorithmDir = path.join(this.rootDir, algorithm);
+      for (const prefix of this._listDirs(algorithmDir)) {
+        const prefixDir = path.join(algorithmDir, prefix);
+        for (const name of fs.readdirSync(prefixDir)) {
+          if (!name.endsWith(SIDECAR_SUFFIX)) {
+            continue;
+          }
+          try {
+            const sidecar = JSON.parse(fs.readFileSync(path.join(prefixDir, name), 'utf-8'));
+            this.index.set(sidecar.hash, {
+              g_time: sidecar.g_time,
+              algorithm: sidecar.algorithm || algorithm
+            });
+          } catch (error) {
+            console.warn(`Skipping unreadable sidecar ${name}: ${error.message}`);
+          }
+        }
+      }
+    }
+
+    this._saveIndex();
+    return this.index.size;
+  }
+
+  /**
+   * Path of the blob holding a card's content
+   * @param {string} algorithm - Hash algorithm of the card
+   * @param {string} hash - Hash of the card
+   * @returns {string} Absolute blob path
+   */
+  blob_path(algorithm, hash) {
+    return this._blobPath(algorithm, this._checkHash(hash));
+  }
+
+  /**
+   * @private
+   */
+  _blobPath(algorithm, hash) {
+    return path.join(this.rootDir, algorithm, hash.slice(0, HASH_PREFIX_LENGTH), hash);
+  }
+
+  /**
+   * @private
+   */
+  _checkHash(hash) {
+    const value = String(hash);
+    if (!SAFE_HASH.test(value)) {
+      throw new Error(`Invalid hash for filesystem storage: ${value}`);
+    }
+    return value;
+  }
+
+  /**
+   * The algorithm directory comes from the g_time prefix (`sha256|...|REGION`)
+   * @private
+   */
+  _algorithmOf(card) {
+    const fromGTime = String(card.g_time || '').split('|')[0].trim().toLowerCase();
+    const algorithm = fromGTime || card.hash_algorithm || HashAlgorithm.DEFAULT;
+    if (!SAFE_HASH.test(algorithm)) {
+      throw new Error(`Invalid hash algorithm for filesystem storage: ${algorithm}`);
+    }
+    return algorithm;
+  }
+
+  /**
+   * Write the sidecar of a stored blob and add it to the index
+   * @private
+   */
+  _indexBlob(hash, g_time, algorithm) {
+    this._writeAtomic(this._blobPath(algorithm, hash) + SIDECAR_SUFFIX, JSON.stringify({
+      hash,
+      g_time,
+      algorithm
+    }, null, 2));
+    this.index.set(hash, { g_time, algorithm });
+    this._logIndexChange({ hash, g_time, algorithm });
+  }
+
+  /**
+   * @private
+   */
+  _unindex(hash) {
+    this.index.delete(hash);
+    this._logIndexChange({ hash, deleted: true });
+  }
+
+  /**
+   * Whether two files hold the same bytes, compared a chunk at a time
+   * @private
+   */
+  _sameFile(pathA, pathB) {
+    if (!fs.existsSync(pathB) || fs.statSync(pathA).size !== fs.statSync(pathB).size) {
+      return false;
+    }
+    const fdA = fs.openSync(pathA, 'r');
+    const fdB = fs.openSync(pathB, 'r');
+    const bufferA = SafeBuffer.alloc(COMPARE_CHUNK_SIZE);
+    const bufferB = SafeBuffer.alloc(COMPARE_CHUNK_SIZE);
+    try {
+      for (;;) {
+        const readA = fs.readSync(fdA, bufferA, 0, COMPARE_CHUNK_SIZE, null);
+        const readB = fs.readSync(fdB, bufferB, 0, COMPARE_CHUNK_SIZE, null);
+        if (readA !== readB || SafeBuffer.compare(bufferA.subarray(0, readA), bufferB.subarray(0, readB)) !== 0) {
+          return false;
+        }
+        if (readA === 0) {
+          return true;
+        }
+      }
+    } finally {
+      fs.closeSync(fdA);
+      fs.closeSync(fdB);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _loadIndex() {
+    if (!fs.existsSync(this.indexPath)) {
+      this.index = new Map();
+      this.rebuild_index();
+      return this.index;
+    }
+
+    const index = this._readIndexFile();
+    this._indexLogEntries = fs.existsSync(this.indexLogPath)
+      ? this._applyIndexLog(index, fs.readFileSync(this.indexLogPath, 'utf-8'))
+      : 0;
+    return index;
+  }
+
+  /**
+   * @private
+   */
+  _readIndexFile() {
+    const data = JSON.parse(fs.readFileSync(this.indexPath, 'utf-8'));
+    return new Map(Object.entries(data.cards || {}));
+  }
+
+  /**
+   * Apply logged index changes. A line cut short by a crash is skipped; its
+   * card is still found by rebuild_index().
+   * @returns {number} Number of changes applied
+   * @private
+   */
+  _applyIndexLog(index, text) {
+    let applied = 0;
+    for (const line of text.split('\n')) {
+      let change;
+      try {
+        change = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (change.deleted) {
+        index.delete(change.hash);
+      } else {
+        index.set(change.hash, { g_time: change.g_time, algorithm: change.algorithm });
+      }
+      applied++;
+    }
+    return applied;
+  }
+
+  /**
+   * Append an index change to index.log, folding the log into index.json
+   * once it has grown past the index
+   * @private
+   */
+  _logIndexChange(change) {
+    fs.appendFileSync(this.indexLogPath, JSON.stringify(change) + '\n');
+    this._indexLogEntries++;
+    if (this._indexLogEntries > Math.max(INDEX_LOG_COMPACT_MIN, this.index.size)) {
+      this._compactIndex();
+    }
+  }
+
+  /**
+   * Fold index.log into index.json. Other processes may be appending to the
+   * log, so it is renamed aside first, which sends their next appends to a
+   * new log, and merged into index.json as it is on disk rather than
+   * replaced by this process's index. Lines that reach the old log after it
+   * is read are carried over to the new one. While another process holds
+   * the lock, compaction is left to a later write.
+   * @private
+   */
+  _compactIndex() {
+    if (!this._lockIndex()) {
+      return;
+    }
+    try {
+      const foldingPath = `${this.indexLogPath}.${process.pid}-${Math.random().toString(36).slice(2)}.folding`;
+      try {
+        fs.renameSync(this.indexLogPath, foldingPath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+      const log = fs.existsSync(foldingPath) ? fs.readFileSync(foldingPath) : SafeBuffer.alloc(0);
+      // Only whole lines; a line still being written is carried over
+      const folded = log.lastIndexOf(0x0a) + 1;
+
+      const index = fs.existsSync(this.indexPath) ? this._readIndexFile() : new Map(this.index);
+      this._applyIndexLog(index, log.subarray(0, folded).toString('utf-8'));
+      this._writeIndexFile(index);
+
+      let carried = 0;
+      if (fs.existsSync(foldingPath)) {
+        const late = fs.readFileSync(foldingPath).subarray(folded);
+        if (late.length > 0) {
+          fs.appendFileSync(this.indexLogPath, late);
+          carried = this._applyIndexLog(index, late.toString('utf-8'));
+        }
+        fs.rmSync(foldingPath, { force: true });
+      }
+      this.index = index;
+      this._indexLogEntries = carried;
+    } finally {
+      fs.rmSync(this.indexLockPath, { force: true });
+    }
+  }
+
+  /**
+   * Take the compaction lock, breaking one left by a dead process
+   * @returns {boolean} Whether the lock was taken
+   * @private
+   */
+  _lockIndex() {
+    try {
+      fs.closeSync(fs.openSync(this.indexLockPath, 'wx'));
+      return true;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+    let lockedAt;
+    try {
+      lockedAt = fs.statSync(this.indexLockPath).mtimeMs;
+    } catch {
+      return false;
+    }
+    if (Date.now() - lockedAt > INDEX_LOCK_STALE_MS) {
+      fs.rmSync(this.indexLockPath, { force: true });
+      return this._lockIndex();
+    }
+    return false;
+  }
+
+  /**
+   * Replace index.json with this process's index and empty the log, for
+   * clear() and rebuild_index(). Replaying a log left by a crash in between
+   * changes nothing, as it is already applied.
+   * @private
+   */
+  _saveIndex() {
+    this._writeIndexFile(this.index);
+    fs.rmSync(this.indexLogPath, { force: true });
+    this._indexLogEntries = 0;
+  }
+
+  /**
+   * @private
+   */
+  _writeIndexFile(index) {
+    this._writeAtomic(this.indexPath, JSON.stringify({
+      version: INDEX_VERSION,
+      cards: Object.fromEntries(index)
+    }));
+  }
+
+  /**
+   * Write to a temporary file and rename it so readers never see partial
+   * data. The temporary name is unique, so concurrent writers of the same
+   * file do not write into each other's temporary file.
+   * @private
+   */
+  _writeAtomic(filePath, data) {
+    const tmpPath = `${filePath}.${process.pid}-${Math.random().toString(36).slice(2)}.tmp`;
+    try {
+      fs.writeFileSync(tmpPath, data);
+      fs.renameSync(tmpPath, filePath);
+    } catch (error) {
+      fs.rmSync(tmpPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _readBlob(hash, entry) {
+    return SafeBuffer.from(fs.readFileSync(this._blobPath(entry.algorithm, hash)));
+  }
+
+  /**
+   * @private
+   */
+  _listDirs(dir) {
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .filter(dirent => dirent.isDirectory())
+      .map(dirent => dirent.name);
+  }
+
+  /**
+   * @private
+   */
+  _validatePaging(pageNumber, pageSize, cursor = null) {
+    if (!cursor && pageNumber < 1) {
+      throw new Error('Page number must be >= 1');
+    }
+    if (pageSize < 1) {
+      throw new Error('Page size must be >= 1');
+    }
+  }
+
+  /**
+   * Index entries with their hash, in listing order (see page-cursor.js)
+   * @private
+   */
+  _sortedEntries() {
+    return Array.from(this.index.entries(), ([hash, entry]) => ({ hash, ...entry }))
+      .sort(compareListingOrder);
+  }
+
+  /**
+   * @private
+   */
+  _paginate(entries, pageNumber, pageSize, cursor = null) {
+    const total = entries.length;
+    let pageEntries;
+    let has_next;
+    let has_previous;
+
+    if (cursor) {
+      ({ rows: pageEntries, has_next, has_previous } = sliceByCursor(entries, cursor, pageSize));
+    } else {
+      const offset = (pageNumber - 1) * pageSize;
+      pageEntries = entries.slice(offset, offset + pageSize);
+      has_next = offset + pageSize < total;
+      has_previous = pageNumber > 1;
+    }
+
+    const items = pageEntries.map(entry =>
+      new MCardFromData(this._readBlob(entry.hash, entry), entry.hash, entry.g_time)
+    );
+
+    return new Page({
+      items,
+      total_items: total,
+      page_number: cursor ? null : pageNumber,
+      page_size: pageSize,
+      has_next,
+      has_previous,
+      total_pages: Math.ceil(total / pageSize),
+      ...pageCursors(items, has_next, has_previous)
+    });
+  }
+
+  /**
+   * @private
+   */
+  _contentText(entry) {
+    return SafeBuffer.toString(this._readBlob(entry.hash, entry)).toLowerCase();
+  }
+
+  /**
+   * @private
+   */
+  _toBuffer(content) {
+    if (SafeBuffer.isBuffer(content) || content instanceof Uint8Array) {
+      return content;
+    }
+    if (typeof content === 'object' && content !== null) {
+      return SafeBuffer.from(JSON.stringify(content), 'utf-8');
+    }
+    return SafeBuffer.from(String(content), 'utf-8');
+  }
+}
+
+export { FileSystemEngine };
+export default FileSystemEngine;
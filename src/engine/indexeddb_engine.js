@@ -0,0 +1,573 @@
+import { MCardFromData } from '../core/mcard.js';
+import { Page } from '../core/card-collection.js';
+import { DEFAULT_PAGE_SIZE } from '../config/config_constants.js';
+import ContentTypeInterpreter from '../utils/content_type_detector.js';
+import { SafeBuffer } from '../utils/bufferPolyfill.js';
+import { StorageEngine } from './base_engine.js';
+import { normalizeQuery, runQuery, toQueryPage } from '../core/card-query.js';
+import { timeKey, decodePageCursor, sliceByCursor, pageCursors } from '../core/page-cursor.js';
+import { normalizeEventFilter, runEventQuery } from '../core/card-events.js';
+import { normalizeCompression, shouldCompress, compress, decompress } from '../utils/compression.js';
+
+const DEFAULT_DB_NAME = 'mcard';
+const DB_VERSION = 3;
+const CARD_STORE = 'card';
+const G_TIME_INDEX = 'g_time';
+// Listing order by raw g_time, then hash; added in version 2 for cursor paging
+const G_TIME_LISTING_INDEX = 'g_time_hash';
+// Listing order by time key (see page-cursor.js), then hash; replaces the
+// index above from version 3, so the hash algorithm does not affect order
+const LISTING_INDEX = 'time_key_hash';
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<any>} Resolves with the request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} transaction - Pending transaction
+ * @returns {Promise<void>} Resolves once the transaction completes
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Browser storage engine backed by IndexedDB.
+ *
+ * Implements the same methods as SQLiteEngine, but every method returns a
+ * promise because IndexedDB is asynchronous. Cards live in a single `card`
+ * object store keyed by hash with a `[time_key, hash]` index for newest-first
+ * paging.
+ */
+class IndexedDBEngine extends StorageEngine {
+  /**
+   * Create a new IndexedDB storage engine
+   * @param {string} [dbName='mcard'] - Name of the IndexedDB database
+   * @param {Object} [options]
+   * @param {IDBFactory} [options.indexedDB] - IDBFactory to use, defaults to the global one
+   * @param {Function} [options.IDBKeyRange] - IDBKeyRange from the same implementation as indexedDB
+   * @param {string|Object} [options.compression] - Compress text content as it is
+   *   added, with CompressionStream or zlib (see utils/compression.js)
+   */
+  constructor(dbName = DEFAULT_DB_NAME, {
+    indexedDB = globalThis.indexedDB,
+    IDBKeyRange = globalThis.IDBKeyRange,
+    compression = null
+  } = {}) {
+    super();
+    if (!indexedDB) {
+      throw new Error('IndexedDB is not available in this environment');
+    }
+    this.dbName = dbName;
+    this.indexedDB = indexedDB;
+    this.IDBKeyRange = IDBKeyRange;
+    this.compression = normalizeCompression(compression);
+    this._dbPromise = null;
+  }
+
+  /**
+   * Open the database, creating the object store on first use
+   * @returns {Promise<IDBDatabase>} Open database
+   */
+  open() {
+    if (!this._dbPromise) {
+      const request = this.indexedDB.open(this.dbName, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        const store = db.objectStoreNames.contains(CARD_STORE)
+          ? request.transaction.objectStore(CARD_STORE)
+          : db.createObjectStore(CARD_STORE, { keyPath: 'hash' });
+        if (!store.indexNames.contains(G_TIME_INDEX)) {
+          store.createIndex(G_TIME_INDEX, 'g_time', { unique: false });
+        }
+        if (store.indexNames.contains(G_TIME_LISTING_INDEX)) {
+          store.deleteIndex(G_TIME_LISTING_INDEX);
+        }
+        if (!store.indexNames.contains(LISTING_INDEX)) {
+          store.createIndex(LISTING_INDEX, ['time_key', 'hash'], { unique: false });
+          this._addTimeKeys(store);
+        }
+      };
+      this._dbPromise = promisifyRequest(request);
+    }
+    return this._dbPromise;
+  }
+
+  /**
+   * Close the database connection
+   */
+  async close() {
+    if (this._dbPromise) {
+      const db = await this._dbPromise;
+      db.close();
+      this._dbPromise = null;
+    }
+  }
+
+  /**
+   * Destructor to ensure database connection is closed
+   */
+  destructor() {
+    return this.close();
+  }
+
+  /**
+   * Add a card to the database
+   * @param {MCard} card - Card to add
+   * @returns {Promise<string>} Hash of the added card
+   */
+  async add(card) {
+    const hash = String(card.hash);
+    // Compress first: awaiting inside the transaction would let it commit
+    const stored = await this._encode(this._toBytes(card.content));
+    const transaction = await this._transaction('readwrite');
+    const store = transaction.objectStore(CARD_STORE);
+
+    const existing = await promisifyRequest(store.getKey(hash));
+    if (existing === undefined) {
+      store.add({ hash, g_time: card.g_time, time_key: timeKey(card.g_time), ...stored });
+    }
+    await transactionDone(transaction);
+    return hash;
+  }
+
+  /**
+   * Retrieve a card by its hash
+   * @param {string} hash - Hash of the card to retrieve
+   * @returns {Promise<Object|null>} Retrieved card or null
+   */
+  async get(hash) {
+    const transaction = await this._transaction('readonly');
+    const stored = await promisifyRequest(transaction.objectStore(CARD_STORE).get(String(hash)));
+    if (!stored) {
+      return null;
+    }
+
+    const record = await this._decode(stored);
+    const content = SafeBuffer.from(record.content);
+    const contentType = ContentTypeInterpreter.detectContentType(content);
+    contentType.isBlob = true;
+
+    return {
+      hash: record.hash,
+      content,
+      g_time: record.g_time,
+      contentType
+    };
+  }
+
+  /**
+   * Delete a card by its hash
+   * @param {string} hash - Hash of the card to delete
+   * @returns {Promise<boolean>} Whether deletion was successful
+   */
+  async delete(hash) {
+    const transaction = await this._transaction('readwrite');
+    const store = transaction.objectStore(CARD_STORE);
+
+    const existing = await promisifyRequest(store.getKey(String(hash)));
+    if (existing !== undefined) {
+      store.delete(String(hash));
+    }
+    await transactionDone(transaction);
+    return existing !== undefined;
+  }
+
+  /**
+   * Get a page of cards
+   * @param {number} page_number - Page number to retrieve
+   * @param {number} page_size - Number of items per page
+   * @param {Object} [options]
+   * @param {string} [options.cursor] - Page cursor; page_number is ignored when set
+   * @returns {Promise<Page>} Page of cards
+   */
+  async get_page(page_number = 1, page_size = DEFAULT_PAGE_SIZE, { cursor } = {}) {
+    if ((!cursor && page_number < 1) || page_size < 1) {
+      throw new Error('Page number and size must be >= 1');
+    }
+
+    const transaction = await this._transaction('readonly');
+    const store = transaction.objectStore(CARD_STORE);
+    const index = store.index(LISTING_INDEX);
+    const total = await promisifyRequest(store.count());
+
+    if (cursor) {
+      return this._seek(index, total, cursor, page_size);
+    }
+
+    const offset = (page_number - 1) * page_size;
+    const records = await this._collect(index, offset, page_size);
+    return this._page(records, total, page_number, page_size);
+  }
+
+  /**
+   * Search cards by content, hash or g_time
+   * @param {string} searchString - String to search for
+   * @param {number} pageNumber - Page number to retrieve
+   * @param {number} pageSize - Number of items per page
+   * @param {Object} [options]
+   * @param {string} [options.cursor] - Page cursor; pageNumber is ignored when set
+   * @returns {Promise<Page>} Page of matching cards
+   */
+  async search_by_string(searchString, pageNumber = 1, pageSize = DEFAULT_PAGE_SIZE, { cursor } = {}) {
+    this._validatePaging(pageNumber, pageSize, cursor);
+    const needle = String(searchString).toLowerCase();
+    return this._search(record =>
+      this._contentText(record).includes(needle) ||
+      record.hash.toLowerCase().includes(needle) ||
+      record.g_time.toLowerCase().includes(needle),
+    pageNumber, pageSize, cursor);
+  }
+
+  /**
+   * Search cards by content
+   * @param {string} searchString - String to search for
+   * @param {number} pageNumber - Page number to retrieve
+   * @param {number} pageSize - Number of items per page
+   * @param {Object} [options]
+   * @param {string} [options.cursor] - Page cursor; pageNumber is ignored when set
+   * @returns {Promise<Page>} Page of matching cards
+   */
+  async search_by_content(searchString, pageNumber = 1, pageSize = DEFAULT_PAGE_SIZE, { cursor } = {}) {
+    this._validatePaging(pageNumber, pageSize, cursor);
+    const needle = String(searchString).toLowerCase();
+    return this._search(record => this._contentText(record).includes(needle), pageNumber, pageSize, cursor);
+  }
+
+  /**
+   * Update a card's content by hash
+   * @param {string} hash - Hash of the card to update
+   * @param {any} newContent - New content for the card
+   * @returns {Promise<boolean>} Whether the update was successful
+   */
+  async update(hash, newContent) {
+    const transaction = await this._transaction('readwrite');
+    const store = transaction.objectStore(CARD_STORE);
+
+    const record = await promisifyRequest(store.get(String(hash)));
+    if (record) {
+      // Updated content is stored raw
+      const { codec, byte_size, ...rest } = record;
+      store.put({ ...rest, content: this._toBytes(newContent) });
+    }
+    await transactionDone(transaction);
+    return Boolean(record);
+  }
+
+  async clear() {
+    const transaction = await this._transaction('readwrite');
+    transaction.objectStore(CARD_STORE).clear();
+    await transactionDone(transaction);
+  }
+
+  /**
+   * Count the total number of cards
+   * @returns {Promise<number>} Total number of cards
+   */
+  async count() {
+    const transaction = await this._transaction('readonly');
+    return promisifyRequest(transaction.objectStore(CARD_STORE).count());
+  }
+
+  /**
+   * Get all cards
+   * @param {number} page_number - Page number to retrieve
+   * @param {number} page_size - Number of items per page
+   * @param {Object} [options]
+   * @param {string} [options.cursor] - Page cursor; page_number is ignored when set
+   * @returns {Promise<Page>} Page of all cards
+   */
+  async get_all(page_number = 1, page_size = DEFAULT_PAGE_SIZE, { cursor } = {}) {
+    this._validatePaging(page_number, page_size, cursor);
+    return this.get_page(page_number, page_size, { cursor });
+  }
+
+  /**
+   * Find cards by metadata. IndexedDB has no query language, so every
+   * record is read and filtered.
+   * @param {Object} [spec] - Query (see card-query.js)
+   * @returns {Promise<Page>} Page of matching cards
+   */
+  async query(spec = {}) {
+    const query = normalizeQuery(spec);
+    const transaction = await this._transaction('readonly');
+    const stored = await promisifyRequest(transaction.objectStore(CARD_STORE).getAll());
+    const records = await Promise.all(stored.map(record => this._decode(record)));
+
+    const result = runQuery(records, query);
+    const items = result.records.map(record =>
+      new MCardFromData(SafeBuffer.from(record.content), record.hash, record.g_time)
+    );
+    return toQueryPage(items, result, query);
+  }
+
+  /**
+   * Read the event log by scanning for event cards, oldest first
+   * @param {Object} [spec] - Event filter (see card-events.js)
+   * @returns {Promise<Array<Object>>} Events with the hash of their event card
+   */
+  async events(spec = {}) {
+    const filter = normalizeEventFilter(spec);
+    const transaction = await this._transaction('readonly');
+    const records = await promisifyRequest(transaction.objectStore(CARD_STORE).getAll());
+    return runEventQuery(records, filter);
+  }
+
+  /**
+   * Every record as stored (see core/card-verify.js). Records are read with
+   * one getAll(), like query() and events().
+   * @returns {AsyncGenerator<Object>} { hash, g_time, content } per record
+   */
+  async *iterate_records() {
+    const transaction = await this._transaction('readonly');
+    const records = await promisifyRequest(transaction.objectStore(CARD_STORE).getAll());
+    for (const record of records) {
+      const { hash, g_time, content } = await this._decode(record);
+      yield { hash, g_time, content: content == null ? null : SafeBuffer.from(content) };
+    }
+  }
+
+  /**
+   * Space used by stored content, and how much compression saves
+   * @returns {Promise<Object>} { cards, compressed, byte_size, stored_size, saved },
+   *   like SQLiteEngine.compression_stats
+   */
+  async compression_stats() {
+    const transaction = await this._transaction('readonly');
+    const records = await promisifyRequest(transaction.objectStore(CARD_STORE).getAll());
+    const stats = { cards: records.length, compressed: 0, byte_size: 0, stored_size: 0 };
+    for (const record of records) {
+      stats.compressed += record.codec ? 1 : 0;
+      stats.byte_size += record.codec ? record.byte_size : record.content.length;
+      stats.stored_size += record.content.length;
+    }
+    return { ...stats, saved: stats.byte_size - stats.stored_size };
+  }
+
+  /**
+   * @private
+   */
+  async _transaction(mode) {
+    const db = await this.open();
+    return db.transaction(CARD_STORE, mode);
+  }
+
+  /**
+   * @private
+   */
+  _validatePaging(pageNumber, pageSize, cursor = null) {
+    if (!cursor && pageNumber < 1) {
+      throw new Error('Page number must be >= 1');
+    }
+    if (pageSize < 1) {
+      throw new Error('Page size must be >= 1');
+    }
+  }
+
+  /**
+   * Walk the listing index (newest first by default), skipping `offset`
+   * records and collecting up to `limit` of them
+   * @private
+   */
+  _collect(index, offset, limit, range = null, direction = 'prev') {
+    return new Promise((resolve, reject) => {
+      const records = [];
+      let skipped = offset === 0;
+      const request = index.openCursor(range, direction);
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || records.length >= limit) {
+          resolve(records);
+          return;
+        }
+        if (!skipped) {
+          skipped = true;
+          cursor.advance(offset);
+          return;
+        }
+        records.push(cursor.value);
+        cursor.continue();
+      };
+    });
+  }
+
+  /**
+   * Seek to a cursor position with a key range on the listing index,
+   * reading one extra record to learn whether the page continues
+   * @private
+   */
+  async _seek(index, total, cursor, pageSize) {
+    const position = decodePageCursor(cursor);
+    const key = [timeKey(position.g_time), position.hash];
+    const { IDBKeyRange } = this;
+
+    let records;
+    let has_next;
+    let has_previous;
+    if (position.direction === 'after') {
+      records = await this._collect(index, 0, pageSize + 1, IDBKeyRange.upperBound(key, true), 'prev');
+      has_next = records.length > pageSize;
+      records = records.slice(0, pageSize);
+      has_previous = await promisifyRequest(index.count(IDBKeyRange.lowerBound(key))) > 0;
+    } else {
+      records = await this._collect(index, 0, pageSize + 1, IDBKeyRange.lowerBound(key, true), 'next');
+      has_previous = records.length > pageSize;
+      records = records.slice(0, pageSize).reverse();
+      has_next = await promisifyRequest(index.count(IDBKeyRange.upperBound(key))) > 0;
+    }
+
+    return this._page(records, total, null, pageSize, { has_next, has_previous });
+  }
+
+  /**
+   * Scan every record newest first and page through the ones that match
+   * @private
+   */
+  async _search(predicate, pageNumber, pageSize, cursor = null) {
+    const transaction = await this._transaction('readonly');
+    const index = transaction.objectStore(CARD_STORE).index(LISTING_INDEX);
+    const offset = (pageNumber - 1) * pageSize;
+
+    // Compressed records are kept and matched once the cursor is done,
+    // since decoding them is asynchronous
+    const candidates = await new Promise((resolve, reject) => {
+      const found = [];
+      const request = index.openCursor(null, 'prev');
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(found);
+          return;
+        }
+        if (cursor.value.codec || predicate(cursor.value)) {
+          found.push(cursor.value);
+        }
+        cursor.continue();
+      };
+    });
+    const matches = [];
+    for (const record of candidates) {
+      const decoded = await this._decode(record);
+      if (!record.codec || predicate(decoded)) {
+        matches.push(decoded);
+      }
+    }
+
+    if (cursor) {
+      const { rows, has_next, has_previous } = sliceByCursor(matches, cursor, pageSize);
+      return this._page(rows, matches.length, null, pageSize, { has_next, has_previous });
+    }
+    return this._page(matches.slice(offset, offset + pageSize), matches.length, pageNumber, pageSize);
+  }
+
+  /**
+   * Give records stored before version 3 the time key the listing index
+   * reads; runs inside the upgrade transaction
+   * @private
+   */
+  _addTimeKeys(store) {
+    const request = store.openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor) {
+        cursor.update({ ...cursor.value, time_key: timeKey(cursor.value.g_time) });
+        cursor.continue();
+      }
+    };
+  }
+
+  /**
+   * Page of records; cursor pages pass their own has_next/has_previous
+   * @private
+   */
+  async _page(stored, total, pageNumber, pageSize, flags = null) {
+    const records = await Promise.all(stored.map(record => this._decode(record)));
+    const items = records.map(record =>
+      new MCardFromData(SafeBuffer.from(record.content), record.hash, record.g_time)
+    );
+    const { has_next, has_previous } = flags || {
+      has_next: pageNumber * pageSize < total,
+      has_previous: pageNumber > 1
+    };
+
+    return new Page({
+      items,
+      total_items: total,
+      page_number: pageNumber,
+      page_size: pageSize,
+      has_next,
+      has_previous,
+      total_pages: Math.ceil(total / pageSize),
+      ...pageCursors(items, has_next, has_previous)
+    });
+  }
+
+  /**
+   * Stored fields for content: compressed with its codec and original size
+   * when compression is on and helps, otherwise the content as it is
+   * @private
+   */
+  async _encode(content) {
+    if (!this.compression || !shouldCompress(content, this.compression)) {
+      return { content };
+    }
+    const compressed = await compress(content, this.compression.codec);
+    if (!compressed || compressed.length >= content.length) {
+      return { content };
+    }
+    return { content: new Uint8Array(compressed), codec: this.compression.codec, byte_size: content.length };
+  }
+
+  /**
+   * Record with its content decompressed
+   * @private
+   */
+  async _decode(record) {
+    if (!record.codec) {
+      return record;
+    }
+    const { codec, byte_size, ...rest } = record;
+    return { ...rest, content: await decompress(record.content, codec) };
+  }
+
+  /**
+   * Lower-cased text view of a record's content
+   * @private
+   */
+  _contentText(record) {
+    return new TextDecoder('utf-8').decode(record.content).toLowerCase();
+  }
+
+  /**
+   * Content as a plain Uint8Array so it survives structured cloning
+   * @private
+   */
+  _toBytes(content) {
+    if (content instanceof Uint8Array) {
+      return new Uint8Array(content);
+    }
+    if (typeof content === 'object' && content !== null) {
+      return new TextEncoder().encode(JSON.stringify(content));
+    }
+    return new TextEncoder().encode(String(content));
+  }
+}
+
+export { IndexedDBEngine };
+export default IndexedDBEngine;
@@ -0,0 +1,392 @@
+import { MCardFromData } from '../core/mcard.js';
+import { Page } from '../core/card-collection.js';
+import { DEFAULT_PAGE_SIZE } from '../config/config_constants.js';
+import ContentTypeInterpreter from '../utils/content_type_detector.js';
+import { SafeBuffer } from '../utils/bufferPolyfill.js';
+import { StorageEngine } from './base_engine.js';
+import { cardMetadata } from '../models/card_metadata.js';
+import { normalizeQuery, runQuery, toQueryPage } from '../core/card-query.js';
+import { compareListingOrder, sliceByCursor, pageCursors } from '../core/page-cursor.js';
+import { normalizeEventFilter, runEventQuery } from '../core/card-events.js';
+
+/**
+ * Pure JavaScript storage engine that keeps cards in a Map.
+ *
+ * Mirrors SQLiteEngine's behaviour (ordering, matching, return shapes) so it
+ * can stand in for it in unit tests and in browser builds where
+ * better-sqlite3 is not available. Nothing is persisted.
+ */
+class MemoryEngine extends StorageEngine {
+  constructor() {
+    super();
+    this.rows = new Map();
+    // Rows moved aside by quarantine(), oldest first
+    this.quarantined = [];
+    // Snapshots for begin() and savepoint(), outermost first
+    this._snapshots = [];
+  }
+
+  /**
+   * Add a card to the store
+   * @param {MCard} card - Card to add
+   * @returns {string} Hash of the added card
+   */
+  add(card) {
+    const hash = String(card.hash);
+    if (!this.rows.has(hash)) {
+      this.rows.set(hash, {
+        hash,
+        g_time: card.g_time,
+        content: this._toBuffer(card.content)
+      });
+    }
+    return hash;
+  }
+
+  /**
+   * Retrieve a card by its hash
+   * @param {string} hash - Hash of the card to retrieve
+   * @returns {Object|null} Retrieved card or null
+   */
+  get(hash) {
+    const row = this.rows.get(String(hash));
+    if (!row) {
+      return null;
+    }
+
+    const contentType = ContentTypeInterpreter.detectContentType(row.content);
+    contentType.isBlob = true;
+
+    return {
+      hash: row.hash,
+      content: row.content,
+      g_time: row.g_time,
+      contentType
+    };
+  }
+
+  /**
+   * Read part of a card's content
+   * @param {string} hash - Hash of the card
+   * @param {number} start - First byte
+   * @param {number} end - One past the last byte; may be past the end of the content
+   * @returns {Object|null} { hash, g_time, content_type, byte_size, content }, or null
+   *   if there is no such card
+   */
+  read_range(hash, start, end) {
+    const row = this.rows.get(String(hash));
+    if (!row) {
+      return null;
+    }
+    const { content_type, byte_size } = cardMetadata(row);
+    return { hash: row.hash, g_time: row.g_time, content_type, byte_size, content: row.content.subarray(start, end) };
+  }
+
+  /**
+   * Delete a card by its hash
+   * @param {string} hash - Hash of the card to delete
+   * @returns {boolean} Whether deletion was successful
+   */
+  delete(hash) {
+    return this.rows.delete(String(hash));
+  }
+
+  /**
+   * Get a page of cards
+   * @param {number} page_number - Page number to retrieve
+   * @param {number} page_size - Number of items per page
+   * @param {Object} [options]
+   * @param {string} [options.cursor] - Page cursor; page_number is ignored when set
+   * @returns {Page} Page of cards
+   */
+  get_page(page_number = 1, page_size = DEFAULT_PAGE_SIZE, { cursor } = {}) {
+    if ((!cursor && page_number < 1) || page_size < 1) {
+      throw new Error('Page number and size must be >= 1');
+    }
+    return this._paginate(this._sortedRows(), page_number, page_size, cursor);
+  }
+
+  /**
+   * Search cards by content, hash or g_time
+   * @param {string} searchString - String to search for
+   * @param {number} pageNumber - Page number to retrieve
+   * @param {number} pageSize - Number of items per page
+   * @param {Object} [options]
+   * @param {string} [options.cursor] - Page cursor; pageNumber is ignored when set
+   * @returns {Page} Page of matching cards
+   */
+  search_by_string(searchString, pageNumber = 1, pageSize = DEFAULT_PAGE_SIZE, { cursor } = {}) {
+    this._validatePaging(pageNumber, pageSize, cursor);
+    const needle = String(searchString).toLowerCase();
+    const rows = this._sortedRows().filter(row =>
+      this._contentText(row).includes(needle) ||
+      row.hash.toLowerCase().includes(needle) ||
+      row.g_time.toLowerCase().includes(needle)
+    );
+    return this._paginate(rows, pageNumber, pageSize, cursor);
+  }
+
+  /**
+   * Search cards by content
+   * @param {string} searchString - String to search for
+   * @param {number} pageNumber - Page number to retrieve
+   * @param {number} pageSize - Number of items per page
+   * @param {Object} [options]
+   * @param {string} [options.cursor] - Page cursor; pageNumber is ignored when set
+   * @returns {Page} Page of matching cards
+   */
+  search_by_content(searchString, pageNumber = 1, pageSize = DEFAULT_PAGE_SIZE, { cursor } = {}) {
+    this._validatePaging(pageNumber, pageSize, cursor);
+    const needle = String(searchString).toLowerCase();
+    const rows = this._sortedRows().filter(row => this._contentText(row).includes(needle));
+    return this._paginate(rows, pageNumber, pageSize, cursor);
+  }
+
+  /**
+   * Update a card's content by hash
+   * @param {string} hash - Hash of the card to update
+   * @param {any} newContent - New content for the card
+   * @returns {boolean} Whether the update was successful
+   */
+  update(hash, newContent) {
+    const row = this.rows.get(String(hash));
+    if (!row) {
+      return false;
+    }
+    row.content = this._toBuffer(newContent);
+    return true;
+  }
+
+  clear() {
+    this.rows.clear();
+  }
+
+  /**
+   * Start a transaction by snapshotting the rows
+   */
+  begin() {
+    if (this._snapshots.length > 0) {
+      throw new Error('A transaction is already in progress');
+    }
+    this._snapshots.push(this._snapshot());
+  }
+
+  commit() {
+    this._snapshots = [];
+  }
+
+  /**
+   * Restore the rows as they were at begin()
+   */
+  rollback() {
+    if (this._snapshots.length > 0) {
+      this.rows = this._snapshots[0].rows;
+      this._snapshots = [];
+    }
+  }
+
+  /**
+   * Mark a savepoint inside the current transaction
+   * @param {string} name - Savepoint name
+   */
+  savepoint(name) {
+    if (this._snapshots.length === 0) {
+      throw new Error('No transaction is in progress');
+    }
+    this._snapshots.push(this._snapshot(name));
+  }
+
+  /**
+   * Keep the writes made since a savepoint and forget the savepoint
+   * @param {string} name - Savepoint name
+   */
+  release_savepoint(name) {
+    this._snapshots.splice(this._savepointIndex(name));
+  }
+
+  /**
+   * Undo the writes made since a savepoint and forget the savepoint
+   * @param {string} name - Savepoint name
+   */
+  rollback_to_savepoint(name) {
+    const index = this._savepointIndex(name);
+    this.rows = this._snapshots[index].rows;
+    this._snapshots.splice(index);
+  }
+
+  /**
+   * Copy of the rows; update() mutates row objects, so they are copied too
+   * @private
+   */
+  _snapshot(name = null) {
+    return { name, rows: new Map(Array.from(this.rows, ([hash, row]) => [hash, { ...row }])) };
+  }
+
+  /**
+   * @private
+   */
+  _savepointIndex(name) {
+    for (let index = this._snapshots.length - 1; index >= 1; index--) {
+      if (this._snapshots[index].name === name) {
+        return index;
+      }
+    }
+    throw new Error(`No such savepoint: ${name}`);
+  }
+
+  /**
+   * Every row as stored, newest first (see core/card-verify.js)
+   * @returns {Generator<Object>} { hash, g_time, content } per row
+   */
+  *iterate_records() {
+    for (const { hash, g_time, content } of this._sortedRows()) {
+      yield { hash, g_time, content };
+    }
+  }
+
+  /**
+   * Move a card out of the store and into `quarantined`
+   * @param {string} hash - Hash of the card
+   * @param {string} reason - Why the card was set aside
+   * @returns {boolean} Whether the card was found and moved
+   */
+  quarantine(hash, reason) {
+    const row = this.rows.get(String(hash));
+    if (!row) {
+      return false;
+    }
+    this.rows.delete(row.hash);
+    this.quarantined.push({ ...row, reason: String(reason), quarantined_at: new Date().toISOString() });
+    return true;
+  }
+
+  /**
+   * Cards set aside by quarantine(), oldest first
+   * @returns {Array<Object>} { hash, g_time, reason, quarantined_at }
+   */
+  list_quarantine() {
+    return this.quarantined.map(({ hash, g_time, reason, quarantined_at }) => ({ hash, g_time, reason, quarantined_at }));
+  }
+
+  /**
+   * Count the total number of cards
+   * @returns {number} Total number of cards
+   */
+  count() {
+    return this.rows.size;
+  }
+
+  /**
+   * Get all cards
+   * @param {number} page_number - Page number to retrieve
+   * @param {number} page_size - Number of items per page
+   * @param {Object} [options]
+   * @param {string} [options.cursor] - Page cursor; page_number is ignored when set
+   * @returns {Page} Page of all cards
+   */
+  get_all(page_number = 1, page_size = DEFAULT_PAGE_SIZE, { cursor } = {}) {
+    this._validatePaging(page_number, page_size, cursor);
+    return this._paginate(this._sortedRows(), page_number, page_size, cursor);
+  }
+
+  /**
+   * Find cards by metadata
+   * @param {Object} [spec] - Query (see card-query.js)
+   * @returns {Page} Page of matching cards
+   */
+  query(spec = {}) {
+    const query = normalizeQuery(spec);
+    const result = runQuery(Array.from(this.rows.values()), query);
+    const items = result.records.map(row => new MCardFromData(row.content, row.hash, row.g_time));
+    return toQueryPage(items, result, query);
+  }
+
+  /**
+   * Read the event log by scanning for event cards, oldest first
+   * @param {Object} [spec] - Event filter (see card-events.js)
+   * @returns {Array<Object>} Events with the hash of their event card
+   */
+  events(spec = {}) {
+    return runEventQuery(Array.from(this.rows.values()), normalizeEventFilter(spec));
+  }
+
+  /**
+   * @private
+   */
+  _validatePaging(pageNumber, pageSize, cursor = null) {
+    if (!cursor && pageNumber < 1) {
+      throw new Error('Page number must be >= 1');
+    }
+    if (pageSize < 1) {
+      throw new Error('Page size must be >= 1');
+    }
+  }
+
+  /**
+   * Rows ordered like SQLiteEngine's `ORDER BY g_time DESC, hash DESC`
+   * @private
+   */
+  _sortedRows() {
+    return Array.from(this.rows.values()).sort(compareListingOrder);
+  }
+
+  /**
+   * @private
+   */
+  _paginate(rows, pageNumber, pageSize, cursor = null) {
+    const total = rows.length;
+    let pageRows;
+    let has_next;
+    let has_previous;
+
+    if (cursor) {
+      ({ rows: pageRows, has_next, has_previous } = sliceByCursor(rows, cursor, pageSize));
+    } else {
+      const offset = (pageNumber - 1) * pageSize;
+      pageRows = rows.slice(offset, offset + pageSize);
+      has_next = offset + pageSize < total;
+      has_previous = pageNumber > 1;
+    }
+
+    const items = pageRows.map(row => new MCardFromData(row.content, row.hash, row.g_time));
+
+    return new Page({
+      items,
+      total_items: total,
+      page_number: cursor ? null : pageNumber,
+      page_size: pageSize,
+      has_next,
+      has_previous,
+      total_pages: Math.ceil(total / pageSize),
+      ...pageCursors(items, has_next, has_previous)
+    });
+  }
+
+  /**
+   * Lower-cased text view of a row's content, matching SQLite's
+   * case-insensitive `CAST(content AS TEXT) LIKE` comparison
+   * @private
+   */
+  _contentText(row) {
+    return SafeBuffer.toString(row.content).toLowerCase();
+  }
+
+  /**
+   * @private
+   */
+  _toBuffer(content) {
+    if (SafeBuffer.isBuffer(content)) {
+      return content;
+    }
+    if (content instanceof Uint8Array) {
+      return SafeBuffer.from(content);
+    }
+    if (typeof content === 'object' && content !== null) {
+      return SafeBuffer.from(JSON.stringify(content), 'utf-8');
+    }
+    return SafeBuffer.from(String(content), 'utf-8');
+  }
+}
+
+export { MemoryEngine };
+export default MemoryEngine;
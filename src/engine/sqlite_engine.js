@@ -1,13 +1,37 @@
 import { MCardFromData } from '../core/mcard.js';
 import { Page } from '../core/card-collection.js';
 import { DEFAULT_PAGE_SIZE, CARDS_DB_PATH } from '../config/config_constants.js';
-import { MCARD_TABLE_SCHEMA, TRIGGERS } from '../models/database_schemas.js';
-import ContentTypeInterpreter from '../content/model/content_type_detector.js';
+import {
+  CARD_FTS_TEXT_SCHEMA, FTS_SOURCE_VIEW, EXTERNAL_FTS_SCHEMA, EXTERNAL_FTS_TRIGGERS, REBUILD_EXTERNAL_FTS, CARD_TIME_KEY
+} from '../models/database_schemas.js';
+import { MIGRATIONS, SCHEMA_VERSION_TABLE } from '../models/migrations.js';
+import { cardMetadata, backfillCardMetadata } from '../models/card_metadata.js';
+import { fillCardFtsText } from '../models/card_fts_text.js';
+import ContentTypeInterpreter from '../utils/content_type_detector.js';
 import { SafeBuffer } from '../utils/bufferPolyfill.js';
+import { StorageEngine } from './base_engine.js';
+import { normalizeQuery, queryOrder, decodeQueryCursor, encodeQueryCursor, toQueryPage } from '../core/card-query.js';
+import { timeKey, decodePageCursor, pageCursors } from '../core/page-cursor.js';
+import { normalizeEventFilter, parseEvent } from '../core/card-events.js';
+import { normalizeCompression, shouldCompress, compressSync, decompressSync } from '../utils/compression.js';
 import path from 'path';
 import Database from 'better-sqlite3';
 import fs from 'fs';
 
+// Rows read per query by iterate()
+const DEFAULT_ITERATE_BATCH_SIZE = 100;
+
+// Time part of g_time, matching timeKey() in page-cursor.js
+const SQL_TIME_KEY = CARD_TIME_KEY;
+// Listing order, newest first (see core/page-cursor.js)
+const LISTING_ORDER = `${SQL_TIME_KEY} DESC, hash DESC`;
+
+// Content as it was added. Compressed rows are decoded by mcard_decode(),
+// which connect() registers, so queries and LIKE searches see plain content.
+const decodedContent = (table = 'card') =>
+  `CASE WHEN ${table}.codec IS NULL THEN ${table}.content ELSE mcard_decode(${table}.content, ${table}.codec) END`;
+const CONTENT = decodedContent();
+
 class SQLiteConnection {
   /**
    * Singleton instance management
@@ -65,6 +89,7 @@ class SQLiteConnection {
         // Disable verbose mode to reduce unnecessary logging
         verbose: null
       });
+      this.conn.function('mcard_decode', { deterministic: true }, (content, codec) => decompressSync(content, codec));
 
       return this;
     } catch (error) {
@@ -74,7 +99,7 @@ class SQLiteConnection {
   }
 
   /**
-   * Set up the database, creating the file and table if they don't exist
+   * Set up the database, creating the file and bringing the schema up to date
    */
   setup_database() {
     try {
@@ -83,31 +108,9 @@ class SQLiteConnection {
         this.connect();
       }
 
-      // Check if the tables already exist
-      const tableExists = this.conn.prepare(`
-        SELECT name FROM sqlite_master 
-        WHERE type='table' AND name='card'
-      `).get();
-
-      // Only create tables if they don't exist
-      if (!tableExists) {
-        console.log('Creating new database tables...');
-        
-        // Create the table using the schema
-        this.conn.exec(MCARD_TABLE_SCHEMA);
-        
-        // Add triggers
-        TRIGGERS.forEach(trigger => {
-          try {
-            this.conn.exec(trigger);
-          } catch (triggerError) {
-            console.warn(`Warning during trigger creation: ${triggerError.message}`);
-          }
-        });
-
-        console.log('Database tables created successfully');
-      } else {
-        console.log('Database tables already exist, skipping creation');
+      const report = this.migrate();
+      if (report.applied.length > 0) {
+        console.log(`Database schema migrated from version ${report.from} to ${report.to}`);
       }
     } catch (error) {
       console.error('Database setup failed:', error);
@@ -115,6 +118,105 @@ class SQLiteConnection {
     }
   }
 
+  /**
+   * Current schema version recorded in the schema_version table
+   * @returns {number} Applied schema version, 0 for a database without one
+   */
+  get_schema_version() {
+    if (!this.conn) {
+      this.connect();
+    }
+
+    const tableExists = this.conn.prepare(`
+      SELECT name FROM sqlite_master 
+      WHERE type='table' AND name='schema_version'
+    `).get();
+    if (!tableExists) {
+      return 0;
+    }
+
+    return this.conn.prepare('SELECT MAX(version) as version FROM schema_version').get().version || 0;
+  }
+
+  /**
+   * Apply pending schema migrations in a single transaction
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun=false] - Run the migrations, then roll them back
+   * @param {Array<Object>} [options.migrations=MIGRATIONS] - Ordered migrations to apply
+   * @returns {Object} Report with from, to, applied ({ version, description }) and dryRun
+   */
+  migrate({ dryRun = false, migrations = MIGRATIONS } = {}) {
+    if (!this.conn) {
+      this.connect();
+    }
+
+    const from = this.get_schema_version();
+    const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+    if (from > latest) {
+      throw new Error(`Database schema version ${from} is newer than the latest known version ${latest}`);
+    }
+
+    const pending = migrations.filter(migration => migration.version > from);
+    const report = {
+      from,
+      to: pending.length > 0 ? latest : from,
+      applied: pending.map(({ version, description }) => ({ version, description })),
+      dryRun
+    };
+    if (pending.length === 0) {
+      return report;
+    }
+
+    const rollback = new Error('Dry run rollback');
+
+    try {
+      this.conn.transaction(() => {
+        this.conn.exec(SCHEMA_VERSION_TABLE);
+        const record = this.conn.prepare(
+          'INSERT INTO schema_version (version, description, applied_at) VALUES (?, ?, ?)'
+        );
+        for (const migration of pending) {
+          try {
+            migration.up(this.conn);
+          } catch (error) {
+            throw new Error(`Migration ${migration.version} (${migration.description}) failed: ${error.message}`);
+          }
+          record.run(migration.version, migration.description, new Date().toISOString());
+        }
+        if (dryRun) {
+          throw rollback;
+        }
+      })();
+    } catch (error) {
+      if (error !== rollback) {
+        throw error;
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Repopulate the full-text index from the card table
+   * @returns {number} Number of cards in the index
+   */
+  rebuild_fts() {
+    if (!this.conn) {
+      this.connect();
+    }
+
+    this.conn.transaction(() => {
+      this.conn.exec(CARD_FTS_TEXT_SCHEMA);
+      this.conn.exec(FTS_SOURCE_VIEW);
+      this.conn.exec(EXTERNAL_FTS_SCHEMA);
+      Object.values(EXTERNAL_FTS_TRIGGERS).forEach(trigger => this.conn.exec(trigger));
+      fillCardFtsText(this.conn);
+      this.conn.exec(REBUILD_EXTERNAL_FTS);
+    })();
+
+    return this.conn.prepare('SELECT COUNT(*) as total FROM card_fts').get().total;
+  }
+
   /**
    * Close the database connection
    */
@@ -162,12 +264,18 @@ class SQLiteConnection {
   }
 }
 
-class SQLiteEngine {
+class SQLiteEngine extends StorageEngine {
   /**
    * Create a new SQLite storage engine
    * @param {SQLiteConnection} connection - Database connection
+   * @param {Object} [options]
+   * @param {string|Object} [options.compression] - Compress text content as it is
+   *   added: a codec name ('gzip' or 'deflate') or { codec, minSize } (see
+   *   utils/compression.js). Rows already stored keep their encoding.
    */
-  constructor(connection = null) {
+  constructor(connection = null, { compression = null } = {}) {
+    super();
+    this.compression = normalizeCompression(compression);
     this.connection = connection || SQLiteConnection.getInstance();
     this.connection.connect();
     this.connection.setup_database();
@@ -227,11 +335,31 @@ class SQLiteEngine {
 
       // Insert the card into the database
       try {
-        const stmt = this.connection.conn.prepare(
-          'INSERT INTO card (hash, content, g_time) VALUES (?, ?, ?)'
-        );
-        
-        stmt.run(card.hash, finalContent, card.g_time);
+        const stmt = this.connection.conn.prepare(`
+          INSERT INTO card (hash, content, g_time, content_type, byte_size, hash_algorithm, codec)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+        `);
+        // Metadata describes the content as added, before any compression
+        const metadata = cardMetadata({
+          content: finalContent,
+          g_time: card.g_time,
+          hash_algorithm: card.hash_algorithm
+        });
+        const stored = this._encode(finalContent);
+
+        this.connection.conn.transaction(() => {
+          stmt.run(
+            card.hash, stored.content, card.g_time,
+            metadata.content_type, metadata.byte_size, metadata.hash_algorithm, stored.codec
+          );
+          // The FTS triggers cannot read compressed rows, so their text is
+          // stored for the index here (see card_fts_text)
+          if (stored.codec) {
+            this.connection.conn.prepare(
+              'INSERT INTO card_fts_text (card_rowid, hash, content) SELECT rowid, hash, ? FROM card WHERE hash = ?'
+            ).run(SafeBuffer.from(finalContent).toString('utf-8'), card.hash);
+          }
+        })();
         
         console.log('Card inserted successfully with hash:', card.hash);
         return card.hash;
@@ -246,17 +374,20 @@ class SQLiteEngine {
   }
 
   /**
-   * Retrieve a card by its hash
+   * Retrieve a card by its hash. Text content is returned as a string and
+   * JSON content parsed, going by the stored content type.
    * @param {string} hashValue - Hash of the card to retrieve
+   * @param {Object} [options]
+   * @param {boolean} [options.raw=false] - Return the content as stored, without decoding
    * @returns {MCard|null} Retrieved card or null
    */
-  get(hash) {
+  get(hash, { raw = false } = {}) {
     try {
       console.log('SQLiteEngine.get called with hash:', hash);
       
       // Query the database for the card
       const stmt = this.connection.conn.prepare(
-        'SELECT hash, content, g_time, typeof(content) as content_type FROM card WHERE hash = ?'
+        `SELECT hash, ${CONTENT} AS content, g_time, content_type, typeof(content) as storage_class FROM card WHERE hash = ?`
       );
       
       const row = stmt.get(String(hash));
@@ -266,7 +397,7 @@ class SQLiteEngine {
         return null;
       }
       
-      console.log(`SQLiteEngine.get - Raw content typeof:`, row.content_type);
+      console.log(`SQLiteEngine.get - Raw content typeof:`, row.storage_class);
       console.log(`SQLiteEngine.get - JS typeof:`, typeof row.content);
       console.log(`SQLiteEngine.get - Is Buffer:`, SafeBuffer.isBuffer(row.content));
       console.log(`SQLiteEngine.get - Content length:`, row.content ? row.content.length : 0);
@@ -277,24 +408,24 @@ class SQLiteEngine {
         console.log(`SQLiteEngine.get - String content first 50 chars:`, row.content.substring(0, 50));
       }
       
-      // Detect content type BEFORE any transformations
       const isBlob = SafeBuffer.isBuffer(row.content);
-      const contentForDetection = row.content;
       
-      // Detect content type from the raw content
-      const contentType = ContentTypeInterpreter.detectContentType(contentForDetection);
+      // Use the content type stored at insert, computing it only for rows
+      // that have not been backfilled yet
+      const contentType = this._contentTypeRecord(row.content_type || cardMetadata(row).content_type);
       
-      console.log(`SQLiteEngine.get - Detected contentType:`, contentType);
+      console.log(`SQLiteEngine.get - Content type:`, contentType);
       
       // Add isBlob flag to contentType object
       contentType.isBlob = isBlob;
       
       // Parse content if it's a JSON string - but only if not detected as another type
       let content = row.content;
-      // If stored as Buffer (Node.js), convert to Uint8Array for cross-env compatibility
-      if (SafeBuffer.isBuffer(content)) {
+      if (raw) {
+        // Hashing and comparing content needs the stored bytes
+      } else if (SafeBuffer.isBuffer(content)) {
         // Optionally decode to string if contentType is text or JSON
-        if (contentType.mimeType === 'application/json' || contentType.mimeType.startsWith('text/')) {
+        if (contentType.mimeType === 'application/json' || (contentType.mimeType || '').startsWith('text/')) {
           try {
             const str = SafeBuffer.toString(content);
             if (contentType.mimeType === 'application/json' && (str.startsWith('{') || str.startsWith('['))) {
@@ -337,6 +468,36 @@ class SQLiteEngine {
     }
   }
 
+  /**
+   * Read part of a card's content. substr() runs inside SQLite, so only the
+   * requested bytes are copied into JavaScript and nothing is decoded.
+   * @param {string} hash - Hash of the card
+   * @param {number} start - First byte
+   * @param {number} end - One past the last byte; may be past the end of the content
+   * @returns {Object|null} { hash, g_time, content_type, byte_size, content }, or null
+   *   if there is no such card
+   */
+  read_range(hash, start, end) {
+    // TEXT rows are cast so offsets count UTF-8 bytes rather than characters
+    const slice = Number.isFinite(end)
+      ? `substr(CAST(${CONTENT} AS BLOB), @from, @length)`
+      : `substr(CAST(${CONTENT} AS BLOB), @from)`;
+    const row = this.connection.conn.prepare(`
+      SELECT hash, g_time, content_type,
+        COALESCE(byte_size, length(CAST(${CONTENT} AS BLOB))) AS byte_size,
+        ${slice} AS content
+      FROM card WHERE hash = @hash
+    `).get({ hash: String(hash), from: start + 1, length: Math.max(end - start, 0) });
+    if (!row) {
+      return null;
+    }
+    return {
+      ...row,
+      content_type: row.content_type || 'application/octet-stream',
+      content: SafeBuffer.from(row.content ?? [])
+    };
+  }
+
   /**
    * Delete a card by its hash
    * @param {string} hashValue - Hash of the card to delete
@@ -357,152 +518,47 @@ class SQLiteEngine {
   }
 
   /**
-   * Get a page of cards
+   * Get a page of cards, newest first
    * @param {number} page_number - Page number to retrieve
    * @param {number} page_size - Number of items per page
+   * @param {Object} [options]
+   * @param {string} [options.cursor] - Page cursor; page_number is ignored when set
    * @returns {Page} Page of cards
    */
-  get_page(page_number = 1, page_size = DEFAULT_PAGE_SIZE) {
-    if (page_number < 1 || page_size < 1) {
+  get_page(page_number = 1, page_size = DEFAULT_PAGE_SIZE, { cursor } = {}) {
+    if ((!cursor && page_number < 1) || page_size < 1) {
       throw new Error('Page number and size must be >= 1');
     }
 
-    const offset = (page_number - 1) * page_size;
-
-    // Get total count of items
-    const countStmt = this.connection.conn.prepare(
-      'SELECT COUNT(*) as total FROM card'
-    );
-    const { total } = countStmt.get();
-
-    // Get page of items
-    const stmt = this.connection.conn.prepare(`
-      SELECT content, g_time, hash 
-      FROM card 
-      ORDER BY g_time DESC 
-      LIMIT ? OFFSET ?
-    `);
-    
-    const rows = stmt.all(page_size, offset);
-
-    // Convert rows to cards
-    const items = [];
-    for (const row of rows) {
-        const [content, g_time, hash] = [row.content, row.g_time, row.hash];
-        
-        // Parse content if it's a JSON string
-        let parsedContent = content;
-        if (typeof content === 'string' && (content.startsWith('{') || content.startsWith('['))) {
-          try {
-            parsedContent = JSON.parse(content);
-          } catch (e) {
-            console.warn('Failed to parse JSON content for hash:', hash);
-          }
-        }
-        
-        // Create card with properly parsed content
-        const card = new MCardFromData(parsedContent, hash, g_time);
-        items.push(card);
-    }
-
-    // Calculate total pages
-    const total_pages = Math.ceil(total / page_size);
-
-    return new Page({
-      items,
-      total_items: total,
-      page_number,
-      page_size,
-      has_next: offset + page_size < total,
-      has_previous: page_number > 1,
-      total_pages
-    });
+    return this._listPage(null, [], page_number, page_size, cursor);
   }
 
   /**
-   * Search cards by string
+   * Search cards by string. This matches substrings with LIKE, scanning every
+   * row: the FTS5 index matches whole words and prefixes, not text inside
+   * words, hashes or g_time. Use search_fulltext() for indexed word search.
    * @param {string} search_string - String to search for
    * @param {number} page_number - Page number to retrieve
    * @param {number} page_size - Number of items per page
+   * @param {Object} [options]
+   * @param {string} [options.cursor] - Page cursor; pageNumber is ignored when set
    * @returns {Page} Page of matching cards
    */
-  search_by_string(searchString, pageNumber = 1, pageSize = DEFAULT_PAGE_SIZE) {
+  search_by_string(searchString, pageNumber = 1, pageSize = DEFAULT_PAGE_SIZE, { cursor } = {}) {
     try {
-      if (pageNumber < 1) {
+      if (!cursor && pageNumber < 1) {
         throw new Error('Page number must be >= 1');
       }
       if (pageSize < 1) {
         throw new Error('Page size must be >= 1');
       }
 
-      const offset = (pageNumber - 1) * pageSize;
-      const cursor = this.connection.conn;
-
-      // First, get total count of matching items
-      const countStmt = cursor.prepare(`
-        SELECT COUNT(*) as total FROM card 
-        WHERE 
-          CAST(content AS TEXT) LIKE ? OR 
-          hash LIKE ? OR 
-          g_time LIKE ?
-      `);
-      const { total } = countStmt.get(
-        `%${searchString}%`, 
-        `%${searchString}%`, 
-        `%${searchString}%`
-      );
-
-      // Then, get the actual items for the current page
-      const stmt = cursor.prepare(`
-        SELECT content, g_time, hash FROM card 
-        WHERE 
-          CAST(content AS TEXT) LIKE ? OR 
-          hash LIKE ? OR 
-          g_time LIKE ?
-        ORDER BY g_time DESC LIMIT ? OFFSET ?
-      `);
-      
-      const rows = stmt.all(
-        `%${searchString}%`, 
-        `%${searchString}%`, 
-        `%${searchString}%`,
-        pageSize, 
-        offset
+      const pattern = `%${searchString}%`;
+      return this._listPage(
+        `CAST(${CONTENT} AS TEXT) LIKE ? OR hash LIKE ? OR g_time LIKE ?`,
+        [pattern, pattern, pattern],
+        pageNumber, pageSize, cursor
       );
-
-      // Convert rows to cards
-      const items = [];
-      for (const row of rows) {
-        const { content, g_time, hash } = row;
-        
-        // Parse content if it's a JSON string
-        let parsedContent = content;
-        if (typeof content === 'string' && (content.startsWith('{') || content.startsWith('['))) {
-          try {
-            parsedContent = JSON.parse(content);
-          } catch (e) {
-            console.warn('Failed to parse JSON content for hash:', hash);
-          }
-        }
-        
-        // Create card with properly parsed content
-        const card = new MCardFromData(parsedContent, hash, g_time);
-        items.push(card);
-      }
-
-      // Calculate pagination flags
-      const has_next = total > (pageNumber * pageSize);
-      const has_previous = pageNumber > 1;
-
-      return new Page({
-        items,
-        total_items: total,
-        page_number: pageNumber,
-        page_size: pageSize,
-        has_next,
-        has_previous,
-        total_pages: Math.ceil(total / pageSize)
-      });
     } catch (error) {
       console.error(`Error searching cards: ${error.message}`);
       throw error;
@@ -510,82 +566,390 @@ class SQLiteEngine {
   }
 
   /**
-   * Search for cards by content, hash, or g_time
+   * Search for cards whose content contains a string. Like search_by_string,
+   * this is a LIKE scan, so it also finds text inside words.
    * @param {string} searchString - String to search for
    * @param {number} pageNumber - Page number for pagination
    * @param {number} pageSize - Number of items per page
+   * @param {Object} [options]
+   * @param {string} [options.cursor] - Page cursor; pageNumber is ignored when set
    * @returns {Page} Paginated search results
    */
-  search_by_content(searchString, pageNumber = 1, pageSize = DEFAULT_PAGE_SIZE) {
+  search_by_content(searchString, pageNumber = 1, pageSize = DEFAULT_PAGE_SIZE, { cursor } = {}) {
     try {
-      if (pageNumber < 1) {
+      if (!cursor && pageNumber < 1) {
         throw new Error('Page number must be >= 1');
       }
       if (pageSize < 1) {
         throw new Error('Page size must be >= 1');
       }
 
-      const offset = (pageNumber - 1) * pageSize;
-      const cursor = this.connection.conn;
+      return this._listPage(`CAST(${CONTENT} AS TEXT) LIKE ?`, [`%${searchString}%`], pageNumber, pageSize, cursor);
+    } catch (error) {
+      console.error(`Error searching cards: ${error.message}`);
+      throw error;
+    }
+  }
 
-      // First, get total count of matching items
-      const countStmt = cursor.prepare(
-        'SELECT COUNT(*) as total FROM card WHERE CAST(content AS TEXT) LIKE ?'
-      );
-      const { total } = countStmt.get(`%${searchString}%`);
-
-      // Then, get the actual items for the current page
-      const stmt = cursor.prepare(`
-        SELECT content, g_time, hash FROM card 
-        WHERE CAST(content AS TEXT) LIKE ?
-        ORDER BY g_time DESC LIMIT ? OFFSET ?
-      `);
-      
-      const rows = stmt.all(
-        `%${searchString}%`,
-        pageSize, 
-        offset
-      );
+  /**
+   * Full-text search over text and JSON cards using the FTS5 index.
+   * Supports FTS5 query syntax: phrases ("exact words"), prefixes (data*)
+   * and boolean operators (AND, OR, NOT). Results are ordered by BM25 rank;
+   * each card carries `rank` and a highlighted `snippet`.
+   * @param {string} query - FTS5 query
+   * @param {number} pageNumber - Page number for pagination
+   * @param {number} pageSize - Number of items per page
+   * @param {Object} [options]
+   * @param {string} [options.highlightStart='<mark>'] - Inserted before each match in the snippet
+   * @param {string} [options.highlightEnd='</mark>'] - Inserted after each match in the snippet
+   * @param {string} [options.ellipsis='…'] - Marks text trimmed from the snippet
+   * @param {number} [options.snippetTokens=16] - Maximum tokens per snippet (1-64)
+   * @returns {Page} Paginated search results, best match first
+   */
+  search_fulltext(query, pageNumber = 1, pageSize = DEFAULT_PAGE_SIZE, options = {}) {
+    if (pageNumber < 1) {
+      throw new Error('Page number must be >= 1');
+    }
+    if (pageSize < 1) {
+      throw new Error('Page size must be >= 1');
+    }
 
-      // Convert rows to cards
-      const items = [];
-      for (const row of rows) {
-        const { content, g_time, hash } = row;
-        
-        // Parse content if it's a JSON string
-        let parsedContent = content;
-        if (typeof content === 'string' && (content.startsWith('{') || content.startsWith('['))) {
-          try {
-            parsedContent = JSON.parse(content);
-          } catch (e) {
-            console.warn('Failed to parse JSON content for hash:', hash);
-          }
-        }
-        
-        // Create card with properly parsed content
-        const card = new MCardFromData(parsedContent, hash, g_time);
-        items.push(card);
-      }
+    const {
+      highlightStart = '<mark>',
+      highlightEnd = '</mark>',
+      ellipsis = '…',
+      snippetTokens = 16
+    } = options;
+    const offset = (pageNumber - 1) * pageSize;
+    const cursor = this.connection.conn;
+
+    try {
+      const { total } = cursor.prepare(
+        'SELECT COUNT(*) as total FROM card_fts WHERE card_fts MATCH ?'
+      ).get(query);
 
-      // Calculate pagination flags
-      const has_next = total > (pageNumber * pageSize);
-      const has_previous = pageNumber > 1;
+      const rows = cursor.prepare(`
+        SELECT ${CONTENT} AS content, card.g_time, card.hash, card_fts.rank AS rank,
+          snippet(card_fts, 1, ?, ?, ?, ?) AS snippet
+        FROM card_fts
+        JOIN card ON card.rowid = card_fts.rowid
+        WHERE card_fts MATCH ?
+        ORDER BY card_fts.rank
+        LIMIT ? OFFSET ?
+      `).all(highlightStart, highlightEnd, ellipsis, snippetTokens, query, pageSize, offset);
+
+      const items = rows.map(row => {
+        const card = new MCardFromData(row.content, row.hash, row.g_time);
+        card.rank = row.rank;
+        card.snippet = row.snippet;
+        return card;
+      });
 
       return new Page({
         items,
         total_items: total,
         page_number: pageNumber,
         page_size: pageSize,
-        has_next,
-        has_previous,
+        has_next: total > (pageNumber * pageSize),
+        has_previous: pageNumber > 1,
         total_pages: Math.ceil(total / pageSize)
       });
     } catch (error) {
-      console.error(`Error searching cards: ${error.message}`);
+      // SQLITE_ERROR here comes from parsing the MATCH expression
+      if (error.code === 'SQLITE_ERROR') {
+        throw new Error(`Invalid full-text query "${query}": ${error.message}`);
+      }
+      console.error(`Error in full-text search: ${error.message}`);
       throw error;
     }
   }
 
+  /**
+   * Repopulate the full-text index, e.g. for databases written by tools
+   * that bypass the sync triggers
+   * @returns {number} Number of cards in the index
+   */
+  rebuild_fts() {
+    return this.connection.rebuild_fts();
+  }
+
+  /**
+   * Read the event log from the event table, oldest first
+   * @param {Object} [spec] - Event filter (see card-events.js)
+   * @returns {Array<Object>} Events with the hash of their event card
+   */
+  events(spec = {}) {
+    const filter = normalizeEventFilter(spec);
+    const conditions = [];
+    const params = [];
+
+    if (filter.type) {
+      conditions.push(`e.type IN (${filter.type.map(() => '?').join(', ')})`);
+      params.push(...filter.type);
+    }
+    if (filter.subjectHash) {
+      conditions.push('e.subject_hash = ?');
+      params.push(filter.subjectHash);
+    }
+    if (filter.since) {
+      conditions.push('e.time >= ?');
+      params.push(filter.since);
+    }
+    if (filter.until) {
+      conditions.push('e.time < ?');
+      params.push(filter.until);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const limit = filter.limit ? 'LIMIT ?' : '';
+    if (filter.limit) {
+      params.push(filter.limit);
+    }
+
+    const rows = this.connection.conn.prepare(`
+      SELECT e.hash, c.content FROM event e JOIN card c ON c.hash = e.hash
+      ${where}
+      ORDER BY e.time ASC, e.hash ASC
+      ${limit}
+    `).all(...params);
+    return rows.map(row => ({ hash: row.hash, ...parseEvent(row.content) }));
+  }
+
+  /**
+   * Changes to the card table after a sequence number, oldest first. Reads
+   * see rows committed by every connection to the database file, so other
+   * processes can tail the store.
+   * @param {number} [seq=0] - Sequence number of the last change already handled
+   * @param {Object} [options]
+   * @param {number} [options.limit=DEFAULT_PAGE_SIZE] - Maximum number of changes
+   * @returns {{changes: Array<Object>, last_seq: number, has_more: boolean}} Changes
+   *   ({ seq, hash, operation, changed_at, card }), the sequence number to resume
+   *   from, and whether more changes are waiting
+   */
+  changes_since(seq = 0, { limit = DEFAULT_PAGE_SIZE } = {}) {
+    if (!Number.isInteger(seq) || seq < 0) {
+      throw new Error(`Invalid sequence number: ${seq}`);
+    }
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error(`Invalid limit: ${limit}. Limit must be >= 1.`);
+    }
+
+    const rows = this.connection.conn.prepare(`
+      SELECT ch.seq, ch.hash, ch.operation, ch.changed_at, ${decodedContent('c')} AS content, c.g_time
+      FROM card_change ch LEFT JOIN card c ON c.hash = ch.hash
+      WHERE ch.seq > ?
+      ORDER BY ch.seq ASC
+      LIMIT ?
+    `).all(seq, limit + 1);
+
+    const has_more = rows.length > limit;
+    const changes = rows.slice(0, limit).map(row => ({
+      seq: row.seq,
+      hash: row.hash,
+      operation: row.operation,
+      changed_at: row.changed_at,
+      // The card as it is now; null once it has been deleted
+      card: row.g_time === null ? null : this._rowToCard(row)
+    }));
+
+    return {
+      changes,
+      last_seq: changes.length > 0 ? changes[changes.length - 1].seq : seq,
+      has_more
+    };
+  }
+
+  /**
+   * Stream every row as stored, without building cards, so rows that would
+   * fail to load can still be checked (see core/card-verify.js)
+   * @returns {Generator<Object>} { hash, g_time, content } per row
+   */
+  *iterate_records() {
+    const stmt = this.connection.conn.prepare(
+      `SELECT hash, g_time, ${CONTENT} AS content FROM card ORDER BY ${LISTING_ORDER}`
+    );
+    yield* stmt.iterate();
+  }
+
+  /**
+   * Move a card into the card_quarantine table
+   * @param {string} hash - Hash of the card
+   * @param {string} reason - Why the card was set aside
+   * @returns {boolean} Whether the card was found and moved
+   */
+  quarantine(hash, reason) {
+    const conn = this.connection.conn;
+    return conn.transaction(() => {
+      conn.prepare(`
+        INSERT INTO card_quarantine (hash, g_time, content, reason)
+        SELECT hash, g_time, ${CONTENT}, ? FROM card WHERE hash = ?
+      `).run(String(reason), String(hash));
+      return conn.prepare('DELETE FROM card WHERE hash = ?').run(String(hash)).changes > 0;
+    })();
+  }
+
+  /**
+   * Cards set aside by quarantine(), oldest first
+   * @returns {Array<Object>} { hash, g_time, reason, quarantined_at }
+   */
+  list_quarantine() {
+    return this.connection.conn.prepare(
+      'SELECT hash, g_time, reason, quarantined_at FROM card_quarantine ORDER BY id ASC'
+    ).all();
+  }
+
+  /**
+   * Find cards by metadata. Filters compile to parameterised SQL over the
+   * indexed metadata columns, so blobs are only read for the returned page.
+   * @param {Object} [spec] - Query (see card-query.js)
+   * @returns {Page} Page of matching cards
+   */
+  query(spec = {}) {
+    const query = normalizeQuery(spec);
+    const { where, params } = this._compileFilters(query);
+    const { field, descending } = queryOrder(query);
+    const direction = descending ? 'DESC' : 'ASC';
+    const keyExpr = field === 'g_time' ? SQL_TIME_KEY : 'byte_size';
+
+    const conditions = [...where];
+    const pageParams = [...params];
+    const after = decodeQueryCursor(query);
+    if (after) {
+      const op = descending ? '<' : '>';
+      conditions.push(`(${keyExpr} ${op} ? OR (${keyExpr} = ? AND hash ${op} ?))`);
+      pageParams.push(after.key, after.key, after.hash);
+    }
+    const whereSql = (clauses) => clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+
+    const cursor = this.connection.conn;
+    const { total } = cursor.prepare(
+      `SELECT COUNT(*) as total FROM card ${whereSql(where)}`
+    ).get(...params);
+
+    // Fetch one extra row to learn whether another page follows
+    const rows = cursor.prepare(`
+      SELECT ${CONTENT} AS content, g_time, hash, byte_size
+      FROM card
+      ${whereSql(conditions)}
+      ORDER BY ${keyExpr} ${direction}, hash ${direction}
+      LIMIT ?
+    `).all(...pageParams, query.limit + 1);
+
+    const has_next = rows.length > query.limit;
+    const pageRows = rows.slice(0, query.limit);
+    const items = pageRows.map(row => new MCardFromData(row.content, row.hash, row.g_time));
+
+    return toQueryPage(items, {
+      total,
+      has_next,
+      next_cursor: has_next ? encodeQueryCursor(query, pageRows[pageRows.length - 1]) : null
+    }, query);
+  }
+
+  /**
+   * WHERE clauses and parameters for a query's filters
+   * @private
+   */
+  _compileFilters(query) {
+    const where = [];
+    const params = [];
+
+    if (query.contentType) {
+      const exact = query.contentType.filter(pattern => !pattern.endsWith('/*'));
+      const prefixes = query.contentType.filter(pattern => pattern.endsWith('/*'));
+      const alternatives = [];
+      if (exact.length > 0) {
+        alternatives.push(`content_type IN (${exact.map(() => '?').join(', ')})`);
+        params.push(...exact);
+      }
+      prefixes.forEach(pattern => {
+        alternatives.push("content_type LIKE ? ESCAPE '\\'");
+        params.push(pattern.slice(0, -1).replace(/[\\%_]/g, char => `\\${char}`) + '%');
+      });
+      where.push(`(${alternatives.join(' OR ')})`);
+    }
+    if (query.algorithm) {
+      where.push(`hash_algorithm IN (${query.algorithm.map(() => '?').join(', ')})`);
+      params.push(...query.algorithm);
+    }
+    if (query.since) {
+      where.push(`${SQL_TIME_KEY} >= ?`);
+      params.push(query.since);
+    }
+    if (query.until) {
+      where.push(`${SQL_TIME_KEY} < ?`);
+      params.push(query.until);
+    }
+    if (query.minSize !== null) {
+      where.push('byte_size >= ?');
+      params.push(query.minSize);
+    }
+    if (query.maxSize !== null) {
+      where.push('byte_size <= ?');
+      params.push(query.maxSize);
+    }
+
+    return { where, params };
+  }
+
+  /**
+   * Compute content type, size and hash algorithm for cards stored without
+   * them, e.g. rows inserted by other tools
+   * @param {Object} [options]
+   * @param {number} [options.batchSize] - Rows updated per transaction
+   * @returns {number} Number of cards updated
+   */
+  backfill_metadata(options = {}) {
+    return backfillCardMetadata(this.connection.conn, options);
+  }
+
+  /**
+   * Space used by stored content, and how much compression saves
+   * @returns {Object} { cards, compressed, byte_size, stored_size, saved } where
+   *   byte_size is the content as added and stored_size what the rows hold
+   */
+  compression_stats() {
+    const row = this.connection.conn.prepare(`
+      SELECT COUNT(*) AS cards,
+        COUNT(codec) AS compressed,
+        COALESCE(SUM(COALESCE(byte_size, length(CAST(content AS BLOB)))), 0) AS byte_size,
+        COALESCE(SUM(length(CAST(content AS BLOB))), 0) AS stored_size
+      FROM card
+    `).get();
+    return { ...row, saved: row.byte_size - row.stored_size };
+  }
+
+  /**
+   * Content and codec to store, compressing when the engine is set up to
+   * and the result is smaller
+   * @private
+   */
+  _encode(content) {
+    const raw = { content, codec: null };
+    if (!this.compression) {
+      return raw;
+    }
+    const bytes = SafeBuffer.from(content);
+    if (!shouldCompress(bytes, this.compression)) {
+      return raw;
+    }
+    const compressed = compressSync(bytes, this.compression.codec);
+    return compressed.length < bytes.length ? { content: compressed, codec: this.compression.codec } : raw;
+  }
+
+  /**
+   * Content type record for a stored MIME type, shaped like detectContentType's result
+   * @private
+   */
+  _contentTypeRecord(mimeType) {
+    return {
+      mimeType,
+      extension: ContentTypeInterpreter.getExtension(mimeType),
+      isValid: true,
+      detectionMethod: 'stored'
+    };
+  }
+
   begin() {
     if (this.connection.conn) {
       this.connection.conn.prepare('BEGIN TRANSACTION').run();
@@ -604,15 +968,45 @@ class SQLiteEngine {
     }
   }
 
-  clear() {
-    try {
-      this.begin();
-      this.clearStmt.run();
-      this.commit();
-    } catch (error) {
-      this.rollback();
-      throw error;
+  /**
+   * Mark a savepoint inside the current transaction
+   * @param {string} name - Savepoint name (an SQL identifier)
+   */
+  savepoint(name) {
+    this.connection.conn.prepare(`SAVEPOINT ${this._savepointName(name)}`).run();
+  }
+
+  /**
+   * Keep the writes made since a savepoint and forget the savepoint
+   * @param {string} name - Savepoint name
+   */
+  release_savepoint(name) {
+    this.connection.conn.prepare(`RELEASE ${this._savepointName(name)}`).run();
+  }
+
+  /**
+   * Undo the writes made since a savepoint and forget the savepoint
+   * @param {string} name - Savepoint name
+   */
+  rollback_to_savepoint(name) {
+    const savepoint = this._savepointName(name);
+    this.connection.conn.prepare(`ROLLBACK TO ${savepoint}`).run();
+    this.connection.conn.prepare(`RELEASE ${savepoint}`).run();
+  }
+
+  /**
+   * @private
+   */
+  _savepointName(name) {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(String(name))) {
+      throw new Error(`Invalid savepoint name: ${name}`);
     }
+    return name;
+  }
+
+  clear() {
+    // better-sqlite3 uses a savepoint when a transaction is already open
+    this.connection.conn.transaction(() => this.clearStmt.run())();
   }
 
   /**
@@ -662,13 +1056,19 @@ class SQLiteEngine {
         finalContent = String(newContent);
         console.log('Converted content to string for update');
       }
+
+      // Store text as a BLOB, like add(), so reads always see a Buffer
+      if (typeof finalContent === 'string') {
+        finalContent = SafeBuffer.from(finalContent, 'utf-8');
+      }
       
-      // Update the card in the database
+      // Update the card in the database; updated content is stored raw
       const stmt = this.connection.conn.prepare(
-        'UPDATE card SET content = ? WHERE hash = ?'
+        'UPDATE card SET content = ?, codec = NULL, content_type = ?, byte_size = ? WHERE hash = ?'
       );
+      const metadata = cardMetadata({ content: finalContent });
       
-      const result = stmt.run(finalContent, String(hash));
+      const result = stmt.run(finalContent, metadata.content_type, metadata.byte_size, String(hash));
       
       if (result.changes > 0) {
         console.log('Card updated successfully with hash:', hash);
@@ -687,69 +1087,137 @@ class SQLiteEngine {
    * Get all cards
    * @param {number} page_number - Page number to retrieve
    * @param {number} page_size - Number of items per page
+   * @param {Object} [options]
+   * @param {string} [options.cursor] - Page cursor; page_number is ignored when set
    * @returns {Page} Page of all cards
    */
-  get_all(page_number = 1, page_size = DEFAULT_PAGE_SIZE) {
-    if (page_number < 1) {
+  get_all(page_number = 1, page_size = DEFAULT_PAGE_SIZE, { cursor } = {}) {
+    if (!cursor && page_number < 1) {
       throw new Error("Page number must be >= 1");
     }
     if (page_size < 1) {
       throw new Error("Page size must be >= 1");
     }
-    
-    const offset = (page_number - 1) * page_size;
-    
-    // Get total count of items
-    const countStmt = this.connection.conn.prepare(
-      'SELECT COUNT(*) as total FROM card'
-    );
-    const { total } = countStmt.get();
-    console.log('Total cards:', total);
-
-    // Get page of items
-    const stmt = this.connection.conn.prepare(`
-      SELECT content, g_time, hash 
-      FROM card 
-      ORDER BY g_time DESC 
-      LIMIT ? OFFSET ?
+
+    return this._listPage(null, [], page_number, page_size, cursor);
+  }
+
+  /**
+   * Stream every card, newest first, reading batchSize rows at a time with
+   * the same (time key, hash) seek as cursor pages. The connection is free
+   * between batches, so the loop may write to the store; cards added while
+   * iterating sort before the position reached and are not yielded.
+   * @param {Object} [options]
+   * @param {number} [options.batchSize=100] - Rows read per query
+   * @returns {Generator<MCard>} Cards
+   */
+  *iterate({ batchSize = DEFAULT_ITERATE_BATCH_SIZE } = {}) {
+    const conn = this.connection.conn;
+    const columns = `SELECT ${CONTENT} AS content, g_time, hash FROM card`;
+    const first = conn.prepare(`${columns} ORDER BY ${LISTING_ORDER} LIMIT ?`);
+    const after = conn.prepare(`
+      ${columns} WHERE (${SQL_TIME_KEY}, hash) < (?, ?)
+      ORDER BY ${LISTING_ORDER} LIMIT ?
     `);
-    
-    const rows = stmt.all(page_size, offset);
-    console.log('Rows found:', rows.length);
 
-    // Convert rows to cards
-    const items = [];
-    for (const row of rows) {
-        const { content, g_time, hash } = row;
-        
-        // Parse content if it's a JSON string
-        let parsedContent = content;
-        if (typeof content === 'string' && (content.startsWith('{') || content.startsWith('['))) {
-          try {
-            parsedContent = JSON.parse(content);
-          } catch (e) {
-            console.warn('Failed to parse JSON content for hash:', hash);
-          }
-        }
-        
-        // Create card with properly parsed content
-        const card = new MCardFromData(parsedContent, hash, g_time);
-        items.push(card);
+    let rows = first.all(batchSize);
+    while (rows.length > 0) {
+      const last = rows[rows.length - 1];
+      for (const row of rows) {
+        yield this._rowToCard(row);
+      }
+      if (rows.length < batchSize) {
+        return;
+      }
+      rows = after.all(timeKey(last.g_time), last.hash, batchSize);
+    }
+  }
+
+  /**
+   * Page of cards matching an optional SQL filter, newest first. Numbered
+   * pages use OFFSET; cursor pages seek on the (time key, hash) index.
+   * @private
+   */
+  _listPage(filter, params, page_number, page_size, cursorToken) {
+    const conn = this.connection.conn;
+    const where = (condition) => {
+      const clauses = [filter && `(${filter})`, condition].filter(Boolean);
+      return clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    };
+    const columns = `SELECT ${CONTENT} AS content, g_time, hash FROM card`;
+
+    const { total } = conn.prepare(`SELECT COUNT(*) as total FROM card ${where()}`).get(...params);
+
+    let rows;
+    let has_next;
+    let has_previous;
+    let number = page_number;
+
+    if (cursorToken) {
+      const position = decodePageCursor(cursorToken);
+      const key = [timeKey(position.g_time), position.hash];
+      const exists = (condition) => Boolean(
+        conn.prepare(`SELECT 1 FROM card ${where(condition)} LIMIT 1`).get(...params, ...key)
+      );
+
+      // Fetch one extra row to learn whether the page continues
+      if (position.direction === 'after') {
+        rows = conn.prepare(`
+          ${columns} ${where(`(${SQL_TIME_KEY}, hash) < (?, ?)`)}
+          ORDER BY ${LISTING_ORDER} LIMIT ?
+        `).all(...params, ...key, page_size + 1);
+        has_next = rows.length > page_size;
+        rows = rows.slice(0, page_size);
+        has_previous = exists(`(${SQL_TIME_KEY}, hash) >= (?, ?)`);
+      } else {
+        rows = conn.prepare(`
+          ${columns} ${where(`(${SQL_TIME_KEY}, hash) > (?, ?)`)}
+          ORDER BY ${SQL_TIME_KEY} ASC, hash ASC LIMIT ?
+        `).all(...params, ...key, page_size + 1);
+        has_previous = rows.length > page_size;
+        rows = rows.slice(0, page_size).reverse();
+        has_next = exists(`(${SQL_TIME_KEY}, hash) <= (?, ?)`);
+      }
+      number = null;
+    } else {
+      const offset = (page_number - 1) * page_size;
+      rows = conn.prepare(`
+        ${columns} ${where()}
+        ORDER BY ${LISTING_ORDER} LIMIT ? OFFSET ?
+      `).all(...params, page_size, offset);
+      has_next = offset + page_size < total;
+      has_previous = page_number > 1;
     }
 
-    // Calculate total pages
-    const total_pages = Math.ceil(total / page_size);
+    const items = rows.map(row => this._rowToCard(row));
 
     return new Page({
       items,
       total_items: total,
-      page_number,
+      page_number: number,
       page_size,
-      has_next: offset + page_size < total,
-      has_previous: page_number > 1,
-      total_pages
+      has_next,
+      has_previous,
+      total_pages: Math.ceil(total / page_size),
+      ...pageCursors(items, has_next, has_previous)
     });
   }
+
+  /**
+   * Card for a row, parsing JSON that older versions stored as TEXT
+   * @private
+   */
+  _rowToCard({ content, g_time, hash }) {
+    let parsedContent = content;
+    if (typeof content === 'string' && (content.startsWith('{') || content.startsWith('['))) {
+      try {
+        parsedContent = JSON.parse(content);
+      } catch (e) {
+        console.warn('Failed to parse JSON content for hash:', hash);
+      }
+    }
+    return new MCardFromData(parsedContent, hash, g_time);
+  }
 }
 
 export { SQLiteEngine, SQLiteConnection };
\ No newline at end of file
@@ -1,10 +1,29 @@
 // mcard - Monadic Card Library
+//
+// The package entry point. Everything the README documents is exported
+// here, so applications do not depend on the layout of src/.
 
-// Placeholder for your library's main functionality
-function exampleFunction() {
-  console.log('mcard library is ready!');
-}
+// Cards
+export { MCard, MCardFromData } from './core/mcard.js';
+export { GTime } from './core/g_time.js';
+export { HashRef } from './core/hash-ref.js';
+export { HashAlgorithm } from './config/config_constants.js';
 
-module.exports = {
-  exampleFunction
-};
\ No newline at end of file
+// Collections
+export { CardCollection, Page } from './core/card-collection.js';
+export { AsyncCardCollection } from './core/async-card-collection.js';
+
+// Storage engines
+export { StorageEngine, isStorageEngine } from './engine/base_engine.js';
+export { MemoryEngine } from './engine/memory_engine.js';
+export { SQLiteEngine, SQLiteConnection } from './engine/sqlite_engine.js';
+export { FileSystemEngine } from './engine/filesystem_engine.js';
+export { IndexedDBEngine } from './engine/indexeddb_engine.js';
+export { EncryptedEngine } from './engine/encrypted_engine.js';
+
+// Archives and content addressing
+export { exportCollection, importCollection } from './core/card-archive.js';
+export { cardCid, hashToCid, parseCid } from './core/card-cid.js';
+
+// Redux
+export { mcardPersistenceMiddleware } from './middleware/mcardPersistenceMiddleware.js';
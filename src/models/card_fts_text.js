@@ -0,0 +1,46 @@
+// Text of compressed cards for the full-text index (see card_fts_text in
+// database_schemas.js). It is decoded here rather than in SQL, so the
+// schema needs no SQL function and other SQLite clients can use the index.
+
+import { decompressSync } from '../utils/compression.js';
+import { INSERT_CARD_FTS_TEXT } from './database_schemas.js';
+
+export const DEFAULT_FTS_TEXT_BATCH_SIZE = 100;
+
+const decoder = new TextDecoder('utf-8');
+
+/**
+ * Refill card_fts_text from every compressed card. Its triggers add the
+ * text to card_fts.
+ * @param {Database} db - better-sqlite3 connection
+ * @param {Object} [options]
+ * @param {number} [options.batchSize=100] - Rows decoded per batch
+ * @returns {number} Number of cards written
+ */
+export function fillCardFtsText(db, { batchSize = DEFAULT_FTS_TEXT_BATCH_SIZE } = {}) {
+  const select = db.prepare(`
+    SELECT rowid, hash, content, codec FROM card
+    WHERE codec IS NOT NULL AND rowid > ?
+    ORDER BY rowid
+    LIMIT ?
+  `);
+  const insert = db.prepare(INSERT_CARD_FTS_TEXT);
+  db.prepare('DELETE FROM card_fts_text').run();
+
+  let written = 0;
+  let rows = select.all(0, batchSize);
+  while (rows.length > 0) {
+    for (const row of rows) {
+      // Only text is compressed (see utils/compression.js)
+      insert.run(row.rowid, row.hash, decoder.decode(decompressSync(row.content, row.codec)));
+    }
+    written += rows.length;
+    rows = select.all(rows[rows.length - 1].rowid, batchSize);
+  }
+  return written;
+}
+
+export default {
+  DEFAULT_FTS_TEXT_BATCH_SIZE,
+  fillCardFtsText
+};
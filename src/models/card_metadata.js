@@ -0,0 +1,114 @@
+// Card metadata stored alongside content so listings can filter on it
+// without loading blobs: MIME type, size in bytes and hash algorithm.
+
+import ContentTypeInterpreter from '../utils/content_type_detector.js';
+
+export const DEFAULT_BACKFILL_BATCH_SIZE = 500;
+
+/**
+ * Hash algorithm named by a g_time string (`sha256|<timestamp>|<region>`)
+ * @param {string} g_time - g_time of the card
+ * @returns {string|null} Lower-cased algorithm, or null if g_time has no prefix
+ */
+export function algorithmFromGTime(g_time) {
+  const parts = String(g_time || '').split('|');
+  if (parts.length !== 3 || !parts[0].trim()) {
+    return null;
+  }
+  return parts[0].trim().toLowerCase();
+}
+
+/**
+ * Size of stored content in bytes
+ * @param {Uint8Array|string} content - Stored content
+ * @returns {number} Byte length
+ */
+export function byteSizeOf(content) {
+  if (content === null || content === undefined) {
+    return 0;
+  }
+  if (content instanceof Uint8Array) {
+    return content.length;
+  }
+  return new TextEncoder().encode(String(content)).length;
+}
+
+/**
+ * Text view of content for type detection. Bytes count as text when they
+ * hold valid UTF-8 without NUL bytes, the same rule the full-text index uses.
+ * @param {Uint8Array|string} content - Stored content
+ * @returns {string|null} Decoded text, or null for binary content
+ */
+export function textOf(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (!(content instanceof Uint8Array) || content.includes(0)) {
+    return null;
+  }
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(content);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Compute the metadata columns for a card
+ * @param {Object} card - Card or row with content, g_time and optionally hash_algorithm,
+ *   which is used when g_time does not name the algorithm
+ * @returns {{content_type: string, byte_size: number, hash_algorithm: string|null}} Metadata
+ */
+export function cardMetadata({ content, g_time, hash_algorithm = null }) {
+  const text = textOf(content);
+  const contentType = ContentTypeInterpreter.detectContentType(text !== null ? text : content);
+  return {
+    content_type: contentType.mimeType || 'application/octet-stream',
+    byte_size: byteSizeOf(content),
+    hash_algorithm: algorithmFromGTime(g_time) || (hash_algorithm ? String(hash_algorithm).toLowerCase() : null)
+  };
+}
+
+/**
+ * Fill in metadata for cards stored without it, e.g. rows written before the
+ * columns existed or by tools that bypass SQLiteEngine
+ * @param {Database} db - better-sqlite3 database handle
+ * @param {Object} [options]
+ * @param {number} [options.batchSize=500] - Rows updated per statement batch
+ * @returns {number} Number of cards updated
+ */
+export function backfillCardMetadata(db, { batchSize = DEFAULT_BACKFILL_BATCH_SIZE } = {}) {
+  const select = db.prepare(`
+    SELECT rowid, content, g_time FROM card
+    WHERE content_type IS NULL OR byte_size IS NULL
+    LIMIT ?
+  `);
+  const update = db.prepare(`
+    UPDATE card SET content_type = ?, byte_size = ?, hash_algorithm = ?
+    WHERE rowid = ?
+  `);
+  const updateBatch = db.transaction(rows => {
+    for (const row of rows) {
+      const metadata = cardMetadata(row);
+      update.run(metadata.content_type, metadata.byte_size, metadata.hash_algorithm, row.rowid);
+    }
+  });
+
+  let updated = 0;
+  let rows = select.all(batchSize);
+  while (rows.length > 0) {
+    updateBatch(rows);
+    updated += rows.length;
+    rows = select.all(batchSize);
+  }
+  return updated;
+}
+
+export default {
+  DEFAULT_BACKFILL_BATCH_SIZE,
+  algorithmFromGTime,
+  byteSizeOf,
+  textOf,
+  cardMetadata,
+  backfillCardMetadata
+};
@@ -20,7 +20,400 @@ export const TRIGGERS = {
   `
 };
 
+// Metadata computed once at insert so listings can filter without loading
+// content. Added to existing tables by migration 3.
+export const CARD_METADATA_COLUMNS = {
+  content_type: 'ALTER TABLE card ADD COLUMN content_type TEXT',
+  byte_size: 'ALTER TABLE card ADD COLUMN byte_size INTEGER',
+  hash_algorithm: 'ALTER TABLE card ADD COLUMN hash_algorithm TEXT'
+};
+
+export const CARD_METADATA_INDEXES = {
+  contentType: 'CREATE INDEX IF NOT EXISTS idx_card_content_type ON card (content_type)',
+  byteSize: 'CREATE INDEX IF NOT EXISTS idx_card_byte_size ON card (byte_size)',
+  hashAlgorithm: 'CREATE INDEX IF NOT EXISTS idx_card_hash_algorithm ON card (hash_algorithm)'
+};
+
+// Listing order (newest first, hash as tie-breaker), used by cursor paging
+export const CARD_LISTING_INDEX = 'CREATE INDEX IF NOT EXISTS idx_card_g_time_hash ON card (g_time, hash)';
+
+// Time part of g_time, matching timeKey() in core/page-cursor.js. Queries
+// must use this exact expression for SQLite to use the index below.
+export const CARD_TIME_KEY = "substr(g_time, instr(g_time, '|') + 1)";
+
+// From migration 10, listings order by time and then hash, whatever the
+// hash algorithm prefix of g_time, so the index is on the time key instead
+export const DROP_CARD_LISTING_INDEX = 'DROP INDEX IF EXISTS idx_card_g_time_hash';
+
+export const CARD_TIME_LISTING_INDEX = `CREATE INDEX IF NOT EXISTS idx_card_time_key_hash ON card (${CARD_TIME_KEY}, hash)`;
+
+// Event log: one row per event card (see core/card-events.js), linking it to
+// the card it is about. Kept in sync with the card table by triggers, so
+// event cards written by any tool are indexed. Added by migration 5.
+export const EVENT_TABLE_SCHEMA = `
+CREATE TABLE IF NOT EXISTS event (
+  hash TEXT PRIMARY KEY,
+  type TEXT NOT NULL,
+  subject_hash TEXT,
+  time TEXT NOT NULL
+)
+`;
+
+export const EVENT_INDEXES = {
+  subject: 'CREATE INDEX IF NOT EXISTS idx_event_subject ON event (subject_hash, time)',
+  type: 'CREATE INDEX IF NOT EXISTS idx_event_type ON event (type, time)',
+  time: 'CREATE INDEX IF NOT EXISTS idx_event_time ON event (time)'
+};
+
+// Columns of the event row for a card row, and the condition for the row
+// being an event card of one of the given types. Content is cast to TEXT so
+// SQLite does not read BLOBs as JSONB. Released migrations build their SQL
+// from these, so they must not change; a new event type gets a new version
+// of the triggers below.
+const eventColumns = (row) => `
+  ${row}.hash,
+  json_extract(CAST(${row}.content AS TEXT), '$.type'),
+  json_extract(CAST(${row}.content AS TEXT), '$.subject_hash'),
+  substr(json_extract(CAST(${row}.content AS TEXT), '$.timestamp'),
+         instr(json_extract(CAST(${row}.content AS TEXT), '$.timestamp'), '|') + 1)
+`;
+const isEventCard = (row, types) => `
+  CAST(${row}.content AS TEXT) LIKE '{"schema":"mcard-event/1"%'
+  AND json_valid(CAST(${row}.content AS TEXT))
+  AND json_extract(CAST(${row}.content AS TEXT), '$.type') IN (${types.map(type => `'${type}'`).join(', ')})
+  AND json_type(CAST(${row}.content AS TEXT), '$.timestamp') = 'text'
+`;
+const eventInsertTrigger = (types) => `
+  CREATE TRIGGER IF NOT EXISTS event_card_insert
+  AFTER INSERT ON card
+  WHEN ${isEventCard('new', types)}
+  BEGIN
+    INSERT OR IGNORE INTO event (hash, type, subject_hash, time)
+    SELECT ${eventColumns('new')};
+  END
+  `;
+const rebuildEvents = (types) => `
+DELETE FROM event;
+INSERT INTO event (hash, type, subject_hash, time)
+SELECT ${eventColumns('card')} FROM card WHERE ${isEventCard('card', types)};
+`;
+
+// Event types indexed by migration 5
+const EVENT_TYPES_V1 = ['duplicate', 'collision', 'delete', 'update', 'import'];
+// Migration 7 adds revision events
+const EVENT_TYPES_V2 = [...EVENT_TYPES_V1, 'revision'];
+
+export const EVENT_TRIGGERS_V1 = {
+  insert: eventInsertTrigger(EVENT_TYPES_V1),
+  delete: `
+  CREATE TRIGGER IF NOT EXISTS event_card_delete
+  AFTER DELETE ON card
+  BEGIN
+    DELETE FROM event WHERE hash = old.hash;
+  END
+  `
+};
+
+export const REBUILD_EVENTS_V1 = rebuildEvents(EVENT_TYPES_V1);
+
+// Drops the insert trigger so it can be recreated with a new set of event types
+export const DROP_EVENT_INSERT_TRIGGER = 'DROP TRIGGER IF EXISTS event_card_insert';
+
+export const EVENT_INSERT_TRIGGER_V2 = eventInsertTrigger(EVENT_TYPES_V2);
+
+export const REBUILD_EVENTS_V2 = rebuildEvents(EVENT_TYPES_V2);
+
+// Change log: every insert, content update and delete on the card table gets
+// a strictly increasing sequence number, so other processes sharing the
+// database can tail changes and resume from the last one they handled.
+// AUTOINCREMENT keeps sequence numbers from being reused. Added by migration 6.
+export const CARD_CHANGE_TABLE_SCHEMA = `
+CREATE TABLE IF NOT EXISTS card_change (
+  seq INTEGER PRIMARY KEY AUTOINCREMENT,
+  hash TEXT NOT NULL,
+  operation TEXT NOT NULL,
+  changed_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+)
+`;
+
+export const CARD_CHANGE_TRIGGERS = {
+  insert: `
+  CREATE TRIGGER IF NOT EXISTS card_change_insert
+  AFTER INSERT ON card
+  BEGIN
+    INSERT INTO card_change (hash, operation) VALUES (new.hash, 'insert');
+  END
+  `,
+  update: `
+  CREATE TRIGGER IF NOT EXISTS card_change_update
+  AFTER UPDATE OF content ON card
+  BEGIN
+    INSERT INTO card_change (hash, operation) VALUES (new.hash, 'update');
+  END
+  `,
+  delete: `
+  CREATE TRIGGER IF NOT EXISTS card_change_delete
+  AFTER DELETE ON card
+  BEGIN
+    INSERT INTO card_change (hash, operation) VALUES (old.hash, 'delete');
+  END
+  `
+};
+
+// Cards stored before the change log existed, in insertion order
+export const BACKFILL_CARD_CHANGES = `
+INSERT INTO card_change (hash, operation)
+SELECT hash, 'insert' FROM card ORDER BY rowid
+`;
+
+// Cards that failed verification (see core/card-verify.js), moved out of the
+// card table with the reason they were set aside. Rows keep whatever content
+// they had, so they can be inspected or restored by hand. Added by migration 8.
+export const CARD_QUARANTINE_TABLE_SCHEMA = `
+CREATE TABLE IF NOT EXISTS card_quarantine (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  hash TEXT NOT NULL,
+  g_time TEXT,
+  content BLOB,
+  reason TEXT NOT NULL,
+  quarantined_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+)
+`;
+
+// Full-text index over text and JSON cards. Content without NUL bytes is
+// treated as text, the same heuristic the content type detector uses; binary
+// cards are left out of the index.
+export const FTS_TEXT_CONDITION = (column) => `instr(${column}, X'00') = 0`;
+
+export const MCARD_FTS_SCHEMA = `
+CREATE VIRTUAL TABLE IF NOT EXISTS card_fts USING fts5(
+  hash UNINDEXED,
+  content,
+  tokenize = 'unicode61'
+)
+`;
+
+export const FTS_TRIGGERS = {
+  afterInsert: `
+  CREATE TRIGGER IF NOT EXISTS card_fts_after_insert
+  AFTER INSERT ON card
+  FOR EACH ROW
+  WHEN ${FTS_TEXT_CONDITION('NEW.content')}
+  BEGIN
+    INSERT INTO card_fts (rowid, hash, content)
+    VALUES (NEW.rowid, NEW.hash, CAST(NEW.content AS TEXT));
+  END
+  `,
+  afterDelete: `
+  CREATE TRIGGER IF NOT EXISTS card_fts_after_delete
+  AFTER DELETE ON card
+  FOR EACH ROW
+  BEGIN
+    DELETE FROM card_fts WHERE rowid = OLD.rowid;
+  END
+  `,
+  afterUpdate: `
+  CREATE TRIGGER IF NOT EXISTS card_fts_after_update
+  AFTER UPDATE OF content ON card
+  FOR EACH ROW
+  BEGIN
+    DELETE FROM card_fts WHERE rowid = OLD.rowid;
+    INSERT INTO card_fts (rowid, hash, content)
+    SELECT NEW.rowid, NEW.hash, CAST(NEW.content AS TEXT)
+    WHERE ${FTS_TEXT_CONDITION('NEW.content')};
+  END
+  `
+};
+
+export const REBUILD_FTS = `
+DELETE FROM card_fts;
+INSERT INTO card_fts (rowid, hash, content)
+SELECT rowid, hash, CAST(content AS TEXT) FROM card
+WHERE ${FTS_TEXT_CONDITION('content')};
+`;
+
+// Compression codec per card (see utils/compression.js); NULL for content
+// stored raw. Added by migration 9.
+export const CARD_CODEC_COLUMN = 'ALTER TABLE card ADD COLUMN codec TEXT';
+
+// The FTS triggers only see stored bytes, so from migration 9 they skip
+// compressed rows; SQLiteEngine indexes their text when it writes them.
+export const DROP_FTS_WRITE_TRIGGERS = `
+DROP TRIGGER IF EXISTS card_fts_after_insert;
+DROP TRIGGER IF EXISTS card_fts_after_update;
+`;
+
+export const CODEC_FTS_TRIGGERS = {
+  afterInsert: `
+  CREATE TRIGGER IF NOT EXISTS card_fts_after_insert
+  AFTER INSERT ON card
+  FOR EACH ROW
+  WHEN NEW.codec IS NULL AND ${FTS_TEXT_CONDITION('NEW.content')}
+  BEGIN
+    INSERT INTO card_fts (rowid, hash, content)
+    VALUES (NEW.rowid, NEW.hash, CAST(NEW.content AS TEXT));
+  END
+  `,
+  afterUpdate: `
+  CREATE TRIGGER IF NOT EXISTS card_fts_after_update
+  AFTER UPDATE OF content ON card
+  FOR EACH ROW
+  BEGIN
+    DELETE FROM card_fts WHERE rowid = OLD.rowid;
+    INSERT INTO card_fts (rowid, hash, content)
+    SELECT NEW.rowid, NEW.hash, CAST(NEW.content AS TEXT)
+    WHERE NEW.codec IS NULL AND ${FTS_TEXT_CONDITION('NEW.content')};
+  END
+  `
+};
+
+// Rebuilds the index from raw rows; compressed rows are added by SQLiteEngine
+export const REBUILD_RAW_FTS = `
+DELETE FROM card_fts;
+INSERT INTO card_fts (rowid, hash, content)
+SELECT rowid, hash, CAST(content AS TEXT) FROM card
+WHERE codec IS NULL AND ${FTS_TEXT_CONDITION('content')};
+`;
+
+// From migration 11 the full-text index is an external-content table: it
+// holds only the index and reads text from card_fts_source when it needs it
+// (snippets, rebuilds), instead of keeping a second copy of every text card.
+// Raw text rows are read from card itself. Compressed rows are read from
+// card_fts_text, where SQLiteEngine stores their text after decoding it, so
+// no SQL function is needed and any SQLite client can use the index.
+export const DROP_FTS = `
+DROP TRIGGER IF EXISTS card_fts_after_insert;
+DROP TRIGGER IF EXISTS card_fts_after_delete;
+DROP TRIGGER IF EXISTS card_fts_after_update;
+DROP TABLE IF EXISTS card_fts;
+DROP VIEW IF EXISTS card_fts_source;
+`;
+
+export const CARD_FTS_TEXT_SCHEMA = `
+CREATE TABLE IF NOT EXISTS card_fts_text (
+  card_rowid INTEGER PRIMARY KEY,
+  hash TEXT NOT NULL,
+  content TEXT NOT NULL
+)
+`;
+
+export const INSERT_CARD_FTS_TEXT = 'INSERT INTO card_fts_text (card_rowid, hash, content) VALUES (?, ?, ?)';
+
+export const FTS_SOURCE_VIEW = `
+CREATE VIEW IF NOT EXISTS card_fts_source AS
+SELECT rowid AS card_rowid, hash, CAST(content AS TEXT) AS content
+FROM card
+WHERE codec IS NULL AND ${FTS_TEXT_CONDITION('content')}
+UNION ALL
+SELECT card_rowid, hash, content FROM card_fts_text
+`;
+
+export const EXTERNAL_FTS_SCHEMA = `
+CREATE VIRTUAL TABLE IF NOT EXISTS card_fts USING fts5(
+  hash UNINDEXED,
+  content,
+  content = 'card_fts_source',
+  content_rowid = 'card_rowid',
+  tokenize = 'unicode61'
+)
+`;
+
+// An external-content index must be told the text a row was indexed with to
+// remove it, which FTS5's 'delete' command does. Raw rows are indexed from
+// card; compressed rows through their card_fts_text row, which goes when the
+// card is deleted or rewritten.
+const RAW_TEXT_ROW = (row) => `${row}.codec IS NULL AND ${FTS_TEXT_CONDITION(`${row}.content`)}`;
+
+export const EXTERNAL_FTS_TRIGGERS = {
+  afterInsert: `
+  CREATE TRIGGER IF NOT EXISTS card_fts_after_insert
+  AFTER INSERT ON card
+  FOR EACH ROW
+  WHEN ${RAW_TEXT_ROW('NEW')}
+  BEGIN
+    INSERT INTO card_fts (rowid, hash, content)
+    VALUES (NEW.rowid, NEW.hash, CAST(NEW.content AS TEXT));
+  END
+  `,
+  afterDelete: `
+  CREATE TRIGGER IF NOT EXISTS card_fts_after_delete
+  AFTER DELETE ON card
+  FOR EACH ROW
+  BEGIN
+    INSERT INTO card_fts (card_fts, rowid, hash, content)
+    SELECT 'delete', OLD.rowid, OLD.hash, CAST(OLD.content AS TEXT)
+    WHERE ${RAW_TEXT_ROW('OLD')};
+    DELETE FROM card_fts_text WHERE card_rowid = OLD.rowid;
+  END
+  `,
+  afterUpdate: `
+  CREATE TRIGGER IF NOT EXISTS card_fts_after_update
+  AFTER UPDATE OF content ON card
+  FOR EACH ROW
+  BEGIN
+    INSERT INTO card_fts (card_fts, rowid, hash, content)
+    SELECT 'delete', OLD.rowid, OLD.hash, CAST(OLD.content AS TEXT)
+    WHERE ${RAW_TEXT_ROW('OLD')};
+    DELETE FROM card_fts_text WHERE card_rowid = OLD.rowid;
+    INSERT INTO card_fts (rowid, hash, content)
+    SELECT NEW.rowid, NEW.hash, CAST(NEW.content AS TEXT)
+    WHERE ${RAW_TEXT_ROW('NEW')};
+  END
+  `,
+  textAfterInsert: `
+  CREATE TRIGGER IF NOT EXISTS card_fts_text_after_insert
+  AFTER INSERT ON card_fts_text
+  FOR EACH ROW
+  BEGIN
+    INSERT INTO card_fts (rowid, hash, content)
+    VALUES (NEW.card_rowid, NEW.hash, NEW.content);
+  END
+  `,
+  textAfterDelete: `
+  CREATE TRIGGER IF NOT EXISTS card_fts_text_after_delete
+  AFTER DELETE ON card_fts_text
+  FOR EACH ROW
+  BEGIN
+    INSERT INTO card_fts (card_fts, rowid, hash, content)
+    VALUES ('delete', OLD.card_rowid, OLD.hash, OLD.content);
+  END
+  `
+};
+
+export const REBUILD_EXTERNAL_FTS = "INSERT INTO card_fts (card_fts) VALUES ('rebuild')";
+
 export default {
   MCARD_TABLE_SCHEMA,
-  TRIGGERS
+  TRIGGERS,
+  CARD_METADATA_COLUMNS,
+  CARD_METADATA_INDEXES,
+  CARD_LISTING_INDEX,
+  CARD_TIME_KEY,
+  DROP_CARD_LISTING_INDEX,
+  CARD_TIME_LISTING_INDEX,
+  EVENT_TABLE_SCHEMA,
+  EVENT_INDEXES,
+  EVENT_TRIGGERS_V1,
+  REBUILD_EVENTS_V1,
+  DROP_EVENT_INSERT_TRIGGER,
+  EVENT_INSERT_TRIGGER_V2,
+  REBUILD_EVENTS_V2,
+  CARD_CHANGE_TABLE_SCHEMA,
+  CARD_CHANGE_TRIGGERS,
+  BACKFILL_CARD_CHANGES,
+  CARD_QUARANTINE_TABLE_SCHEMA,
+  MCARD_FTS_SCHEMA,
+  FTS_TRIGGERS,
+  REBUILD_FTS,
+  CARD_CODEC_COLUMN,
+  DROP_FTS_WRITE_TRIGGERS,
+  CODEC_FTS_TRIGGERS,
+  REBUILD_RAW_FTS,
+  DROP_FTS,
+  CARD_FTS_TEXT_SCHEMA,
+  INSERT_CARD_FTS_TEXT,
+  FTS_SOURCE_VIEW,
+  EXTERNAL_FTS_SCHEMA,
+  EXTERNAL_FTS_TRIGGERS,
+  REBUILD_EXTERNAL_FTS
 };
@@ -0,0 +1,159 @@
+// Versioned schema migrations for the SQLite card database.
+//
+// Each migration upgrades the schema by exactly one version. They are applied
+// in order by SQLiteConnection.migrate(), inside a single transaction, and
+// recorded in the schema_version table. Never edit a released migration;
+// add a new one instead.
+
+import {
+  MCARD_TABLE_SCHEMA,
+  TRIGGERS,
+  CARD_METADATA_COLUMNS,
+  CARD_METADATA_INDEXES,
+  CARD_LISTING_INDEX,
+  EVENT_TABLE_SCHEMA,
+  EVENT_INDEXES,
+  EVENT_TRIGGERS_V1,
+  REBUILD_EVENTS_V1,
+  DROP_EVENT_INSERT_TRIGGER,
+  EVENT_INSERT_TRIGGER_V2,
+  REBUILD_EVENTS_V2,
+  CARD_CHANGE_TABLE_SCHEMA,
+  CARD_CHANGE_TRIGGERS,
+  BACKFILL_CARD_CHANGES,
+  CARD_QUARANTINE_TABLE_SCHEMA,
+  MCARD_FTS_SCHEMA,
+  FTS_TRIGGERS,
+  REBUILD_FTS,
+  CARD_CODEC_COLUMN,
+  DROP_FTS_WRITE_TRIGGERS,
+  CODEC_FTS_TRIGGERS,
+  DROP_CARD_LISTING_INDEX,
+  CARD_TIME_LISTING_INDEX,
+  DROP_FTS,
+  CARD_FTS_TEXT_SCHEMA,
+  FTS_SOURCE_VIEW,
+  EXTERNAL_FTS_SCHEMA,
+  EXTERNAL_FTS_TRIGGERS,
+  REBUILD_EXTERNAL_FTS
+} from './database_schemas.js';
+import { backfillCardMetadata } from './card_metadata.js';
+import { fillCardFtsText } from './card_fts_text.js';
+
+export const SCHEMA_VERSION_TABLE = `
+CREATE TABLE IF NOT EXISTS schema_version (
+  version INTEGER PRIMARY KEY,
+  description TEXT NOT NULL,
+  applied_at TEXT NOT NULL
+)
+`;
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create card table',
+    // Idempotent, so databases created before migrations existed are adopted as-is
+    up(db) {
+      db.exec(MCARD_TABLE_SCHEMA);
+      Object.values(TRIGGERS).forEach(trigger => db.exec(trigger));
+    }
+  },
+  {
+    version: 2,
+    description: 'Add FTS5 full-text index over text and JSON cards',
+    up(db) {
+      db.exec(MCARD_FTS_SCHEMA);
+      Object.values(FTS_TRIGGERS).forEach(trigger => db.exec(trigger));
+      db.exec(REBUILD_FTS);
+    }
+  },
+  {
+    version: 3,
+    description: 'Store content type, byte size and hash algorithm per card',
+    up(db) {
+      Object.values(CARD_METADATA_COLUMNS).forEach(column => db.exec(column));
+      Object.values(CARD_METADATA_INDEXES).forEach(index => db.exec(index));
+      backfillCardMetadata(db);
+    }
+  },
+  {
+    version: 4,
+    description: 'Index listing order for cursor pagination',
+    up(db) {
+      db.exec(CARD_LISTING_INDEX);
+    }
+  },
+  {
+    version: 5,
+    description: 'Add event log table linking event cards to their subjects',
+    up(db) {
+      db.exec(EVENT_TABLE_SCHEMA);
+      Object.values(EVENT_INDEXES).forEach(index => db.exec(index));
+      Object.values(EVENT_TRIGGERS_V1).forEach(trigger => db.exec(trigger));
+      db.exec(REBUILD_EVENTS_V1);
+    }
+  },
+  {
+    version: 6,
+    description: 'Add change log for tailing the card table across processes',
+    up(db) {
+      db.exec(CARD_CHANGE_TABLE_SCHEMA);
+      db.exec(BACKFILL_CARD_CHANGES);
+      Object.values(CARD_CHANGE_TRIGGERS).forEach(trigger => db.exec(trigger));
+    }
+  },
+  {
+    version: 7,
+    description: 'Index revision events in the event log',
+    up(db) {
+      db.exec(DROP_EVENT_INSERT_TRIGGER);
+      db.exec(EVENT_INSERT_TRIGGER_V2);
+      db.exec(REBUILD_EVENTS_V2);
+    }
+  },
+  {
+    version: 8,
+    description: 'Add quarantine table for cards that fail verification',
+    up(db) {
+      db.exec(CARD_QUARANTINE_TABLE_SCHEMA);
+    }
+  },
+  {
+    version: 9,
+    description: 'Record a compression codec per card',
+    up(db) {
+      db.exec(CARD_CODEC_COLUMN);
+      db.exec(DROP_FTS_WRITE_TRIGGERS);
+      Object.values(CODEC_FTS_TRIGGERS).forEach(trigger => db.exec(trigger));
+    }
+  },
+  {
+    version: 10,
+    description: 'Index listing order by time regardless of hash algorithm',
+    up(db) {
+      db.exec(DROP_CARD_LISTING_INDEX);
+      db.exec(CARD_TIME_LISTING_INDEX);
+    }
+  },
+  {
+    version: 11,
+    description: 'Read full-text index content from the card table instead of a copy',
+    up(db) {
+      db.exec(DROP_FTS);
+      db.exec(CARD_FTS_TEXT_SCHEMA);
+      db.exec(FTS_SOURCE_VIEW);
+      db.exec(EXTERNAL_FTS_SCHEMA);
+      Object.values(EXTERNAL_FTS_TRIGGERS).forEach(trigger => db.exec(trigger));
+      fillCardFtsText(db);
+      db.exec(REBUILD_EXTERNAL_FTS);
+    }
+  }
+];
+
+export const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+export default {
+  SCHEMA_VERSION_TABLE,
+  MIGRATIONS,
+  LATEST_SCHEMA_VERSION
+};
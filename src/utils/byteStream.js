@@ -0,0 +1,86 @@
+/**
+ * Byte-level helpers for streamed archives (see card-archive.js and card-car.js)
+ */
+
+import { SafeBuffer } from './bufferPolyfill.js';
+
+/**
+ * Reads exact byte counts from a stream of chunks
+ * @param {AsyncIterable|Iterable} stream - Node readable stream or any iterable of
+ *   Buffer/Uint8Array/string chunks
+ * @returns {Object} { read(length) } resolving to a Uint8Array, or null when the
+ *   stream ends before `length` bytes
+ */
+export function byteReader(stream) {
+  const iterator = stream[Symbol.asyncIterator] ? stream[Symbol.asyncIterator]() : stream[Symbol.iterator]();
+  const chunks = [];
+  let available = 0;
+  let done = false;
+
+  return {
+    async read(length) {
+      while (available < length && !done) {
+        const next = await iterator.next();
+        if (next.done) {
+          done = true;
+        } else {
+          const chunk = typeof next.value === 'string' ? SafeBuffer.from(next.value) : next.value;
+          chunks.push(chunk);
+          available += chunk.length;
+        }
+      }
+      if (available < length) {
+        return null;
+      }
+
+      const bytes = new Uint8Array(length);
+      let filled = 0;
+      while (filled < length) {
+        const chunk = chunks[0];
+        const take = Math.min(chunk.length, length - filled);
+        bytes.set(chunk.subarray(0, take), filled);
+        filled += take;
+        if (take === chunk.length) {
+          chunks.shift();
+        } else {
+          chunks[0] = chunk.subarray(take);
+        }
+      }
+      available -= length;
+      return bytes;
+    }
+  };
+}
+
+/**
+ * Write a chunk, waiting for 'drain' when a Node stream asks for backpressure
+ * @param {Writable} stream - Node writable stream, or any object with write(chunk)
+ * @param {Uint8Array|string} chunk - Bytes to write
+ * @returns {Promise<void>}
+ */
+export async function writeChunk(stream, chunk) {
+  if (stream.write(chunk) === false && typeof stream.once === 'function') {
+    await new Promise(resolve => stream.once('drain', resolve));
+  }
+}
+
+/**
+ * Join byte arrays into one
+ * @param {Uint8Array[]} parts - Arrays to join, in order
+ * @returns {Uint8Array} Joined bytes
+ */
+export function concatBytes(parts) {
+  const bytes = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    bytes.set(part, offset);
+    offset += part.length;
+  }
+  return bytes;
+}
+
+export default {
+  byteReader,
+  writeChunk,
+  concatBytes
+};
@@ -0,0 +1,156 @@
+/**
+ * Compression codecs for stored card content
+ *
+ * Engines that support compression store each row either raw or compressed
+ * with one of COMPRESSION_CODECS, recording the codec per row. Hashes are
+ * always computed over the uncompressed content, so compression never
+ * changes a card's address, and rows written with different settings can
+ * share a store.
+ *
+ * Node.js uses zlib, which also has synchronous calls for SQLiteEngine.
+ * Browsers use CompressionStream, which is asynchronous only. Where neither
+ * exists, compress() returns null and content is stored raw.
+ */
+
+import { textOf } from '../models/card_metadata.js';
+import { EVENT_SCHEMA } from '../core/card-events.js';
+
+export const COMPRESSION_CODECS = Object.freeze(['gzip', 'deflate']);
+
+// Smaller content rarely shrinks enough to pay for the codec header
+export const DEFAULT_MIN_COMPRESS_SIZE = 1024;
+
+const hasNodeZlib = typeof process !== 'undefined' && process.versions && process.versions.node;
+const EVENT_PREFIX = new TextEncoder().encode(`{"schema":"${EVENT_SCHEMA}"`);
+
+/**
+ * Check an engine's compression option
+ * @param {string|Object|null} option - Codec name, or { codec, minSize }; null or
+ *   false turns compression off
+ * @returns {Object|null} { codec, minSize }, or null when compression is off
+ */
+export function normalizeCompression(option) {
+  if (!option) {
+    return null;
+  }
+  const { codec = 'gzip', minSize = DEFAULT_MIN_COMPRESS_SIZE } = typeof option === 'string' ? { codec: option } : option;
+  if (!COMPRESSION_CODECS.includes(codec)) {
+    throw new Error(`Unknown compression codec: ${codec}. Use one of: ${COMPRESSION_CODECS.join(', ')}`);
+  }
+  if (!Number.isInteger(minSize) || minSize < 0) {
+    throw new Error(`Invalid compression minSize: ${minSize}`);
+  }
+  return { codec, minSize };
+}
+
+/**
+ * Whether content is worth compressing: text (including JSON and CSV) of at
+ * least minSize bytes. Binary content is usually compressed already. Event
+ * cards stay raw because SQLiteEngine indexes them with SQL.
+ * @param {Uint8Array} bytes - Content
+ * @param {Object} compression - Normalized option (see normalizeCompression)
+ * @returns {boolean}
+ */
+export function shouldCompress(bytes, { minSize }) {
+  if (bytes.length < minSize || EVENT_PREFIX.every((byte, i) => bytes[i] === byte)) {
+    return false;
+  }
+  return textOf(bytes) !== null;
+}
+
+/**
+ * Compress with zlib
+ * @param {Uint8Array} bytes - Content
+ * @param {string} codec - One of COMPRESSION_CODECS
+ * @returns {Uint8Array} Compressed content
+ */
+export function compressSync(bytes, codec) {
+  const zlib = nodeZlib();
+  checkCodec(codec);
+  return codec === 'gzip' ? zlib.gzipSync(bytes) : zlib.deflateSync(bytes);
+}
+
+/**
+ * Decompress with zlib
+ * @param {Uint8Array} bytes - Compressed content
+ * @param {string} codec - Codec the content was compressed with
+ * @returns {Uint8Array} Content
+ */
+export function decompressSync(bytes, codec) {
+  const zlib = nodeZlib();
+  checkCodec(codec);
+  return codec === 'gzip' ? zlib.gunzipSync(bytes) : zlib.inflateSync(bytes);
+}
+
+/**
+ * Compress with zlib or CompressionStream
+ * @param {Uint8Array} bytes - Content
+ * @param {string} codec - One of COMPRESSION_CODECS
+ * @returns {Promise<Uint8Array|null>} Compressed content, or null when this
+ *   environment cannot compress
+ */
+export async function compress(bytes, codec) {
+  if (hasNodeZlib) {
+    return compressSync(bytes, codec);
+  }
+  if (typeof CompressionStream === 'undefined') {
+    return null;
+  }
+  return pipeThrough(bytes, new CompressionStream(codec));
+}
+
+/**
+ * Decompress with zlib or DecompressionStream
+ * @param {Uint8Array} bytes - Compressed content
+ * @param {string} codec - Codec the content was compressed with
+ * @returns {Promise<Uint8Array>} Content
+ */
+export async function decompress(bytes, codec) {
+  if (hasNodeZlib) {
+    return decompressSync(bytes, codec);
+  }
+  checkCodec(codec);
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error(`Cannot decompress ${codec} content: no DecompressionStream in this environment`);
+  }
+  return pipeThrough(bytes, new DecompressionStream(codec));
+}
+
+/**
+ * @private
+ */
+function nodeZlib() {
+  if (!hasNodeZlib) {
+    throw new Error('Synchronous compression needs Node.js zlib');
+  }
+  return require('zlib');
+}
+
+/**
+ * @private
+ */
+function checkCodec(codec) {
+  if (!COMPRESSION_CODECS.includes(codec)) {
+    throw new Error(`Unknown compression codec: ${codec}`);
+  }
+}
+
+/**
+ * Run bytes through a (De)CompressionStream
+ * @private
+ */
+async function pipeThrough(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+export default {
+  COMPRESSION_CODECS,
+  DEFAULT_MIN_COMPRESS_SIZE,
+  normalizeCompression,
+  shouldCompress,
+  compressSync,
+  decompressSync,
+  compress,
+  decompress
+};
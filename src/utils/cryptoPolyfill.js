@@ -45,17 +45,18 @@ export function createHash(algorithm) {
     normalizedAlg === 'sha384' ? 'SHA-384' :
     normalizedAlg === 'sha512' ? 'SHA-512' : 'SHA-256';
   
-  // Implement a unified hash interface
+  // Implement a unified hash interface. Web Crypto cannot digest
+  // incrementally, so chunks are kept until digest() joins them.
   return {
-    data: null,
+    chunks: [],
     
     /**
-     * Update hash with data
+     * Update hash with data; may be called once per chunk
      * @param {string|Uint8Array} data - Data to hash
      * @returns {Object} This hash object for chaining
      */
     update: function(data) {
-      this.data = data;
+      this.chunks.push(data instanceof Uint8Array ? data : encodeText(String(data)));
       return this;
     },
     
@@ -65,20 +66,17 @@ export function createHash(algorithm) {
      * @returns {string|Uint8Array|Promise<string|Uint8Array>} Hash result
      */
     digest: function(encoding = 'hex') {
+      const data = joinChunks(this.chunks);
+
       // Handle empty data case
-      if (!this.data) {
+      if (data.length === 0) {
         return encoding === 'hex' ? '' : new Uint8Array();
       }
       
       // Use Web Crypto API if available
       if (hasWebCrypto) {
-        // Ensure data is properly encoded
-        const dataBuffer = this.data instanceof Uint8Array 
-          ? this.data.buffer
-          : encodeText(String(this.data)).buffer;
-        
-        // Return a promise that resolves to the hash
-        return window.crypto.subtle.digest(webCryptoAlg, dataBuffer)
+        // Pass the view itself: a Uint8Array may cover only part of its .buffer
+        return window.crypto.subtle.digest(webCryptoAlg, data)
           .then(hashBuffer => {
             if (encoding === 'hex') {
               return Array.from(new Uint8Array(hashBuffer))
@@ -101,12 +99,7 @@ export function createHash(algorithm) {
           const crypto = require('crypto');
           const nodeHash = crypto.createHash(normalizedAlg);
           
-          if (this.data instanceof Uint8Array) {
-            nodeHash.update(Buffer.from(this.data));
-          } else {
-            nodeHash.update(String(this.data));
-          }
-          
+          nodeHash.update(Buffer.from(data));
           return nodeHash.digest(encoding);
         }
       } catch (e) {
@@ -116,12 +109,30 @@ export function createHash(algorithm) {
       
       // If we're in neither environment or if detection fails, use a better fallback
       // that doesn't require 'require()' calls but produces reasonable output
-      const fallbackHash = enhancedFallbackHash(normalizedAlg, this.data);
+      const fallbackHash = enhancedFallbackHash(normalizedAlg, data);
       return encoding === 'hex' ? fallbackHash : encodeText(fallbackHash);
     }
   };
 }
 
+/**
+ * Join update() chunks into one array
+ * @param {Array<Uint8Array>} chunks - Chunks in order
+ * @returns {Uint8Array} Joined bytes
+ */
+function joinChunks(chunks) {
+  if (chunks.length === 1) {
+    return chunks[0];
+  }
+  const joined = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    joined.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return joined;
+}
+
 /**
  * Enhanced fallback hash implementation that produces output
  * with the correct length for the requested algorithm
@@ -0,0 +1,231 @@
+/**
+ * AES-GCM envelopes for stored card content
+ *
+ * EncryptedEngine stores each card's content as an envelope:
+ *
+ *   0x00 "MCE" <version> <key id length> <key id> <12-byte IV> <ciphertext and 16-byte tag>
+ *
+ * The leading NUL byte marks envelopes as binary, so inner engines never
+ * compress them or index them as text. The key id names the key in the
+ * caller's key provider, which is what makes rotation possible. The
+ * plaintext is the card's hash followed by its content, and the hash the
+ * row is stored under is bound in as additional data, so an envelope cannot
+ * be moved to another row without failing to decrypt.
+ *
+ * Node.js uses its crypto module; browsers use Web Crypto. Both produce the
+ * same envelopes.
+ */
+
+import { concatBytes } from './byteStream.js';
+
+export const ENVELOPE_VERSION = 1;
+
+const ENVELOPE_MAGIC = new Uint8Array([0x00, 0x4d, 0x43, 0x45, ENVELOPE_VERSION]);
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_LENGTHS = [16, 24, 32];
+
+const hasNodeCrypto = typeof process !== 'undefined' && process.versions && process.versions.node;
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Check a key provider
+ * @param {Object} keys - { currentKeyId(), getKey(keyId) }; either may return a
+ *   promise. Keys are raw AES keys of 16, 24 or 32 bytes.
+ * @returns {Object} The provider
+ */
+export function normalizeKeyProvider(keys) {
+  if (!keys || typeof keys.currentKeyId !== 'function' || typeof keys.getKey !== 'function') {
+    throw new Error('Encryption needs a key provider with currentKeyId() and getKey(keyId)');
+  }
+  return keys;
+}
+
+/**
+ * Look up a key and check its length
+ * @param {Object} keys - Key provider
+ * @param {string} keyId - Key id
+ * @returns {Promise<Uint8Array>} Raw key
+ */
+export async function resolveKey(keys, keyId) {
+  const key = await keys.getKey(keyId);
+  if (!key) {
+    throw new Error(`Unknown encryption key: ${keyId}`);
+  }
+  if (!(key instanceof Uint8Array) || !KEY_LENGTHS.includes(key.length)) {
+    throw new Error(`Encryption key ${keyId} must be 16, 24 or 32 bytes`);
+  }
+  return key;
+}
+
+/**
+ * Whether content is an envelope
+ * @param {Uint8Array} bytes - Stored content
+ * @returns {boolean}
+ */
+export function isEnvelope(bytes) {
+  return bytes.length > ENVELOPE_MAGIC.length && ENVELOPE_MAGIC.every((byte, i) => bytes[i] === byte);
+}
+
+/**
+ * Split an envelope into its parts
+ * @param {Uint8Array} bytes - Stored content
+ * @returns {Object|null} { keyId, iv, ciphertext }, or null when the content is
+ *   not an envelope
+ */
+export function parseEnvelope(bytes) {
+  if (!isEnvelope(bytes)) {
+    return null;
+  }
+  const keyIdEnd = ENVELOPE_MAGIC.length + 1 + bytes[ENVELOPE_MAGIC.length];
+  if (bytes.length < keyIdEnd + IV_LENGTH + TAG_LENGTH) {
+    return null;
+  }
+  return {
+    keyId: decoder.decode(bytes.subarray(ENVELOPE_MAGIC.length + 1, keyIdEnd)),
+    iv: bytes.subarray(keyIdEnd, keyIdEnd + IV_LENGTH),
+    ciphertext: bytes.subarray(keyIdEnd + IV_LENGTH)
+  };
+}
+
+/**
+ * Encrypt a card's content
+ * @param {Object} card - { hash, content }
+ * @param {Object} options
+ * @param {Uint8Array} options.key - Raw AES key
+ * @param {string} options.keyId - Id of the key in the key provider
+ * @param {string} options.storedHash - Hash the envelope will be stored under
+ * @returns {Promise<Uint8Array>} Envelope
+ */
+export async function seal({ hash, content }, { key, keyId, storedHash }) {
+  const id = encoder.encode(keyId);
+  if (id.length === 0 || id.length > 255) {
+    throw new Error(`Invalid encryption key id: ${keyId}`);
+  }
+  const hashBytes = encoder.encode(hash);
+  const plaintext = new Uint8Array(1 + hashBytes.length + content.length);
+  plaintext[0] = hashBytes.length;
+  plaintext.set(hashBytes, 1);
+  plaintext.set(content, 1 + hashBytes.length);
+
+  const iv = randomBytes(IV_LENGTH);
+  const ciphertext = await aesGcmEncrypt(key, iv, plaintext, encoder.encode(storedHash));
+
+  const envelope = new Uint8Array(ENVELOPE_MAGIC.length + 1 + id.length + IV_LENGTH + ciphertext.length);
+  envelope.set(ENVELOPE_MAGIC);
+  envelope[ENVELOPE_MAGIC.length] = id.length;
+  envelope.set(id, ENVELOPE_MAGIC.length + 1);
+  envelope.set(iv, ENVELOPE_MAGIC.length + 1 + id.length);
+  envelope.set(ciphertext, ENVELOPE_MAGIC.length + 1 + id.length + IV_LENGTH);
+  return envelope;
+}
+
+/**
+ * Decrypt an envelope
+ * @param {Uint8Array} bytes - Stored content
+ * @param {Object} keys - Key provider
+ * @param {string} storedHash - Hash the envelope is stored under
+ * @returns {Promise<Object>} { keyId, hash, content }
+ */
+export async function open(bytes, keys, storedHash) {
+  const envelope = parseEnvelope(bytes);
+  if (!envelope) {
+    throw new Error(`Card ${storedHash} is not encrypted`);
+  }
+  const key = await resolveKey(keys, envelope.keyId);
+
+  let plaintext;
+  try {
+    plaintext = await aesGcmDecrypt(key, envelope.iv, envelope.ciphertext, encoder.encode(storedHash));
+  } catch {
+    throw new Error(`Cannot decrypt card ${storedHash}: wrong key or modified content`);
+  }
+  const hashEnd = 1 + plaintext[0];
+  return {
+    keyId: envelope.keyId,
+    hash: decoder.decode(plaintext.subarray(1, hashEnd)),
+    content: plaintext.subarray(hashEnd)
+  };
+}
+
+/**
+ * HMAC-SHA256 of a card hash, used as the stored hash when hashes must not
+ * reveal content
+ * @param {Uint8Array} key - HMAC key
+ * @param {string} hash - Card hash
+ * @returns {Promise<string>} Hex digest
+ */
+export async function keyedHash(key, hash) {
+  if (hasNodeCrypto) {
+    return require('crypto').createHmac('sha256', key).update(hash).digest('hex');
+  }
+  const subtle = webCrypto();
+  const hmacKey = await subtle.importKey('raw', key, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const digest = new Uint8Array(await subtle.sign('HMAC', hmacKey, encoder.encode(hash)));
+  return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * @private
+ */
+async function aesGcmEncrypt(key, iv, plaintext, aad) {
+  if (hasNodeCrypto) {
+    const cipher = require('crypto').createCipheriv(`aes-${key.length * 8}-gcm`, key, iv);
+    cipher.setAAD(aad);
+    const head = cipher.update(plaintext);
+    const tail = cipher.final();
+    return concatBytes([head, tail, cipher.getAuthTag()]);
+  }
+  // Web Crypto appends the tag to the ciphertext, as the envelope does
+  const subtle = webCrypto();
+  const cryptoKey = await subtle.importKey('raw', key, 'AES-GCM', false, ['encrypt']);
+  return new Uint8Array(await subtle.encrypt({ name: 'AES-GCM', iv, additionalData: aad }, cryptoKey, plaintext));
+}
+
+/**
+ * @private
+ */
+async function aesGcmDecrypt(key, iv, ciphertext, aad) {
+  if (hasNodeCrypto) {
+    const decipher = require('crypto').createDecipheriv(`aes-${key.length * 8}-gcm`, key, iv);
+    decipher.setAAD(aad);
+    decipher.setAuthTag(ciphertext.subarray(ciphertext.length - TAG_LENGTH));
+    const head = decipher.update(ciphertext.subarray(0, ciphertext.length - TAG_LENGTH));
+    return concatBytes([head, decipher.final()]);
+  }
+  const subtle = webCrypto();
+  const cryptoKey = await subtle.importKey('raw', key, 'AES-GCM', false, ['decrypt']);
+  return new Uint8Array(await subtle.decrypt({ name: 'AES-GCM', iv, additionalData: aad }, cryptoKey, ciphertext));
+}
+
+/**
+ * @private
+ */
+function randomBytes(length) {
+  if (hasNodeCrypto) {
+    return new Uint8Array(require('crypto').randomBytes(length));
+  }
+  return globalThis.crypto.getRandomValues(new Uint8Array(length));
+}
+
+/**
+ * @private
+ */
+function webCrypto() {
+  if (!globalThis.crypto || !globalThis.crypto.subtle) {
+    throw new Error('Encryption needs Node.js crypto or Web Crypto');
+  }
+  return globalThis.crypto.subtle;
+}
+
+export default {
+  ENVELOPE_VERSION,
+  normalizeKeyProvider,
+  resolveKey,
+  isEnvelope,
+  parseEnvelope,
+  seal,
+  open,
+  keyedHash
+};
@@ -0,0 +1,128 @@
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import { AsyncCardCollection } from '../src/core/async-card-collection.js';
+import { Page } from '../src/core/card-collection.js';
+import { MCard } from '../src/core/mcard.js';
+import { MemoryEngine } from '../src/engine/memory_engine.js';
+import { IndexedDBEngine } from '../src/engine/indexeddb_engine.js';
+
+const text = (content) => new TextDecoder('utf-8').decode(content);
+
+describe('AsyncCardCollection', () => {
+  describe.each([
+    ['MemoryEngine', () => new MemoryEngine()],
+    ['IndexedDBEngine', () => new IndexedDBEngine('mcard-async', { indexedDB: new IDBFactory(), IDBKeyRange })]
+  ])('with %s', (name, createEngine) => {
+    let collection;
+
+    beforeEach(() => {
+      collection = new AsyncCardCollection(createEngine());
+    });
+
+    test('adds and retrieves cards', async () => {
+      const card = await MCard.create('Async content');
+
+      expect(await collection.add(card)).toBe(card.hash);
+      expect(await collection.count()).toBe(1);
+      expect(text((await collection.get(card.hash)).content)).toBe('Async content');
+    });
+
+    test('records a duplicate event for identical content', async () => {
+      const card = await MCard.create('Twice');
+      await collection.add(card);
+
+      const eventHash = await collection.add(await MCard.create('Twice'));
+
+      expect(eventHash).not.toBe(card.hash);
+      expect(await collection.count()).toBe(2);
+      const event = JSON.parse(text((await collection.get(eventHash)).content));
+      expect(event.type).toBe('duplicate');
+      expect(event.schema).toBe('mcard-event/1');
+      expect(event.subject_hash).toBe(card.hash);
+    });
+
+    test('returns Page objects for paging and search', async () => {
+      for (const content of ['alpha', 'beta', 'gamma']) {
+        await collection.add(await MCard.create(content));
+      }
+
+      const page = await collection.get_page(1, 2);
+      expect(page).toBeInstanceOf(Page);
+      expect(page.total_pages).toBe(2);
+      await expect(collection.get_page(5, 2)).rejects.toThrow('Page number 5 is beyond total pages 2');
+
+      const all = await collection.get_all(1, 10);
+      expect(all.items).toHaveLength(3);
+
+      const found = await collection.search_by_content('beta');
+      expect(found.items).toHaveLength(1);
+      await expect(collection.search_by_content('')).rejects.toThrow('Search string cannot be empty');
+    });
+
+    test('pages by cursor', async () => {
+      for (const content of ['one', 'two', 'three']) {
+        await collection.add(await MCard.create(content));
+      }
+
+      const first = await collection.get_page(1, 2);
+      const second = await collection.get_page(1, 2, { cursor: first.next_cursor });
+      expect(second.items).toHaveLength(1);
+      expect(second.page_number).toBeNull();
+
+      const all = await collection.get_all(1, 2, { cursor: first.next_cursor });
+      expect(all.items.map(item => item.hash)).toEqual(second.items.map(item => item.hash));
+      expect(all.prev_cursor).toEqual(expect.any(String));
+    });
+
+    test('query resolves to a Page of matching cards', async () => {
+      const json = await MCard.create('{"query":true}');
+      await collection.add(json);
+      await collection.add(await MCard.create('not json'));
+
+      const page = await collection.query({ contentType: 'application/json' });
+      expect(page).toBeInstanceOf(Page);
+      expect(page.items.map(item => item.hash)).toEqual([json.hash]);
+    });
+
+    test('search_by_hash looks the card up directly', async () => {
+      const card = await MCard.create('Find me by hash');
+      await collection.add(card);
+
+      const page = await collection.search_by_hash(card.hash);
+      expect(page.items.map(item => item.hash)).toEqual([card.hash]);
+      expect((await collection.search_by_hash('missing')).total_items).toBe(0);
+    });
+
+    test('updates, deletes and clears', async () => {
+      const card = await MCard.create('Mutable');
+      await collection.add(card);
+
+      const revision = await collection.update(card.hash, 'Changed');
+      expect(revision).not.toBe(card.hash);
+      expect((await collection.latest(card.hash)).hash).toBe(revision);
+      expect((await collection.history(revision)).map(version => version.hash)).toEqual([card.hash, revision]);
+      expect(await collection.update('missing', 'Changed')).toBeNull();
+      expect(await collection.delete(card.hash)).toBe(true);
+
+      await collection.add(await MCard.create('Another'));
+      await collection.clear();
+      expect(await collection.count()).toBe(0);
+    });
+  });
+
+  test('stores the content under an upgraded hash on collision', async () => {
+    const engine = new MemoryEngine();
+    const collection = new AsyncCardCollection(engine);
+    const card = await MCard.create('Incoming content');
+
+    // Seed different content under the incoming card's hash to force a collision
+    engine.add({ hash: card.hash, g_time: card.g_time, content: new TextEncoder().encode('Other content') });
+
+    const eventHash = await collection.add(card);
+    const event = JSON.parse(text((await collection.get(eventHash)).content));
+
+    expect(event.type).toBe('collision');
+    expect(await collection.count()).toBe(3);
+    const upgraded = (await collection.search_by_content('Incoming content')).items[0];
+    expect(upgraded.g_time.startsWith('sha384|')).toBe(true);
+  });
+});
@@ -0,0 +1,171 @@
+import './engine/node-buffer.js';
+import fs from 'fs';
+import os from 'os';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import { CardCollection } from '../src/core/card-collection.js';
+import { AsyncCardCollection } from '../src/core/async-card-collection.js';
+import { MCard } from '../src/core/mcard.js';
+import { MemoryEngine } from '../src/engine/memory_engine.js';
+import { SQLiteEngine, SQLiteConnection } from '../src/engine/sqlite_engine.js';
+import { IndexedDBEngine } from '../src/engine/indexeddb_engine.js';
+
+jest.unmock('better-sqlite3');
+
+let tmpDir;
+let dbCounter = 0;
+
+beforeAll(() => {
+  tmpDir = fs.mkdtempSync(`${os.tmpdir()}/mcard-add-many-`);
+});
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// A card claiming another card's hash with different content
+const collidingWith = (card, content) => {
+  const colliding = new MCard(content);
+  colliding.hash = card.hash;
+  return colliding;
+};
+
+describe.each([
+  ['MemoryEngine', () => new CardCollection(new MemoryEngine())],
+  ['SQLiteEngine', () => new CardCollection(
+    new SQLiteEngine(new SQLiteConnection(`${tmpDir}/add-many-${++dbCounter}.db`))
+  )]
+])('CardCollection.addMany with %s', (name, createCollection) => {
+  let collection;
+
+  beforeEach(() => {
+    collection = createCollection();
+  });
+
+  afterEach(() => {
+    if (collection.engine.destructor) {
+      collection.engine.destructor();
+    }
+  });
+
+  test('adds every card and reports each in input order', () => {
+    const cards = ['one', 'two', 'three'].map(content => new MCard(content));
+    const report = collection.addMany(cards);
+
+    expect(report.results).toEqual(cards.map((card, index) => ({ index, hash: card.hash, status: 'added' })));
+    expect(report.counts).toEqual({ added: 3, duplicate: 0, 'collision-upgraded': 0, 'collision-skipped': 0 });
+    expect(collection.count()).toBe(3);
+  });
+
+  test('records duplicates, including repeats within the batch', () => {
+    const existing = new MCard('existing');
+    collection.add(existing);
+
+    const report = collection.addMany([new MCard('existing'), new MCard('fresh'), new MCard('fresh')]);
+
+    expect(report.results.map(result => result.status)).toEqual(['duplicate', 'added', 'duplicate']);
+    expect(report.results[0].hash).toBe(existing.hash);
+    expect(collection.get(report.results[0].event_hash)).not.toBeNull();
+    // existing, fresh and two duplicate events
+    expect(collection.count()).toBe(4);
+  });
+
+  test('skips duplicates without event cards when asked', () => {
+    collection.add(new MCard('existing'));
+    const report = collection.addMany([new MCard('existing')], { onDuplicate: 'skip' });
+
+    expect(report.results[0]).toEqual({ index: 0, hash: expect.any(String), status: 'duplicate' });
+    expect(collection.count()).toBe(1);
+  });
+
+  test('upgrades collisions and reports the upgraded hash', () => {
+    const original = new MCard('original');
+    collection.add(original);
+
+    const report = collection.addMany([collidingWith(original, 'impostor')]);
+    const [result] = report.results;
+
+    expect(result.status).toBe('collision-upgraded');
+    expect(result.upgraded_hash).not.toBe(original.hash);
+    expect(collection.get(result.upgraded_hash)).not.toBeNull();
+    expect(collection.get(result.event_hash)).not.toBeNull();
+  });
+
+  test('skips collisions when asked', () => {
+    const original = new MCard('original');
+    collection.add(original);
+
+    const report = collection.addMany([collidingWith(original, 'impostor')], { onCollision: 'skip' });
+
+    expect(report.counts['collision-skipped']).toBe(1);
+    expect(collection.count()).toBe(1);
+  });
+
+  test('rolls back the whole batch when a card fails', () => {
+    collection.add(new MCard('existing'));
+
+    expect(() => collection.addMany(
+      [new MCard('first'), new MCard('second'), new MCard('existing')],
+      { onDuplicate: 'error' }
+    )).toThrow(/Duplicate card with hash/);
+
+    expect(collection.count()).toBe(1);
+    expect(collection.get(new MCard('first').hash)).toBeNull();
+  });
+
+  test('rolls back when the engine fails mid-batch', () => {
+    const add = collection.engine.add.bind(collection.engine);
+    let calls = 0;
+    jest.spyOn(collection.engine, 'add').mockImplementation((card) => {
+      if (++calls === 3) {
+        throw new Error('disk full');
+      }
+      return add(card);
+    });
+
+    expect(() => collection.addMany(['a', 'b', 'c'].map(content => new MCard(content)))).toThrow('disk full');
+    expect(collection.count()).toBe(0);
+
+    // The engine is usable again after the rollback
+    calls = -10;
+    expect(collection.addMany([new MCard('d')]).counts.added).toBe(1);
+  });
+
+  test('validates arguments before writing anything', () => {
+    expect(() => collection.addMany('cards')).toThrow('Cards must be an array');
+    expect(() => collection.addMany([new MCard('a'), null])).toThrow('Card at index 1 cannot be None');
+    expect(() => collection.addMany([new MCard('a')], { onDuplicate: 'ignore' })).toThrow('Invalid onDuplicate: ignore');
+    expect(() => collection.addMany([new MCard('a')], { onCollision: 'merge' })).toThrow('Invalid onCollision: merge');
+    expect(collection.count()).toBe(0);
+  });
+});
+
+describe('AsyncCardCollection.addMany', () => {
+  test('adds cards to an IndexedDBEngine and reports duplicates', async () => {
+    const collection = new AsyncCardCollection(
+      new IndexedDBEngine('mcard-add-many', { indexedDB: new IDBFactory(), IDBKeyRange })
+    );
+    const cards = await Promise.all(['x', 'y', 'x'].map(content => MCard.create(content)));
+
+    const report = await collection.addMany(cards);
+
+    expect(report.results.map(result => result.status)).toEqual(['added', 'added', 'duplicate']);
+    expect(await collection.count()).toBe(3);
+  });
+
+  test('rolls back a MemoryEngine batch on error', async () => {
+    const collection = new AsyncCardCollection(new MemoryEngine());
+    await collection.add(new MCard('kept'));
+
+    await expect(collection.addMany([new MCard('new'), new MCard('kept')], { onDuplicate: 'error' }))
+      .rejects.toThrow(/Duplicate card/);
+    expect(await collection.count()).toBe(1);
+  });
+});
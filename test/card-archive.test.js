@@ -0,0 +1,227 @@
+import './engine/node-buffer.js';
+import fs from 'fs';
+import os from 'os';
+import { execFileSync } from 'child_process';
+import { Readable } from 'stream';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import { CardCollection } from '../src/core/card-collection.js';
+import { AsyncCardCollection } from '../src/core/async-card-collection.js';
+import { MCard } from '../src/core/mcard.js';
+import { exportCollection, importCollection } from '../src/core/card-archive.js';
+import { MemoryEngine } from '../src/engine/memory_engine.js';
+import { IndexedDBEngine } from '../src/engine/indexeddb_engine.js';
+import { SQLiteEngine, SQLiteConnection } from '../src/engine/sqlite_engine.js';
+import logger from '../src/services/logger.js';
+
+jest.unmock('better-sqlite3');
+
+let tmpDir;
+
+beforeAll(() => {
+  tmpDir = fs.mkdtempSync(`${os.tmpdir()}/mcard-archive-`);
+});
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(logger, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Collects written chunks in memory
+const sink = () => {
+  const chunks = [];
+  return {
+    chunks,
+    write(chunk) {
+      chunks.push(Buffer.from(chunk));
+      return true;
+    },
+    bytes: () => Buffer.concat(chunks)
+  };
+};
+
+// Re-chunk bytes so records and tar headers straddle chunk boundaries
+const chunked = (bytes, size = 7) => {
+  const chunks = [];
+  for (let i = 0; i < bytes.length; i += size) {
+    chunks.push(bytes.subarray(i, i + size));
+  }
+  return Readable.from(chunks);
+};
+
+const snapshot = async (collection) => {
+  const cards = [];
+  for await (const card of collection.iterate()) {
+    cards.push([card.hash, card.g_time, Buffer.from(card.content).toString('base64')]);
+  }
+  return cards.sort();
+};
+
+describe.each(['jsonl', 'tar'])('%s archives', (format) => {
+  let source;
+  let cards;
+
+  beforeEach(() => {
+    source = new CardCollection(new MemoryEngine());
+    cards = [
+      new MCard('plain text'),
+      new MCard('{"json": true}'),
+      new MCard(Buffer.from([0x00, 0xff, 0x10, 0x80])),
+      new MCard(Buffer.from('﻿with a byte order mark')),
+      new MCard('stronger hash', 'sha512')
+    ];
+    cards.forEach(card => source.add(card));
+  });
+
+  test('round-trip every card with its hash and g_time', async () => {
+    const out = sink();
+    expect(await exportCollection(source, out, { format })).toBe(5);
+
+    const target = new CardCollection(new MemoryEngine());
+    const report = await importCollection(target, chunked(out.bytes()), { format });
+
+    expect(report.counts).toEqual({ added: 5, duplicate: 0, 'collision-upgraded': 0, 'collision-skipped': 0 });
+    expect(report.invalid).toEqual([]);
+    expect(await snapshot(target)).toEqual(await snapshot(source));
+  });
+
+  test('reports cards already in the target as duplicates', async () => {
+    const out = sink();
+    await exportCollection(source, out, { format });
+
+    const report = await importCollection(source, Readable.from([out.bytes()]), { format, onDuplicate: 'skip' });
+    expect(report.counts.duplicate).toBe(5);
+    expect(source.count()).toBe(5);
+  });
+
+  test('imports into a SQLite store in batches and records an import event', async () => {
+    const out = sink();
+    await exportCollection(source, out, { format });
+    const target = new CardCollection(new SQLiteEngine(new SQLiteConnection(`${tmpDir}/import-${format}.db`)));
+
+    const report = await importCollection(target, Readable.from([out.bytes()]), {
+      format,
+      batchSize: 2,
+      source: `backup.${format}`
+    });
+
+    const [event] = target.events({ type: 'import' });
+    expect(event.hash).toBe(report.event_hash);
+    expect(event.data).toEqual({ source: `backup.${format}`, counts: { ...report.counts, invalid: 0 } });
+    expect(target.count()).toBe(6);
+    target.engine.destructor();
+  });
+});
+
+describe('jsonl archives', () => {
+  test('write text as-is and binary as base64', async () => {
+    const collection = new CardCollection(new MemoryEngine());
+    collection.add(new MCard('hello'));
+    collection.add(new MCard(Buffer.from([0, 1, 2])));
+    const out = sink();
+    await exportCollection(collection, out);
+
+    const records = out.bytes().toString().trim().split('\n').map(line => JSON.parse(line));
+    expect(records.find(record => record.encoding === 'utf-8')).toMatchObject({
+      content: 'hello',
+      content_type: 'text/plain',
+      byte_size: 5,
+      hash_algorithm: 'sha256'
+    });
+    expect(records.find(record => record.encoding === 'base64').content).toBe('AAEC');
+  });
+
+  test('reject or skip records that fail verification', async () => {
+    const card = new MCard('genuine');
+    const good = { hash: card.hash, g_time: card.g_time, encoding: 'utf-8', content: 'genuine' };
+    const lines = [
+      JSON.stringify(good),
+      JSON.stringify({ ...good, content: 'tampered' }),
+      '{ not json',
+      ''
+    ].join('\n');
+
+    const strict = new CardCollection(new MemoryEngine());
+    await expect(importCollection(strict, Readable.from([lines])))
+      .rejects.toThrow(`Invalid archive record ${card.hash}: mismatch`);
+
+    const lenient = new CardCollection(new MemoryEngine());
+    const report = await importCollection(lenient, Readable.from([lines]), { onInvalid: 'skip' });
+    expect(report.counts.added).toBe(1);
+    expect(report.invalid).toEqual([
+      { hash: card.hash, problem: 'mismatch', detail: expect.any(String) },
+      { hash: null, problem: 'malformed', detail: expect.stringMatching(/^Line 3: /) }
+    ]);
+  });
+});
+
+describe('tar archives', () => {
+  test('can be listed by the tar command', async () => {
+    const collection = new CardCollection(new MemoryEngine());
+    const card = new MCard('for tar', 'sha512');
+    collection.add(card);
+    const archivePath = `${tmpDir}/cards.tar`;
+    const out = fs.createWriteStream(archivePath);
+    await exportCollection(collection, out, { format: 'tar' });
+    await new Promise(resolve => out.end(resolve));
+
+    let listing;
+    try {
+      listing = execFileSync('tar', ['-tf', archivePath]).toString().trim().split('\n');
+    } catch {
+      return; // No tar binary on this machine
+    }
+    expect(listing).toEqual([`cards/${card.hash}/meta.json`, `cards/${card.hash}/content`]);
+
+    const target = new CardCollection(new MemoryEngine());
+    await importCollection(target, fs.createReadStream(archivePath), { format: 'tar' });
+    expect(target.get(card.hash).content.toString()).toBe('for tar');
+  });
+
+  test('rejects a damaged header', async () => {
+    const collection = new CardCollection(new MemoryEngine());
+    collection.add(new MCard('damaged'));
+    const out = sink();
+    await exportCollection(collection, out, { format: 'tar' });
+    const bytes = out.bytes();
+    bytes[10] ^= 0xff;
+
+    await expect(importCollection(new CardCollection(new MemoryEngine()), Readable.from([bytes]), { format: 'tar' }))
+      .rejects.toThrow('Invalid tar header checksum');
+  });
+});
+
+describe('archive options', () => {
+  test('reject unknown formats and policies', async () => {
+    const collection = new CardCollection(new MemoryEngine());
+    await expect(exportCollection(collection, sink(), { format: 'zip' }))
+      .rejects.toThrow('Unknown archive format: zip. Use one of jsonl, tar, car');
+    await expect(importCollection(collection, Readable.from([]), { onInvalid: 'ignore' }))
+      .rejects.toThrow('Invalid onInvalid: ignore');
+    await expect(importCollection(collection, Readable.from([]), { batchSize: 0 }))
+      .rejects.toThrow('Invalid batch size: 0');
+  });
+
+  test('work with AsyncCardCollection', async () => {
+    const source = new AsyncCardCollection(
+      new IndexedDBEngine('mcard-archive', { indexedDB: new IDBFactory(), IDBKeyRange })
+    );
+    const card = await MCard.create('async archive');
+    await source.add(card);
+    const out = sink();
+    await exportCollection(source, out);
+
+    const target = new AsyncCardCollection(new MemoryEngine());
+    const report = await importCollection(target, Readable.from([out.bytes()]), { source: 'idb' });
+    expect(report.counts.added).toBe(1);
+    expect((await target.get(card.hash)).g_time).toBe(card.g_time);
+    expect(await target.events({ type: 'import' })).toHaveLength(1);
+  });
+});
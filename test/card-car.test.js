@@ -0,0 +1,141 @@
+import './engine/node-buffer.js';
+import { Readable } from 'stream';
+import { CardCollection } from '../src/core/card-collection.js';
+import { MCard } from '../src/core/mcard.js';
+import { GTime } from '../src/core/g_time.js';
+import { exportCollection, importCollection } from '../src/core/card-archive.js';
+import { cardCid, hashToCid, parseCid, encodeVarint, decodeVarint } from '../src/core/card-cid.js';
+import { CAR_MANIFEST_SCHEMA } from '../src/core/card-car.js';
+import { MemoryEngine } from '../src/engine/memory_engine.js';
+import logger from '../src/services/logger.js';
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(logger, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const sink = () => {
+  const chunks = [];
+  return {
+    write(chunk) {
+      chunks.push(Buffer.from(chunk));
+      return true;
+    },
+    bytes: () => Buffer.concat(chunks)
+  };
+};
+
+// Split a CAR into its header and blocks without using the reader under test
+const frames = (bytes) => {
+  const found = [];
+  for (let offset = 0; offset < bytes.length;) {
+    const { value, length } = decodeVarint(bytes, offset);
+    found.push(bytes.subarray(offset + length, offset + length + value));
+    offset += length + value;
+  }
+  return found;
+};
+
+describe('CIDs', () => {
+  test('match the CIDs other tools give the same content', () => {
+    expect(cardCid(new MCard('hello world'))).toBe('bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e');
+    expect(cardCid(new MCard('{"a": 1}'))).toBe('bagaaiera7hmgakgg4dle4isrq34wvs3jgofsywlwjx3zcyqqp5oexm2ncmia');
+  });
+
+  test('parse back to the card hash and algorithm', () => {
+    const card = new MCard('stronger', 'sha512');
+    expect(parseCid(cardCid(card))).toMatchObject({ codec: 'raw', algorithm: 'sha512', hash: card.hash });
+  });
+
+  test('reject hashes they cannot represent', () => {
+    expect(() => hashToCid('abc')).toThrow('Invalid sha256 hash: abc');
+    expect(() => hashToCid('00', { algorithm: 'crc32' })).toThrow('No multihash code for crc32');
+    expect(() => parseCid('QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG'))
+      .toThrow('Only base32 CIDv1 is supported');
+  });
+
+  test('encode varints across byte boundaries', () => {
+    for (const value of [0, 127, 128, 300, 0x1013, 2 ** 40]) {
+      expect(decodeVarint(encodeVarint(value))).toEqual({ value, length: encodeVarint(value).length });
+    }
+    expect(Array.from(encodeVarint(300))).toEqual([0xac, 0x02]);
+  });
+});
+
+describe('CAR archives', () => {
+  let source;
+  let cards;
+
+  beforeEach(() => {
+    source = new CardCollection(new MemoryEngine());
+    cards = [new MCard('plain text'), new MCard('{"json": true}'), new MCard(Buffer.from([0, 255, 16]))];
+    cards.forEach(card => source.add(card));
+  });
+
+  test('write a header rooted at the manifest, then one block per card', async () => {
+    const out = sink();
+    expect(await exportCollection(source, out, { format: 'car' })).toBe(3);
+
+    const [header, manifestBlock, ...blocks] = frames(out.bytes());
+    // dag-cbor {"roots": [tag 42 ...], "version": 1}
+    expect(header.subarray(0, 10)).toEqual(Buffer.from([0xa2, 0x65, ...Buffer.from('roots'), 0x81, 0xd8, 0x2a]));
+    expect(header.subarray(-9)).toEqual(Buffer.from([0x67, ...Buffer.from('version'), 0x01]));
+
+    const manifestCid = parseCid(header.subarray(13, -9));
+    expect(manifestCid.codec).toBe('dag-json');
+    expect(manifestBlock.subarray(0, manifestCid.bytes.length)).toEqual(Buffer.from(manifestCid.bytes));
+    const manifest = JSON.parse(manifestBlock.subarray(manifestCid.bytes.length).toString());
+    expect(manifest.schema).toBe(CAR_MANIFEST_SCHEMA);
+    expect(manifest.cards).toHaveLength(3);
+
+    expect(blocks).toHaveLength(3);
+    const cid = parseCid(cardCid(cards[0]));
+    const block = blocks.find(found => found.subarray(0, cid.bytes.length).equals(Buffer.from(cid.bytes)));
+    expect(block.subarray(cid.bytes.length).toString()).toBe('plain text');
+  });
+
+  test('round-trip cards with their g_time', async () => {
+    const out = sink();
+    await exportCollection(source, out, { format: 'car' });
+
+    const target = new CardCollection(new MemoryEngine());
+    const report = await importCollection(target, Readable.from([out.bytes()]), { format: 'car' });
+
+    expect(report.counts.added).toBe(3);
+    for (const card of cards) {
+      expect(target.get(card.hash).g_time).toBe(card.g_time);
+    }
+  });
+
+  test('import blocks without a manifest as new cards', async () => {
+    const out = sink();
+    await exportCollection(source, out, { format: 'car' });
+    const [header, , ...blocks] = frames(out.bytes());
+    const withoutManifest = Buffer.concat([header, ...blocks].flatMap(part => [encodeVarint(part.length), part]));
+
+    const importTime = 'sha256|2030-01-01T00:00:00.000000Z|UTC';
+    jest.spyOn(GTime, 'stamp_now').mockReturnValue(importTime);
+    const target = new CardCollection(new MemoryEngine());
+    await importCollection(target, Readable.from([withoutManifest]), { format: 'car' });
+
+    const imported = target.get(cards[0].hash);
+    expect(imported.content.toString()).toBe('plain text');
+    expect(imported.g_time).toBe(importTime);
+  });
+
+  test('reject a block whose content does not match its CID', async () => {
+    const out = sink();
+    await exportCollection(source, out, { format: 'car' });
+    const bytes = out.bytes();
+    bytes[bytes.length - 1] ^= 0xff;
+
+    await expect(importCollection(new CardCollection(new MemoryEngine()), Readable.from([bytes]), { format: 'car' }))
+      .rejects.toThrow(/^Invalid archive record [0-9a-f]+: mismatch/);
+    await expect(importCollection(new CardCollection(new MemoryEngine()), Readable.from([bytes.subarray(0, 5)]), { format: 'car' }))
+      .rejects.toThrow('Invalid CAR: truncated block');
+  });
+});
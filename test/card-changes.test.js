@@ -0,0 +1,144 @@
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import { CardCollection } from '../src/core/card-collection.js';
+import { AsyncCardCollection } from '../src/core/async-card-collection.js';
+import { MCard } from '../src/core/mcard.js';
+import { MemoryEngine } from '../src/engine/memory_engine.js';
+import { IndexedDBEngine } from '../src/engine/indexeddb_engine.js';
+import logger from '../src/services/logger.js';
+
+describe('CardCollection change events', () => {
+  let collection;
+  let seen;
+
+  const listen = (...events) => events.forEach(event =>
+    collection.on(event, payload => seen.push({ event, ...payload }))
+  );
+
+  beforeEach(() => {
+    collection = new CardCollection(new MemoryEngine());
+    seen = [];
+  });
+
+  test('reports added cards with hash, g_time and content type', () => {
+    listen('added');
+    const card = new MCard('{"hello": "world"}');
+    collection.add(card);
+
+    expect(seen).toEqual([{
+      event: 'added',
+      hash: card.hash,
+      g_time: card.g_time,
+      content_type: 'application/json'
+    }]);
+  });
+
+  test('reports duplicates and collisions with their event cards', () => {
+    const original = new MCard('original');
+    collection.add(original);
+    listen('added', 'duplicate', 'collision');
+
+    const duplicateEvent = collection.add(new MCard('original'));
+    const impostor = new MCard('impostor');
+    impostor.hash = original.hash;
+    const collisionEvent = collection.add(impostor);
+
+    expect(seen.map(change => change.event)).toEqual(['duplicate', 'collision']);
+    expect(seen[0]).toMatchObject({ hash: original.hash, g_time: original.g_time, event_hash: duplicateEvent });
+    expect(seen[1]).toMatchObject({ hash: original.hash, event_hash: collisionEvent, upgraded_hash: expect.any(String) });
+  });
+
+  test('reports revisions, in-place updates and deletes', () => {
+    const card = new MCard('before');
+    collection.add(card);
+    listen('added', 'updated', 'deleted');
+
+    const revision = collection.update(card.hash, '{"after": true}');
+    collection.update(revision, '{"after": false}', { unsafeInPlace: true });
+    collection.delete(card.hash);
+    collection.delete('missing');
+
+    expect(seen).toEqual([
+      { event: 'added', hash: revision, g_time: expect.any(String), content_type: 'application/json' },
+      { event: 'updated', hash: card.hash, g_time: card.g_time, content_type: 'text/plain', revision_hash: revision },
+      { event: 'updated', hash: revision, g_time: expect.any(String), content_type: 'application/json' },
+      { event: 'deleted', hash: card.hash, g_time: card.g_time, content_type: 'text/plain' }
+    ]);
+  });
+
+  test('holds notifications until the transaction commits', () => {
+    listen('added');
+    const card = new MCard('in a transaction');
+
+    collection.transaction((tx) => {
+      tx.add(card);
+      expect(seen).toEqual([]);
+    });
+
+    expect(seen.map(change => change.hash)).toEqual([card.hash]);
+  });
+
+  test('never reports rolled-back changes', async () => {
+    listen('added');
+    const kept = new MCard('kept');
+
+    await collection.transaction(async (tx) => {
+      tx.add(kept);
+      await expect(tx.transaction(async (inner) => {
+        inner.add(new MCard('undone'));
+        throw new Error('inner');
+      })).rejects.toThrow('inner');
+    });
+    expect(() => collection.addMany([new MCard('batch'), null])).toThrow();
+    expect(() => collection.transaction((tx) => {
+      tx.add(new MCard('aborted'));
+      throw new Error('abort');
+    })).toThrow('abort');
+
+    expect(seen.map(change => change.hash)).toEqual([kept.hash]);
+  });
+
+  test('reports every card of an addMany batch after it commits', () => {
+    listen('added', 'duplicate');
+    collection.addMany([new MCard('a'), new MCard('b'), new MCard('a')]);
+    expect(seen.map(change => change.event)).toEqual(['added', 'added', 'duplicate']);
+  });
+
+  test('unsubscribes and isolates failing handlers', () => {
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+    const unsubscribe = collection.on('added', () => {
+      throw new Error('broken handler');
+    });
+    listen('added');
+
+    collection.add(new MCard('first'));
+    unsubscribe();
+    collection.add(new MCard('second'));
+
+    expect(seen).toHaveLength(2);
+    expect(collection.count()).toBe(2);
+    expect(logger.error).toHaveBeenCalledTimes(1);
+    jest.restoreAllMocks();
+  });
+
+  test('rejects unknown events and non-function handlers', () => {
+    expect(() => collection.on('removed', () => {})).toThrow('Unknown collection event: removed');
+    expect(() => collection.on('added', 'handler')).toThrow('Handler must be a function');
+  });
+});
+
+describe('AsyncCardCollection change events', () => {
+  test('reports changes on an engine without transactions', async () => {
+    const collection = new AsyncCardCollection(
+      new IndexedDBEngine('mcard-changes', { indexedDB: new IDBFactory(), IDBKeyRange })
+    );
+    const seen = [];
+    collection.on('added', payload => seen.push(['added', payload.hash]));
+    collection.on('deleted', payload => seen.push(['deleted', payload.hash, payload.content_type]));
+
+    const card = await MCard.create('async change');
+    await collection.add(card);
+    await collection.delete(card.hash);
+
+    expect(seen).toEqual([['added', card.hash], ['deleted', card.hash, 'text/plain']]);
+  });
+});
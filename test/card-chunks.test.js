@@ -0,0 +1,214 @@
+import './engine/node-buffer.js';
+import fs from 'fs';
+import os from 'os';
+import { Readable } from 'stream';
+import { createHash as nodeHash } from 'crypto';
+import { CardCollection } from '../src/core/card-collection.js';
+import { AsyncCardCollection } from '../src/core/async-card-collection.js';
+import { MCard } from '../src/core/mcard.js';
+import {
+  CHUNK_MANIFEST_SCHEMA,
+  splitContent,
+  chunkStream,
+  parseChunkManifest,
+  normalizeChunking
+} from '../src/core/card-chunks.js';
+import { MemoryEngine } from '../src/engine/memory_engine.js';
+import { SQLiteEngine, SQLiteConnection } from '../src/engine/sqlite_engine.js';
+
+jest.unmock('better-sqlite3');
+
+let tmpDir;
+let counter = 0;
+
+beforeAll(() => {
+  tmpDir = fs.mkdtempSync(`${os.tmpdir()}/mcard-chunks-`);
+});
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Small chunks keep the content small while still giving many chunks
+const chunking = { minSize: 256, avgSize: 1024, maxSize: 4096 };
+
+// Deterministic pseudo-random bytes, so cut points do not depend on the run
+const randomBytes = (length, seed = 1) => {
+  const bytes = Buffer.alloc(length);
+  let state = seed;
+  for (let i = 0; i < length; i++) {
+    state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+    bytes[i] = state >>> 24;
+  }
+  return bytes;
+};
+
+const content = randomBytes(64 * 1024);
+const chunksOf = (bytes, size) => {
+  const chunks = [];
+  for (let i = 0; i < bytes.length; i += size) {
+    chunks.push(bytes.subarray(i, i + size));
+  }
+  return chunks;
+};
+const collect = async (iterable) => {
+  const chunks = [];
+  for await (const chunk of iterable) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return chunks;
+};
+
+describe('content-defined chunking', () => {
+  test('splits within the size limits and covers the content', () => {
+    const chunks = splitContent(content, chunking);
+
+    expect(chunks.length).toBeGreaterThan(16);
+    expect(Buffer.concat(chunks).equals(content)).toBe(true);
+    chunks.slice(0, -1).forEach(chunk => {
+      expect(chunk.length).toBeGreaterThanOrEqual(chunking.minSize);
+      expect(chunk.length).toBeLessThanOrEqual(chunking.maxSize);
+    });
+  });
+
+  test('streams give the same chunks however the input is split', async () => {
+    const expected = splitContent(content, chunking).map(chunk => chunk.length);
+    for (const size of [1000, 4096, 65521]) {
+      const chunks = await collect(chunkStream(Readable.from(chunksOf(content, size)), chunking));
+      expect(chunks.map(chunk => chunk.length)).toEqual(expected);
+      expect(Buffer.concat(chunks).equals(content)).toBe(true);
+    }
+  });
+
+  test('an insertion only changes the chunks around it', () => {
+    const edited = Buffer.concat([content.subarray(0, 30000), Buffer.from('inserted'), content.subarray(30000)]);
+    const hashes = chunks => new Set(chunks.map(chunk => nodeHash('sha256').update(chunk).digest('hex')));
+    const before = hashes(splitContent(content, chunking));
+    const after = hashes(splitContent(edited, chunking));
+
+    const shared = [...after].filter(hash => before.has(hash));
+    expect(shared.length).toBeGreaterThanOrEqual(after.size - 3);
+  });
+
+  test('rejects sizes it cannot chunk with', () => {
+    expect(() => normalizeChunking({ avgSize: 1000 })).toThrow('Invalid avgSize: 1000');
+    expect(() => normalizeChunking({ minSize: 2048, avgSize: 1024, maxSize: 4096 }))
+      .toThrow('Invalid chunk sizes: 2048/1024/4096');
+  });
+});
+
+describe.each([
+  ['MemoryEngine', () => new MemoryEngine()],
+  ['SQLiteEngine', () => new SQLiteEngine(new SQLiteConnection(`${tmpDir}/chunks-${++counter}.db`))]
+])('CardCollection.addChunked with %s', (name, createEngine) => {
+  let collection;
+
+  beforeEach(() => {
+    collection = new CardCollection(createEngine());
+  });
+
+  afterEach(() => {
+    if (collection.engine.destructor) {
+      collection.engine.destructor();
+    }
+  });
+
+  test('stores chunks and a manifest, and get() reassembles them', async () => {
+    const hash = await collection.addChunked(content, chunking);
+
+    const manifest = parseChunkManifest(collection.get(hash, { assemble: false }).content);
+    expect(manifest.size).toBe(content.length);
+    expect(manifest.chunks.length).toBe(splitContent(content, chunking).length);
+    expect(manifest.chunks[0].ref).toMatch(/^sha256:[0-9a-f]{64}$/);
+    expect(collection.count()).toBe(manifest.chunks.length + 1);
+
+    const card = collection.get(hash);
+    expect(card.hash).toBe(hash);
+    expect(card.chunked).toBe(true);
+    expect(card).not.toBeInstanceOf(MCard);
+    expect(card.content.equals(content)).toBe(true);
+  });
+
+  test('add() refuses joined content under the manifest hash', async () => {
+    const hash = await collection.addChunked(content, chunking);
+    const other = new CardCollection(createEngine());
+
+    expect(() => other.add(collection.get(hash))).toThrow(`Card ${hash} holds joined chunks under its manifest's hash`);
+    expect(other.count()).toBe(0);
+    await other.addChunked(collection.get(hash).content, chunking);
+    expect((await other.verify()).problems).toEqual([]);
+    if (other.engine.destructor) {
+      other.engine.destructor();
+    }
+  });
+
+  test('accepts a stream and shares chunks with earlier versions', async () => {
+    await collection.addChunked(content, chunking);
+    const before = collection.count();
+
+    const edited = Buffer.concat([content.subarray(0, 30000), Buffer.from('inserted'), content.subarray(30000)]);
+    const hash = await collection.addChunked(Readable.from(chunksOf(edited, 8192)), chunking);
+
+    expect(collection.get(hash).content.equals(edited)).toBe(true);
+    // A few new chunks around the insertion and one new manifest
+    expect(collection.count() - before).toBeLessThanOrEqual(4);
+  });
+
+  test('read() returns byte ranges across chunk boundaries', async () => {
+    const hash = await collection.addChunked(content, chunking);
+    const [first, second] = parseChunkManifest(collection.get(hash, { assemble: false }).content).chunks;
+    const getSpy = jest.spyOn(collection, '_getStored');
+
+    const start = first.size - 10;
+    const end = second.offset + 20;
+    expect(Buffer.from(collection.read(hash, { start, end })).equals(content.subarray(start, end))).toBe(true);
+    // The manifest plus the two chunks the range touches
+    expect(getSpy).toHaveBeenCalledTimes(3);
+
+    expect(Buffer.from(collection.read(hash, { start: content.length - 3 })).equals(content.subarray(-3))).toBe(true);
+    expect(collection.read(hash, { start: content.length + 10 })).toHaveLength(0);
+    expect(() => collection.read(hash, { start: 10, end: 5 })).toThrow('Invalid range: 10-5');
+  });
+
+  test('read() slices cards that are not chunked', () => {
+    const card = new MCard('plain content');
+    collection.add(card);
+
+    expect(Buffer.from(collection.read(card.hash, { start: 6 })).toString()).toBe('content');
+    expect(collection.read('0'.repeat(64))).toBeNull();
+  });
+
+  test('get() fails loudly when a chunk is missing', async () => {
+    const hash = await collection.addChunked(content, chunking);
+    const [, second] = parseChunkManifest(collection.get(hash, { assemble: false }).content).chunks;
+    collection.engine.delete(second.ref.split(':')[1]);
+
+    expect(() => collection.get(hash)).toThrow(`Missing chunk ${second.ref}`);
+  });
+
+  test('rejects empty content', async () => {
+    await expect(collection.addChunked(Readable.from([]))).rejects.toThrow('Content cannot be empty');
+  });
+});
+
+describe('AsyncCardCollection chunked cards', () => {
+  test('reassemble and read ranges', async () => {
+    const collection = new AsyncCardCollection(new MemoryEngine());
+    const hash = await collection.addChunked(content, { ...chunking, algorithm: 'sha512' });
+
+    const manifest = await collection.get(hash, { assemble: false });
+    expect(manifest.content.toString().startsWith(`{"schema":"${CHUNK_MANIFEST_SCHEMA}"`)).toBe(true);
+    expect((await collection.get(hash)).content.equals(content)).toBe(true);
+    expect(Buffer.from(await collection.read(hash, { start: 1000, end: 9000 })).equals(content.subarray(1000, 9000)))
+      .toBe(true);
+    expect(parseChunkManifest(manifest.content).chunks[0].ref).toMatch(/^sha512:/);
+  });
+});
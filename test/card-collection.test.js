@@ -334,4 +334,19 @@ describe('CardCollection', () => {
       expect(allCards.items).toContain(card2);
     });
   });
+
+  describe('Query Method', () => {
+    test('query delegates to the engine', () => {
+      const page = new Page({ items: [], total_items: 0 });
+      mockEngine.query = jest.fn().mockReturnValue(page);
+      const spec = { contentType: 'application/json', limit: 5 };
+
+      expect(cardCollection.query(spec)).toBe(page);
+      expect(mockEngine.query).toHaveBeenCalledWith(spec);
+    });
+
+    test('query throws for engines without query support', () => {
+      expect(() => cardCollection.query({})).toThrow('MockEngine does not support queries');
+    });
+  });
 });
@@ -0,0 +1,193 @@
+import './engine/node-buffer.js';
+import fs from 'fs';
+import os from 'os';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import { CardCollection } from '../src/core/card-collection.js';
+import { AsyncCardCollection } from '../src/core/async-card-collection.js';
+import { MCard } from '../src/core/mcard.js';
+import { EVENT_SCHEMA, eventContent, parseEvent, normalizeEventFilter } from '../src/core/card-events.js';
+import { MemoryEngine } from '../src/engine/memory_engine.js';
+import { FileSystemEngine } from '../src/engine/filesystem_engine.js';
+import { IndexedDBEngine } from '../src/engine/indexeddb_engine.js';
+import { SQLiteEngine, SQLiteConnection } from '../src/engine/sqlite_engine.js';
+import { MIGRATIONS } from '../src/models/migrations.js';
+
+jest.unmock('better-sqlite3');
+
+let tmpDir;
+let counter = 0;
+
+beforeAll(() => {
+  tmpDir = fs.mkdtempSync(`${os.tmpdir()}/mcard-events-`);
+});
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('card-events', () => {
+  test('event content is tagged with the schema and parses back', () => {
+    const content = eventContent('delete', 'abc', { reason: 'test' });
+    expect(content.startsWith(`{"schema":"${EVENT_SCHEMA}"`)).toBe(true);
+    expect(parseEvent(new TextEncoder().encode(content))).toEqual({
+      type: 'delete',
+      subject_hash: 'abc',
+      timestamp: expect.stringMatching(/\|/),
+      data: { reason: 'test' }
+    });
+  });
+
+  test('user JSON that merely looks like an event is not an event', () => {
+    expect(parseEvent('{"type":"duplicate","hash":"abc"}')).toBeNull();
+    expect(parseEvent(`{"schema":"${EVENT_SCHEMA}","type":"rename","timestamp":"x"}`)).toBeNull();
+    expect(parseEvent(new Uint8Array([0, 1, 2]))).toBeNull();
+  });
+
+  test('rejects unknown event types and filter options', () => {
+    expect(() => eventContent('rename', 'abc')).toThrow('Unknown event type: rename');
+    expect(() => normalizeEventFilter({ type: 'rename' })).toThrow('Invalid event type: rename');
+    expect(() => normalizeEventFilter({ subject: 'abc' })).toThrow('Unknown event filter option: subject');
+  });
+});
+
+describe.each([
+  ['MemoryEngine', () => new MemoryEngine()],
+  ['FileSystemEngine', () => new FileSystemEngine(`${tmpDir}/store-${++counter}`)],
+  ['SQLiteEngine', () => new SQLiteEngine(new SQLiteConnection(`${tmpDir}/events-${++counter}.db`))]
+])('CardCollection.events with %s', (name, createEngine) => {
+  let collection;
+  let original;
+
+  beforeEach(() => {
+    collection = new CardCollection(createEngine());
+    original = new MCard('original');
+    collection.add(original);
+  });
+
+  afterEach(() => {
+    if (collection.engine.destructor) {
+      collection.engine.destructor();
+    }
+  });
+
+  test('records typed events for duplicates, collisions, revisions and deletes', () => {
+    collection.add(new MCard('original'));
+    const impostor = new MCard('impostor');
+    impostor.hash = original.hash;
+    collection.add(impostor);
+    const revision = collection.update(original.hash, 'changed');
+    collection.delete(original.hash);
+
+    const events = collection.events({ subjectHash: original.hash });
+    expect(events.map(event => event.type)).toEqual(['duplicate', 'collision', 'revision', 'delete']);
+    // The data fields documented in card-events.js and the README
+    expect(Object.keys(events[0].data).sort()).toEqual(['content_type', 'first_g_time']);
+    expect(events[0].data.first_g_time).toBe(original.g_time);
+    expect(events[1].data).toEqual({
+      new_card_hash: original.hash,
+      content_size: 8,
+      upgraded_function: expect.any(String),
+      upgraded_hash: expect.any(String)
+    });
+    expect(collection.get(events[1].data.upgraded_hash)).not.toBeNull();
+    expect(events[2].data).toEqual({ revision_hash: revision, content_size: 7 });
+    events.forEach(event => expect(collection.get(event.hash)).not.toBeNull());
+  });
+
+  test('filters by type, time and limit', () => {
+    const other = new MCard('other');
+    collection.add(other);
+    collection.add(new MCard('original'));
+    collection.add(new MCard('other'));
+    collection.delete(other.hash);
+
+    expect(collection.events({ type: 'duplicate' })).toHaveLength(2);
+    expect(collection.events({ type: ['duplicate', 'delete'] })).toHaveLength(3);
+    expect(collection.events({ limit: 1 })[0].subject_hash).toBe(original.hash);
+    expect(collection.events({ since: '2999-01-01T00:00:00Z' })).toEqual([]);
+    expect(collection.events({ until: new Date(Date.now() + 60000) })).toHaveLength(3);
+  });
+
+  test('records an update event for an unsafe in-place update', () => {
+    expect(collection.update(original.hash, 'changed', { unsafeInPlace: true })).toBe(original.hash);
+
+    const [event] = collection.events({ subjectHash: original.hash });
+    expect(event.type).toBe('update');
+    expect(event.data.content_size).toBe(7);
+  });
+
+  test('ignores user cards shaped like legacy events', () => {
+    collection.add(new MCard(JSON.stringify({ type: 'duplicate', hash: original.hash })));
+    expect(collection.events()).toEqual([]);
+  });
+
+  test('event cards count as cards, and deleting one records nothing', () => {
+    collection.delete(original.hash);
+    const [event] = collection.events();
+
+    // The delete event replaces the deleted card
+    expect(collection.count()).toBe(1);
+    expect(collection.get_page(1, 10).items.map(card => card.hash)).toEqual([event.hash]);
+
+    expect(collection.delete(event.hash)).toBe(true);
+    expect(collection.count()).toBe(0);
+    expect(collection.events()).toEqual([]);
+  });
+
+  test('records an import event for a named addMany batch', () => {
+    const report = collection.addMany([new MCard('a'), new MCard('original')], { source: 'backup.jsonl' });
+    const [event] = collection.events({ type: 'import' });
+
+    expect(event.hash).toBe(report.event_hash);
+    expect(event.subject_hash).toBeNull();
+    expect(event.data).toEqual({ source: 'backup.jsonl', counts: report.counts });
+  });
+});
+
+describe('SQLiteEngine event table', () => {
+  test('indexes event cards written before the table existed', () => {
+    const dbPath = `${tmpDir}/events-upgrade.db`;
+    const connection = new SQLiteConnection(dbPath);
+    connection.connect();
+    connection.migrate({ migrations: MIGRATIONS.filter(migration => migration.version < 5) });
+    const event = new MCard(Buffer.from(eventContent('delete', 'gone')));
+    connection.conn.prepare('INSERT INTO card (hash, g_time, content) VALUES (?, ?, ?)')
+      .run(event.hash, event.g_time, event.content);
+    connection.conn.close();
+
+    const reopened = new SQLiteEngine(new SQLiteConnection(dbPath));
+    expect(reopened.connection.get_schema_version()).toBe(MIGRATIONS[MIGRATIONS.length - 1].version);
+    expect(reopened.events({ subjectHash: 'gone' }).map(found => found.hash)).toEqual([event.hash]);
+
+    reopened.delete(event.hash);
+    expect(reopened.events()).toEqual([]);
+    reopened.destructor();
+  });
+});
+
+describe('AsyncCardCollection.events', () => {
+  test('reads events from an IndexedDBEngine', async () => {
+    const collection = new AsyncCardCollection(
+      new IndexedDBEngine('mcard-events', { indexedDB: new IDBFactory(), IDBKeyRange })
+    );
+    const card = await MCard.create('async');
+    await collection.add(card);
+    await collection.add(await MCard.create('async'));
+    await collection.delete(card.hash);
+
+    const events = await collection.events({ subjectHash: card.hash });
+    expect(events.map(event => event.type)).toEqual(['duplicate', 'delete']);
+
+    await collection.delete(events[0].hash);
+    expect((await collection.events()).map(event => event.type)).toEqual(['delete']);
+    expect(await collection.count()).toBe(1);
+  });
+});
@@ -0,0 +1,161 @@
+import './engine/node-buffer.js';
+import fs from 'fs';
+import os from 'os';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import { CardCollection } from '../src/core/card-collection.js';
+import { AsyncCardCollection } from '../src/core/async-card-collection.js';
+import { MCard } from '../src/core/mcard.js';
+import { MemoryEngine } from '../src/engine/memory_engine.js';
+import { IndexedDBEngine } from '../src/engine/indexeddb_engine.js';
+import { SQLiteEngine, SQLiteConnection } from '../src/engine/sqlite_engine.js';
+
+jest.unmock('better-sqlite3');
+
+const text = (content) => new TextDecoder('utf-8').decode(content);
+
+const collect = async (iterable) => {
+  const cards = [];
+  for await (const card of iterable) {
+    cards.push(card);
+  }
+  return cards;
+};
+
+describe.each([
+  ['CardCollection with MemoryEngine', () => new CardCollection(new MemoryEngine())],
+  ['AsyncCardCollection with IndexedDBEngine', () => new AsyncCardCollection(
+    new IndexedDBEngine('mcard-iterate', { indexedDB: new IDBFactory(), IDBKeyRange })
+  )]
+])('%s iteration', (name, createCollection) => {
+  let collection;
+  let cards;
+
+  beforeEach(async () => {
+    collection = createCollection();
+    cards = [];
+    for (let i = 0; i < 7; i++) {
+      const card = new MCard(`card ${i}`);
+      card.g_time = `sha256|2025-01-01T00:00:0${i}.000000Z|UTC`;
+      await collection.engine.add(card);
+      cards.push(card);
+    }
+  });
+
+  test('yields every card newest first via Symbol.asyncIterator', async () => {
+    const iterated = await collect(collection);
+    expect(iterated.map(card => card.hash)).toEqual([...cards].reverse().map(card => card.hash));
+  });
+
+  test('reads one batch at a time with cursors', async () => {
+    const getPage = jest.spyOn(collection.engine, 'get_page');
+
+    const iterated = await collect(collection.iterate({ batchSize: 3 }));
+
+    expect(iterated).toHaveLength(7);
+    expect(getPage).toHaveBeenCalledTimes(3);
+    getPage.mock.calls.forEach(([, pageSize]) => expect(pageSize).toBe(3));
+  });
+
+  test('applies the filter', async () => {
+    const iterated = await collect(collection.iterate({
+      batchSize: 2,
+      filter: card => Number(text(card.content).split(' ')[1]) % 2 === 0
+    }));
+    expect(iterated.map(card => text(card.content))).toEqual(['card 6', 'card 4', 'card 2', 'card 0']);
+  });
+
+  test('stops fetching when the loop exits early', async () => {
+    const getPage = jest.spyOn(collection.engine, 'get_page');
+
+    for await (const card of collection.iterate({ batchSize: 2 })) {
+      expect(card.hash).toBe(cards[6].hash);
+      break;
+    }
+
+    expect(getPage).toHaveBeenCalledTimes(1);
+  });
+
+  test('rejects invalid batch sizes', async () => {
+    await expect(collect(collection.iterate({ batchSize: 0 }))).rejects.toThrow('Invalid batch size');
+  });
+});
+
+describe('CardCollection with SQLiteEngine iteration', () => {
+  let tmpDir;
+  let collection;
+  let cards;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    tmpDir = fs.mkdtempSync(`${os.tmpdir()}/mcard-iterate-`);
+    collection = new CardCollection(new SQLiteEngine(new SQLiteConnection(`${tmpDir}/iterate.db`)));
+    cards = [];
+    for (let i = 0; i < 7; i++) {
+      const card = new MCard(`card ${i}`);
+      card.g_time = `sha256|2025-01-01T00:00:0${i}.000000Z|UTC`;
+      collection.engine.add(card);
+      cards.push(card);
+    }
+  });
+
+  afterEach(() => {
+    collection.engine.destructor();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('reads batchSize rows per query', async () => {
+    const Statement = Object.getPrototypeOf(collection.engine.connection.conn.prepare('SELECT 1'));
+    const all = jest.spyOn(Statement, 'all');
+
+    const iterated = await collect(collection.iterate({ batchSize: 3 }));
+
+    expect(iterated.map(card => card.hash)).toEqual([...cards].reverse().map(card => card.hash));
+    expect(all).toHaveBeenCalledTimes(3);
+    all.mock.calls.forEach(args => expect(args[args.length - 1]).toBe(3));
+  });
+
+  test('lets the loop write between cards', async () => {
+    const seen = [];
+    for await (const card of collection.iterate({ batchSize: 2 })) {
+      seen.push(card.hash);
+      collection.update(card.hash, `${text(card.content)} migrated`);
+    }
+
+    expect(seen).toEqual([...cards].reverse().map(card => card.hash));
+    expect(collection.latest(cards[0].hash).content).toBe('card 0 migrated');
+  });
+});
+
+describe('search_by_hash', () => {
+  test('looks the card up instead of loading every card', () => {
+    const engine = new MemoryEngine();
+    const collection = new CardCollection(engine);
+    const card = new MCard('Find me');
+    collection.add(card);
+    const getAll = jest.spyOn(engine, 'get_all');
+
+    const page = collection.search_by_hash(card.hash);
+
+    expect(page.items.map(item => item.hash)).toEqual([card.hash]);
+    expect(collection.search_by_hash('missing').total_items).toBe(0);
+    expect(getAll).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['CardCollection with MemoryEngine', () => new CardCollection(new MemoryEngine())],
+    ['AsyncCardCollection with IndexedDBEngine', () => new AsyncCardCollection(
+      new IndexedDBEngine('mcard-search-hash', { indexedDB: new IDBFactory(), IDBKeyRange })
+    )]
+  ])('returns MCards, like the other listings, from %s', async (name, createCollection) => {
+    const collection = createCollection();
+    const card = new MCard(JSON.stringify({ find: 'me' }));
+    await collection.add(card);
+
+    const [item] = (await collection.search_by_hash(card.hash)).items;
+    expect(item).toBeInstanceOf(MCard);
+    expect(item.hash).toBe(card.hash);
+    expect(item.g_time).toBe(card.g_time);
+    expect(text(item.content)).toBe('{"find":"me"}');
+  });
+});
@@ -0,0 +1,131 @@
+import './engine/node-buffer.js';
+import fs from 'fs';
+import os from 'os';
+import { CardCollection } from '../src/core/card-collection.js';
+import { AsyncCardCollection } from '../src/core/async-card-collection.js';
+import { MCard } from '../src/core/mcard.js';
+import { GTime } from '../src/core/g_time.js';
+import { MemoryEngine } from '../src/engine/memory_engine.js';
+import { FileSystemEngine } from '../src/engine/filesystem_engine.js';
+import { SQLiteEngine, SQLiteConnection } from '../src/engine/sqlite_engine.js';
+
+jest.unmock('better-sqlite3');
+
+let tmpDir;
+let counter = 0;
+
+beforeAll(() => {
+  tmpDir = fs.mkdtempSync(`${os.tmpdir()}/mcard-range-`);
+});
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// An MP4 ftyp box followed by 256 KiB of payload
+const video = Buffer.concat([
+  Buffer.from([0x00, 0x00, 0x00, 0x18, 0x66, 0x74, 0x79, 0x70]),
+  Buffer.from('isom'),
+  Buffer.alloc(256 * 1024, 'frame ')
+]);
+video.writeUInt32BE(0xdeadbeef, 100000);
+
+describe.each([
+  ['MemoryEngine', () => new MemoryEngine()],
+  ['SQLiteEngine', () => new SQLiteEngine(new SQLiteConnection(`${tmpDir}/range-${++counter}.db`))],
+  ['FileSystemEngine', () => new FileSystemEngine(`${tmpDir}/store-${++counter}`)]
+])('range reads with %s', (name, createEngine) => {
+  let collection;
+  let card;
+
+  beforeEach(() => {
+    collection = new CardCollection(createEngine());
+    card = new MCard(video);
+    collection.add(card);
+  });
+
+  afterEach(() => {
+    if (collection.engine.destructor) {
+      collection.engine.destructor();
+    }
+  });
+
+  test('read() returns the requested bytes without loading the card', () => {
+    const getSpy = jest.spyOn(collection.engine, 'get');
+
+    expect(Buffer.from(collection.read(card.hash, { start: 100000, end: 100004 })).readUInt32BE(0)).toBe(0xdeadbeef);
+    expect(Buffer.from(collection.read(card.hash, { start: video.length - 6 })).equals(video.subarray(-6))).toBe(true);
+    expect(collection.read(card.hash, { start: video.length + 1 })).toHaveLength(0);
+    expect(getSpy).not.toHaveBeenCalled();
+  });
+
+  test('stat() gives what a Range response needs', () => {
+    expect(collection.stat(card.hash)).toEqual({
+      hash: card.hash,
+      g_time: card.g_time,
+      content_type: 'video/mp4',
+      byte_size: video.length,
+      chunks: 0
+    });
+    expect(collection.stat('0'.repeat(64))).toBeNull();
+    expect(collection.read('0'.repeat(64))).toBeNull();
+  });
+
+  test('accept algorithm-qualified references', () => {
+    expect(collection.read(`sha256:${card.hash}`, { end: 4 })).toHaveLength(4);
+    const sha512 = new MCard(video, 'sha512');
+    collection.add(sha512);
+    expect(collection.read(`sha512:${sha512.hash}`, { end: 4 })).toHaveLength(4);
+    expect(collection.stat(`sha512:${'0'.repeat(128)}`)).toBeNull();
+  });
+});
+
+describe('SQLiteEngine.read_range', () => {
+  test('counts bytes, not characters, in rows stored as TEXT', () => {
+    const engine = new SQLiteEngine(new SQLiteConnection(`${tmpDir}/text-${++counter}.db`));
+    const text = 'héllo wörld';
+    engine.connection.conn.prepare('INSERT INTO card (hash, content, g_time) VALUES (?, ?, ?)')
+      .run('legacy', text, GTime.stamp_now('sha256'));
+
+    const record = engine.read_range('legacy', 1, 3);
+    expect(record.content.toString()).toBe('é');
+    expect(record.byte_size).toBe(Buffer.byteLength(text));
+    engine.destructor();
+  });
+});
+
+describe('range reads on other cards', () => {
+  test('fall back to get() for engines without read_range', () => {
+    const engine = new MemoryEngine();
+    engine.read_range = undefined;
+    const collection = new CardCollection(engine);
+    const card = new MCard(video);
+    collection.add(card);
+
+    expect(Buffer.from(collection.read(card.hash, { start: 8, end: 12 })).toString()).toBe('isom');
+    expect(collection.stat(card.hash).content_type).toBe('video/mp4');
+  });
+
+  test('describe chunked cards by their joined content', async () => {
+    const collection = new AsyncCardCollection(new MemoryEngine());
+    const hash = await collection.addChunked(video, { minSize: 4096, avgSize: 16384, maxSize: 65536 });
+
+    const stat = await collection.stat(hash);
+    expect(stat).toMatchObject({ hash, content_type: 'video/mp4', byte_size: video.length });
+    expect(stat.chunks).toBeGreaterThan(1);
+    expect(Buffer.from(await collection.read(hash, { start: 100000, end: 100004 })).readUInt32BE(0)).toBe(0xdeadbeef);
+  });
+
+  test('reject invalid ranges', () => {
+    const collection = new CardCollection(new MemoryEngine());
+    expect(() => collection.read('0'.repeat(64), { start: -1 })).toThrow('Invalid range: -1-undefined');
+  });
+});
@@ -0,0 +1,163 @@
+import './engine/node-buffer.js';
+import fs from 'fs';
+import os from 'os';
+import { CardCollection } from '../src/core/card-collection.js';
+import { MCard } from '../src/core/mcard.js';
+import { eventContent, revisionChain } from '../src/core/card-events.js';
+import { MemoryEngine } from '../src/engine/memory_engine.js';
+import { FileSystemEngine } from '../src/engine/filesystem_engine.js';
+import { SQLiteEngine, SQLiteConnection } from '../src/engine/sqlite_engine.js';
+import { MIGRATIONS } from '../src/models/migrations.js';
+
+jest.unmock('better-sqlite3');
+
+let tmpDir;
+let counter = 0;
+
+beforeAll(() => {
+  tmpDir = fs.mkdtempSync(`${os.tmpdir()}/mcard-revisions-`);
+});
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('revisionChain', () => {
+  let time = 0;
+  const link = (from, to) => ({
+    hash: `event-${++time}`,
+    type: 'revision',
+    subject_hash: from,
+    timestamp: `sha256|2025-01-01T00:00:${String(time).padStart(2, '0')}Z|UTC`,
+    data: { revision_hash: to }
+  });
+
+  test('walks back to the first version and forward to the latest', () => {
+    const events = [link('a', 'b'), link('b', 'c')];
+    expect(revisionChain(events, 'a')).toEqual(['a', 'b', 'c']);
+    expect(revisionChain(events, 'b')).toEqual(['a', 'b', 'c']);
+    expect(revisionChain(events, 'x')).toEqual(['x']);
+  });
+
+  test('follows content that returns to an earlier version without looping', () => {
+    const events = [link('a', 'b'), link('b', 'a')];
+    expect(revisionChain(events, 'a')).toEqual(['a', 'b', 'a']);
+
+    events.push(link('a', 'c'));
+    expect(revisionChain(events, 'b')).toEqual(['a', 'b', 'a', 'c']);
+  });
+
+  test('follows the most recent revision of a card revised twice', () => {
+    expect(revisionChain([link('a', 'b'), link('a', 'c')], 'a')).toEqual(['a', 'c']);
+  });
+
+  test('does not need ES2023 array methods', () => {
+    const saved = ['findLast', 'findLastIndex'].map(name => [name, Object.getOwnPropertyDescriptor(Array.prototype, name)]);
+    saved.forEach(([name]) => delete Array.prototype[name]);
+    try {
+      expect(revisionChain([link('a', 'b'), link('b', 'c')], 'b')).toEqual(['a', 'b', 'c']);
+    } finally {
+      saved.forEach(([name, descriptor]) => descriptor && Object.defineProperty(Array.prototype, name, descriptor));
+    }
+  });
+});
+
+describe.each([
+  ['MemoryEngine', () => new MemoryEngine()],
+  ['FileSystemEngine', () => new FileSystemEngine(`${tmpDir}/store-${++counter}`)],
+  ['SQLiteEngine', () => new SQLiteEngine(new SQLiteConnection(`${tmpDir}/revisions-${++counter}.db`))]
+])('CardCollection revisions with %s', (name, createEngine) => {
+  let collection;
+  let original;
+
+  beforeEach(() => {
+    collection = new CardCollection(createEngine());
+    original = new MCard('first draft');
+    collection.add(original);
+  });
+
+  afterEach(() => {
+    if (collection.engine.destructor) {
+      collection.engine.destructor();
+    }
+  });
+
+  test('stores a new card and keeps the old one unchanged', () => {
+    const revision = collection.update(original.hash, 'second draft');
+
+    expect(revision).toBe(new MCard('second draft').hash);
+    expect(collection.get(original.hash).content.toString()).toBe('first draft');
+    expect(collection.get(revision).content.toString()).toBe('second draft');
+  });
+
+  test('walks history and finds the latest version from any version', () => {
+    const second = collection.update(original.hash, 'second draft');
+    const third = collection.update(second, 'third draft');
+
+    expect(collection.history(original.hash).map(card => card.hash)).toEqual([original.hash, second, third]);
+    expect(collection.history(third).map(card => card.hash)).toEqual([original.hash, second, third]);
+    expect(collection.latest(original.hash).hash).toBe(third);
+    expect(collection.latest(third).hash).toBe(third);
+  });
+
+  test('reverting to earlier content links back to the existing card', () => {
+    const second = collection.update(original.hash, 'second draft');
+    expect(collection.update(second, 'first draft')).toBe(original.hash);
+
+    expect(collection.history(second).map(card => card.hash)).toEqual([original.hash, second, original.hash]);
+    expect(collection.latest(second).hash).toBe(original.hash);
+  });
+
+  test('revising a card to its own content changes nothing', () => {
+    expect(collection.update(original.hash, 'first draft')).toBe(original.hash);
+    expect(collection.events({ type: 'revision' })).toEqual([]);
+  });
+
+  test('leaves deleted versions out of the history', () => {
+    const second = collection.update(original.hash, 'second draft');
+    collection.delete(original.hash);
+
+    expect(collection.history(second).map(card => card.hash)).toEqual([second]);
+    expect(collection.latest(original.hash).hash).toBe(second);
+  });
+
+  test('overwrites in place only when asked to', () => {
+    expect(collection.update(original.hash, 'overwritten', { unsafeInPlace: true })).toBe(original.hash);
+    expect(collection.get(original.hash).content.toString()).toBe('overwritten');
+    expect(collection.history(original.hash).map(card => card.hash)).toEqual([original.hash]);
+  });
+
+  test('returns null for missing cards and rejects empty hashes', () => {
+    expect(collection.update('missing', 'x')).toBeNull();
+    expect(collection.latest('missing')).toBeNull();
+    expect(collection.history('missing')).toEqual([]);
+    expect(() => collection.history('')).toThrow('Hash cannot be empty');
+  });
+});
+
+describe('SQLiteEngine revision events', () => {
+  test('indexes revision events written before migration 7', () => {
+    const dbPath = `${tmpDir}/revisions-upgrade.db`;
+    const connection = new SQLiteConnection(dbPath);
+    connection.connect();
+    connection.migrate({ migrations: MIGRATIONS.filter(migration => migration.version < 7) });
+    const event = new MCard(Buffer.from(eventContent('revision', 'old', { revision_hash: 'new' })));
+    connection.conn.prepare('INSERT INTO card (hash, g_time, content) VALUES (?, ?, ?)')
+      .run(event.hash, event.g_time, event.content);
+    // Migration 5 still creates the triggers it was released with
+    expect(connection.conn.prepare('SELECT hash FROM event').all()).toEqual([]);
+    connection.conn.close();
+
+    const collection = new CardCollection(new SQLiteEngine(new SQLiteConnection(dbPath)));
+    expect(collection.events({ type: 'revision' }).map(found => found.hash)).toEqual([event.hash]);
+    collection.engine.destructor();
+  });
+});
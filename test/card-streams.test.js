@@ -0,0 +1,183 @@
+import './engine/node-buffer.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import { createHash as nodeHash } from 'crypto';
+import { CardCollection } from '../src/core/card-collection.js';
+import { AsyncCardCollection } from '../src/core/async-card-collection.js';
+import { MCard, MCardFromData } from '../src/core/mcard.js';
+import { GTime } from '../src/core/g_time.js';
+import { MemoryEngine } from '../src/engine/memory_engine.js';
+import { FileSystemEngine } from '../src/engine/filesystem_engine.js';
+import { SQLiteEngine, SQLiteConnection } from '../src/engine/sqlite_engine.js';
+
+jest.unmock('better-sqlite3');
+
+let tmpDir;
+let counter = 0;
+
+beforeAll(() => {
+  tmpDir = fs.mkdtempSync(`${os.tmpdir()}/mcard-streams-`);
+});
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const sha = (algorithm, content) => nodeHash(algorithm).update(content).digest('hex');
+
+// 1 MiB in uneven chunks, so chunk and hash block boundaries do not line up
+const largeContent = Buffer.alloc(1024 * 1024, 'stream me ');
+const chunksOf = (bytes, size = 65521) => {
+  const chunks = [];
+  for (let i = 0; i < bytes.length; i += size) {
+    chunks.push(bytes.subarray(i, i + size));
+  }
+  return chunks;
+};
+
+describe('MCard.fromStream', () => {
+  test('hashes chunks to the same card as the whole content', async () => {
+    const card = await MCard.fromStream(Readable.from(chunksOf(largeContent)));
+
+    expect(card.hash).toBe(sha('sha256', largeContent));
+    expect(card.hash).toBe(new MCard(largeContent).hash);
+    expect(card.content.equals(largeContent)).toBe(true);
+    expect(card.g_time.startsWith('sha256|')).toBe(true);
+  });
+
+  test('honours the algorithm and accepts string chunks', async () => {
+    const card = await MCard.fromStream(Readable.from(['hello ', 'world']), { algorithm: 'sha512' });
+    expect(card.hash).toBe(sha('sha512', 'hello world'));
+    expect(card.hash_algorithm).toBe('sha512');
+  });
+
+  test('rejects an empty stream', async () => {
+    await expect(MCard.fromStream(Readable.from([]))).rejects.toThrow('Content cannot be empty');
+  });
+
+  test('fromFile reads and hashes a file', async () => {
+    const filePath = path.join(__dirname, 'test_data', 'sample.png');
+    const card = await MCard.fromFile(filePath);
+    expect(card.hash).toBe(sha('sha256', fs.readFileSync(filePath)));
+  });
+});
+
+describe('CardCollection.addStream with FileSystemEngine', () => {
+  let collection;
+
+  beforeEach(() => {
+    collection = new CardCollection(new FileSystemEngine(`${tmpDir}/store-${++counter}`));
+  });
+
+  test('writes the blob without leaving partial files behind', async () => {
+    const added = [];
+    collection.on('added', change => added.push(change));
+
+    const hash = await collection.addStream(Readable.from(chunksOf(largeContent)));
+
+    expect(hash).toBe(sha('sha256', largeContent));
+    expect(fs.readFileSync(collection.engine.blob_path('sha256', hash)).equals(largeContent)).toBe(true);
+    expect(collection.get(hash).g_time.startsWith('sha256|')).toBe(true);
+    expect(fs.readdirSync(path.join(collection.engine.rootDir, 'incoming'))).toEqual([]);
+    expect(added.map(change => change.hash)).toEqual([hash]);
+  });
+
+  test('records a duplicate like add()', async () => {
+    const card = new MCard('already here');
+    collection.add(card);
+
+    const eventHash = await collection.addStream(Readable.from([Buffer.from('already '), Buffer.from('here')]));
+
+    const [event] = collection.events({ type: 'duplicate' });
+    expect(event.hash).toBe(eventHash);
+    expect(event.subject_hash).toBe(card.hash);
+    expect(collection.get(card.hash).g_time).toBe(card.g_time);
+  });
+
+  test('upgrades a collision like add()', async () => {
+    const hash = sha('sha256', 'streamed');
+    collection.engine.add(new MCardFromData(Buffer.from('squatter'), hash, GTime.stamp_now('sha256')));
+
+    await collection.addStream(Readable.from(['streamed']));
+
+    const [event] = collection.events({ type: 'collision' });
+    expect(event.subject_hash).toBe(hash);
+    expect(collection.get(event.data.upgraded_hash).content.toString()).toBe('streamed');
+    expect(collection.get(hash).content.toString()).toBe('squatter');
+  });
+
+  test('cleans up after a failing stream', async () => {
+    async function* failing() {
+      yield Buffer.from('partial');
+      throw new Error('connection reset');
+    }
+    await expect(collection.addStream(failing())).rejects.toThrow('connection reset');
+    expect(fs.readdirSync(path.join(collection.engine.rootDir, 'incoming'))).toEqual([]);
+    expect(collection.count()).toBe(0);
+  });
+});
+
+describe.each([
+  ['CardCollection', CardCollection],
+  ['AsyncCardCollection', AsyncCardCollection]
+])('%s.addStream change notifications', (name, Collection) => {
+  test('report the stored card to added listeners', async () => {
+    const collection = new Collection(new FileSystemEngine(`${tmpDir}/store-${++counter}`));
+    const added = [];
+    collection.on('added', change => added.push(change));
+
+    const hash = await collection.addStream(Readable.from(['streamed ', 'text']));
+
+    const stored = await collection.get(hash);
+    expect(added).toEqual([{ hash, g_time: stored.g_time, content_type: 'text/plain' }]);
+  });
+});
+
+describe.each([
+  ['MemoryEngine', () => new MemoryEngine()],
+  ['SQLiteEngine', () => new SQLiteEngine(new SQLiteConnection(`${tmpDir}/streams-${++counter}.db`))]
+])('CardCollection.addStream with %s', (name, createEngine) => {
+  test('falls back to a card built with MCard.fromStream', async () => {
+    const collection = new CardCollection(createEngine());
+    const hash = await collection.addStream(Readable.from(chunksOf(largeContent)), { algorithm: 'sha384' });
+
+    expect(hash).toBe(sha('sha384', largeContent));
+    // SQLiteEngine returns text content decoded
+    expect(Buffer.from(collection.get(hash).content).equals(largeContent)).toBe(true);
+    if (collection.engine.destructor) {
+      collection.engine.destructor();
+    }
+  });
+});
+
+describe('createHash with Web Crypto', () => {
+  test('digests every chunk passed to update', async () => {
+    const { webcrypto } = jest.requireActual('crypto');
+    const versions = Object.getOwnPropertyDescriptor(process, 'versions');
+    // Look like a browser: Web Crypto and no Node.js version
+    Object.defineProperty(process, 'versions', { ...versions, value: {} });
+    global.window = { crypto: webcrypto };
+    try {
+      let createHash;
+      jest.isolateModules(() => {
+        ({ createHash } = require('../src/utils/cryptoPolyfill.js'));
+      });
+
+      const hash = createHash('sha256').update('hello ').update(Buffer.from('world'));
+      await expect(hash.digest('hex')).resolves.toBe(sha('sha256', 'hello world'));
+    } finally {
+      delete global.window;
+      Object.defineProperty(process, 'versions', versions);
+    }
+  });
+});
@@ -0,0 +1,239 @@
+import './engine/node-buffer.js';
+import fs from 'fs';
+import os from 'os';
+import { CardCollection } from '../src/core/card-collection.js';
+import { AsyncCardCollection } from '../src/core/async-card-collection.js';
+import { MCard } from '../src/core/mcard.js';
+import { MemoryEngine } from '../src/engine/memory_engine.js';
+import { SQLiteEngine, SQLiteConnection } from '../src/engine/sqlite_engine.js';
+
+jest.unmock('better-sqlite3');
+
+let tmpDir;
+let dbCounter = 0;
+
+beforeAll(() => {
+  tmpDir = fs.mkdtempSync(`${os.tmpdir()}/mcard-transaction-`);
+});
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const newSQLiteEngine = () => new SQLiteEngine(new SQLiteConnection(`${tmpDir}/tx-${++dbCounter}.db`));
+
+describe.each([
+  ['MemoryEngine', CardCollection, () => new MemoryEngine()],
+  ['SQLiteEngine', CardCollection, newSQLiteEngine],
+  ['SQLiteEngine (async collection)', AsyncCardCollection, newSQLiteEngine]
+])('%s transactions', (name, Collection, createEngine) => {
+  let collection;
+  let kept;
+
+  beforeEach(async () => {
+    collection = new Collection(createEngine());
+    kept = new MCard('kept');
+    await collection.add(kept);
+  });
+
+  afterEach(() => {
+    if (collection.engine.destructor) {
+      collection.engine.destructor();
+    }
+  });
+
+  test('commits adds and deletes made in an async callback', async () => {
+    const added = new MCard('added');
+    const result = await collection.transaction(async (tx) => {
+      await tx.add(added);
+      await tx.delete(kept.hash);
+      return 'done';
+    });
+
+    expect(result).toBe('done');
+    expect(await collection.get(added.hash)).not.toBeNull();
+    expect(await collection.get(kept.hash)).toBeNull();
+  });
+
+  test('rolls back every write when the callback rejects', async () => {
+    const added = new MCard('added');
+    await expect(collection.transaction(async (tx) => {
+      await tx.add(added);
+      await tx.delete(kept.hash);
+      throw new Error('abort');
+    })).rejects.toThrow('abort');
+
+    expect(await collection.get(added.hash)).toBeNull();
+    expect(await collection.get(kept.hash)).not.toBeNull();
+  });
+
+  test('a caught inner failure only undoes the inner savepoint', async () => {
+    const outer = new MCard('outer');
+    const inner = new MCard('inner');
+
+    await collection.transaction(async (tx) => {
+      await tx.add(outer);
+      await expect(tx.transaction(async (nested) => {
+        await nested.add(inner);
+        throw new Error('inner failure');
+      })).rejects.toThrow('inner failure');
+    });
+
+    expect(await collection.get(outer.hash)).not.toBeNull();
+    expect(await collection.get(inner.hash)).toBeNull();
+  });
+
+  test('an outer failure undoes released inner savepoints', async () => {
+    const inner = new MCard('inner');
+
+    await expect(collection.transaction(async (tx) => {
+      await tx.transaction(async (nested) => {
+        await nested.add(inner);
+      });
+      throw new Error('outer failure');
+    })).rejects.toThrow('outer failure');
+
+    expect(await collection.get(inner.hash)).toBeNull();
+    expect(await collection.count()).toBe(1);
+  });
+
+  test('addMany nests inside a transaction', async () => {
+    await expect(collection.transaction(async (tx) => {
+      const report = await tx.addMany([new MCard('one'), new MCard('two')]);
+      expect(report.counts.added).toBe(2);
+      throw new Error('abort');
+    })).rejects.toThrow('abort');
+
+    expect(await collection.count()).toBe(1);
+  });
+
+  test('the collision path writes the upgraded card and its event atomically', async () => {
+    const colliding = new MCard('impostor');
+    colliding.hash = kept.hash;
+
+    const add = collection.engine.add.bind(collection.engine);
+    let calls = 0;
+    jest.spyOn(collection.engine, 'add').mockImplementation((card) => {
+      // The upgraded card is written first, then the event card
+      if (++calls === 2) {
+        throw new Error('event write failed');
+      }
+      return add(card);
+    });
+
+    await expect(Promise.resolve().then(() => collection.add(colliding))).rejects.toThrow('event write failed');
+    expect(await collection.count()).toBe(1);
+  });
+});
+
+describe('CardCollection.transaction', () => {
+  test('commits synchronously for a synchronous callback', () => {
+    const collection = new CardCollection(new MemoryEngine());
+    const card = new MCard('sync');
+
+    const hash = collection.transaction(tx => tx.add(card));
+
+    expect(hash).toBe(card.hash);
+    expect(collection.engine._snapshots).toEqual([]);
+  });
+
+  test('runs the callback without atomicity on engines without transactions', () => {
+    const engine = new MemoryEngine();
+    engine.begin = undefined;
+    const collection = new CardCollection(engine);
+
+    expect(() => collection.transaction((tx) => {
+      tx.add(new MCard('left behind'));
+      throw new Error('abort');
+    })).toThrow('abort');
+    expect(collection.count()).toBe(1);
+  });
+});
+
+describe('AsyncCardCollection.transaction', () => {
+  let collection;
+
+  beforeEach(() => {
+    collection = new AsyncCardCollection(newSQLiteEngine());
+  });
+
+  afterEach(() => {
+    collection.engine.destructor();
+  });
+
+  test('writes from outside wait for a pending transaction instead of joining it', async () => {
+    const outside = new MCard('outside');
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+
+    const pending = collection.transaction(async (tx) => {
+      await tx.add(new MCard('rolled back'));
+      await gate;
+      throw new Error('abort');
+    });
+    const added = collection.add(outside);
+    release();
+
+    await expect(pending).rejects.toThrow('abort');
+    expect(await added).toBe(outside.hash);
+    expect((await collection.get_all(1, 10)).items.map(card => card.hash)).toEqual([outside.hash]);
+  });
+
+  test('a transaction waits for writes called before it', async () => {
+    const first = new MCard('first');
+    const added = collection.add(first);
+    await expect(collection.transaction(async (tx) => {
+      expect(await tx.get(first.hash)).not.toBeNull();
+      await tx.delete(first.hash);
+      throw new Error('abort');
+    })).rejects.toThrow('abort');
+
+    expect(await added).toBe(first.hash);
+    expect(await collection.count()).toBe(1);
+  });
+
+  test('a failed operation does not hold up the ones queued after it', async () => {
+    const failed = collection.transaction(async () => {
+      throw new Error('abort');
+    });
+    const added = collection.add(new MCard('after'));
+
+    await expect(failed).rejects.toThrow('abort');
+    await expect(added).resolves.toMatch(/^[0-9a-f]{64}$/);
+  });
+});
+
+describe('CardCollection with a pending async transaction', () => {
+  test('refuses writes that are not made through its tx', async () => {
+    const collection = new CardCollection(new MemoryEngine());
+    const inside = new MCard('inside');
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+
+    const pending = collection.transaction(async (tx) => {
+      await gate;
+      tx.add(inside);
+      tx.transaction(nested => nested.add(new MCard('nested')));
+    });
+
+    const refused = 'An async transaction is pending on this collection. Write through the tx passed to its callback';
+    expect(() => collection.add(new MCard('outside'))).toThrow(refused);
+    expect(() => collection.delete(inside.hash)).toThrow(refused);
+    expect(() => collection.transaction(() => {})).toThrow(refused);
+    expect(() => collection.clear()).toThrow(refused);
+
+    release();
+    await pending;
+    expect(collection.count()).toBe(2);
+    collection.add(new MCard('after'));
+    expect(collection.count()).toBe(3);
+  });
+});
@@ -0,0 +1,165 @@
+import './engine/node-buffer.js';
+import fs from 'fs';
+import os from 'os';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import { CardCollection } from '../src/core/card-collection.js';
+import { AsyncCardCollection } from '../src/core/async-card-collection.js';
+import { MCard } from '../src/core/mcard.js';
+import { verifyRecord, createSampler } from '../src/core/card-verify.js';
+import { MemoryEngine } from '../src/engine/memory_engine.js';
+import { FileSystemEngine } from '../src/engine/filesystem_engine.js';
+import { IndexedDBEngine } from '../src/engine/indexeddb_engine.js';
+import { SQLiteEngine, SQLiteConnection } from '../src/engine/sqlite_engine.js';
+import logger from '../src/services/logger.js';
+
+jest.unmock('better-sqlite3');
+
+let tmpDir;
+let counter = 0;
+
+beforeAll(() => {
+  tmpDir = fs.mkdtempSync(`${os.tmpdir()}/mcard-verify-`);
+});
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(logger, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('verifyRecord', () => {
+  const card = new MCard('sound');
+  const record = { hash: card.hash, g_time: card.g_time, content: card.content };
+
+  test('accepts a record whose content hashes to its hash', async () => {
+    expect(await verifyRecord(record)).toBeNull();
+    expect(await verifyRecord({ ...record, content: 'sound' })).toBeNull();
+    expect(await verifyRecord({ ...record, content: new Uint8Array(card.content) })).toBeNull();
+  });
+
+  test('classifies damaged records', async () => {
+    expect(await verifyRecord({ ...record, content: Buffer.from('tampered') }))
+      .toMatchObject({ hash: card.hash, problem: 'mismatch' });
+    expect(await verifyRecord({ ...record, g_time: 'sha256|yesterday|UTC' }))
+      .toMatchObject({ problem: 'unparsable', detail: 'Invalid hash function: Incorrect timestamp format' });
+    expect(await verifyRecord({ ...record, content: null })).toMatchObject({ problem: 'corrupt' });
+    expect(await verifyRecord({ ...record, content: null, error: new Error('ENOENT') }))
+      .toMatchObject({ problem: 'corrupt', detail: 'ENOENT' });
+  });
+
+  test('uses the algorithm named in g_time', async () => {
+    const sha512 = new MCard('strong', 'sha512');
+    expect(await verifyRecord({ hash: sha512.hash, g_time: sha512.g_time, content: sha512.content })).toBeNull();
+    expect(await verifyRecord({ hash: sha512.hash, g_time: card.g_time, content: sha512.content }))
+      .toMatchObject({ problem: 'mismatch' });
+  });
+
+  test('samples at most the requested number of items', () => {
+    const sampler = createSampler(3);
+    for (let i = 0; i < 10; i++) {
+      sampler.offer(i);
+    }
+    expect(sampler.items).toHaveLength(3);
+    expect(new Set(sampler.items).size).toBe(3);
+  });
+});
+
+describe.each([
+  ['MemoryEngine', () => new MemoryEngine(), {
+    setGTime: (engine, hash, g_time) => { engine.rows.get(hash).g_time = g_time; },
+    truncate: (engine, hash) => { engine.rows.get(hash).content = Buffer.alloc(0); }
+  }],
+  ['FileSystemEngine', () => new FileSystemEngine(`${tmpDir}/store-${++counter}`), {
+    setGTime: (engine, hash, g_time) => { engine.index.get(hash).g_time = g_time; },
+    truncate: (engine, hash) => fs.rmSync(engine.blob_path(engine.index.get(hash).algorithm, hash))
+  }],
+  ['SQLiteEngine', () => new SQLiteEngine(new SQLiteConnection(`${tmpDir}/verify-${++counter}.db`)), {
+    setGTime: (engine, hash, g_time) =>
+      engine.connection.conn.prepare('UPDATE card SET g_time = ? WHERE hash = ?').run(g_time, hash),
+    truncate: (engine, hash) =>
+      engine.connection.conn.prepare("UPDATE card SET content = X'' WHERE hash = ?").run(hash)
+  }]
+])('CardCollection.verify with %s', (name, createEngine, tamper) => {
+  let collection;
+  let cards;
+
+  beforeEach(() => {
+    collection = new CardCollection(createEngine());
+    cards = ['alpha', 'beta', 'gamma', 'delta'].map(content => new MCard(content));
+    cards.forEach(card => collection.add(card));
+  });
+
+  afterEach(() => {
+    if (collection.engine.destructor) {
+      collection.engine.destructor();
+    }
+  });
+
+  test('reports nothing for an intact store', async () => {
+    expect(await collection.verify()).toEqual({ checked: 4, problems: [], quarantined: [] });
+  });
+
+  test('reports mismatched, unparsable and corrupt cards', async () => {
+    collection.update(cards[0].hash, 'rewritten', { unsafeInPlace: true });
+    tamper.setGTime(collection.engine, cards[1].hash, 'not a g_time');
+    tamper.truncate(collection.engine, cards[2].hash);
+
+    const report = await collection.verify();
+    const problems = Object.fromEntries(report.problems.map(problem => [problem.hash, problem.problem]));
+
+    // The in-place update also stored an update event card, which is intact
+    expect(report.checked).toBe(5);
+    expect(problems).toEqual({
+      [cards[0].hash]: 'mismatch',
+      [cards[1].hash]: 'unparsable',
+      [cards[2].hash]: 'corrupt'
+    });
+    expect(report.quarantined).toEqual([]);
+    expect(collection.count()).toBe(5);
+  });
+
+  test('quarantines problem cards when repairing', async () => {
+    collection.update(cards[0].hash, 'rewritten', { unsafeInPlace: true });
+
+    const report = await collection.verify({ repair: true });
+
+    expect(report.quarantined).toEqual([cards[0].hash]);
+    expect(collection.get(cards[0].hash)).toBeNull();
+    expect(collection.quarantined()).toEqual([{
+      hash: cards[0].hash,
+      g_time: cards[0].g_time,
+      reason: expect.stringMatching(/^mismatch: /),
+      quarantined_at: expect.any(String)
+    }]);
+    expect((await collection.verify()).problems).toEqual([]);
+  });
+
+  test('checks a random sample', async () => {
+    expect((await collection.verify({ sample: 2 })).checked).toBe(2);
+    expect((await collection.verify({ sample: 10 })).checked).toBe(4);
+    await expect(collection.verify({ sample: 0 })).rejects.toThrow('Invalid sample: 0');
+  });
+});
+
+describe('AsyncCardCollection.verify', () => {
+  test('verifies an IndexedDBEngine, which has no quarantine', async () => {
+    const collection = new AsyncCardCollection(
+      new IndexedDBEngine('mcard-verify', { indexedDB: new IDBFactory(), IDBKeyRange })
+    );
+    const card = await MCard.create('in the browser');
+    await collection.add(card);
+    await collection.update(card.hash, 'rewritten', { unsafeInPlace: true });
+
+    const report = await collection.verify();
+    expect(report.problems.map(problem => [problem.hash, problem.problem])).toEqual([[card.hash, 'mismatch']]);
+    await expect(collection.verify({ repair: true })).rejects.toThrow('IndexedDBEngine does not support quarantine');
+    await expect(collection.quarantined()).rejects.toThrow('IndexedDBEngine does not support quarantine');
+  });
+});
@@ -0,0 +1,47 @@
+import { MCard } from '../../src/core/mcard.js';
+import HashValidator, { PENDING_HASH } from '../../src/core/hash/validator.js';
+import { HashAlgorithm } from '../../src/config/config_constants.js';
+
+// Simulate Web Crypto: digests resolve asynchronously, as they do in browsers
+jest.mock('../../src/utils/cryptoPolyfill.js', () => {
+  const nodeCrypto = jest.requireActual('crypto');
+  const createHash = (algorithm) => {
+    const hash = nodeCrypto.createHash(String(algorithm).toLowerCase().replace(/-/g, ''));
+    return {
+      update(data) {
+        hash.update(data);
+        return this;
+      },
+      digest(encoding = 'hex') {
+        return Promise.resolve(hash.digest(encoding));
+      }
+    };
+  };
+  return { __esModule: true, createHash, default: { createHash } };
+});
+
+const sha = (algorithm, content) =>
+  jest.requireActual('crypto').createHash(algorithm).update(content).digest('hex');
+
+describe('MCard.create with asynchronous digests', () => {
+  test('the synchronous constructor can only record a placeholder', () => {
+    expect(new MCard('Browser content').hash).toBe(PENDING_HASH);
+  });
+
+  test('awaits the real hash', async () => {
+    const card = await MCard.create('Browser content');
+
+    expect(card).toBeInstanceOf(MCard);
+    expect(card.hash).toBe(sha('sha256', 'Browser content'));
+    expect(card.g_time.startsWith('sha256|')).toBe(true);
+  });
+
+  test('honours the requested algorithm', async () => {
+    const card = await MCard.create('Browser content', HashAlgorithm.SHA512);
+    expect(card.hash).toBe(sha('sha512', 'Browser content'));
+  });
+
+  test('HashValidator.computeHashAsync resolves the digest', async () => {
+    await expect(HashValidator.computeHashAsync('abc', 'sha1')).resolves.toBe(sha('sha1', 'abc'));
+  });
+});
@@ -0,0 +1,237 @@
+import './node-buffer.js';
+import fs from 'fs';
+import os from 'os';
+import { randomBytes, webcrypto } from 'crypto';
+import { EncryptedEngine } from '../../src/engine/encrypted_engine.js';
+import { MemoryEngine } from '../../src/engine/memory_engine.js';
+import { SQLiteEngine, SQLiteConnection } from '../../src/engine/sqlite_engine.js';
+import { StorageEngine } from '../../src/engine/base_engine.js';
+import { AsyncCardCollection } from '../../src/core/async-card-collection.js';
+import { MCard } from '../../src/core/mcard.js';
+import { parseEnvelope } from '../../src/utils/encryption.js';
+import { runEngineConformanceTests } from './engine-conformance.js';
+
+jest.unmock('better-sqlite3');
+
+let tmpDir;
+let counter = 0;
+
+beforeAll(() => {
+  tmpDir = fs.mkdtempSync(`${os.tmpdir()}/mcard-encrypted-`);
+});
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// A key provider whose current key can be switched, as a key service would
+const keyRing = (keys, current) => ({
+  keys: { ...keys },
+  current,
+  currentKeyId() {
+    return this.current;
+  },
+  async getKey(keyId) {
+    return this.keys[keyId] ?? null;
+  }
+});
+
+const k1 = randomBytes(32);
+const k2 = randomBytes(32);
+
+runEngineConformanceTests('EncryptedEngine', () => new EncryptedEngine(new MemoryEngine(), {
+  keys: keyRing({ k1 }, 'k1'),
+  searchIndex: true
+}));
+
+describe.each([
+  ['MemoryEngine', () => new MemoryEngine()],
+  ['SQLiteEngine', () => new SQLiteEngine(new SQLiteConnection(`${tmpDir}/encrypted-${++counter}.db`))]
+])('EncryptedEngine over %s', (name, createInner) => {
+  let inner;
+
+  beforeEach(() => {
+    inner = createInner();
+  });
+
+  afterEach(() => {
+    if (inner.destructor) {
+      inner.destructor();
+    }
+  });
+
+  test('stores ciphertext under the hash of the plaintext', async () => {
+    const collection = new AsyncCardCollection(new EncryptedEngine(inner, { keys: keyRing({ k1 }, 'k1') }));
+    const card = new MCard('Quarterly salaries: confidential');
+    await collection.add(card);
+
+    const stored = inner.get(card.hash);
+    expect(stored.content.includes('salaries')).toBe(false);
+    expect(parseEnvelope(stored.content).keyId).toBe('k1');
+
+    const read = await collection.get(card.hash);
+    expect(read.hash).toBe(card.hash);
+    expect(read.g_time).toBe(card.g_time);
+    expect(read.content.toString()).toBe('Quarterly salaries: confidential');
+    expect((await collection.verify()).problems).toEqual([]);
+  });
+
+  test('keyed hashes hide which content is stored', async () => {
+    const hashKey = randomBytes(32);
+    const collection = new AsyncCardCollection(new EncryptedEngine(inner, { keys: keyRing({ k1 }, 'k1'), hashKey }));
+    const card = new MCard('Known document');
+    await collection.add(card);
+
+    expect(inner.get(card.hash)).toBeNull();
+    const [stored] = inner.get_page(1, 10).items;
+    expect(stored.hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(stored.hash).not.toBe(card.hash);
+
+    expect((await collection.get(card.hash)).content.toString()).toBe('Known document');
+    expect((await collection.get_page(1, 10)).items.map(item => item.hash)).toEqual([card.hash]);
+    await collection.add(new MCard('Known document'));
+    expect((await collection.events({ type: 'duplicate' }))[0].subject_hash).toBe(card.hash);
+    expect(await collection.delete(card.hash)).toBe(true);
+    expect(await collection.get(card.hash)).toBeNull();
+  });
+
+  test('rotate_keys re-encrypts cards under the current key', async () => {
+    const keys = keyRing({ k1 }, 'k1');
+    const engine = new EncryptedEngine(inner, { keys });
+    const cards = ['first', 'second', 'third'].map(content => new MCard(content));
+    for (const card of cards) {
+      await engine.add(card);
+    }
+
+    keys.keys.k2 = k2;
+    keys.current = 'k2';
+    await engine.add(new MCard('added under k2'));
+    expect(await engine.rotate_keys()).toEqual({ checked: 4, rotated: 3 });
+
+    delete keys.keys.k1;
+    cards.forEach(card => expect(parseEnvelope(inner.get(card.hash).content).keyId).toBe('k2'));
+    expect((await engine.get(cards[1].hash)).content.toString()).toBe('second');
+    expect(await engine.rotate_keys()).toEqual({ checked: 4, rotated: 0 });
+  });
+});
+
+describe('EncryptedEngine', () => {
+  test('is a StorageEngine', () => {
+    expect(new EncryptedEngine(new MemoryEngine(), { keys: keyRing({ k1 }, 'k1') })).toBeInstanceOf(StorageEngine);
+  });
+
+  test('rejects missing keys, wrong keys and modified envelopes', async () => {
+    expect(() => new EncryptedEngine(new MemoryEngine(), { keys: { k1 } }))
+      .toThrow('Encryption needs a key provider with currentKeyId() and getKey(keyId)');
+    expect(() => new EncryptedEngine(new MemoryEngine(), { keys: keyRing({ k1 }, 'k1'), hashKey: 'secret' }))
+      .toThrow('hashKey must be at least 16 bytes');
+
+    const inner = new MemoryEngine();
+    const keys = keyRing({ k1 }, 'k1');
+    const engine = new EncryptedEngine(inner, { keys });
+    const card = new MCard('Tamper with me');
+    await engine.add(card);
+
+    keys.keys.k1 = k2;
+    await expect(engine.get(card.hash)).rejects.toThrow(`Cannot decrypt card ${card.hash}: wrong key or modified content`);
+    delete keys.keys.k1;
+    await expect(engine.get(card.hash)).rejects.toThrow('Unknown encryption key: k1');
+
+    keys.keys.k1 = k1;
+    const row = inner.rows.get(card.hash);
+    row.content[row.content.length - 1] ^= 1;
+    await expect(engine.get(card.hash)).rejects.toThrow('wrong key or modified content');
+
+    // An envelope moved to another row fails too: it is bound to its stored hash
+    const other = new MCard('Another card');
+    await engine.add(other);
+    inner.rows.get(card.hash).content = inner.rows.get(other.hash).content;
+    await expect(engine.get(card.hash)).rejects.toThrow('wrong key or modified content');
+
+    keys.current = 'short';
+    keys.keys.short = randomBytes(10);
+    await expect(engine.add(new MCard('x'))).rejects.toThrow('Encryption key short must be 16, 24 or 32 bytes');
+  });
+
+  test('verify reports cards that no longer decrypt', async () => {
+    const inner = new MemoryEngine();
+    const collection = new AsyncCardCollection(new EncryptedEngine(inner, { keys: keyRing({ k1 }, 'k1') }));
+    const damaged = new MCard('Damaged card');
+    await collection.add(damaged);
+    await collection.add(new MCard('Sound card'));
+    const row = inner.rows.get(damaged.hash);
+    row.content[row.content.length - 1] ^= 1;
+
+    const report = await collection.verify();
+    expect(report.checked).toBe(2);
+    expect(report.problems).toEqual([expect.objectContaining({
+      hash: damaged.hash,
+      problem: 'corrupt',
+      detail: `Cannot decrypt card ${damaged.hash}: wrong key or modified content`
+    })]);
+  });
+
+  test('content search is off unless routed through the decrypted index', async () => {
+    const inner = new MemoryEngine();
+    const plain = new AsyncCardCollection(new EncryptedEngine(inner, { keys: keyRing({ k1 }, 'k1') }));
+    await plain.add(new MCard('Meeting notes: launch moved to May'));
+
+    await expect(plain.search_by_content('launch')).rejects.toThrow(
+      'search_by_content is not available on encrypted content. Create the EncryptedEngine with { searchIndex: true }'
+    );
+    await expect(plain.search_by_string('launch')).rejects.toThrow('search_by_string is not available on encrypted content');
+    // The inner engine only holds ciphertext, so searching it directly finds nothing
+    expect(inner.search_by_content('launch').total_items).toBe(0);
+
+    const indexed = new AsyncCardCollection(new EncryptedEngine(inner, { keys: keyRing({ k1 }, 'k1'), searchIndex: true }));
+    const hits = await indexed.search_by_content('launch');
+    expect(hits.items.map(item => item.content.toString())).toEqual(['Meeting notes: launch moved to May']);
+
+    // Writes after the index is built are reflected in it
+    const later = new MCard('Launch checklist');
+    await indexed.add(later);
+    expect((await indexed.search_by_content('launch')).total_items).toBe(2);
+    await indexed.delete(later.hash);
+    expect((await indexed.search_by_content('launch')).total_items).toBe(1);
+    expect((await indexed.engine.query({ contentType: 'text/plain' })).total_items).toBe(1);
+  });
+
+  test('Web Crypto envelopes match Node.js crypto', async () => {
+    const versions = Object.getOwnPropertyDescriptor(process, 'versions');
+    const saved = Object.getOwnPropertyDescriptor(globalThis, 'crypto');
+    const keys = keyRing({ k1 }, 'k1');
+    const node = jest.requireActual('../../src/utils/encryption.js');
+    Object.defineProperty(process, 'versions', { ...versions, value: {} });
+    Object.defineProperty(globalThis, 'crypto', { value: webcrypto, configurable: true, writable: true });
+    try {
+      let web;
+      jest.isolateModules(() => {
+        web = require('../../src/utils/encryption.js');
+      });
+
+      const card = { hash: 'abc', content: new TextEncoder().encode('cross-platform') };
+      const fromWeb = await web.seal(card, { key: k1, keyId: 'k1', storedHash: 'abc' });
+      const fromNode = await node.seal(card, { key: k1, keyId: 'k1', storedHash: 'abc' });
+      expect(Buffer.from((await node.open(fromWeb, keys, 'abc')).content).toString()).toBe('cross-platform');
+      expect(Buffer.from((await web.open(fromNode, keys, 'abc')).content).toString()).toBe('cross-platform');
+
+      const hashKey = randomBytes(32);
+      expect(await web.keyedHash(hashKey, 'abc')).toBe(await node.keyedHash(hashKey, 'abc'));
+    } finally {
+      Object.defineProperty(process, 'versions', versions);
+      if (saved) {
+        Object.defineProperty(globalThis, 'crypto', saved);
+      } else {
+        delete globalThis.crypto;
+      }
+    }
+  });
+});
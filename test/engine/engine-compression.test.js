@@ -0,0 +1,240 @@
+import './node-buffer.js';
+import fs from 'fs';
+import os from 'os';
+import { gunzipSync } from 'zlib';
+import Database from 'better-sqlite3';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import { SQLiteEngine, SQLiteConnection } from '../../src/engine/sqlite_engine.js';
+import { IndexedDBEngine } from '../../src/engine/indexeddb_engine.js';
+import { CardCollection } from '../../src/core/card-collection.js';
+import { AsyncCardCollection } from '../../src/core/async-card-collection.js';
+import { MCard } from '../../src/core/mcard.js';
+import { normalizeCompression } from '../../src/utils/compression.js';
+
+jest.unmock('better-sqlite3');
+
+let tmpDir;
+let dbCounter = 0;
+
+const newDbPath = () => `${tmpDir}/compression-${++dbCounter}.db`;
+
+beforeAll(() => {
+  tmpDir = fs.mkdtempSync(`${os.tmpdir()}/mcard-compression-`);
+});
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// CSV compresses well and is long enough to pass the default minSize
+const csv = ['id,name,score', ...Array.from({ length: 200 }, (_, i) => `${i},player ${i},${i * 7 % 100}`)].join('\n');
+
+describe('SQLiteEngine compression', () => {
+  let dbPath;
+  let engine;
+  let collection;
+
+  beforeEach(() => {
+    dbPath = newDbPath();
+    engine = new SQLiteEngine(new SQLiteConnection(dbPath), { compression: 'gzip' });
+    collection = new CardCollection(engine);
+  });
+
+  afterEach(() => {
+    engine.destructor();
+  });
+
+  const storedRow = (hash) => engine.connection.conn.prepare(
+    'SELECT content, codec, byte_size FROM card WHERE hash = ?'
+  ).get(hash);
+
+  test('stores text compressed under the hash of the original content', () => {
+    const card = new MCard(csv);
+    collection.add(card);
+
+    const row = storedRow(card.hash);
+    expect(row.codec).toBe('gzip');
+    expect(row.byte_size).toBe(Buffer.byteLength(csv));
+    expect(row.content.length).toBeLessThan(csv.length / 2);
+    expect(gunzipSync(row.content).toString()).toBe(csv);
+
+    const stored = collection.get(card.hash);
+    expect(stored.hash).toBe(card.hash);
+    expect(stored.content.toString()).toBe(csv);
+  });
+
+  test('leaves small, binary and event cards raw', () => {
+    const small = new MCard('short text');
+    const binary = new MCard(Buffer.alloc(4096, 0));
+    collection.add(small);
+    collection.add(binary);
+    collection.add(new MCard(csv));
+    collection.add(new MCard(csv));
+
+    expect(storedRow(small.hash).codec).toBeNull();
+    expect(storedRow(binary.hash).codec).toBeNull();
+    const [event] = collection.events({ type: 'duplicate' });
+    expect(storedRow(event.hash).codec).toBeNull();
+  });
+
+  test('searches, full-text search and range reads see the original content', () => {
+    const card = new MCard(csv);
+    collection.add(card);
+
+    expect(engine.search_by_content('player 123').items.map(item => item.hash)).toEqual([card.hash]);
+    expect(engine.search_by_string('player 123').items.map(item => item.hash)).toEqual([card.hash]);
+    expect(engine.search_fulltext('player').items.map(item => item.hash)).toEqual([card.hash]);
+    expect(Buffer.from(collection.read(card.hash, { start: 0, end: 13 })).toString()).toBe('id,name,score');
+    expect(collection.stat(card.hash).byte_size).toBe(Buffer.byteLength(csv));
+
+    expect(engine.rebuild_fts()).toBe(1);
+    expect(engine.search_fulltext('player').total_items).toBe(1);
+  });
+
+  test('keeps the full-text index in step with compressed rows', () => {
+    const integrityCheck = () => engine.connection.conn
+      .prepare("INSERT INTO card_fts (card_fts, rank) VALUES ('integrity-check', 1)").run();
+    const kept = new MCard(`${csv}\nkept`);
+    const updated = new MCard(`${csv}\nupdated`);
+    const deleted = new MCard(`${csv}\ndeleted`);
+    const quarantined = new MCard(`${csv}\nquarantined`);
+    [kept, updated, deleted, quarantined].forEach(card => collection.add(card));
+
+    engine.update(updated.hash, 'rewritten in place');
+    engine.delete(deleted.hash);
+    engine.quarantine(quarantined.hash, 'test');
+    integrityCheck();
+    expect(engine.search_fulltext('player').items.map(item => item.hash)).toEqual([kept.hash]);
+    expect(engine.search_fulltext('rewritten').items.map(item => item.hash)).toEqual([updated.hash]);
+
+    engine.clear();
+    integrityCheck();
+    expect(engine.search_fulltext('player OR rewritten').total_items).toBe(0);
+  });
+
+  test('leaves a full-text index other SQLite clients can use', () => {
+    const compressed = new MCard(`${csv}\ncompressed`);
+    const raw = new MCard('raw player notes');
+    collection.add(compressed);
+    collection.add(raw);
+    engine.destructor();
+
+    // A plain connection has no mcard_decode()
+    const plain = new Database(dbPath);
+    try {
+      const snippets = plain.prepare(`
+        SELECT hash, snippet(card_fts, 1, '[', ']', '...', 3) AS snippet
+        FROM card_fts WHERE card_fts MATCH 'compressed' ORDER BY rank
+      `).all();
+      expect(snippets).toEqual([{ hash: compressed.hash, snippet: expect.stringContaining('[compressed]') }]);
+
+      plain.prepare('DELETE FROM card WHERE hash = ?').run(compressed.hash);
+      plain.prepare("INSERT INTO card_fts (card_fts, rank) VALUES ('integrity-check', 1)").run();
+      plain.exec("INSERT INTO card_fts (card_fts) VALUES ('rebuild')");
+    } finally {
+      plain.close();
+    }
+
+    engine = new SQLiteEngine(new SQLiteConnection(dbPath), { compression: 'gzip' });
+    expect(engine.search_fulltext('player').items.map(item => item.hash)).toEqual([raw.hash]);
+  });
+
+  test('verification hashes the decompressed content', async () => {
+    collection.add(new MCard(csv));
+    const report = await collection.verify();
+    expect(report.checked).toBe(1);
+    expect(report.problems).toEqual([]);
+  });
+
+  test('reports the space saved', () => {
+    collection.add(new MCard(csv));
+    collection.add(new MCard('short text'));
+
+    const stats = engine.compression_stats();
+    expect(stats).toMatchObject({ cards: 2, compressed: 1, byte_size: Buffer.byteLength(csv) + 10 });
+    expect(stats.saved).toBe(stats.byte_size - stats.stored_size);
+    expect(stats.saved).toBeGreaterThan(csv.length / 2);
+  });
+
+  test('reads rows written with other settings', () => {
+    const raw = new MCard(`${csv}\nraw`);
+    const deflated = new MCard(`${csv}\ndeflated`);
+    collection.add(new MCard(csv));
+
+    const plainEngine = new SQLiteEngine(new SQLiteConnection(dbPath));
+    plainEngine.add(raw);
+    expect(plainEngine.get(new MCard(csv).hash).content.toString()).toBe(csv);
+    plainEngine.destructor();
+
+    const deflateEngine = new SQLiteEngine(new SQLiteConnection(dbPath), { compression: { codec: 'deflate', minSize: 0 } });
+    deflateEngine.add(deflated);
+    deflateEngine.destructor();
+
+    expect(storedRow(raw.hash).codec).toBeNull();
+    expect(storedRow(deflated.hash).codec).toBe('deflate');
+    expect(collection.get(deflated.hash).content.toString()).toBe(`${csv}\ndeflated`);
+    expect(engine.search_fulltext('deflated').items.map(item => item.hash)).toEqual([deflated.hash]);
+  });
+});
+
+describe('IndexedDBEngine compression', () => {
+  const createCollection = () => new AsyncCardCollection(new IndexedDBEngine('mcard-compression', {
+    indexedDB: new IDBFactory(),
+    IDBKeyRange,
+    compression: 'deflate'
+  }));
+
+  test('round-trips compressed cards through get, search and paging', async () => {
+    const collection = createCollection();
+    const card = new MCard(csv);
+    await collection.add(card);
+    await collection.add(new MCard('short text'));
+
+    expect((await collection.get(card.hash)).content.toString()).toBe(csv);
+    expect((await collection.search_by_content('player 42')).items.map(item => item.hash)).toEqual([card.hash]);
+    const page = await collection.engine.get_page(1, 10);
+    expect(page.items.map(item => item.content.toString())).toContain(csv);
+
+    const stats = await collection.engine.compression_stats();
+    expect(stats).toMatchObject({ cards: 2, compressed: 1 });
+    expect(stats.saved).toBeGreaterThan(0);
+    await collection.engine.close();
+  });
+
+  test('uses CompressionStream where zlib is not available', async () => {
+    const versions = Object.getOwnPropertyDescriptor(process, 'versions');
+    const { CompressionStream, DecompressionStream } = jest.requireActual('stream/web');
+    const saved = { CompressionStream: global.CompressionStream, DecompressionStream: global.DecompressionStream };
+    Object.defineProperty(process, 'versions', { ...versions, value: {} });
+    Object.assign(global, { CompressionStream, DecompressionStream });
+    try {
+      let compression;
+      jest.isolateModules(() => {
+        compression = require('../../src/utils/compression.js');
+      });
+
+      const compressed = await compression.compress(Buffer.from(csv), 'gzip');
+      expect(gunzipSync(compressed).toString()).toBe(csv);
+      expect(Buffer.from(await compression.decompress(compressed, 'gzip')).toString()).toBe(csv);
+      expect(() => compression.compressSync(Buffer.from(csv), 'gzip')).toThrow('Synchronous compression needs Node.js zlib');
+    } finally {
+      Object.assign(global, saved);
+      Object.defineProperty(process, 'versions', versions);
+    }
+  });
+});
+
+test('compression options are checked', () => {
+  expect(normalizeCompression(null)).toBeNull();
+  expect(normalizeCompression('deflate')).toEqual({ codec: 'deflate', minSize: 1024 });
+  expect(() => normalizeCompression('brotli')).toThrow('Unknown compression codec: brotli. Use one of: gzip, deflate');
+  expect(() => normalizeCompression({ codec: 'gzip', minSize: -1 })).toThrow('Invalid compression minSize: -1');
+});
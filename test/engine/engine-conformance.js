@@ -0,0 +1,335 @@
+/**
+ * Shared conformance suite for storage engines
+ *
+ * Every engine handed to CardCollection must pass these tests. Engine test
+ * files call runEngineConformanceTests with factories for a fresh, empty
+ * engine; calls are awaited so promise-returning engines are covered too.
+ */
+
+import { MCard } from '../../src/core/mcard.js';
+import { ENGINE_METHODS, missingEngineMethods } from '../../src/engine/base_engine.js';
+
+// Engines may return text content decoded (SQLiteEngine) or as bytes
+const contentText = (content) => typeof content === 'string' ? content : new TextDecoder('utf-8').decode(content);
+
+export function runEngineConformanceTests(name, createEngine, destroyEngine = async () => {}) {
+  describe(`${name} storage engine conformance`, () => {
+    let engine;
+
+    beforeEach(async () => {
+      engine = await createEngine();
+    });
+
+    afterEach(async () => {
+      await destroyEngine(engine);
+    });
+
+    const addAll = async (contents) => {
+      const cards = contents.map(content => new MCard(content));
+      for (const card of cards) {
+        await engine.add(card);
+      }
+      return cards;
+    };
+
+    // Cards with fixed times so ordering and time windows are deterministic
+    const stamped = (content, day, algorithm = 'sha256') => {
+      const card = new MCard(content, algorithm);
+      card.g_time = `${algorithm}|2025-01-${day}T00:00:00.000000Z|UTC`;
+      return card;
+    };
+    const hashesOf = (page) => page.items.map(card => card.hash);
+
+    test('implements every contract method', () => {
+      expect(missingEngineMethods(engine)).toEqual([]);
+      ENGINE_METHODS.forEach(method => expect(typeof engine[method]).toBe('function'));
+    });
+
+    test('add returns the hash and get returns the stored card', async () => {
+      const card = new MCard('Conformance content');
+      const hash = await engine.add(card);
+
+      expect(hash).toBe(card.hash);
+      const stored = await engine.get(card.hash);
+      expect(stored).not.toBeNull();
+      expect(stored.hash).toBe(card.hash);
+      expect(stored.g_time).toBe(card.g_time);
+      expect(contentText(stored.content)).toBe('Conformance content');
+    });
+
+    test('adding an existing hash is a no-op', async () => {
+      const card = new MCard('Only once');
+      await engine.add(card);
+      expect(await engine.add(card)).toBe(card.hash);
+      expect(await engine.count()).toBe(1);
+    });
+
+    test('get returns null for an unknown hash', async () => {
+      expect(await engine.get('does-not-exist')).toBeNull();
+    });
+
+    test('delete removes a card and reports whether anything was deleted', async () => {
+      const [card] = await addAll(['Delete me']);
+
+      expect(await engine.delete(card.hash)).toBe(true);
+      expect(await engine.get(card.hash)).toBeNull();
+      expect(await engine.delete(card.hash)).toBe(false);
+    });
+
+    test('count and clear', async () => {
+      await addAll(['one', 'two', 'three']);
+      expect(await engine.count()).toBe(3);
+
+      await engine.clear();
+      expect(await engine.count()).toBe(0);
+    });
+
+    test('get_page paginates newest g_time first', async () => {
+      const cards = await addAll(['p1', 'p2', 'p3', 'p4', 'p5']);
+
+      const first = await engine.get_page(1, 2);
+      expect(first.items).toHaveLength(2);
+      expect(first.total_items).toBe(5);
+      expect(first.total_pages).toBe(3);
+      expect(first.has_next).toBe(true);
+      expect(first.has_previous).toBe(false);
+
+      const last = await engine.get_page(3, 2);
+      expect(last.items).toHaveLength(1);
+      expect(last.has_next).toBe(false);
+      expect(last.has_previous).toBe(true);
+
+      const seen = [];
+      for (let page = 1; page <= 3; page++) {
+        seen.push(...(await engine.get_page(page, 2)).items);
+      }
+      expect(seen.map(card => card.hash).sort()).toEqual(cards.map(card => card.hash).sort());
+
+      const gTimes = seen.map(card => card.g_time);
+      expect(gTimes).toEqual([...gTimes].sort().reverse());
+    });
+
+    test('get_all returns the same pages as get_page', async () => {
+      await addAll(['a1', 'a2', 'a3']);
+
+      const all = await engine.get_all(1, 10);
+      const page = await engine.get_page(1, 10);
+      expect(all.total_items).toBe(3);
+      expect(all.items.map(card => card.hash)).toEqual(page.items.map(card => card.hash));
+    });
+
+    test('paging methods reject invalid page numbers and sizes', async () => {
+      await expect(async () => engine.get_page(0, 10)).rejects.toThrow();
+      await expect(async () => engine.get_all(1, 0)).rejects.toThrow();
+      await expect(async () => engine.search_by_string('x', 0, 10)).rejects.toThrow();
+      await expect(async () => engine.search_by_content('x', 1, 0)).rejects.toThrow();
+    });
+
+    test('search_by_string matches content case-insensitively, hash and g_time', async () => {
+      const [apple] = await addAll(['Apple pie recipe', 'Banana bread', 'apple CIDER']);
+
+      const byContent = await engine.search_by_string('apple', 1, 10);
+      expect(byContent.total_items).toBe(2);
+
+      const byHash = await engine.search_by_string(apple.hash.slice(0, 16), 1, 10);
+      expect(byHash.items.map(card => card.hash)).toContain(apple.hash);
+
+      const paged = await engine.search_by_string('apple', 1, 1);
+      expect(paged.items).toHaveLength(1);
+      expect(paged.has_next).toBe(true);
+    });
+
+    test('search_by_content only matches content', async () => {
+      const [card] = await addAll(['Nothing to see here']);
+
+      const byHash = await engine.search_by_content(card.hash.slice(0, 16), 1, 10);
+      expect(byHash.total_items).toBe(0);
+
+      const byContent = await engine.search_by_content('to see', 1, 10);
+      expect(byContent.items.map(item => item.hash)).toEqual([card.hash]);
+    });
+
+    test('update replaces content under the same hash', async () => {
+      const [card] = await addAll(['Before update']);
+
+      expect(await engine.update(card.hash, 'After update')).toBe(true);
+      const stored = await engine.get(card.hash);
+      expect(contentText(stored.content)).toBe('After update');
+
+      expect(await engine.update('does-not-exist', 'x')).toBe(false);
+    });
+
+    describe('cursor pagination', () => {
+      let cards;
+
+      beforeEach(async () => {
+        // Oldest first; two cards share a g_time so the hash breaks the tie
+        cards = ['c1', 'c2', 'c3', 'c4', 'c5'].map((content, i) => stamped(content, `0${Math.min(i, 3) + 1}`));
+        for (const card of cards) {
+          await engine.add(card);
+        }
+      });
+
+      test('numbered pages carry cursors and list ties by hash', async () => {
+        const first = await engine.get_page(1, 2);
+        expect(first.prev_cursor).toBeNull();
+        expect(first.next_cursor).toEqual(expect.any(String));
+
+        const listed = [];
+        for (let page = 1; page <= 3; page++) {
+          listed.push(...hashesOf(await engine.get_page(page, 2)));
+        }
+        const expected = [...cards].sort((a, b) =>
+          a.g_time === b.g_time ? (a.hash < b.hash ? 1 : -1) : (a.g_time < b.g_time ? 1 : -1)
+        );
+        expect(listed).toEqual(expected.map(card => card.hash));
+      });
+
+      test('next_cursor walks every card once, matching numbered pages', async () => {
+        const numbered = [];
+        for (let page = 1; page <= 3; page++) {
+          numbered.push(...hashesOf(await engine.get_page(page, 2)));
+        }
+
+        const walked = [];
+        let page = await engine.get_page(1, 2);
+        walked.push(...hashesOf(page));
+        while (page.next_cursor) {
+          page = await engine.get_page(1, 2, { cursor: page.next_cursor });
+          expect(page.page_number).toBeNull();
+          walked.push(...hashesOf(page));
+        }
+
+        expect(walked).toEqual(numbered);
+        expect(page.has_next).toBe(false);
+        expect(page.has_previous).toBe(true);
+      });
+
+      test('prev_cursor returns the preceding page', async () => {
+        const first = await engine.get_page(1, 2);
+        const second = await engine.get_page(1, 2, { cursor: first.next_cursor });
+
+        const back = await engine.get_page(1, 2, { cursor: second.prev_cursor });
+        expect(hashesOf(back)).toEqual(hashesOf(first));
+        expect(back.has_previous).toBe(false);
+        expect(back.has_next).toBe(true);
+        expect(back.prev_cursor).toBeNull();
+      });
+
+      test('cursor pages do not shift when newer cards are added', async () => {
+        const first = await engine.get_all(1, 2);
+        const expectedSecond = hashesOf(await engine.get_all(2, 2));
+
+        await engine.add(stamped('newest', '09'));
+
+        const second = await engine.get_all(1, 2, { cursor: first.next_cursor });
+        expect(hashesOf(second)).toEqual(expectedSecond);
+        expect(second.total_items).toBe(6);
+      });
+
+      test('search methods accept cursors', async () => {
+        const first = await engine.search_by_content('c', 1, 3);
+        const second = await engine.search_by_content('c', 1, 3, { cursor: first.next_cursor });
+        expect([...hashesOf(first), ...hashesOf(second)].sort()).toEqual(cards.map(card => card.hash).sort());
+
+        const byString = await engine.search_by_string('c', 1, 4, { cursor: first.next_cursor });
+        expect(hashesOf(byString)).toEqual(hashesOf(second));
+      });
+
+      test('orders by time whatever the hash algorithm prefix', async () => {
+        const older = stamped('older, sha512', '02', 'sha512');
+        const newer = stamped('newer, md5', '05', 'md5');
+        await engine.add(older);
+        await engine.add(newer);
+
+        // Raw g_time would list md5 cards last and sha512 cards first
+        const time = card => card.g_time.slice(card.g_time.indexOf('|') + 1);
+        const expected = [...cards, older, newer].sort((a, b) =>
+          time(a) === time(b) ? (a.hash < b.hash ? 1 : -1) : (time(a) < time(b) ? 1 : -1)
+        );
+        const listed = hashesOf(await engine.get_page(1, 10));
+        expect(listed).toEqual(expected.map(card => card.hash));
+        expect(listed[0]).toBe(newer.hash);
+
+        const first = await engine.get_page(1, 3);
+        const rest = await engine.get_page(1, 10, { cursor: first.next_cursor });
+        expect([...hashesOf(first), ...hashesOf(rest)]).toEqual(listed);
+        const back = await engine.get_page(1, 3, { cursor: rest.prev_cursor });
+        expect(hashesOf(back)).toEqual(hashesOf(first));
+      });
+
+      test('rejects malformed cursors', async () => {
+        await expect(async () => engine.get_page(1, 2, { cursor: 'garbage' })).rejects.toThrow('Invalid cursor');
+      });
+    });
+
+    describe('query', () => {
+      let note;
+      let json;
+      let bigJson;
+      let digest;
+
+      beforeEach(async () => {
+        note = stamped('plain note', '01');
+        json = stamped('{"kind":"small"}', '02');
+        bigJson = stamped(JSON.stringify({ kind: 'large', body: 'x'.repeat(200) }), '03', 'sha512');
+        digest = stamped('{"kind":"digest"}', '04', 'sha512');
+        for (const card of [note, json, bigJson, digest]) {
+          await engine.add(card);
+        }
+      });
+
+      test('filters by content type, newest first', async () => {
+        const page = await engine.query({ contentType: 'application/json' });
+        expect(hashesOf(page)).toEqual([digest.hash, bigJson.hash, json.hash]);
+        expect(page.total_items).toBe(3);
+
+        const text = await engine.query({ contentType: 'text/*' });
+        expect(hashesOf(text)).toEqual([note.hash]);
+      });
+
+      test('combines time window and algorithm filters', async () => {
+        const page = await engine.query({
+          contentType: 'application/json',
+          since: '2025-01-02T00:00:00.000Z',
+          until: new Date('2025-01-04T00:00:00.000Z'),
+          algorithm: 'sha512'
+        });
+        expect(hashesOf(page)).toEqual([bigJson.hash]);
+      });
+
+      test('filters and orders by size', async () => {
+        const small = await engine.query({ maxSize: 20, orderBy: 'byte_size asc' });
+        expect(hashesOf(small)).toEqual([note.hash, json.hash, digest.hash]);
+
+        const large = await engine.query({ minSize: 100 });
+        expect(hashesOf(large)).toEqual([bigJson.hash]);
+      });
+
+      test('pages with cursors that survive concurrent inserts', async () => {
+        const first = await engine.query({ limit: 2 });
+        expect(hashesOf(first)).toEqual([digest.hash, bigJson.hash]);
+        expect(first.has_next).toBe(true);
+        expect(first.next_cursor).toEqual(expect.any(String));
+
+        await engine.add(stamped('added later', '05'));
+
+        const second = await engine.query({ limit: 2, cursor: first.next_cursor });
+        expect(hashesOf(second)).toEqual([json.hash, note.hash]);
+        expect(second.has_next).toBe(false);
+        expect(second.next_cursor).toBeNull();
+      });
+
+      test('rejects invalid queries', async () => {
+        await expect(async () => engine.query({ colour: 'red' })).rejects.toThrow(/Unknown query option/);
+        await expect(async () => engine.query({ orderBy: 'hash' })).rejects.toThrow(/Invalid orderBy/);
+        await expect(async () => engine.query({ limit: 0 })).rejects.toThrow(/Invalid limit/);
+        await expect(async () => engine.query({ cursor: 'not a cursor' })).rejects.toThrow(/Invalid cursor/);
+
+        const { next_cursor } = await engine.query({ limit: 1 });
+        await expect(async () => engine.query({ orderBy: 'byte_size asc', cursor: next_cursor }))
+          .rejects.toThrow(/Cursor was created for orderBy/);
+      });
+    });
+  });
+}
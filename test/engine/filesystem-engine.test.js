@@ -0,0 +1,158 @@
+import './node-buffer.js';
+import fs from 'fs';
+import os from 'os';
+import { FileSystemEngine } from '../../src/engine/filesystem_engine.js';
+import { CardCollection } from '../../src/core/card-collection.js';
+import { MCard } from '../../src/core/mcard.js';
+import { HashAlgorithm } from '../../src/config/config_constants.js';
+import { runEngineConformanceTests } from './engine-conformance.js';
+
+let tmpDir;
+
+beforeAll(() => {
+  tmpDir = fs.mkdtempSync(`${os.tmpdir()}/mcard-fs-`);
+});
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+let storeCounter = 0;
+const createEngine = () => new FileSystemEngine(`${tmpDir}/store-${++storeCounter}`);
+
+runEngineConformanceTests('FileSystemEngine', createEngine);
+
+describe('FileSystemEngine', () => {
+  test('lays cards out as <algo>/<hash-prefix>/<hash> with a g_time sidecar', () => {
+    const engine = createEngine();
+    const card = new MCard('On disk', HashAlgorithm.SHA512);
+    engine.add(card);
+
+    const blobPath = `${engine.rootDir}/sha512/${card.hash.slice(0, 2)}/${card.hash}`;
+    expect(engine.blob_path('sha512', card.hash)).toBe(blobPath);
+    expect(fs.readFileSync(blobPath, 'utf-8')).toBe('On disk');
+
+    const sidecar = JSON.parse(fs.readFileSync(`${blobPath}.json`, 'utf-8'));
+    expect(sidecar).toEqual({ hash: card.hash, g_time: card.g_time, algorithm: 'sha512' });
+  });
+
+  test('reopening the store reads the index file', () => {
+    const engine = createEngine();
+    const card = new MCard('Reopened');
+    engine.add(card);
+
+    const reopened = new FileSystemEngine(engine.rootDir);
+    expect(reopened.count()).toBe(1);
+    expect(reopened.get(card.hash).g_time).toBe(card.g_time);
+  });
+
+  test('rebuilds a missing index from the sidecars', () => {
+    const engine = createEngine();
+    const cards = [new MCard('first'), new MCard('second', HashAlgorithm.SHA1)];
+    cards.forEach(card => engine.add(card));
+
+    fs.rmSync(`${engine.rootDir}/index.json`);
+    const rebuilt = new FileSystemEngine(engine.rootDir);
+
+    expect(rebuilt.count()).toBe(2);
+    expect(rebuilt.get_page(1, 10).items.map(card => card.hash).sort())
+      .toEqual(cards.map(card => card.hash).sort());
+  });
+
+  test('writes append to the index log instead of rewriting index.json', () => {
+    const engine = createEngine();
+    const indexJson = fs.readFileSync(engine.indexPath, 'utf-8');
+    const cards = ['one', 'two', 'three'].map(content => new MCard(content));
+    cards.forEach(card => engine.add(card));
+    engine.delete(cards[1].hash);
+
+    expect(fs.readFileSync(engine.indexPath, 'utf-8')).toBe(indexJson);
+    expect(fs.readFileSync(engine.indexLogPath, 'utf-8').trim().split('\n')).toHaveLength(4);
+
+    // A line cut short by a crash is skipped
+    fs.appendFileSync(engine.indexLogPath, '{"hash":"torn');
+    const reopened = new FileSystemEngine(engine.rootDir);
+    expect(reopened.count()).toBe(2);
+    expect(reopened.get(cards[1].hash)).toBeNull();
+
+    reopened.clear();
+    expect(fs.existsSync(reopened.indexLogPath)).toBe(false);
+    expect(new FileSystemEngine(engine.rootDir).count()).toBe(0);
+  });
+
+  test('folds the index log into index.json once it outgrows the index', () => {
+    const engine = createEngine();
+    const card = new MCard('Churn');
+    for (let i = 0; i < 501; i++) {
+      engine.add(card);
+      engine.delete(card.hash);
+    }
+
+    expect(fs.readFileSync(engine.indexLogPath, 'utf-8').trim().split('\n')).toHaveLength(1);
+    expect(new FileSystemEngine(engine.rootDir).count()).toBe(0);
+  });
+
+  test('folding the log keeps index changes logged by another engine', () => {
+    const engine = createEngine();
+    const other = new FileSystemEngine(engine.rootDir);
+    const theirs = new MCard('Written by the other engine');
+    other.add(theirs);
+
+    const card = new MCard('Churn');
+    for (let i = 0; i < 501; i++) {
+      engine.add(card);
+      engine.delete(card.hash);
+    }
+
+    expect(engine.get(theirs.hash)).not.toBeNull();
+    expect(fs.existsSync(engine.indexLockPath)).toBe(false);
+    expect(fs.readdirSync(engine.rootDir).filter(name => name.endsWith('.folding'))).toEqual([]);
+    expect(new FileSystemEngine(engine.rootDir).count()).toBe(1);
+  });
+
+  test('leaves the log alone while another engine holds the lock', () => {
+    const engine = createEngine();
+    const other = new FileSystemEngine(engine.rootDir);
+    other.add(new MCard('Written by the other engine'));
+    fs.writeFileSync(engine.indexLockPath, '');
+
+    const card = new MCard('Churn');
+    for (let i = 0; i < 501; i++) {
+      engine.add(card);
+      engine.delete(card.hash);
+    }
+
+    expect(fs.readFileSync(engine.indexLogPath, 'utf-8').trim().split('\n')).toHaveLength(1003);
+    expect(new FileSystemEngine(engine.rootDir).count()).toBe(1);
+  });
+
+  test('atomic writes do not share a temporary file name', () => {
+    const engine = createEngine();
+    // A fixed <file>.tmp name would collide with this
+    fs.mkdirSync(`${engine.indexPath}.tmp`);
+    engine.add(new MCard('Unique temp'));
+    engine.clear();
+
+    expect(new FileSystemEngine(engine.rootDir).count()).toBe(0);
+    expect(fs.readdirSync(engine.rootDir).filter(name => name.endsWith('.tmp'))).toEqual(['index.json.tmp']);
+  });
+
+  test('rejects hashes that would escape the store', () => {
+    const engine = createEngine();
+    const card = new MCard('Sneaky');
+    card.hash = '../../etc/passwd';
+    expect(() => engine.add(card)).toThrow('Invalid hash for filesystem storage');
+  });
+
+  test('plugs into CardCollection in place of SQLiteEngine', () => {
+    const collection = new CardCollection(createEngine());
+    const card = new MCard('Collection on disk');
+
+    collection.add(card);
+    collection.add(new MCard('Collection on disk'));
+
+    expect(collection.count()).toBe(2);
+    expect(collection.search_by_content('collection on disk').items.map(item => item.hash))
+      .toContain(card.hash);
+  });
+});
@@ -0,0 +1,80 @@
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import { IndexedDBEngine } from '../../src/engine/indexeddb_engine.js';
+import { StorageEngine } from '../../src/engine/base_engine.js';
+import { MCard } from '../../src/core/mcard.js';
+import { runEngineConformanceTests } from './engine-conformance.js';
+
+// A fresh factory per engine keeps databases isolated between tests
+const createEngine = () => new IndexedDBEngine('mcard-test', { indexedDB: new IDBFactory(), IDBKeyRange });
+
+runEngineConformanceTests('IndexedDBEngine', createEngine, engine => engine.close());
+
+describe('IndexedDBEngine', () => {
+  test('is a StorageEngine', () => {
+    expect(createEngine()).toBeInstanceOf(StorageEngine);
+  });
+
+  test('throws when IndexedDB is unavailable', () => {
+    expect(() => new IndexedDBEngine('mcard-test', { indexedDB: null }))
+      .toThrow('IndexedDB is not available in this environment');
+  });
+
+  test('persists cards across connections to the same database', async () => {
+    const indexedDB = new IDBFactory();
+    const card = new MCard('Survives a reload');
+
+    const first = new IndexedDBEngine('mcard-persist', { indexedDB });
+    await first.add(card);
+    await first.close();
+
+    const second = new IndexedDBEngine('mcard-persist', { indexedDB });
+    const stored = await second.get(card.hash);
+    expect(stored.g_time).toBe(card.g_time);
+    expect(new TextDecoder().decode(stored.content)).toBe('Survives a reload');
+    expect(await second.count()).toBe(1);
+    await second.close();
+  });
+
+  test('upgrading from version 2 lists older records by time', async () => {
+    const indexedDB = new IDBFactory();
+    const older = new MCard('sha512, older', 'sha512');
+    older.g_time = 'sha512|2025-01-01T00:00:00.000000Z|UTC';
+    const newer = new MCard('md5, newer', 'md5');
+    newer.g_time = 'md5|2025-01-02T00:00:00.000000Z|UTC';
+
+    // A version 2 database, with records that have no time key
+    const request = indexedDB.open('mcard-v2', 2);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore('card', { keyPath: 'hash' });
+      store.createIndex('g_time', 'g_time', { unique: false });
+      store.createIndex('g_time_hash', ['g_time', 'hash'], { unique: false });
+      [older, newer].forEach(card => store.add({ hash: card.hash, g_time: card.g_time, content: card.content }));
+    };
+    const db = await new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    db.close();
+
+    const engine = new IndexedDBEngine('mcard-v2', { indexedDB, IDBKeyRange });
+    const page = await engine.get_page(1, 10);
+    expect(page.items.map(card => card.hash)).toEqual([newer.hash, older.hash]);
+    expect((await engine.open()).transaction('card').objectStore('card').indexNames.contains('g_time_hash')).toBe(false);
+    await engine.close();
+  });
+
+  test('pages skip earlier records by offset', async () => {
+    const engine = createEngine();
+    for (let i = 0; i < 7; i++) {
+      await engine.add(new MCard(`Paged card ${i}`));
+    }
+
+    const pages = [];
+    for (let page = 1; page <= 3; page++) {
+      pages.push((await engine.get_page(page, 3)).items.map(card => card.hash));
+    }
+    expect(pages.map(items => items.length)).toEqual([3, 3, 1]);
+    expect(new Set(pages.flat()).size).toBe(7);
+    await engine.close();
+  });
+});
@@ -0,0 +1,40 @@
+import { MemoryEngine } from '../../src/engine/memory_engine.js';
+import { StorageEngine } from '../../src/engine/base_engine.js';
+import { CardCollection } from '../../src/core/card-collection.js';
+import { MCard } from '../../src/core/mcard.js';
+import { runEngineConformanceTests } from './engine-conformance.js';
+
+runEngineConformanceTests('MemoryEngine', () => new MemoryEngine());
+
+describe('MemoryEngine', () => {
+  test('is a StorageEngine', () => {
+    expect(new MemoryEngine()).toBeInstanceOf(StorageEngine);
+  });
+
+  test('backs a CardCollection without better-sqlite3', () => {
+    const collection = new CardCollection(new MemoryEngine());
+    const card = new MCard('Collection content');
+
+    expect(collection.add(card)).toBe(card.hash);
+    expect(collection.count()).toBe(1);
+    expect(collection.get_page(1, 10).items[0].hash).toBe(card.hash);
+  });
+
+  test('treats re-adding identical content as a duplicate', () => {
+    const collection = new CardCollection(new MemoryEngine());
+    const card = new MCard('Duplicate me');
+
+    collection.add(card);
+    const eventHash = collection.add(new MCard('Duplicate me'));
+
+    expect(eventHash).not.toBe(card.hash);
+    expect(collection.count()).toBe(2);
+  });
+});
+
+describe('StorageEngine', () => {
+  test('reports unimplemented methods by engine name', () => {
+    class PartialEngine extends StorageEngine {}
+    expect(() => new PartialEngine().count()).toThrow('PartialEngine.count is not implemented');
+  });
+});
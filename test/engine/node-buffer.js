@@ -0,0 +1,6 @@
+// Install Node's Buffer as the global before any source module loads.
+// jest.config.cjs sets `globals.Buffer`, which leaves SafeBuffer in its browser
+// mode; better-sqlite3 and the Node storage engines need the real Buffer.
+import { Buffer as NodeBuffer } from 'node:buffer';
+
+global.Buffer = NodeBuffer;
@@ -0,0 +1,179 @@
+import './node-buffer.js';
+import fs from 'fs';
+import os from 'os';
+import { SQLiteEngine, SQLiteConnection } from '../../src/engine/sqlite_engine.js';
+import { CardCollection } from '../../src/core/card-collection.js';
+import { ChangeFeedWatcher } from '../../src/core/change-feed.js';
+import { MCard } from '../../src/core/mcard.js';
+import { MemoryEngine } from '../../src/engine/memory_engine.js';
+import { MIGRATIONS } from '../../src/models/migrations.js';
+
+jest.unmock('better-sqlite3');
+
+let tmpDir;
+let dbCounter = 0;
+let opened;
+
+beforeAll(() => {
+  tmpDir = fs.mkdtempSync(`${os.tmpdir()}/mcard-changes-`);
+});
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  opened = [];
+});
+
+afterEach(() => {
+  opened.forEach(engine => engine.destructor());
+  jest.restoreAllMocks();
+});
+
+// Separate connections to one file, as two processes would have
+const openStore = (dbPath) => {
+  const engine = new SQLiteEngine(new SQLiteConnection(dbPath));
+  opened.push(engine);
+  return new CardCollection(engine);
+};
+
+describe('SQLite change feed', () => {
+  let dbPath;
+  let writer;
+  let reader;
+
+  beforeEach(() => {
+    dbPath = `${tmpDir}/shared-${++dbCounter}.db`;
+    writer = openStore(dbPath);
+    reader = openStore(dbPath);
+  });
+
+  test('sees cards inserted through another connection, in order', () => {
+    const cards = ['one', 'two', 'three'].map(content => new MCard(content));
+    cards.forEach(card => writer.engine.add(card));
+
+    const { changes, last_seq, has_more } = reader.changesSince(0);
+
+    expect(changes.map(change => change.hash)).toEqual(cards.map(card => card.hash));
+    expect(changes.every(change => change.operation === 'insert')).toBe(true);
+    expect(changes.map(change => change.seq)).toEqual([1, 2, 3]);
+    expect(changes[0].card.hash).toBe(cards[0].hash);
+    expect(changes[0].changed_at).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+    expect(last_seq).toBe(3);
+    expect(has_more).toBe(false);
+  });
+
+  test('records updates and deletes, and resumes after a sequence number', () => {
+    const card = new MCard('changing');
+    writer.engine.add(card);
+    const { last_seq } = reader.changesSince(0);
+
+    writer.engine.update(card.hash, 'changed');
+    writer.engine.delete(card.hash);
+
+    const { changes } = reader.changesSince(last_seq);
+    expect(changes.map(change => change.operation)).toEqual(['update', 'delete']);
+    expect(changes[1].card).toBeNull();
+    expect(reader.changesSince(changes[1].seq)).toEqual({ changes: [], last_seq: changes[1].seq, has_more: false });
+  });
+
+  test('pages with a limit', () => {
+    ['a', 'b', 'c'].forEach(content => writer.engine.add(new MCard(content)));
+
+    const first = reader.changesSince(0, { limit: 2 });
+    const second = reader.changesSince(first.last_seq, { limit: 2 });
+
+    expect(first.changes).toHaveLength(2);
+    expect(first.has_more).toBe(true);
+    expect(second.changes).toHaveLength(1);
+    expect(second.has_more).toBe(false);
+  });
+
+  test('rejects invalid sequence numbers and limits', () => {
+    expect(() => reader.changesSince(-1)).toThrow('Invalid sequence number: -1');
+    expect(() => reader.changesSince(0, { limit: 0 })).toThrow('Invalid limit: 0');
+  });
+
+  test('numbers cards stored before the change log existed', () => {
+    const legacyPath = `${tmpDir}/legacy-${++dbCounter}.db`;
+    const connection = new SQLiteConnection(legacyPath);
+    connection.connect();
+    connection.migrate({ migrations: MIGRATIONS.filter(migration => migration.version < 6) });
+    const card = new MCard('old card');
+    connection.conn.prepare('INSERT INTO card (hash, g_time, content) VALUES (?, ?, ?)')
+      .run(card.hash, card.g_time, card.content);
+    connection.conn.close();
+
+    const upgraded = openStore(legacyPath);
+    expect(upgraded.changesSince(0).changes.map(change => [change.seq, change.hash])).toEqual([[1, card.hash]]);
+  });
+});
+
+describe('ChangeFeedWatcher', () => {
+  let writer;
+  let reader;
+
+  beforeEach(() => {
+    const dbPath = `${tmpDir}/watched-${++dbCounter}.db`;
+    writer = openStore(dbPath);
+    reader = openStore(dbPath);
+  });
+
+  test('delivers each change once and resumes from a saved sequence number', async () => {
+    const seen = [];
+    const watcher = new ChangeFeedWatcher(reader, change => seen.push(change.hash), { batchSize: 2 });
+
+    const cards = ['w1', 'w2', 'w3'].map(content => new MCard(content));
+    cards.forEach(card => writer.engine.add(card));
+    expect(await watcher.poll()).toBe(3);
+    expect(await watcher.poll()).toBe(0);
+
+    // A new worker resuming from the saved position sees only later changes
+    const later = new MCard('w4');
+    writer.engine.add(later);
+    const resumed = [];
+    await new ChangeFeedWatcher(reader, change => resumed.push(change.hash), { since: watcher.seq }).poll();
+
+    expect(seen).toEqual(cards.map(card => card.hash));
+    expect(resumed).toEqual([later.hash]);
+  });
+
+  test('redelivers a change whose handler failed', async () => {
+    writer.engine.add(new MCard('flaky'));
+    let attempts = 0;
+    const watcher = new ChangeFeedWatcher(reader, () => {
+      attempts += 1;
+      if (attempts === 1) {
+        throw new Error('handler failed');
+      }
+    });
+
+    await expect(watcher.poll()).rejects.toThrow('handler failed');
+    expect(watcher.seq).toBe(0);
+    expect(await watcher.poll()).toBe(1);
+    expect(watcher.seq).toBe(1);
+  });
+
+  test('watch() polls until stopped', async () => {
+    const card = new MCard('watched');
+    const delivered = new Promise((resolve) => {
+      const watcher = reader.watch((change) => {
+        watcher.stop();
+        resolve(change);
+      }, { interval: 10 });
+      writer.engine.add(card);
+    });
+
+    expect((await delivered).hash).toBe(card.hash);
+  });
+
+  test('rejects engines without a change log and bad options', () => {
+    const memory = new CardCollection(new MemoryEngine());
+    expect(() => memory.changesSince(0)).toThrow('MemoryEngine does not support change feeds');
+    expect(() => memory.watch(() => {})).toThrow('MemoryEngine does not support change feeds');
+    expect(() => new ChangeFeedWatcher(reader, null)).toThrow('Handler must be a function');
+    expect(() => new ChangeFeedWatcher(reader, () => {}, { interval: 0 })).toThrow('Invalid interval: 0');
+  });
+});
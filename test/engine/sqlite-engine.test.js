@@ -0,0 +1,86 @@
+import './node-buffer.js';
+import fs from 'fs';
+import os from 'os';
+import { SQLiteEngine, SQLiteConnection } from '../../src/engine/sqlite_engine.js';
+import { StorageEngine } from '../../src/engine/base_engine.js';
+import { CardCollection } from '../../src/core/card-collection.js';
+import { MCard } from '../../src/core/mcard.js';
+import { runEngineConformanceTests } from './engine-conformance.js';
+
+// src/__mocks__ stubs better-sqlite3 for the other suites; these tests need the real driver
+jest.unmock('better-sqlite3');
+
+let tmpDir;
+
+beforeAll(() => {
+  tmpDir = fs.mkdtempSync(`${os.tmpdir()}/mcard-sqlite-`);
+});
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+let dbCounter = 0;
+const createEngine = () => new SQLiteEngine(new SQLiteConnection(`${tmpDir}/cards-${++dbCounter}.db`));
+
+runEngineConformanceTests('SQLiteEngine', createEngine, engine => engine.destructor());
+
+describe('SQLiteEngine', () => {
+  test('is a StorageEngine', () => {
+    const engine = createEngine();
+    expect(engine).toBeInstanceOf(StorageEngine);
+    engine.destructor();
+  });
+});
+
+describe('SQLiteEngine.iterate', () => {
+  let engine;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    engine = createEngine();
+  });
+
+  afterEach(() => {
+    engine.destructor();
+    jest.restoreAllMocks();
+  });
+
+  test('streams rows newest first', () => {
+    const cards = ['first', 'second', 'third'].map((content, i) => {
+      const card = new MCard(content);
+      card.g_time = `sha256|2025-01-0${i + 1}T00:00:00.000000Z|UTC`;
+      engine.add(card);
+      return card;
+    });
+
+    expect([...engine.iterate()].map(card => card.hash)).toEqual([...cards].reverse().map(card => card.hash));
+  });
+
+  test('releases the connection when the loop exits early', () => {
+    engine.add(new MCard('one'));
+    engine.add(new MCard('two'));
+
+    for (const card of engine.iterate()) {
+      expect(card.hash).toEqual(expect.any(String));
+      break;
+    }
+
+    expect(() => engine.add(new MCard('three'))).not.toThrow();
+    expect(engine.count()).toBe(3);
+  });
+
+  test('backs CardCollection iteration without paging', async () => {
+    const collection = new CardCollection(engine);
+    ['a', 'b', 'c'].forEach(content => engine.add(new MCard(content)));
+    const getPage = jest.spyOn(engine, 'get_page');
+
+    const hashes = [];
+    for await (const card of collection.iterate({ filter: card => card.hash !== null })) {
+      hashes.push(card.hash);
+    }
+
+    expect(hashes).toHaveLength(3);
+    expect(getPage).not.toHaveBeenCalled();
+  });
+});
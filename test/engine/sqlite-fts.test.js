@@ -0,0 +1,158 @@
+import './node-buffer.js';
+import fs from 'fs';
+import os from 'os';
+import Database from 'better-sqlite3';
+import { SQLiteEngine, SQLiteConnection } from '../../src/engine/sqlite_engine.js';
+import { CardCollection } from '../../src/core/card-collection.js';
+import { MemoryEngine } from '../../src/engine/memory_engine.js';
+import { MCard } from '../../src/core/mcard.js';
+
+jest.unmock('better-sqlite3');
+
+let tmpDir;
+let engine;
+let dbCounter = 0;
+
+const newDbPath = () => `${tmpDir}/fts-${++dbCounter}.db`;
+const hashes = (page) => page.items.map(card => card.hash);
+
+beforeAll(() => {
+  tmpDir = fs.mkdtempSync(`${os.tmpdir()}/mcard-fts-`);
+});
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  engine = new SQLiteEngine(new SQLiteConnection(newDbPath()));
+});
+
+afterEach(() => {
+  engine.destructor();
+});
+
+describe('SQLiteEngine full-text search', () => {
+  test('ranks results with BM25, best match first', () => {
+    const once = new MCard('A note that mentions kettle once among many other words');
+    const often = new MCard('kettle kettle kettle');
+    engine.add(once);
+    engine.add(often);
+    engine.add(new MCard('Nothing relevant here'));
+
+    const page = engine.search_fulltext('kettle');
+    expect(page.total_items).toBe(2);
+    expect(hashes(page)).toEqual([often.hash, once.hash]);
+    expect(page.items[0].rank).toBeLessThan(page.items[1].rank);
+  });
+
+  test('returns highlighted snippets', () => {
+    engine.add(new MCard('The quick brown fox jumps over the lazy dog'));
+
+    const [card] = engine.search_fulltext('fox', 1, 10, { highlightStart: '[', highlightEnd: ']' }).items;
+    expect(card.snippet).toContain('[fox]');
+    expect(engine.search_fulltext('fox').items[0].snippet).toContain('<mark>fox</mark>');
+  });
+
+  test('supports phrase, prefix and boolean queries', () => {
+    const red = new MCard('red apple pie');
+    const green = new MCard('green apple tart');
+    const banana = new MCard('banana bread');
+    [red, green, banana].forEach(card => engine.add(card));
+
+    expect(hashes(engine.search_fulltext('"apple pie"'))).toEqual([red.hash]);
+    expect(hashes(engine.search_fulltext('ban*'))).toEqual([banana.hash]);
+    expect(hashes(engine.search_fulltext('apple NOT green'))).toEqual([red.hash]);
+    expect(hashes(engine.search_fulltext('tart OR bread')).sort()).toEqual([green.hash, banana.hash].sort());
+  });
+
+  test('indexes JSON but not binary content', () => {
+    const json = new MCard({ title: 'quarterly report' });
+    const binary = new MCard(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x72, 0x65, 0x70, 0x6f, 0x72, 0x74]));
+    engine.add(json);
+    engine.add(binary);
+
+    expect(hashes(engine.search_fulltext('report'))).toEqual([json.hash]);
+  });
+
+  test('stays in sync with updates and deletes', () => {
+    const card = new MCard('original wording');
+    engine.add(card);
+
+    engine.update(card.hash, 'revised wording');
+    expect(engine.search_fulltext('original').total_items).toBe(0);
+    expect(hashes(engine.search_fulltext('revised'))).toEqual([card.hash]);
+
+    engine.delete(card.hash);
+    expect(engine.search_fulltext('wording').total_items).toBe(0);
+
+    engine.add(new MCard('cleared wording'));
+    engine.clear();
+    expect(engine.search_fulltext('wording').total_items).toBe(0);
+  });
+
+  test('reads card text from the card table instead of a copy', () => {
+    const card = new MCard('indexed once');
+    engine.add(card);
+    const conn = engine.connection.conn;
+
+    expect(conn.prepare("SELECT name FROM sqlite_master WHERE name = 'card_fts_content'").get()).toBeUndefined();
+    expect(engine.search_fulltext('indexed').items[0].snippet).toBe('<mark>indexed</mark> once');
+    conn.prepare("INSERT INTO card_fts (card_fts, rank) VALUES ('integrity-check', 1)").run();
+  });
+
+  test('paginates results', () => {
+    for (let i = 0; i < 5; i++) {
+      engine.add(new MCard(`shared term ${i}`));
+    }
+
+    const page = engine.search_fulltext('shared', 2, 2);
+    expect(page.items).toHaveLength(2);
+    expect(page.total_pages).toBe(3);
+    expect(page.has_next).toBe(true);
+    expect(page.has_previous).toBe(true);
+  });
+
+  test('reports invalid query syntax', () => {
+    expect(() => engine.search_fulltext('"unterminated')).toThrow('Invalid full-text query');
+  });
+
+  test('indexes databases created before the FTS table existed', () => {
+    const dbPath = newDbPath();
+    const legacy = new Database(dbPath);
+    legacy.exec('CREATE TABLE card (hash TEXT PRIMARY KEY, g_time TEXT NOT NULL, content BLOB NOT NULL)');
+    const card = new MCard('legacy searchable text');
+    legacy.prepare('INSERT INTO card (hash, g_time, content) VALUES (?, ?, ?)').run(card.hash, card.g_time, card.content);
+    legacy.close();
+
+    const upgraded = new SQLiteEngine(new SQLiteConnection(dbPath));
+    expect(hashes(upgraded.search_fulltext('searchable'))).toEqual([card.hash]);
+    upgraded.destructor();
+  });
+
+  test('rebuild_fts repopulates the index', () => {
+    engine.add(new MCard('rebuild me'));
+    engine.add(new MCard('and me'));
+    engine.connection.conn.exec('DELETE FROM card_fts');
+    expect(engine.search_fulltext('me').total_items).toBe(0);
+
+    expect(engine.rebuild_fts()).toBe(2);
+    expect(engine.search_fulltext('me').total_items).toBe(2);
+  });
+});
+
+describe('CardCollection.search_fulltext', () => {
+  test('delegates to the engine', () => {
+    const collection = new CardCollection(engine);
+    const card = new MCard('collection level search');
+    collection.add(card);
+
+    expect(hashes(collection.search_fulltext('collection'))).toEqual([card.hash]);
+    expect(() => collection.search_fulltext('')).toThrow('Search query cannot be empty');
+  });
+
+  test('rejects engines without full-text support', () => {
+    const collection = new CardCollection(new MemoryEngine());
+    expect(() => collection.search_fulltext('anything')).toThrow('MemoryEngine does not support full-text search');
+  });
+});
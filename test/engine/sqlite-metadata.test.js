@@ -0,0 +1,136 @@
+import './node-buffer.js';
+import fs from 'fs';
+import os from 'os';
+import { SQLiteEngine, SQLiteConnection } from '../../src/engine/sqlite_engine.js';
+import ContentTypeInterpreter from '../../src/utils/content_type_detector.js';
+import { MCard } from '../../src/core/mcard.js';
+
+jest.unmock('better-sqlite3');
+
+const FIXTURE_DB = `${process.cwd()}/test/test_data/test-cards.db`;
+
+let tmpDir;
+let engine;
+let dbCounter = 0;
+
+const newDbPath = () => `${tmpDir}/metadata-${++dbCounter}.db`;
+const metadataOf = (hash) => engine.connection.conn.prepare(
+  'SELECT content_type, byte_size, hash_algorithm FROM card WHERE hash = ?'
+).get(hash);
+
+beforeAll(() => {
+  tmpDir = fs.mkdtempSync(`${os.tmpdir()}/mcard-metadata-`);
+});
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  engine = new SQLiteEngine(new SQLiteConnection(newDbPath()));
+});
+
+afterEach(() => {
+  engine.destructor();
+  jest.restoreAllMocks();
+});
+
+describe('SQLiteEngine card metadata', () => {
+  test('stores content type, byte size and hash algorithm at insert', () => {
+    const card = new MCard(JSON.stringify({ name: 'metadata' }));
+    engine.add(card);
+
+    expect(metadataOf(card.hash)).toEqual({
+      content_type: 'application/json',
+      byte_size: card.content.length,
+      hash_algorithm: card.g_time.split('|')[0]
+    });
+  });
+
+  test('indexes the metadata columns', () => {
+    const indexes = engine.connection.conn.prepare(
+      "SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = 'card'"
+    ).all().map(row => row.name);
+
+    expect(indexes).toEqual(expect.arrayContaining([
+      'idx_card_content_type',
+      'idx_card_byte_size',
+      'idx_card_hash_algorithm'
+    ]));
+  });
+
+  test('get uses the stored content type instead of detecting it', () => {
+    const card = new MCard('plain text metadata');
+    engine.add(card);
+    const detect = jest.spyOn(ContentTypeInterpreter, 'detectContentType');
+
+    const retrieved = engine.get(card.hash);
+
+    expect(detect).not.toHaveBeenCalled();
+    expect(retrieved.contentType.mimeType).toBe(metadataOf(card.hash).content_type);
+  });
+
+  test('get decodes text and JSON by the stored content type', () => {
+    const text = new MCard('plain text content');
+    const json = new MCard(JSON.stringify({ name: 'decoded' }));
+    const binary = new MCard(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00]));
+    [text, json, binary].forEach(card => engine.add(card));
+    // A stored type wins over what the bytes look like
+    engine.connection.conn.prepare("UPDATE card SET content_type = 'application/octet-stream' WHERE hash = ?").run(text.hash);
+
+    expect(engine.get(json.hash).content).toEqual({ name: 'decoded' });
+    engine.add(new MCard('more text'));
+    expect(engine.get(new MCard('more text').hash).content).toBe('more text');
+    expect(Buffer.isBuffer(engine.get(binary.hash).content)).toBe(true);
+    expect(Buffer.isBuffer(engine.get(text.hash).content)).toBe(true);
+    expect(Buffer.from(engine.get(json.hash, { raw: true }).content).equals(json.content)).toBe(true);
+  });
+
+  test('update refreshes content type and size', () => {
+    const card = new MCard('short text');
+    engine.add(card);
+
+    engine.update(card.hash, { replaced: true });
+
+    expect(metadataOf(card.hash)).toMatchObject({
+      content_type: 'application/json',
+      byte_size: JSON.stringify({ replaced: true }).length
+    });
+  });
+
+  test('backfill_metadata fills rows written without metadata', () => {
+    const card = new MCard('inserted by another tool');
+    engine.connection.conn.prepare(
+      'INSERT INTO card (hash, content, g_time) VALUES (?, ?, ?)'
+    ).run(card.hash, card.content, card.g_time);
+
+    expect(engine.backfill_metadata({ batchSize: 1 })).toBe(1);
+    expect(metadataOf(card.hash)).toEqual({
+      content_type: 'text/plain',
+      byte_size: card.content.length,
+      hash_algorithm: card.g_time.split('|')[0]
+    });
+    expect(engine.backfill_metadata()).toBe(0);
+  });
+
+  test('upgrading a fixture database backfills every card', () => {
+    const dbPath = newDbPath();
+    fs.copyFileSync(FIXTURE_DB, dbPath);
+    const upgraded = new SQLiteEngine(new SQLiteConnection(dbPath));
+
+    try {
+      const rows = upgraded.connection.conn.prepare(
+        'SELECT content_type, byte_size, length(CAST(content AS BLOB)) AS length FROM card'
+      ).all();
+
+      expect(rows.length).toBeGreaterThan(0);
+      rows.forEach(row => {
+        expect(row.content_type).toEqual(expect.any(String));
+        expect(row.byte_size).toBe(row.length);
+      });
+    } finally {
+      upgraded.destructor();
+    }
+  });
+});
@@ -0,0 +1,176 @@
+import './node-buffer.js';
+import fs from 'fs';
+import os from 'os';
+import Database from 'better-sqlite3';
+import { SQLiteEngine, SQLiteConnection } from '../../src/engine/sqlite_engine.js';
+import { MIGRATIONS, LATEST_SCHEMA_VERSION } from '../../src/models/migrations.js';
+import { MCard } from '../../src/core/mcard.js';
+
+jest.unmock('better-sqlite3');
+
+// Created by the schema that predates migrations: a bare card table, no schema_version
+const FIXTURE_DB = `${process.cwd()}/test/test_data/test-cards.db`;
+
+let tmpDir;
+let dbCounter = 0;
+let connections;
+
+const newDbPath = () => `${tmpDir}/migrations-${++dbCounter}.db`;
+
+const openConnection = (dbPath) => {
+  const connection = new SQLiteConnection(dbPath);
+  connection.connect();
+  connections.push(connection);
+  return connection;
+};
+
+const tableExists = (connection, name) => Boolean(connection.conn.prepare(
+  "SELECT name FROM sqlite_master WHERE name = ?"
+).get(name));
+
+beforeAll(() => {
+  tmpDir = fs.mkdtempSync(`${os.tmpdir()}/mcard-migrations-`);
+});
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  connections = [];
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  connections.forEach(connection => connection.disconnect());
+  jest.restoreAllMocks();
+});
+
+describe('SQLiteConnection schema migrations', () => {
+  test('a new database is created at the latest version', () => {
+    const connection = openConnection(newDbPath());
+    connection.setup_database();
+
+    expect(connection.get_schema_version()).toBe(LATEST_SCHEMA_VERSION);
+    expect(tableExists(connection, 'card')).toBe(true);
+    expect(tableExists(connection, 'card_fts')).toBe(true);
+
+    const versions = connection.conn.prepare('SELECT version, description FROM schema_version ORDER BY version').all();
+    expect(versions).toEqual(MIGRATIONS.map(({ version, description }) => ({ version, description })));
+  });
+
+  test('upgrades a fixture database without losing cards', () => {
+    const dbPath = newDbPath();
+    fs.copyFileSync(FIXTURE_DB, dbPath);
+
+    const connection = openConnection(dbPath);
+    const before = connection.conn.prepare('SELECT COUNT(*) as total FROM card').get().total;
+    expect(connection.get_schema_version()).toBe(0);
+
+    const report = connection.migrate();
+
+    expect(report).toEqual({
+      from: 0,
+      to: LATEST_SCHEMA_VERSION,
+      applied: MIGRATIONS.map(({ version, description }) => ({ version, description })),
+      dryRun: false
+    });
+    expect(connection.get_schema_version()).toBe(LATEST_SCHEMA_VERSION);
+    expect(connection.conn.prepare('SELECT COUNT(*) as total FROM card').get().total).toBe(before);
+
+    const matches = connection.conn.prepare('SELECT hash FROM card_fts WHERE card_fts MATCH ?').all('digraph');
+    expect(matches.length).toBeGreaterThan(0);
+  });
+
+  test('cursor pages seek on the time key index', () => {
+    const connection = openConnection(newDbPath());
+    connection.setup_database();
+
+    expect(Boolean(connection.conn.prepare("SELECT name FROM sqlite_master WHERE name = 'idx_card_g_time_hash'").get())).toBe(false);
+    const plan = connection.conn.prepare(`
+      EXPLAIN QUERY PLAN SELECT hash FROM card
+      WHERE (substr(g_time, instr(g_time, '|') + 1), hash) < (?, ?)
+      ORDER BY substr(g_time, instr(g_time, '|') + 1) DESC, hash DESC LIMIT 10
+    `).all('2025-01-01T00:00:00.000000Z|UTC', 'abc');
+    expect(plan.map(step => step.detail).join('\n')).toContain('idx_card_time_key_hash');
+  });
+
+  test('migrating an up-to-date database is a no-op', () => {
+    const connection = openConnection(newDbPath());
+    connection.setup_database();
+
+    const report = connection.migrate();
+
+    expect(report.applied).toEqual([]);
+    expect(report.from).toBe(LATEST_SCHEMA_VERSION);
+    expect(report.to).toBe(LATEST_SCHEMA_VERSION);
+  });
+
+  test('reopening keeps existing cards', () => {
+    const dbPath = newDbPath();
+    const card = new MCard('persisted across migrations');
+    const engine = new SQLiteEngine(openConnection(dbPath));
+    engine.add(card);
+
+    const reopened = new SQLiteEngine(openConnection(dbPath));
+    expect(reopened.get(card.hash)).not.toBeNull();
+  });
+
+  test('dry run reports pending migrations and changes nothing', () => {
+    const dbPath = newDbPath();
+    fs.copyFileSync(FIXTURE_DB, dbPath);
+    const connection = openConnection(dbPath);
+
+    const report = connection.migrate({ dryRun: true });
+
+    expect(report.dryRun).toBe(true);
+    expect(report.to).toBe(LATEST_SCHEMA_VERSION);
+    expect(report.applied.map(m => m.version)).toEqual(MIGRATIONS.map(m => m.version));
+    expect(connection.get_schema_version()).toBe(0);
+    expect(tableExists(connection, 'schema_version')).toBe(false);
+    expect(tableExists(connection, 'card_fts')).toBe(false);
+  });
+
+  test('a failing migration rolls back every migration in the batch', () => {
+    const connection = openConnection(newDbPath());
+    const migrations = [
+      ...MIGRATIONS,
+      {
+        version: LATEST_SCHEMA_VERSION + 1,
+        description: 'Broken migration',
+        up(db) {
+          db.exec('ALTER TABLE card ADD COLUMN note TEXT');
+          db.exec('SELECT * FROM missing_table');
+        }
+      }
+    ];
+
+    expect(() => connection.migrate({ migrations })).toThrow(/Migration \d+ \(Broken migration\) failed/);
+    expect(connection.get_schema_version()).toBe(0);
+    expect(tableExists(connection, 'card')).toBe(false);
+  });
+
+  test('applies only migrations newer than the recorded version', () => {
+    const connection = openConnection(newDbPath());
+    connection.setup_database();
+    const up = jest.fn(db => db.exec('ALTER TABLE card ADD COLUMN note TEXT'));
+    const migrations = [...MIGRATIONS, { version: LATEST_SCHEMA_VERSION + 1, description: 'Add note', up }];
+
+    const report = connection.migrate({ migrations });
+
+    expect(up).toHaveBeenCalledTimes(1);
+    expect(report.applied).toEqual([{ version: LATEST_SCHEMA_VERSION + 1, description: 'Add note' }]);
+    expect(connection.get_schema_version()).toBe(LATEST_SCHEMA_VERSION + 1);
+  });
+
+  test('refuses to open a database from a newer schema', () => {
+    const dbPath = newDbPath();
+    const newer = new Database(dbPath);
+    newer.exec('CREATE TABLE schema_version (version INTEGER PRIMARY KEY, description TEXT NOT NULL, applied_at TEXT NOT NULL)');
+    newer.prepare('INSERT INTO schema_version VALUES (?, ?, ?)').run(LATEST_SCHEMA_VERSION + 5, 'future', new Date().toISOString());
+    newer.close();
+
+    const connection = openConnection(dbPath);
+    expect(() => connection.migrate()).toThrow(/newer than the latest known version/);
+  });
+});
@@ -0,0 +1,120 @@
+import './engine/node-buffer.js';
+import fs from 'fs';
+import os from 'os';
+import { CardCollection } from '../src/core/card-collection.js';
+import { AsyncCardCollection } from '../src/core/async-card-collection.js';
+import { MCard, MCardFromData } from '../src/core/mcard.js';
+import { GTime } from '../src/core/g_time.js';
+import { HashRef } from '../src/core/hash-ref.js';
+import { MemoryEngine } from '../src/engine/memory_engine.js';
+import { SQLiteEngine, SQLiteConnection } from '../src/engine/sqlite_engine.js';
+
+jest.unmock('better-sqlite3');
+
+let tmpDir;
+let counter = 0;
+
+beforeAll(() => {
+  tmpDir = fs.mkdtempSync(`${os.tmpdir()}/mcard-hash-ref-`);
+});
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('HashRef', () => {
+  const card = new MCard('referenced');
+
+  test('has an algorithm:hex and a multihash form', () => {
+    const ref = card.get_hash_ref();
+    expect(ref).toEqual(new HashRef(card.hash, 'sha256'));
+    expect(String(ref)).toBe(`sha256:${card.hash}`);
+    expect(ref.toMultihash()).toBe(`1220${card.hash}`);
+    expect(JSON.stringify({ ref })).toBe(`{"ref":"sha256:${card.hash}"}`);
+  });
+
+  test('parses every form back to the same reference', () => {
+    const ref = card.get_hash_ref();
+    expect(HashRef.parse(`sha256:${card.hash}`).equals(ref)).toBe(true);
+    expect(HashRef.parse(`SHA256:${card.hash.toUpperCase()}`).equals(ref)).toBe(true);
+    expect(HashRef.parse(`1220${card.hash}`).equals(ref)).toBe(true);
+    expect(HashRef.parse(card.hash)).toEqual(new HashRef(card.hash));
+
+    const sha512 = new MCard('stronger', 'sha512');
+    expect(HashRef.parse(sha512.get_hash_ref().toMultihash())).toEqual(new HashRef(sha512.hash, 'sha512'));
+  });
+
+  test('rejects malformed references', () => {
+    expect(() => HashRef.parse('')).toThrow('Hash cannot be empty');
+    expect(() => HashRef.parse('crc32:abcd')).toThrow('Unknown hash algorithm: crc32');
+    expect(() => HashRef.parse(`sha512:${card.hash}`)).toThrow(`Invalid sha512 hash: ${card.hash}`);
+    expect(() => new HashRef(card.hash).toMultihash()).toThrow('has no algorithm');
+  });
+});
+
+describe.each([
+  ['MemoryEngine', () => new MemoryEngine()],
+  ['SQLiteEngine', () => new SQLiteEngine(new SQLiteConnection(`${tmpDir}/refs-${++counter}.db`))]
+])('CardCollection lookups by HashRef with %s', (name, createEngine) => {
+  let collection;
+  let sha256;
+  let sha512;
+
+  beforeEach(() => {
+    collection = new CardCollection(createEngine());
+    sha256 = new MCard('plain');
+    sha512 = new MCard('plain', 'sha512');
+    collection.add(sha256);
+    collection.add(sha512);
+  });
+
+  afterEach(() => {
+    if (collection.engine.destructor) {
+      collection.engine.destructor();
+    }
+  });
+
+  test('get and search accept every form', () => {
+    for (const form of [sha512.hash, `sha512:${sha512.hash}`, sha512.get_hash_ref().toMultihash(), sha512.get_hash_ref()]) {
+      expect(collection.get(form).g_time).toBe(sha512.g_time);
+      expect(collection.search_by_hash(form).items.map(card => card.hash)).toEqual([sha512.hash]);
+    }
+  });
+
+  test('delete accepts a reference and records the bare hash', () => {
+    expect(collection.delete(`sha256:${sha256.hash}`)).toBe(true);
+    expect(collection.get(sha256.hash)).toBeNull();
+    expect(collection.events({ type: 'delete' })[0].subject_hash).toBe(sha256.hash);
+  });
+
+  test('a reference only matches a card hashed with its algorithm', () => {
+    const forged = new MCardFromData(Buffer.from('forged'), new MCard('forged').hash, GTime.stamp_now('sha512'));
+    collection.engine.add(forged);
+
+    expect(collection.get(forged.hash)).not.toBeNull();
+    expect(collection.get(`sha256:${forged.hash}`)).toBeNull();
+    expect(collection.delete(`sha256:${forged.hash}`)).toBe(false);
+    expect(collection.get(forged.hash)).not.toBeNull();
+  });
+});
+
+describe('AsyncCardCollection lookups by HashRef', () => {
+  test('get and delete accept references', async () => {
+    const collection = new AsyncCardCollection(new MemoryEngine());
+    const card = await MCard.create('async');
+    await collection.add(card);
+
+    expect((await collection.get(card.get_hash_ref().toMultihash())).hash).toBe(card.hash);
+    expect(await collection.get(`sha256:${'0'.repeat(64)}`)).toBeNull();
+    expect(await collection.delete(String(card.get_hash_ref()))).toBe(true);
+    expect(await collection.get(card.hash)).toBeNull();
+  });
+});
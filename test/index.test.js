@@ -0,0 +1,25 @@
+import * as mcard from '../src/index.js';
+import { CardCollection } from '../src/core/card-collection.js';
+import { SQLiteEngine } from '../src/engine/sqlite_engine.js';
+
+describe('package entry point', () => {
+  test.each([
+    'MCard', 'CardCollection', 'AsyncCardCollection', 'Page',
+    'MemoryEngine', 'SQLiteEngine', 'SQLiteConnection', 'FileSystemEngine', 'IndexedDBEngine', 'EncryptedEngine',
+    'exportCollection', 'importCollection', 'HashRef', 'cardCid', 'hashToCid', 'parseCid', 'mcardPersistenceMiddleware'
+  ])('exports %s', (name) => {
+    expect(typeof mcard[name]).toBe('function');
+  });
+
+  test('exports the same classes as their modules', () => {
+    expect(mcard.CardCollection).toBe(CardCollection);
+    expect(mcard.SQLiteEngine).toBe(SQLiteEngine);
+  });
+
+  test('builds a collection from its exports alone', () => {
+    const collection = new mcard.CardCollection(new mcard.MemoryEngine());
+    const card = new mcard.MCard('From the entry point');
+    collection.add(card);
+    expect(collection.get(card.hash).g_time).toBe(card.g_time);
+  });
+});